@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Replay exported sessions through the calculation and recommendation
+ * services and report how the predictions held up.
+ * 
+ * Usage:
+ *   npm run backtest -- <session.json | directory>... [--json] [--prior] [--set key=value]...
+ * 
+ * --set overrides a setting for every session (e.g. --set predictionModel=exponential),
+ * so two runs can be compared. --prior replays each session with the heating
+ * profile learned from all the others. --json prints the raw metrics instead of the report.
+ */
+import { readFileSync, readdirSync, statSync } from 'node:fs';
+import { join } from 'node:path';
+import { extractSession, replaySession, scoreReplays, formatBacktestReport } from '../src/services/backtestService.js';
+import { summarizeCook, buildHeatingProfile } from '../src/services/calculationService.js';
+import { validateSettings } from '../src/utils/validationUtils.js';
+
+function parseArgs(argv) {
+  const files = [];
+  const settings = {};
+  let json = false;
+  let prior = false;
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      json = true;
+    } else if (arg === '--prior') {
+      prior = true;
+    } else if (arg === '--set') {
+      const [key, raw] = (argv[++i] ?? '').split('=');
+      if (!key || raw === undefined) {
+        throw new Error('--set expects key=value');
+      }
+      settings[key] = raw === 'true' || raw === 'false' ? raw === 'true' : isNaN(Number(raw)) ? raw : Number(raw);
+    } else {
+      files.push(arg);
+    }
+  }
+  
+  return { files, settings, json, prior };
+}
+
+function expandPaths(paths) {
+  return paths.flatMap(path => statSync(path).isDirectory()
+    ? readdirSync(path).filter(name => name.endsWith('.json')).sort().map(name => join(path, name))
+    : [path]);
+}
+
+function main() {
+  const { files, settings, json, prior } = parseArgs(process.argv.slice(2));
+  
+  if (files.length === 0) {
+    console.error('Usage: npm run backtest -- <session.json | directory>... [--json] [--prior] [--set key=value]...');
+    process.exit(1);
+  }
+  
+  const { valid, errors } = validateSettings(settings);
+  if (!valid) {
+    throw new Error(`Invalid settings: ${Object.entries(errors).map(([k, v]) => `${k}: ${v}`).join(', ')}`);
+  }
+  
+  const sessions = expandPaths(files).map(path => extractSession(JSON.parse(readFileSync(path, 'utf8'))));
+  const summaries = prior ? sessions.map(summarizeCook) : [];
+  
+  const replays = sessions.map((session, i) => {
+    // Leave the session itself out of its prior
+    const heatingProfile = prior
+      ? buildHeatingProfile(summaries.filter((s, j) => s && j !== i), {
+          meatType: session.config.meatType ?? null,
+          weight: session.config.weight ?? null
+        })
+      : null;
+    return replaySession(session, { settings, heatingProfile });
+  });
+  const score = scoreReplays(replays);
+  
+  console.log(json ? JSON.stringify(score, null, 2) : formatBacktestReport(replays, score));
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`backtest: ${error.message}`);
+  process.exit(1);
+}
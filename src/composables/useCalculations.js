@@ -1,11 +1,40 @@
 import { computed } from 'vue';
 import { useSession } from './useSession.js';
-import { computeSessionCalculations } from '../services/calculationService.js';
-import { toDisplayUnit, convertRate, formatRate } from '../utils/temperatureUtils.js';
-import { formatDuration, formatTime } from '../utils/timeUtils.js';
+import { useSessionHistory } from './useSessionHistory.js';
+import {
+  computeSessionCalculations,
+  getHistoricalStallMinutes,
+  buildHeatingProfile,
+  calculatePredictionAccuracy,
+  groupReadingsByProbe
+} from '../services/calculationService.js';
+import { comparePlanProgress } from '../services/plannerService.js';
+import { getPhaseAt } from '../services/phaseService.js';
+import { getRoastProbes, getRoastReadings } from '../services/roastService.js';
+import { fitThermalModel, applyMeasuredOvenTemps } from '../services/thermalModelService.js';
+import { toDisplayUnit, convertRate, formatRate, formatTemperature } from '../utils/temperatureUtils.js';
+import { formatDuration, formatTime, hoursBetween } from '../utils/timeUtils.js';
 
 export function useCalculations() {
-  const { readings, config, settings, displayUnits } = useSession();
+  const {
+    roastReadings,
+    restReadings: allRestReadings,
+    readings,
+    probes,
+    mainProbes,
+    roasts,
+    phases,
+    ovenEvents,
+    ovenReadings,
+    predictions,
+    plan,
+    config,
+    settings,
+    displayUnits
+  } = useSession();
+  
+  // Past cooks, kept up to date as sessions are archived, imported and deleted
+  const { cookSummaries } = useSessionHistory();
   
   /**
    * Raw calculation results (internal units)
@@ -15,11 +44,71 @@ export function useCalculations() {
       return null;
     }
     
+    // Rest readings track carryover, not heating
     return computeSessionCalculations({
-      readings: readings.value,
+      readings: roastReadings.value,
+      probes: mainProbes.value,
+      governingProbeId: config.value.governingProbeId ?? null,
       targetTemp: config.value.targetTemp,
       desiredServeTime: config.value.desiredServeTime,
-      settings: settings.value
+      settings: settings.value,
+      ovenEvents: ovenEvents.value,
+      ovenReadings: ovenReadings.value,
+      stallHistory: getHistoricalStallMinutes(cookSummaries.value, config.value.meatType),
+      weight: config.value.weight,
+      heatingProfile: buildHeatingProfile(cookSummaries.value, {
+        meatType: config.value.meatType,
+        weight: config.value.weight
+      })
+    });
+  });
+  
+  /**
+   * Oven events with measured temperatures applied, as the heat-transfer model sees them
+   */
+  const measuredOvenEvents = computed(() => applyMeasuredOvenTemps(ovenEvents.value, ovenReadings.value));
+  
+  /**
+   * Calculations for the other roasts sharing the oven, in the order they were added
+   * Each roast's readings count until it's pulled; session phases belong to the main roast.
+   * @type {import('vue').ComputedRef<Array<{roast: Roast, calculations: CalculationResult, includedReadings: InternalReading[], currentTemp: number|null, thermalModel: Object|null}>>}
+   */
+  const roastCalculations = computed(() => {
+    if (!config.value) return [];
+    
+    return roasts.value.filter(roast => !roast.isMain).map(roast => {
+      const roastProbes = getRoastProbes(probes.value, roast.id);
+      const pulledAt = roast.pulledAt ? new Date(roast.pulledAt) : null;
+      const ownReadings = getRoastReadings(readings.value, probes.value, roast.id)
+        .filter(r => !pulledAt || new Date(r.timestamp) <= pulledAt);
+      
+      const calculations = computeSessionCalculations({
+        readings: ownReadings,
+        probes: roastProbes,
+        targetTemp: roast.targetTemp,
+        desiredServeTime: roast.desiredServeTime,
+        settings: settings.value,
+        ovenEvents: ovenEvents.value,
+        ovenReadings: ovenReadings.value,
+        stallHistory: getHistoricalStallMinutes(cookSummaries.value, roast.meatType),
+        weight: roast.weight,
+        heatingProfile: buildHeatingProfile(cookSummaries.value, {
+          meatType: roast.meatType,
+          weight: roast.weight
+        })
+      });
+      
+      const excluded = new Set(calculations.excludedReadingIds);
+      const governing = groupReadingsByProbe(ownReadings, roastProbes).get(calculations.governingProbeId) ?? ownReadings;
+      const includedReadings = governing.filter(r => !excluded.has(r.id));
+      
+      return {
+        roast,
+        calculations,
+        includedReadings,
+        currentTemp: includedReadings[includedReadings.length - 1]?.temp ?? null,
+        thermalModel: fitThermalModel(includedReadings, measuredOvenEvents.value)
+      };
     });
   });
   
@@ -90,6 +179,41 @@ export function useCalculations() {
     return formatTime(time);
   });
   
+  /**
+   * 80% finish window ({earliestTargetTime, latestTargetTime, ...}) or null
+   */
+  const predictionWindow = computed(() => {
+    return rawCalculations.value?.predictionWindow ?? null;
+  });
+  
+  /**
+   * Formatted finish window, e.g. "6:40 PM – 7:25 PM"
+   */
+  const predictionWindowFormatted = computed(() => {
+    const window = predictionWindow.value;
+    if (!window) return null;
+    if (!window.latestTargetTime) return `${formatTime(window.earliestTargetTime)} or later`;
+    return `${formatTime(window.earliestTargetTime)} – ${formatTime(window.latestTargetTime)}`;
+  });
+  
+  /**
+   * Probability (0-1) of reaching target by the desired serve time
+   */
+  const onTimeProbability = computed(() => {
+    return rawCalculations.value?.onTimeProbability ?? null;
+  });
+  
+  /**
+   * Formatted on-time probability, e.g. "82% chance of being ready by serve time"
+   */
+  const onTimeProbabilityFormatted = computed(() => {
+    const probability = onTimeProbability.value;
+    if (probability === null) return null;
+    // Avoid claiming certainty either way
+    const percent = Math.min(99, Math.max(1, Math.round(probability * 100)));
+    return `${percent}% chance of being ready by serve time`;
+  });
+  
   /**
    * Schedule variance in minutes (positive = late, negative = early)
    */
@@ -129,6 +253,79 @@ export function useCalculations() {
     return rawCalculations.value?.confidence ?? { level: 'insufficient', reason: 'No data' };
   });
   
+  /**
+   * Prediction model actually used ('linear' or 'exponential')
+   */
+  const predictionModel = computed(() => {
+    return rawCalculations.value?.predictionModel ?? 'linear';
+  });
+  
+  /**
+   * Fit quality of the prediction model
+   */
+  const modelFit = computed(() => {
+    return rawCalculations.value?.modelFit ?? null;
+  });
+  
+  /**
+   * Prior from past cooks ({coefficient, count, weight}) or null
+   */
+  const heatingPrior = computed(() => {
+    return rawCalculations.value?.heatingPrior ?? null;
+  });
+  
+  /**
+   * Short description of the model and its fit, e.g. "Exponential fit (R² 0.98)",
+   * with the share taken from past cooks while it matters
+   */
+  const modelFitFormatted = computed(() => {
+    const fit = modelFit.value;
+    const name = predictionModel.value === 'exponential' ? 'Exponential' : 'Linear';
+    const description = !fit || fit.readings < 2 ? `${name} model` : `${name} fit (R² ${fit.r2.toFixed(2)})`;
+    
+    const prior = heatingPrior.value;
+    if (!prior || prior.weight < 0.05) return description;
+    return `${description} · ${Math.round(prior.weight * 100)}% from ${prior.count} past cook${prior.count === 1 ? '' : 's'}`;
+  });
+  
+  /**
+   * Stall detection result (null until there are readings)
+   */
+  const stall = computed(() => {
+    return rawCalculations.value?.stall ?? null;
+  });
+  
+  /**
+   * Whether the roast is currently in a stall
+   */
+  const isStalled = computed(() => stall.value?.isStalled ?? false);
+  
+  /**
+   * Formatted estimate of when the stall will break
+   */
+  const stallBreakFormatted = computed(() => {
+    if (!isStalled.value) return null;
+    return `Breaks ~${formatTime(stall.value.estimatedBreakTime)}`;
+  });
+  
+  /**
+   * Carryover estimate with pull temperature and timing (internal units)
+   */
+  const carryover = computed(() => {
+    return rawCalculations.value?.carryover ?? null;
+  });
+  
+  /**
+   * Formatted pull guidance, e.g. "Pull at 120°F ~6:45 PM"
+   */
+  const pullFormatted = computed(() => {
+    if (!carryover.value) return null;
+    const pullTemp = formatTemperature(carryover.value.pullTemp, displayUnits.value);
+    if (carryover.value.shouldPull) return `Pull now (${pullTemp})`;
+    if (!carryover.value.pullTime) return `Pull at ${pullTemp}`;
+    return `Pull at ${pullTemp} ~${formatTime(carryover.value.pullTime)}`;
+  });
+  
   /**
    * Whether we have enough data to show predictions
    */
@@ -138,11 +335,185 @@ export function useCalculations() {
   });
   
   /**
-   * Current internal temperature (from most recent reading)
+   * IDs of readings left out of rate and ETA, across all roasts
+   */
+  const excludedReadingIds = computed(() => {
+    return new Set([
+      ...(rawCalculations.value?.excludedReadingIds ?? []),
+      ...roastCalculations.value.flatMap(r => r.calculations.excludedReadingIds)
+    ]);
+  });
+  
+  /**
+   * Suspect readings keyed by reading ID, across all roasts
+   */
+  const suspectReadings = computed(() => {
+    const suspects = [
+      ...(rawCalculations.value?.suspectReadings ?? []),
+      ...roastCalculations.value.flatMap(r => r.calculations.suspectReadings)
+    ];
+    return new Map(suspects.map(s => [s.id, s]));
+  });
+  
+  /**
+   * Probe whose readings drive the ETA and recommendations
+   */
+  const governingProbeId = computed(() => {
+    return rawCalculations.value?.governingProbeId ?? null;
+  });
+  
+  /**
+   * Per-probe rate and ETA (empty with a single probe)
+   */
+  const probeCalculations = computed(() => {
+    return rawCalculations.value?.probes ?? [];
+  });
+  
+  /**
+   * Readings grouped by probe ID, in probe order: the main roast's low-and-slow
+   * readings and every reading from the other roasts
+   */
+  const readingsByProbe = computed(() => {
+    const otherRoasts = roasts.value.filter(roast => !roast.isMain)
+      .flatMap(roast => getRoastReadings(readings.value, probes.value, roast.id));
+    return groupReadingsByProbe([...roastReadings.value, ...otherRoasts], probes.value);
+  });
+  
+  /**
+   * All low-and-slow readings from the governing probe
+   */
+  const governingReadings = computed(() => {
+    return readingsByProbe.value.get(governingProbeId.value) ?? roastReadings.value;
+  });
+  
+  /**
+   * Rest readings from the governing probe
+   */
+  const restReadings = computed(() => {
+    return groupReadingsByProbe(allRestReadings.value, mainProbes.value).get(governingProbeId.value) ?? allRestReadings.value;
+  });
+  
+  /**
+   * Readings that feed the rate and ETA
+   */
+  const includedReadings = computed(() => {
+    return governingReadings.value.filter(r => !excludedReadingIds.value.has(r.id));
+  });
+  
+  /**
+   * Heat-transfer model fitted to the included readings (see fitThermalModel)
+   * Fitting is the costly part of recommendations and oven previews, so it's
+   * done here once and shared by them.
+   */
+  const thermalModel = computed(() => fitThermalModel(includedReadings.value, measuredOvenEvents.value));
+  
+  /**
+   * Current internal temperature (from most recent included reading)
    */
   const currentTemp = computed(() => {
-    if (readings.value.length === 0) return null;
-    return readings.value[readings.value.length - 1].temp;
+    if (includedReadings.value.length === 0) return null;
+    return includedReadings.value[includedReadings.value.length - 1].temp;
+  });
+  
+  /**
+   * Temperature a probe's current rate projects for a given time, in Fahrenheit
+   * @param {string} timestamp - ISO timestamp
+   * @param {string|null} [probeId] - Defaults to the governing probe
+   * @returns {number|null} Null once the roast is out of the oven
+   */
+  function expectedTempAt(timestamp, probeId = governingProbeId.value) {
+    const roastId = probes.value.find(p => p.id === probeId)?.roastId;
+    const other = roastId ? roastCalculations.value.find(r => r.roast.id === roastId) : null;
+    if (other) {
+      return expectedRoastTempAt(other, timestamp, probeId);
+    }
+    if (getPhaseAt(phases.value, timestamp) !== 'low-and-slow') return null;
+    
+    const isGoverning = probeId === governingProbeId.value;
+    const probeReadings = isGoverning
+      ? includedReadings.value
+      : (readingsByProbe.value.get(probeId) ?? []).filter(r => !excludedReadingIds.value.has(r.id));
+    const rate = isGoverning
+      ? currentRateRaw.value
+      : probeCalculations.value.find(p => p.probeId === probeId)?.currentRate ?? null;
+    
+    const latest = probeReadings[probeReadings.length - 1];
+    if (!latest || rate === null) return null;
+    return latest.temp + rate * hoursBetween(latest.timestamp, timestamp);
+  }
+  
+  /**
+   * expectedTempAt for a probe in one of the other roasts
+   * @param {Object} other - Entry from roastCalculations
+   * @param {string} timestamp - ISO timestamp
+   * @param {string} probeId
+   * @returns {number|null}
+   */
+  function expectedRoastTempAt(other, timestamp, probeId) {
+    const { roast, calculations, includedReadings: governing } = other;
+    if (roast.pulledAt && new Date(timestamp) > new Date(roast.pulledAt)) return null;
+    
+    const isGoverning = probeId === calculations.governingProbeId;
+    const excluded = new Set(calculations.excludedReadingIds);
+    const probeReadings = isGoverning
+      ? governing
+      : (readingsByProbe.value.get(probeId) ?? []).filter(r => !excluded.has(r.id));
+    const rate = isGoverning
+      ? calculations.currentRate
+      : calculations.probes.find(p => p.probeId === probeId)?.currentRate ?? null;
+    
+    const latest = probeReadings[probeReadings.length - 1];
+    if (!latest || rate === null) return null;
+    return latest.temp + rate * hoursBetween(latest.timestamp, timestamp);
+  }
+  
+  /**
+   * How the recorded predictions compared with when the target was reached
+   */
+  const predictionAccuracy = computed(() => {
+    if (!config.value) return null;
+    
+    return calculatePredictionAccuracy({
+      predictions: predictions.value,
+      readings: includedReadings.value,
+      targetTemp: config.value.targetTemp,
+      thresholdMinutes: settings.value.onTrackThresholdMinutes
+    });
+  });
+  
+  /**
+   * Formatted accuracy, e.g. "Predictions were off by 12m on average (finished 4m earlier than predicted)"
+   */
+  const predictionAccuracyFormatted = computed(() => {
+    const accuracy = predictionAccuracy.value;
+    if (!accuracy) return null;
+    
+    const mean = `Predictions were off by ${formatDuration(accuracy.meanAbsoluteErrorMinutes)} on average`;
+    if (Math.abs(accuracy.biasMinutes) < 1) return mean;
+    const bias = formatDuration(Math.abs(accuracy.biasMinutes));
+    // Positive bias = predicted later than it happened
+    return `${mean} (finished ${bias} ${accuracy.biasMinutes > 0 ? 'earlier' : 'later'} than predicted)`;
+  });
+  
+  /**
+   * Latest reading against the cook plan
+   */
+  const planProgress = computed(() => {
+    const latest = includedReadings.value[includedReadings.value.length - 1] ?? null;
+    return comparePlanProgress(plan.value, latest);
+  });
+  
+  /**
+   * Formatted plan progress, e.g. "Pull planned 5:40 PM · 12m behind plan"
+   */
+  const planProgressFormatted = computed(() => {
+    if (!plan.value) return null;
+    
+    const pull = `Pull planned ${formatTime(plan.value.pullTime)}`;
+    const minutes = planProgress.value?.minutesAheadOfPlan ?? null;
+    if (minutes === null) return pull;
+    if (Math.abs(minutes) < settings.value.onTrackThresholdMinutes) return `${pull} · on plan`;
+    return `${pull} · ${formatDuration(Math.abs(minutes))} ${minutes > 0 ? 'ahead of' : 'behind'} plan`;
   });
   
   /**
@@ -168,7 +539,7 @@ export function useCalculations() {
     if (currentTemp.value === null || !config.value) return 0;
     
     const startTemp = config.value.startingTemp ?? 
-      (readings.value.length > 0 ? readings.value[0].temp : currentTemp.value);
+      (governingReadings.value.length > 0 ? governingReadings.value[0].temp : currentTemp.value);
     const target = config.value.targetTemp;
     
     if (target <= startTemp) return 100;
@@ -193,9 +564,29 @@ export function useCalculations() {
     predictedMinutes,
     predictedMinutesToTarget: predictedMinutes, // Alias for recommendation service
     predictedTargetTime,
+    predictionWindow,
+    onTimeProbability,
     scheduleVariance,
     scheduleStatus,
     confidence,
+    predictionModel,
+    modelFit,
+    heatingPrior,
+    stall,
+    isStalled,
+    carryover,
+    excludedReadingIds,
+    suspectReadings,
+    governingProbeId,
+    probeCalculations,
+    roastCalculations,
+    readingsByProbe,
+    governingReadings,
+    restReadings,
+    includedReadings,
+    thermalModel,
+    predictionAccuracy,
+    planProgress,
     currentTemp,
     progressPercent,
     targetReached,
@@ -205,9 +596,19 @@ export function useCalculations() {
     currentRateFormatted,
     timeRemainingFormatted,
     predictedTargetTimeFormatted,
+    predictionWindowFormatted,
+    onTimeProbabilityFormatted,
     scheduleVarianceFormatted,
+    modelFitFormatted,
+    stallBreakFormatted,
+    pullFormatted,
+    predictionAccuracyFormatted,
+    planProgressFormatted,
     currentTempDisplay,
-    targetTempDisplay
+    targetTempDisplay,
+    
+    // Methods
+    expectedTempAt
   };
 }
 
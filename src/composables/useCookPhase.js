@@ -0,0 +1,206 @@
+import { computed } from 'vue';
+import { useSession } from './useSession.js';
+import { useRefreshTimer } from './useRefreshTimer.js';
+import { useCalculations } from './useCalculations.js';
+import {
+  getPhaseLabel,
+  getNextPhase,
+  buildPhaseSpans,
+  resolvePhaseDurations,
+  calculatePhaseTiming
+} from '../services/phaseService.js';
+import { analyzeRest } from '../services/calculationService.js';
+import { COOK_PHASES } from '../constants/defaults.js';
+import { formatDuration, formatTime, addMinutes } from '../utils/timeUtils.js';
+import { formatTemperature } from '../utils/temperatureUtils.js';
+
+/**
+ * Composable for the reverse-sear phases: where the cook is, what comes next
+ * and the rest/preheat/sear countdowns. The rest lasts until carryover has
+ * peaked, and at least as long as planned.
+ */
+export function useCookPhase() {
+  const { phases, currentPhase, plan, config, displayUnits, advancePhase, updateConfig } = useSession();
+  const { includedReadings, restReadings, carryover } = useCalculations();
+  
+  // Countdowns move with the clock, not just with new data
+  const { tick } = useRefreshTimer(30000);
+  
+  /**
+   * Rest and sear lengths for this roast
+   */
+  const durations = computed(() => {
+    return resolvePhaseDurations({ plan: plan.value, meatType: config.value?.meatType ?? null });
+  });
+  
+  /**
+   * How the roast will be seared
+   */
+  const searMethod = computed(() => config.value?.searMethod ?? 'pan');
+  
+  /**
+   * Label of the current phase
+   */
+  const currentPhaseLabel = computed(() => getPhaseLabel(currentPhase.value));
+  
+  /**
+   * Phase the cook moves to next (null once served)
+   */
+  const nextPhase = computed(() => {
+    return getNextPhase(currentPhase.value, { skipSear: durations.value.searMinutes === 0 });
+  });
+  
+  /**
+   * Label of the next phase
+   */
+  const nextPhaseLabel = computed(() => (nextPhase.value ? getPhaseLabel(nextPhase.value) : null));
+  
+  /**
+   * All phases with whether each is done, current or still to come
+   */
+  const phaseSteps = computed(() => {
+    const currentIndex = COOK_PHASES.findIndex(p => p.id === currentPhase.value);
+    return COOK_PHASES
+      .filter(p => !(p.id === 'sear' && durations.value.searMinutes === 0))
+      .map(p => {
+        const index = COOK_PHASES.indexOf(p);
+        return {
+          ...p,
+          status: index < currentIndex ? 'done' : index === currentIndex ? 'current' : 'upcoming'
+        };
+      });
+  });
+  
+  /**
+   * Time spans of each phase so far
+   */
+  const phaseSpans = computed(() => {
+    tick.value; // Create dependency for auto-refresh
+    return buildPhaseSpans(phases.value);
+  });
+  
+  /**
+   * Carryover peak and cooling while resting (null outside the rest)
+   */
+  const restAnalysis = computed(() => {
+    tick.value; // Create dependency for auto-refresh
+    if (currentPhase.value !== 'rest') return null;
+    
+    return analyzeRest({
+      restReadings: restReadings.value,
+      pullReading: includedReadings.value[includedReadings.value.length - 1] ?? null,
+      restStartTime: phases.value[phases.value.length - 1].timestamp,
+      carryoverF: carryover.value?.carryoverF ?? null,
+      weight: config.value?.weight ?? null
+    });
+  });
+  
+  /**
+   * When the rest is over: the planned length, or later if carryover is still rising
+   */
+  const restEndTime = computed(() => {
+    if (currentPhase.value !== 'rest') return null;
+    
+    const plannedEnd = addMinutes(phases.value[phases.value.length - 1].timestamp, durations.value.restMinutes);
+    const peakTime = restAnalysis.value?.peakTime;
+    return peakTime && new Date(peakTime) > new Date(plannedEnd) ? peakTime : plannedEnd;
+  });
+  
+  /**
+   * Rest, preheat and sear times (null while roasting)
+   */
+  const timing = computed(() => {
+    tick.value; // Create dependency for auto-refresh
+    return calculatePhaseTiming({
+      phases: phases.value,
+      restMinutes: durations.value.restMinutes,
+      searMinutes: durations.value.searMinutes,
+      searMethod: searMethod.value,
+      restEndTime: restEndTime.value
+    });
+  });
+  
+  /**
+   * Whether the rest is over and the roast is ready to sear (or slice)
+   */
+  const isRestDone = computed(() => {
+    return timing.value?.phase === 'rest' && timing.value.minutesLeftInPhase <= 0;
+  });
+  
+  /**
+   * Carryover peak, e.g. "Peak ~131°F at 6:40 PM" or "Peaked at 131°F"
+   */
+  const restPeakFormatted = computed(() => {
+    const rest = restAnalysis.value;
+    if (!rest) return null;
+    
+    const peak = formatTemperature(rest.peakTemp, displayUnits.value);
+    if (rest.isPastPeak) return `Peaked at ${peak}`;
+    return `Peak ~${peak} at ${formatTime(rest.peakTime)}`;
+  });
+  
+  /**
+   * Time left in the current phase, e.g. "12m left"
+   */
+  const phaseCountdownFormatted = computed(() => {
+    const t = timing.value;
+    if (!t) return null;
+    if (t.phase === 'serve') return 'Ready';
+    if (t.minutesLeftInPhase <= 0) return 'Done';
+    return `${formatDuration(t.minutesLeftInPhase)} left`;
+  });
+  
+  /**
+   * The next thing to do and when, e.g. "Preheat pan at 6:35 PM"
+   */
+  const phaseNextStepFormatted = computed(() => {
+    const t = timing.value;
+    if (!t) return null;
+    if (t.phase === 'rest' && t.minutesToPreheat > 0) {
+      return `Preheat ${searMethod.value} at ${formatTime(t.preheatTime)}`;
+    }
+    if (t.phase === 'rest' && t.searTime) return `Sear at ${formatTime(t.searTime)}`;
+    if (t.serveTime) return `Serve at ${formatTime(t.serveTime)}`;
+    return null;
+  });
+  
+  /**
+   * Move on to the next phase
+   * @param {string} [timestamp] - Optional timestamp, defaults to now
+   * @returns {boolean} Whether the phase changed
+   */
+  function startNextPhase(timestamp = null) {
+    if (!nextPhase.value) return false;
+    return advancePhase(nextPhase.value, timestamp);
+  }
+  
+  /**
+   * Choose how the roast will be seared
+   * @param {'pan'|'oven'} method
+   */
+  function setSearMethod(method) {
+    updateConfig({ searMethod: method });
+  }
+  
+  return {
+    // State
+    currentPhase,
+    currentPhaseLabel,
+    nextPhase,
+    nextPhaseLabel,
+    phaseSteps,
+    phaseSpans,
+    durations,
+    searMethod,
+    timing,
+    restAnalysis,
+    isRestDone,
+    restPeakFormatted,
+    phaseCountdownFormatted,
+    phaseNextStepFormatted,
+    
+    // Methods
+    startNextPhase,
+    setSearMethod
+  };
+}
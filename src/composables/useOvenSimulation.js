@@ -0,0 +1,105 @@
+import { computed } from 'vue';
+import { useSession } from './useSession.js';
+import { useCalculations } from './useCalculations.js';
+import { simulateOvenSchedule } from '../services/recommendationService.js';
+import { toStorageUnit, toDisplayUnit } from '../utils/temperatureUtils.js';
+import { formatTime, formatDuration } from '../utils/timeUtils.js';
+import { THERMAL_MODEL_DEFAULTS } from '../constants/defaults.js';
+
+/**
+ * Composable for previewing an oven change before it is logged
+ * @param {import('vue').Ref<Array<{setTemp: number, isOff?: boolean, timestamp: string}>|null>} schedule -
+ *   Hypothetical oven settings in display units, or null for no preview
+ */
+export function useOvenSimulation(schedule) {
+  const { ovenEvents, ovenReadings, config, displayUnits } = useSession();
+  const { includedReadings, currentRateRaw, thermalModel } = useCalculations();
+  
+  /**
+   * Run the simulator against the session with a schedule in °F
+   * @param {Array<{setTemp: number, isOff?: boolean, timestamp: string}>} entries
+   */
+  function simulate(entries) {
+    return simulateOvenSchedule({
+      readings: includedReadings.value,
+      ovenEvents: ovenEvents.value,
+      ovenReadings: ovenReadings.value,
+      schedule: entries,
+      targetTemp: config.value.targetTemp,
+      currentRate: currentRateRaw.value,
+      thermalModel: thermalModel.value
+    });
+  }
+  
+  /**
+   * Projection with the oven left as it is
+   */
+  const baseline = computed(() => {
+    if (!config.value) return null;
+    return simulate([]);
+  });
+  
+  /**
+   * Projection under the hypothetical schedule
+   */
+  const projection = computed(() => {
+    if (!config.value || !schedule.value || schedule.value.length === 0) return null;
+    
+    return simulate(schedule.value.map(entry => ({
+      ...entry,
+      setTemp: entry.isOff ? 0 : toStorageUnit(entry.setTemp, displayUnits.value)
+    })));
+  });
+  
+  /**
+   * Simulated points in display units, for charting
+   * @param {Object|null} result - Simulation result
+   */
+  function toChartPoints(result) {
+    if (!result?.canSimulate) return [];
+    return result.points.map(p => ({
+      x: new Date(p.timestamp),
+      y: toDisplayUnit(p.temp, displayUnits.value)
+    }));
+  }
+  
+  /**
+   * Projected curves in display units
+   */
+  const projectionPoints = computed(() => toChartPoints(projection.value));
+  const baselinePoints = computed(() => toChartPoints(baseline.value));
+  
+  /**
+   * Projected finish, e.g. "Target at 3:45 PM (in 1h 10m)"
+   */
+  const projectedFinishFormatted = computed(() => {
+    const result = projection.value;
+    if (!result) return null;
+    if (!result.canSimulate) return result.reason;
+    if (!result.targetTime) return `Target not reached within ${THERMAL_MODEL_DEFAULTS.SIMULATION_MAX_HOURS} hours on this schedule`;
+    
+    return `Target at ${formatTime(result.targetTime)} (in ${formatDuration(result.minutesToTarget)})`;
+  });
+  
+  /**
+   * How the schedule moves the finish compared with leaving the oven alone
+   */
+  const finishShiftFormatted = computed(() => {
+    const shift = projection.value?.targetTime && baseline.value?.targetTime
+      ? Math.round((new Date(projection.value.targetTime) - new Date(baseline.value.targetTime)) / 60000)
+      : null;
+    if (shift === null) return null;
+    if (shift === 0) return 'Same finish as leaving the oven alone';
+    
+    return `${formatDuration(Math.abs(shift))} ${shift < 0 ? 'sooner' : 'later'} than leaving the oven alone`;
+  });
+  
+  return {
+    baseline,
+    projection,
+    baselinePoints,
+    projectionPoints,
+    projectedFinishFormatted,
+    finishShiftFormatted
+  };
+}
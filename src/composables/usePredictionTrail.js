@@ -0,0 +1,54 @@
+import { computed, watch } from 'vue';
+import { useSession } from './useSession.js';
+import { useCalculations } from './useCalculations.js';
+
+/**
+ * Composable that records the ETA each time new data changes its basis.
+ * Call this once, from the app root - every new reading or oven change adds
+ * one record to the session's prediction trail.
+ */
+export function usePredictionTrail() {
+  const { ovenEvents, predictions, recordPrediction } = useSession();
+  const {
+    includedReadings,
+    predictedTargetTime,
+    predictedMinutes,
+    currentRateRaw,
+    confidence,
+    predictionModel
+  } = useCalculations();
+  
+  /**
+   * Latest reading and oven event the current prediction is based on
+   */
+  const basis = computed(() => {
+    const reading = includedReadings.value[includedReadings.value.length - 1];
+    const event = ovenEvents.value[ovenEvents.value.length - 1];
+    return {
+      readingId: reading?.id ?? null,
+      ovenEventId: event?.id ?? null
+    };
+  });
+  
+  watch(
+    () => `${basis.value.readingId}|${basis.value.ovenEventId}`,
+    () => {
+      // Nothing to record without a prediction, or once the target is reached
+      if (!predictedTargetTime.value || !(predictedMinutes.value > 0)) return;
+      
+      const { readingId, ovenEventId } = basis.value;
+      const last = predictions.value[predictions.value.length - 1];
+      if (last && last.readingId === readingId && last.ovenEventId === ovenEventId) return;
+      
+      recordPrediction({
+        readingId,
+        ovenEventId,
+        predictedTargetTime: predictedTargetTime.value,
+        currentRate: currentRateRaw.value,
+        confidence: confidence.value.level,
+        model: predictionModel.value
+      });
+    },
+    { immediate: true }
+  );
+}
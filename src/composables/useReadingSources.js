@@ -0,0 +1,95 @@
+import { ref, computed } from 'vue';
+import { useSession } from './useSession.js';
+import { connectReadingSource, resolveSampleProbe } from '../services/readingSourceService.js';
+
+// Singleton state - one live thermometer at a time, shared across components
+const activeSource = ref(null);
+const status = ref({ state: 'disconnected', error: null, attempt: 0 });
+const lastReadingAt = ref(null);
+let connection = null;
+// Readings taken since the source last connected, for the change log
+let readingCount = 0;
+
+/**
+ * Composable for feeding readings from a live thermometer into the session
+ * (see readingSources for the sources there are)
+ */
+export function useReadingSources() {
+  const { mainProbes, hasActiveSession, addReading, logDeviceEvent } = useSession();
+  
+  /**
+   * Whether a source is connected, or being connected to
+   */
+  const isActive = computed(() => {
+    return ['connecting', 'connected', 'reconnecting'].includes(status.value.state);
+  });
+  
+  /**
+   * Start taking readings from a source, in place of any connected now
+   * Channels the session has no probe for are ignored.
+   * @param {Object} source - From one of the readingSources factories
+   */
+  function connectSource(source) {
+    disconnectSource();
+    
+    activeSource.value = { name: source.name, label: source.label };
+    lastReadingAt.value = null;
+    readingCount = 0;
+    connection = connectReadingSource(source, {
+      onSample(sample) {
+        if (!hasActiveSession.value) {
+          disconnectSource();
+          return;
+        }
+        
+        const probeId = resolveSampleProbe(sample.channel, mainProbes.value);
+        if (!probeId) return;
+        
+        addReading(sample.tempF, sample.timestamp, probeId, { units: 'F', source: source.name });
+        lastReadingAt.value = sample.timestamp;
+        readingCount++;
+      },
+      onStatus(update) {
+        logStatusChange(source.label, status.value.state, update);
+        status.value = update;
+      }
+    });
+  }
+  
+  /**
+   * Log a source connecting, dropping out and disconnecting, with the readings
+   * it sent in between (they aren't logged one by one)
+   * @param {string} label - The source's display name
+   * @param {string} previous - State before the update
+   * @param {{state: string, error: string|null}} update
+   */
+  function logStatusChange(label, previous, update) {
+    const readings = `${readingCount} reading${readingCount === 1 ? '' : 's'}`;
+    
+    if (update.state === 'connected') {
+      logDeviceEvent(previous === 'reconnecting' ? `Reconnected to ${label}` : `Connected to ${label}`);
+      readingCount = 0;
+    } else if (update.state === 'reconnecting' && previous === 'connected') {
+      logDeviceEvent(`Lost ${label} after ${readings}: ${update.error}`);
+    } else if (update.state === 'disconnected' && (previous === 'connected' || previous === 'reconnecting')) {
+      logDeviceEvent(`Disconnected from ${label} after ${readings}`);
+    }
+  }
+  
+  /**
+   * Stop taking readings from the connected source
+   */
+  function disconnectSource() {
+    connection?.disconnect();
+    connection = null;
+  }
+  
+  return {
+    activeSource,
+    status,
+    lastReadingAt,
+    isActive,
+    connectSource,
+    disconnectSource
+  };
+}
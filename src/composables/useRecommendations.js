@@ -1,18 +1,46 @@
 import { computed } from 'vue';
 import { useSession } from './useSession.js';
 import { useCalculations } from './useCalculations.js';
-import { generateRecommendation, analyzeOvenResponsiveness } from '../services/recommendationService.js';
-import { toDisplayUnit, formatTemperature } from '../utils/temperatureUtils.js';
-import { formatTime } from '../utils/timeUtils.js';
+import { useCookPhase } from './useCookPhase.js';
+import {
+  checkRecommendationEligibility,
+  generateRecommendation,
+  generatePhaseRecommendation,
+  recommendSharedOven,
+  analyzeOvenResponsiveness
+} from '../services/recommendationService.js';
+import { toDisplayUnit, formatTemperature, formatDelta } from '../utils/temperatureUtils.js';
+import { formatTime, formatDuration } from '../utils/timeUtils.js';
 
 export function useRecommendations() {
-  const { readings, ovenEvents, currentOvenTemp, config, settings, displayUnits } = useSession();
-  const { scheduleVariance, scheduleStatus, confidence, predictedMinutesToTarget, currentRateRaw } = useCalculations();
+  const { ovenEvents, ovenReadings, currentOvenTemp, config, settings, displayUnits, roasts } = useSession();
+  const {
+    scheduleVariance,
+    scheduleStatus,
+    confidence,
+    predictedMinutesToTarget,
+    currentRateRaw,
+    stall,
+    carryover,
+    includedReadings,
+    thermalModel,
+    roastCalculations
+  } = useCalculations();
+  const { timing: phaseTiming, searMethod, restAnalysis } = useCookPhase();
   
   /**
    * Raw recommendation result (internal units)
    */
   const rawRecommendation = computed(() => {
+    // Past the low-and-slow roast, the next step is about the rest and sear
+    if (config.value && phaseTiming.value) {
+      return generatePhaseRecommendation({
+        timing: phaseTiming.value,
+        searMethod: searMethod.value,
+        rest: restAnalysis.value
+      });
+    }
+    
     if (!config.value || currentOvenTemp.value === null) {
       return {
         action: 'none',
@@ -27,9 +55,46 @@ export function useRecommendations() {
       };
     }
     
+    const now = new Date().toISOString();
+    
+    // Other roasts still in the oven share the setting, unless the main one is due
+    // out or anything would keep it from a recommendation on its own (a stall,
+    // stale oven data, too few readings or too little confidence)
+    const otherRoasts = roastCalculations.value.filter(r => !r.roast.pulledAt);
+    const isOvenOff = ovenEvents.value[ovenEvents.value.length - 1]?.isOff === true;
+    const isShared = otherRoasts.length > 0 && !isOvenOff && !carryover.value?.shouldPull &&
+      checkRecommendationEligibility({
+        readings: includedReadings.value,
+        ovenEvents: ovenEvents.value,
+        desiredServeTime: config.value.desiredServeTime,
+        settings: settings.value,
+        confidence: confidence.value,
+        stall: stall.value,
+        now
+      }).canRecommend;
+    if (isShared) {
+      return recommendSharedOven({
+        roasts: [
+          { ...roasts.value[0], readings: includedReadings.value, currentRate: currentRateRaw.value, thermalModel: thermalModel.value },
+          ...otherRoasts.map(({ roast, calculations, includedReadings: readings, thermalModel: model }) => ({
+            ...roast,
+            readings,
+            currentRate: calculations.currentRate,
+            thermalModel: model
+          }))
+        ],
+        ovenEvents: ovenEvents.value,
+        ovenReadings: ovenReadings.value,
+        currentOvenTemp: currentOvenTemp.value,
+        settings: settings.value,
+        now
+      });
+    }
+    
     return generateRecommendation({
-      readings: readings.value,
+      readings: includedReadings.value,
       ovenEvents: ovenEvents.value,
+      ovenReadings: ovenReadings.value,
       currentOvenTemp: currentOvenTemp.value,
       targetTemp: config.value.targetTemp,
       desiredServeTime: config.value.desiredServeTime,
@@ -38,7 +103,11 @@ export function useRecommendations() {
       confidence: confidence.value,
       settings: settings.value,
       predictedMinutesToTarget: predictedMinutesToTarget.value,
-      currentRate: currentRateRaw.value
+      currentRate: currentRateRaw.value,
+      stall: stall.value,
+      carryover: carryover.value,
+      thermalModel: thermalModel.value,
+      now
     });
   });
   
@@ -136,19 +205,94 @@ export function useRecommendations() {
       msg = msg.replace(/{maxTemp}/g, maxTempFormatted);
     }
     
+    // Handle {peakTemp} placeholder - used in PULL_NOW message
+    if (msg.includes('{peakTemp}') && rawRecommendation.value.expectedPeakTemp != null) {
+      const peakFormatted = formatTemperature(rawRecommendation.value.expectedPeakTemp, displayUnits.value);
+      msg = msg.replace(/{peakTemp}/g, peakFormatted);
+    }
+    
     // Handle {restartTime} placeholder - used in OVEN_RESTART_TIMED message
     if (msg.includes('{restartTime}') && rawRecommendation.value.restartTime) {
       const restartTimeFormatted = formatTime(rawRecommendation.value.restartTime);
       msg = msg.replace(/{restartTime}/g, restartTimeFormatted);
     }
     
+    // Handle {preheatTime}, {searTime} and {serveTime} placeholders - used in rest and sear messages
+    for (const key of ['preheatTime', 'searTime', 'serveTime']) {
+      if (msg.includes(`{${key}}`) && rawRecommendation.value[key]) {
+        msg = msg.replace(new RegExp(`{${key}}`, 'g'), formatTime(rawRecommendation.value[key]));
+      }
+    }
+    
     return msg;
   });
   
   /**
    * Detailed reasoning for the recommendation
    */
-  const reasoning = computed(() => rawRecommendation.value.reasoning);
+  const reasoning = computed(() => {
+    let text = rawRecommendation.value.reasoning;
+    if (!text) return null;
+    
+    // Handle {carryover} and {pullTemp} placeholders - used in pull reasoning
+    if (text.includes('{carryover}') && rawRecommendation.value.carryoverF != null) {
+      text = text.replace(/{carryover}/g, formatDelta(rawRecommendation.value.carryoverF, displayUnits.value, false));
+    }
+    
+    if (text.includes('{pullTemp}') && rawRecommendation.value.pullTemp != null) {
+      text = text.replace(/{pullTemp}/g, formatTemperature(rawRecommendation.value.pullTemp, displayUnits.value));
+    }
+    
+    // Handle {peakTemp} and {peakTime} placeholders - used in rest reasoning
+    if (text.includes('{peakTemp}') && rawRecommendation.value.expectedPeakTemp != null) {
+      text = text.replace(/{peakTemp}/g, formatTemperature(rawRecommendation.value.expectedPeakTemp, displayUnits.value));
+    }
+    
+    if (text.includes('{peakTime}') && rawRecommendation.value.peakTime) {
+      text = text.replace(/{peakTime}/g, formatTime(rawRecommendation.value.peakTime));
+    }
+    
+    return text;
+  });
+  
+  /**
+   * Pull temperature with unit (pull action)
+   */
+  const pullTempFormatted = computed(() => {
+    if (rawRecommendation.value.pullTemp == null) return null;
+    return formatTemperature(rawRecommendation.value.pullTemp, displayUnits.value);
+  });
+  
+  /**
+   * Expected post-rest peak temperature with unit (pull action)
+   */
+  const expectedPeakTempFormatted = computed(() => {
+    if (rawRecommendation.value.expectedPeakTemp == null) return null;
+    return formatTemperature(rawRecommendation.value.expectedPeakTemp, displayUnits.value);
+  });
+  
+  /**
+   * Minutes left in the rest or sear (phase actions)
+   */
+  const minutesLeftInPhase = computed(() => rawRecommendation.value.minutesLeftInPhase ?? null);
+  
+  /**
+   * Minutes until the pan or oven should start heating (rest action)
+   */
+  const minutesToPreheat = computed(() => rawRecommendation.value.minutesToPreheat ?? null);
+  
+  /**
+   * How each roast sharing the oven fares at the suggested setting (empty with one roast)
+   */
+  const roastForecasts = computed(() => {
+    return (rawRecommendation.value.roasts ?? []).map(roast => ({
+      ...roast,
+      targetTimeFormatted: roast.targetTime ? formatTime(roast.targetTime) : '--',
+      varianceFormatted: roast.varianceMinutes === null || Math.abs(roast.varianceMinutes) < 1
+        ? null
+        : `${formatDuration(Math.abs(roast.varianceMinutes))} ${roast.varianceMinutes > 0 ? 'late' : 'early'}`
+    }));
+  });
   
   /**
    * Reason why recommendation cannot be made
@@ -245,7 +389,7 @@ export function useRecommendations() {
    * Oven responsiveness analysis (optional feature)
    */
   const responsivenessRaw = computed(() => {
-    return analyzeOvenResponsiveness(readings.value, ovenEvents.value);
+    return analyzeOvenResponsiveness(includedReadings.value, ovenEvents.value, ovenReadings.value, thermalModel.value);
   });
   
   /**
@@ -274,9 +418,15 @@ export function useRecommendations() {
       description = 'Moderate correlation between oven temperature and heating rate observed.';
     }
     
+    const model = raw.thermalModel;
+    const modelDescription = model
+      ? `Fitted to this cook, the roast closes about two-thirds of its gap to the oven every ${formatDuration(model.timeConstantMinutes)}, and oven changes take about ${model.lagMinutes} min to show.`
+      : null;
+    
     return {
       ...raw,
-      description
+      description,
+      modelDescription
     };
   });
   
@@ -307,6 +457,18 @@ export function useRecommendations() {
     estimatedCurrentMeatTemp,
     estimatedCurrentMeatTempFormatted,
     
+    // Roasts sharing the oven
+    roastForecasts,
+    
+    // Pull recommendation (carryover)
+    pullTempFormatted,
+    expectedPeakTempFormatted,
+    
+    // Rest and sear
+    searMethod,
+    minutesLeftInPhase,
+    minutesToPreheat,
+    
     // Blocker info
     blockerReason,
     blockerType,
@@ -0,0 +1,26 @@
+import { watch } from 'vue';
+import { useCookPhase } from './useCookPhase.js';
+import { useToast } from './useToast.js';
+
+/**
+ * Composable that alerts when the rest is over: carryover has peaked and the
+ * planned rest has run, so the roast is ready to sear (or slice).
+ * Call this once, from the app root.
+ */
+export function useRestAlert() {
+  const { isRestDone, timing, restPeakFormatted } = useCookPhase();
+  const { showToast } = useToast();
+  
+  watch(isRestDone, (done) => {
+    if (!done) return;
+    
+    const step = timing.value.searTime ? 'sear' : 'slice';
+    const peak = restPeakFormatted.value ? ` · ${restPeakFormatted.value}` : '';
+    showToast(`Ready to ${step}${peak}`, 'warning', 10000);
+    
+    // Buzz phones that support it; the roast is often out of sight by now
+    if (typeof navigator !== 'undefined' && navigator.vibrate) {
+      navigator.vibrate([200, 100, 200]);
+    }
+  });
+}
@@ -4,23 +4,45 @@ import {
   createSession, 
   createReading, 
   createOvenEvent,
+  createOvenReading,
+  createPredictionRecord,
+  createProbe,
+  createRoast,
+  createPhaseTransition,
   createDefaultSettings 
 } from '../models/dataModels.js';
 import { toStorageUnit } from '../utils/temperatureUtils.js';
+import { summarizeCook, groupReadingsByProbe } from '../services/calculationService.js';
+import { getCurrentPhase, isLaterPhase, filterReadingsByPhase, getPhaseLabel } from '../services/phaseService.js';
+import { getRoasts, getRoastProbes, getRoastReadings, MAIN_ROAST_ID } from '../services/roastService.js';
+import {
+  captureSessionState,
+  diffSessionState,
+  appendedItemChanges,
+  combineChanges,
+  recordCommand,
+  undoCommand,
+  redoCommand
+} from '../services/undoService.js';
+import { appendChangeLog, appendDeviceEvent } from '../services/changeLogService.js';
 
 // Singleton state - shared across all component instances
 const session = ref(null);
 const isInitialized = ref(false);
+// The edit recorded last, for offering to undo it
+const lastEdit = ref(null);
+// Set while groupEdits runs, so its edits are recorded as one: the state of each
+// field before the group first touched it, and changes recorded directly
+let editGroup = null;
 
 export function useSession() {
   /**
    * Initialize the session composable
-   * Call this once on app startup
+   * Call this once on app startup, after storageService.initialize has finished
    */
   function initialize() {
     if (isInitialized.value) return;
     
-    storageService.initialize();
     const existingSession = storageService.loadSession();
     
     if (existingSession) {
@@ -58,6 +80,27 @@ export function useSession() {
     return session.value?.readings ?? [];
   });
   
+  /**
+   * Get the session's probes
+   */
+  const probes = computed(() => {
+    return session.value?.probes ?? [];
+  });
+  
+  /**
+   * Get the main roast's probes (the others are in roasts sharing the oven)
+   */
+  const mainProbes = computed(() => {
+    return getRoastProbes(probes.value, MAIN_ROAST_ID);
+  });
+  
+  /**
+   * Get every roast in the oven, the main one (described by the config) first
+   */
+  const roasts = computed(() => {
+    return session.value ? getRoasts(session.value) : [];
+  });
+  
   /**
    * Get all oven temperature events
    */
@@ -65,6 +108,74 @@ export function useSession() {
     return session.value?.ovenEvents ?? [];
   });
   
+  /**
+   * Get measured oven temperatures
+   */
+  const ovenReadings = computed(() => {
+    return session.value?.ovenReadings ?? [];
+  });
+  
+  /**
+   * Get the cook plan made at setup
+   */
+  const plan = computed(() => {
+    return session.value?.plan ?? null;
+  });
+  
+  /**
+   * Get the reverse-sear phases entered so far
+   */
+  const phases = computed(() => {
+    return session.value?.phases ?? [];
+  });
+  
+  /**
+   * Get the phase the cook is in
+   */
+  const currentPhase = computed(() => {
+    return getCurrentPhase(phases.value);
+  });
+  
+  /**
+   * Get the main roast's readings (other roasts' probes left out)
+   */
+  const mainReadings = computed(() => {
+    return getRoastReadings(readings.value, probes.value, MAIN_ROAST_ID);
+  });
+  
+  /**
+   * Get the main roast's readings from the low-and-slow roast (the ones rate and ETA use)
+   */
+  const roastReadings = computed(() => {
+    return filterReadingsByPhase(mainReadings.value, phases.value, 'low-and-slow');
+  });
+  
+  /**
+   * Get the main roast's readings taken while it rests
+   */
+  const restReadings = computed(() => {
+    return filterReadingsByPhase(mainReadings.value, phases.value, 'rest');
+  });
+  
+  /**
+   * Whether the roast is out of the oven and resting
+   */
+  const isResting = computed(() => currentPhase.value === 'rest');
+  
+  /**
+   * Get the log of every edit, undo and redo, oldest first
+   */
+  const changeLog = computed(() => {
+    return session.value?.changeLog ?? [];
+  });
+  
+  /**
+   * Get the recorded prediction trail
+   */
+  const predictions = computed(() => {
+    return session.value?.predictions ?? [];
+  });
+  
   /**
    * Get current settings
    */
@@ -88,6 +199,20 @@ export function useSession() {
     return events.length > 0 ? events[events.length - 1].setTemp : config.value?.initialOvenTemp ?? null;
   });
   
+  /**
+   * Whether there's an edit to undo
+   */
+  const canUndo = computed(() => {
+    return (session.value?.undoStack?.length ?? 0) > 0;
+  });
+  
+  /**
+   * Whether there's an undone edit to redo
+   */
+  const canRedo = computed(() => {
+    return (session.value?.redoStack?.length ?? 0) > 0;
+  });
+  
   /**
    * Get the display units for the session
    */
@@ -98,9 +223,12 @@ export function useSession() {
   /**
    * Start a new session with the given configuration
    * @param {Partial<SessionConfig>} configOverrides
+   * @param {Object} [options]
+   * @param {CookPlan|null} [options.plan] - Plan from the cook planner
    */
-  function startSession(configOverrides) {
+  function startSession(configOverrides, { plan = null } = {}) {
     session.value = createSession(configOverrides);
+    session.value.plan = plan;
     
     // If initial oven temp was provided, create the first oven event
     if (configOverrides.initialOvenTemp) {
@@ -113,7 +241,7 @@ export function useSession() {
     
     // If starting temp was provided, create the first reading
     if (configOverrides.startingTemp) {
-      const reading = createReading(configOverrides.startingTemp);
+      const reading = createReading(configOverrides.startingTemp, null, session.value.probes[0].id);
       reading.deltaFromStart = 0;
       reading.deltaFromPrevious = 0;
       session.value.readings.push(reading);
@@ -135,29 +263,68 @@ export function useSession() {
     return false;
   }
   
+  /**
+   * Make a session from elsewhere (e.g. an imported file) the active one
+   * End any current session first.
+   * @param {Session} restored
+   */
+  function restoreSession(restored) {
+    session.value = restored;
+    saveSession();
+  }
+  
   /**
    * End the current session and clear storage
+   * The session (or one left in storage and not resumed) is archived and
+   * summarised into the cook history unless discarded or empty. If it can't
+   * be archived (storage full) it is kept.
+   * @param {Object} [options]
+   * @param {boolean} [options.discard] - Skip the archive and cook history
+   * @param {string[]} [options.tags] - Tags to file the session under
+   * @returns {boolean} Whether the session ended
    */
-  function endSession() {
+  function endSession({ discard = false, tags = null } = {}) {
+    const ending = session.value ?? storageService.loadSession();
+    if (ending && ending.readings.length > 0 && !discard) {
+      if (tags) {
+        ending.config.tags = tags;
+      }
+      if (!storageService.archiveSession(ending)) {
+        return false;
+      }
+      
+      const summary = summarizeCook(ending);
+      if (summary) {
+        storageService.saveCookSummary(summary);
+      }
+    }
+    
     session.value = null;
     storageService.clearSession();
+    return true;
   }
   
   /**
    * Add a new internal temperature reading
    * @param {number} temp - Temperature in display units
    * @param {string} [timestamp] - Optional timestamp, defaults to now
+   * @param {string|null} [probeId] - Probe the reading came from, defaults to the first probe
+   * @param {Object} [options]
+   * @param {'F'|'C'} [options.units] - Units temp is in, if not the display units
+   * @param {string|null} [options.source] - Live thermometer source that sent it; its readings aren't offered for undo
+   *   or listed in the change log (see logDeviceEvent)
    */
-  function addReading(temp, timestamp = null) {
+  function addReading(temp, timestamp = null, probeId = null, { units = null, source = null } = {}) {
     if (!session.value) return;
     
     // Convert to storage unit (Fahrenheit)
-    const tempF = toStorageUnit(temp, displayUnits.value);
+    const tempF = toStorageUnit(temp, units ?? displayUnits.value);
     
-    const reading = createReading(tempF, timestamp);
+    const reading = createReading(tempF, timestamp, probeId ?? session.value.probes[0]?.id ?? null);
     
-    // Calculate deltas
-    const allReadings = session.value.readings;
+    // Calculate deltas against the same probe
+    const allReadings = groupReadingsByProbe(session.value.readings, session.value.probes)
+      .get(reading.probeId) ?? [];
     if (allReadings.length > 0) {
       const firstReading = allReadings[0];
       const lastReading = allReadings[allReadings.length - 1];
@@ -168,8 +335,16 @@ export function useSession() {
       reading.deltaFromPrevious = 0;
     }
     
+    if (source) {
+      reading.source = source;
+    }
+    
     session.value.readings.push(reading);
-    saveSession();
+    if (source) {
+      saveSession();
+    } else {
+      recordEdit('Reading added', appendedItemChanges(session.value, 'readings', [reading]));
+    }
   }
   
   /**
@@ -179,6 +354,7 @@ export function useSession() {
    */
   function updateReading(id, updates) {
     if (!session.value) return;
+    const before = beginEdit(['readings']);
     
     const index = session.value.readings.findIndex(r => r.id === id);
     if (index === -1) return;
@@ -195,7 +371,23 @@ export function useSession() {
     
     // Recalculate deltas for this and subsequent readings
     recalculateDeltas();
-    saveSession();
+    saveEdit('Reading edited', before);
+  }
+  
+  /**
+   * Override outlier handling for a reading
+   * @param {string} id - Reading ID
+   * @param {'excluded'|'included'|null} exclusion - Null returns it to the estimator's judgement
+   */
+  function setReadingExclusion(id, exclusion) {
+    if (!session.value) return;
+    const before = beginEdit(['readings']);
+    
+    const reading = session.value.readings.find(r => r.id === id);
+    if (!reading) return;
+    
+    reading.exclusion = exclusion;
+    saveEdit(exclusion === 'excluded' ? 'Reading excluded' : 'Reading included', before);
   }
   
   /**
@@ -204,10 +396,11 @@ export function useSession() {
    */
   function deleteReading(id) {
     if (!session.value) return;
+    const before = beginEdit(['readings']);
     
     session.value.readings = session.value.readings.filter(r => r.id !== id);
     recalculateDeltas();
-    saveSession();
+    saveEdit('Reading deleted', before);
   }
   
   /**
@@ -217,13 +410,14 @@ export function useSession() {
    */
   function addOvenEvent(setTemp, timestamp = null) {
     if (!session.value) return;
+    const before = beginEdit(['ovenEvents']);
     
     const tempF = toStorageUnit(setTemp, displayUnits.value);
     const previousTemp = currentOvenTemp.value;
     
     const event = createOvenEvent(tempF, previousTemp, timestamp);
     session.value.ovenEvents.push(event);
-    saveSession();
+    saveEdit('Oven temperature logged', before);
   }
   
   /**
@@ -233,6 +427,7 @@ export function useSession() {
    */
   function updateOvenEvent(id, updates) {
     if (!session.value) return;
+    const before = beginEdit(['ovenEvents']);
     
     const index = session.value.ovenEvents.findIndex(e => e.id === id);
     if (index === -1) return;
@@ -246,7 +441,7 @@ export function useSession() {
       ...updates
     };
     
-    saveSession();
+    saveEdit('Oven change edited', before);
   }
   
   /**
@@ -255,9 +450,36 @@ export function useSession() {
    */
   function deleteOvenEvent(id) {
     if (!session.value) return;
+    const before = beginEdit(['ovenEvents']);
     
     session.value.ovenEvents = session.value.ovenEvents.filter(e => e.id !== id);
-    saveSession();
+    saveEdit('Oven change deleted', before);
+  }
+  
+  /**
+   * Record a measured oven/ambient temperature
+   * @param {number} temp - Temperature in display units
+   * @param {string} [timestamp] - Optional timestamp, defaults to now
+   */
+  function addOvenReading(temp, timestamp = null) {
+    if (!session.value) return;
+    const before = beginEdit(['ovenReadings']);
+    
+    const tempF = toStorageUnit(temp, displayUnits.value);
+    session.value.ovenReadings.push(createOvenReading(tempF, timestamp));
+    saveEdit('Oven reading added', before);
+  }
+  
+  /**
+   * Delete a measured oven temperature
+   * @param {string} id - Oven reading ID
+   */
+  function deleteOvenReading(id) {
+    if (!session.value) return;
+    const before = beginEdit(['ovenReadings']);
+    
+    session.value.ovenReadings = session.value.ovenReadings.filter(r => r.id !== id);
+    saveEdit('Oven reading deleted', before);
   }
   
   /**
@@ -266,13 +488,14 @@ export function useSession() {
    */
   function logOvenOff(timestamp = null) {
     if (!session.value) return;
+    const before = beginEdit(['ovenEvents', 'config']);
     
     const previousTemp = currentOvenTemp.value;
     const event = createOvenEvent(0, previousTemp, timestamp, true);
     
     session.value.ovenEvents.push(event);
     session.value.config.updatedAt = new Date().toISOString();
-    storageService.saveSession(session.value);
+    saveEdit('Oven turned off', before);
   }
   
   /**
@@ -282,13 +505,161 @@ export function useSession() {
    */
   function logOvenOn(temperature, timestamp = null) {
     if (!session.value) return;
+    const before = beginEdit(['ovenEvents', 'config']);
     
     const tempInF = toStorageUnit(temperature, displayUnits.value);
     const event = createOvenEvent(tempInF, 0, timestamp, false);
     
     session.value.ovenEvents.push(event);
     session.value.config.updatedAt = new Date().toISOString();
-    storageService.saveSession(session.value);
+    saveEdit('Oven turned on', before);
+  }
+  
+  /**
+   * Move the cook on to a later phase (e.g. pulled to rest)
+   * @param {CookPhaseId} phase
+   * @param {string} [timestamp] - Optional timestamp, defaults to now
+   * @returns {boolean} Whether the phase was entered
+   */
+  function advancePhase(phase, timestamp = null) {
+    if (!session.value) return false;
+    if (!isLaterPhase(currentPhase.value, phase)) return false;
+    const before = beginEdit(['phases']);
+    
+    session.value.phases.push(createPhaseTransition(phase, timestamp));
+    saveEdit(`${getPhaseLabel(phase)} started`, before);
+    return true;
+  }
+  
+  /**
+   * Record the current prediction in the session's trail
+   * @param {Omit<PredictionRecord, 'id'|'timestamp'>} prediction
+   */
+  function recordPrediction(prediction) {
+    if (!session.value) return;
+    
+    session.value.predictions.push(createPredictionRecord(prediction));
+    saveSession();
+  }
+  
+  /**
+   * Add a probe to the session
+   * @param {string} name
+   * @param {string|null} [roastId] - Roast it goes in; the main roast by default
+   * @returns {Probe|null}
+   */
+  function addProbe(name, roastId = MAIN_ROAST_ID) {
+    if (!session.value) return null;
+    const before = beginEdit(['probes']);
+    
+    const probe = createProbe(name, roastId);
+    session.value.probes.push(probe);
+    saveEdit('Probe added', before);
+    return probe;
+  }
+  
+  /**
+   * Rename a probe
+   * @param {string} id - Probe ID
+   * @param {string} name
+   */
+  function renameProbe(id, name) {
+    if (!session.value) return;
+    const before = beginEdit(['probes']);
+    
+    const probe = session.value.probes.find(p => p.id === id);
+    if (!probe) return;
+    
+    probe.name = name;
+    saveEdit('Probe renamed', before);
+  }
+  
+  /**
+   * Remove a probe that has no readings
+   * The first probe is kept, since untagged readings belong to it, and so is
+   * the last probe in each roast.
+   * @param {string} id - Probe ID
+   * @returns {boolean} Whether the probe was removed
+   */
+  function removeProbe(id) {
+    if (!session.value) return false;
+    const before = beginEdit(['probes', 'config']);
+    
+    const index = session.value.probes.findIndex(p => p.id === id);
+    if (index <= 0) return false;
+    if (session.value.readings.some(r => r.probeId === id)) return false;
+    const roastId = session.value.probes[index].roastId ?? MAIN_ROAST_ID;
+    if (getRoastProbes(session.value.probes, roastId).length <= 1) return false;
+    
+    session.value.probes.splice(index, 1);
+    if (session.value.config.governingProbeId === id) {
+      session.value.config.governingProbeId = null;
+    }
+    saveEdit('Probe removed', before);
+    return true;
+  }
+  
+  /**
+   * Put another roast in the oven, with a probe of its own
+   * @param {Object} roast - Temperatures in Fahrenheit (see createRoast)
+   * @returns {Roast|null}
+   */
+  function addRoast(roast) {
+    if (!session.value) return null;
+    const before = beginEdit(['roasts', 'probes']);
+    
+    const created = createRoast(roast);
+    session.value.roasts.push(created);
+    session.value.probes.push(createProbe(created.name, created.id));
+    saveEdit(`${created.name} added`, before);
+    return created;
+  }
+  
+  /**
+   * Update another roast's name, target or serve time
+   * @param {string} id - Roast ID
+   * @param {Partial<Roast>} updates - Temperatures in Fahrenheit
+   * @param {string} [label] - What the edit did, for undo
+   */
+  function updateRoast(id, updates, label = 'Roast edited') {
+    if (!session.value) return;
+    const before = beginEdit(['roasts']);
+    
+    const roast = session.value.roasts.find(r => r.id === id);
+    if (!roast) return;
+    
+    Object.assign(roast, updates);
+    saveEdit(label, before);
+  }
+  
+  /**
+   * Take a roast out of the session, along with its probes
+   * Roasts with readings are kept; mark them pulled instead.
+   * @param {string} id - Roast ID
+   * @returns {boolean} Whether the roast was removed
+   */
+  function removeRoast(id) {
+    if (!session.value) return false;
+    const before = beginEdit(['roasts', 'probes']);
+    
+    const index = session.value.roasts.findIndex(r => r.id === id);
+    if (index < 0) return false;
+    if (getRoastReadings(session.value.readings, session.value.probes, id).length > 0) return false;
+    
+    session.value.roasts.splice(index, 1);
+    session.value.probes = session.value.probes.filter(p => p.roastId !== id);
+    saveEdit('Roast removed', before);
+    return true;
+  }
+  
+  /**
+   * Record that a roast came out of the oven
+   * Its readings after this stay in the log but no longer count towards its rate.
+   * @param {string} id - Roast ID
+   * @param {string} [timestamp] - Optional timestamp, defaults to now
+   */
+  function pullRoast(id, timestamp = null) {
+    updateRoast(id, { pulledAt: timestamp ?? new Date().toISOString() }, 'Roast pulled');
   }
   
   /**
@@ -297,12 +668,13 @@ export function useSession() {
    */
   function updateSettings(updates) {
     if (!session.value) return;
+    const before = beginEdit(['settings']);
     
     session.value.settings = {
       ...session.value.settings,
       ...updates
     };
-    saveSession();
+    saveEdit('Settings changed', before);
   }
   
   /**
@@ -311,13 +683,14 @@ export function useSession() {
    */
   function updateConfig(updates) {
     if (!session.value) return;
+    const before = beginEdit(['config']);
     
     session.value.config = {
       ...session.value.config,
       ...updates,
       updatedAt: new Date().toISOString()
     };
-    saveSession();
+    saveEdit('Cook details changed', before);
   }
   
   /**
@@ -327,16 +700,128 @@ export function useSession() {
   function recalculateDeltas() {
     if (!session.value || session.value.readings.length === 0) return;
     
-    const readings = session.value.readings;
-    const firstTemp = readings[0].temp;
+    // Each probe is its own series
+    const groups = groupReadingsByProbe(session.value.readings, session.value.probes);
+    for (const readings of groups.values()) {
+      if (readings.length === 0) continue;
+      
+      const firstTemp = readings[0].temp;
+      
+      readings[0].deltaFromStart = 0;
+      readings[0].deltaFromPrevious = 0;
+      
+      for (let i = 1; i < readings.length; i++) {
+        readings[i].deltaFromStart = readings[i].temp - firstTemp;
+        readings[i].deltaFromPrevious = readings[i].temp - readings[i - 1].temp;
+      }
+    }
+  }
+  
+  /**
+   * Capture the parts of the session an edit is about to change, for saveEdit
+   * Within groupEdits each field is captured only the first time it's touched.
+   * @param {string[]} fields - Session fields the edit changes (see captureSessionState)
+   * @returns {Object|null} Null within groupEdits
+   */
+  function beginEdit(fields) {
+    if (!editGroup) {
+      return captureSessionState(session.value, fields);
+    }
     
-    readings[0].deltaFromStart = 0;
-    readings[0].deltaFromPrevious = 0;
+    const untouched = fields.filter(field => !(field in editGroup.before));
+    Object.assign(editGroup.before, captureSessionState(session.value, untouched));
+    return null;
+  }
+  
+  /**
+   * Record an edit for undo and save the session
+   * Edits that turn out to change nothing aren't recorded.
+   * @param {string} label - What the edit did, e.g. 'Reading added'
+   * @param {Object|null} before - From beginEdit, taken before the edit
+   */
+  function saveEdit(label, before) {
+    if (editGroup) return;
+    recordEdit(label, diffSessionState(before, session.value));
+  }
+  
+  /**
+   * Record an edit whose changes are already known, and save the session
+   * @param {string} label - What the edit did
+   * @param {Object<string, Object>|null} changes - As from diffSessionState
+   */
+  function recordEdit(label, changes) {
+    if (editGroup) {
+      editGroup.changes.push(changes);
+      return;
+    }
     
-    for (let i = 1; i < readings.length; i++) {
-      readings[i].deltaFromStart = readings[i].temp - firstTemp;
-      readings[i].deltaFromPrevious = readings[i].temp - readings[i - 1].temp;
+    if (changes) {
+      lastEdit.value = recordCommand(session.value, label, changes);
+      appendChangeLog(session.value, label, changes);
     }
+    saveSession();
+  }
+  
+  /**
+   * Make several edits that undo together
+   * e.g. a reading logged along with the oven temperature
+   * @param {string} label - What the edits did together
+   * @param {Function} edits - Calls the edit methods
+   */
+  function groupEdits(label, edits) {
+    if (!session.value || editGroup) {
+      edits();
+      return;
+    }
+    
+    const group = { before: {}, changes: [] };
+    editGroup = group;
+    try {
+      edits();
+    } finally {
+      editGroup = null;
+    }
+    recordEdit(label, combineChanges(diffSessionState(group.before, session.value), ...group.changes));
+  }
+  
+  /**
+   * Undo the latest edit
+   * @returns {UndoCommand|null} The edit undone, or null if there was nothing to undo
+   */
+  function undo() {
+    if (!session.value) return null;
+    
+    const command = undoCommand(session.value);
+    if (command) {
+      appendChangeLog(session.value, command.label, command.changes, 'undo');
+      saveSession();
+    }
+    return command;
+  }
+  
+  /**
+   * Redo the edit undone last
+   * @returns {UndoCommand|null} The edit redone, or null if there was nothing to redo
+   */
+  function redo() {
+    if (!session.value) return null;
+    
+    const command = redoCommand(session.value);
+    if (command) {
+      appendChangeLog(session.value, command.label, command.changes, 'redo');
+      saveSession();
+    }
+    return command;
+  }
+  
+  /**
+   * Note something a live thermometer did in the change log
+   * @param {string} label - e.g. "Connected to Bluetooth thermometer"
+   */
+  function logDeviceEvent(label) {
+    if (!session.value) return;
+    appendDeviceEvent(session.value, label);
+    saveSession();
   }
   
   /**
@@ -379,27 +864,59 @@ export function useSession() {
     hasActiveSession,
     config,
     readings,
+    probes,
+    mainProbes,
+    roasts,
     ovenEvents,
+    ovenReadings,
+    predictions,
+    changeLog,
+    plan,
+    phases,
+    currentPhase,
+    roastReadings,
+    restReadings,
+    isResting,
     settings,
     latestReading,
     currentOvenTemp,
     displayUnits,
+    canUndo,
+    canRedo,
+    lastEdit,
     
     // Methods
     initialize,
     startSession,
     resumeSession,
+    restoreSession,
     endSession,
     addReading,
+    logDeviceEvent,
     updateReading,
+    setReadingExclusion,
     deleteReading,
+    addProbe,
+    renameProbe,
+    removeProbe,
+    addRoast,
+    updateRoast,
+    removeRoast,
+    pullRoast,
     addOvenEvent,
     updateOvenEvent,
     deleteOvenEvent,
+    addOvenReading,
+    deleteOvenReading,
     logOvenOff,
     logOvenOn,
+    advancePhase,
+    recordPrediction,
     updateSettings,
     updateConfig,
+    groupEdits,
+    undo,
+    redo,
     exportSession
   };
 }
@@ -0,0 +1,140 @@
+import { ref, reactive, computed } from 'vue';
+import { storageService } from '../services/storageService.js';
+import { searchArchive, getArchiveMeatTypes } from '../services/historyService.js';
+import { summarizeCook } from '../services/calculationService.js';
+
+// Shared so every view sees the same archive and cook history; loaded on first use, once storage is ready
+const entries = ref(null);
+const cookSummaries = ref([]);
+
+/**
+ * Reload the archive list and cook history (e.g. after a session ends)
+ */
+function refresh() {
+  entries.value = storageService.loadArchiveIndex();
+  cookSummaries.value = storageService.loadCookSummaries();
+}
+
+/**
+ * Composable for the archive of finished sessions: search, open read-only, delete.
+ */
+export function useSessionHistory() {
+  if (entries.value === null) {
+    refresh();
+  }
+  
+  /**
+   * Search filters (see searchArchive)
+   */
+  const filters = reactive({
+    query: '',
+    meatType: null,
+    from: null,
+    to: null
+  });
+  
+  /**
+   * Archived session open for viewing
+   */
+  const viewedSession = ref(null);
+  
+  /**
+   * Entries matching the filters, newest first
+   */
+  const results = computed(() => searchArchive(entries.value, filters));
+  
+  /**
+   * Meat types to filter by
+   */
+  const meatTypes = computed(() => getArchiveMeatTypes(entries.value));
+  
+  /**
+   * Whether any session has been archived
+   */
+  const hasHistory = computed(() => entries.value.length > 0);
+  
+  /**
+   * Clear all filters
+   */
+  function resetFilters() {
+    Object.assign(filters, { query: '', meatType: null, from: null, to: null });
+  }
+  
+  /**
+   * Open an archived session read-only
+   * @param {string} id
+   * @returns {boolean} Whether it could be loaded
+   */
+  function openSession(id) {
+    viewedSession.value = storageService.loadArchivedSession(id);
+    return viewedSession.value !== null;
+  }
+  
+  /**
+   * Close the open session
+   */
+  function closeSession() {
+    viewedSession.value = null;
+  }
+  
+  /**
+   * Whether a session is in the archive
+   * @param {string} id
+   * @returns {boolean}
+   */
+  function isArchived(id) {
+    return entries.value.some(e => e.id === id);
+  }
+  
+  /**
+   * Add a finished session from elsewhere (e.g. an imported file) to the
+   * archive and the cook history; a copy already there is replaced
+   * @param {Session} session
+   * @returns {boolean} False if it couldn't be stored (storage full)
+   */
+  function addSession(session) {
+    if (!storageService.archiveSession(session)) {
+      return false;
+    }
+    
+    const summary = summarizeCook(session);
+    if (summary) {
+      storageService.saveCookSummary(summary);
+    }
+    refresh();
+    return true;
+  }
+  
+  /**
+   * Delete an archived session
+   * @param {string} id
+   * @returns {boolean} Success
+   */
+  function deleteSession(id) {
+    const deleted = storageService.deleteArchivedSession(id);
+    if (viewedSession.value?.config.id === id) {
+      closeSession();
+    }
+    refresh();
+    return deleted;
+  }
+  
+  return {
+    // State
+    filters,
+    cookSummaries,
+    viewedSession,
+    results,
+    meatTypes,
+    hasHistory,
+    
+    // Methods
+    refresh,
+    resetFilters,
+    openSession,
+    closeSession,
+    isArchived,
+    addSession,
+    deleteSession
+  };
+}
@@ -0,0 +1,110 @@
+import { ref } from 'vue';
+import { storageService } from '../services/storageService.js';
+import { parseSessionFile, ImportError } from '../services/importService.js';
+import { MigrationError } from '../services/migrationService.js';
+import { useSession } from './useSession.js';
+import { useSessionHistory } from './useSessionHistory.js';
+
+// Exports of even very long cooks are far smaller than this
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+// Shared so the settings panel and the welcome screen feed the same dialog
+const pending = ref(null);
+const error = ref(null);
+
+/**
+ * Composable for importing exported sessions: read a file, then continue it
+ * as the active cook or add it to the history.
+ */
+export function useSessionImport() {
+  const { hasActiveSession, endSession, restoreSession } = useSession();
+  const { refresh: refreshHistory, addSession } = useSessionHistory();
+  
+  /**
+   * Read and check a file; the result waits in `pending` (or `error`) for the user to decide
+   * @param {File} file
+   * @returns {Promise<boolean>} Whether it can be imported
+   */
+  async function importFile(file) {
+    pending.value = null;
+    error.value = null;
+    
+    if (file.size > MAX_FILE_BYTES) {
+      error.value = 'The file is too large to be a session export';
+      return false;
+    }
+    
+    try {
+      const parsed = parseSessionFile(await file.text(), file.name);
+      pending.value = { fileName: file.name, ...parsed };
+      return true;
+    } catch (e) {
+      console.error('Failed to import session:', e);
+      error.value = e instanceof ImportError || e instanceof MigrationError
+        ? e.message
+        : 'The file couldn\'t be read';
+      return false;
+    }
+  }
+  
+  /**
+   * Whether continuing the import ends a session in progress
+   * @returns {boolean}
+   */
+  function replacesSession() {
+    return hasActiveSession.value || storageService.hasSession();
+  }
+  
+  /**
+   * Carry on the imported cook here
+   * A session in progress is saved to the history first, as when starting a new one.
+   * @returns {boolean} False if the current session couldn't be archived (storage full)
+   */
+  function continueCook() {
+    if (!pending.value) return false;
+    
+    if (!endSession()) {
+      return false;
+    }
+    refreshHistory();
+    
+    restoreSession(pending.value.session);
+    pending.value = null;
+    return true;
+  }
+  
+  /**
+   * File the imported cook in the history
+   * @returns {boolean} False if there's no room
+   */
+  function addToHistory() {
+    if (!pending.value) return false;
+    
+    if (!addSession(pending.value.session)) {
+      return false;
+    }
+    pending.value = null;
+    return true;
+  }
+  
+  /**
+   * Drop the pending import or error
+   */
+  function dismiss() {
+    pending.value = null;
+    error.value = null;
+  }
+  
+  return {
+    // State
+    pending,
+    error,
+    
+    // Methods
+    importFile,
+    replacesSession,
+    continueCook,
+    addToHistory,
+    dismiss
+  };
+}
@@ -0,0 +1,91 @@
+import { ref, computed } from 'vue';
+import { storageService } from '../services/storageService.js';
+
+// Shared; follows storageService once first used (after storage is ready)
+const status = ref(null);
+const info = ref(null);
+let isListening = false;
+
+/**
+ * Format a byte count, e.g. "1.2 MB"
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (!Number.isFinite(bytes)) return 'unlimited';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+}
+
+/**
+ * Composable for whether data is reaching the device, and how much space it takes
+ */
+export function useStorageStatus() {
+  if (!isListening) {
+    isListening = true;
+    status.value = storageService.getStatus();
+    info.value = storageService.getStorageInfo();
+    storageService.onStatusChange((next) => {
+      status.value = next;
+      info.value = storageService.getStorageInfo();
+    });
+  }
+  
+  /**
+   * Whether the last write failed because storage is full
+   */
+  const isFull = computed(() => status.value.isFull);
+  
+  /**
+   * Whether recent changes haven't been saved to the device
+   */
+  const hasUnsavedChanges = computed(() => status.value.error !== null);
+  
+  /**
+   * Whether anything survives a reload (false when the browser blocks storage)
+   */
+  const isPersistent = computed(() => status.value.isPersistent);
+  
+  /**
+   * Space used, e.g. "1.2 MB of 2.0 GB used"
+   */
+  const usageFormatted = computed(() => {
+    const { used, quota } = info.value;
+    return Number.isFinite(quota)
+      ? `${formatBytes(used)} of ${formatBytes(quota)} used`
+      : `${formatBytes(used)} used`;
+  });
+  
+  /**
+   * Re-read the space used
+   */
+  function refreshUsage() {
+    info.value = storageService.getStorageInfo();
+  }
+  
+  /**
+   * Try the held writes again, e.g. after deleting old cooks
+   * @returns {Promise<boolean>} Whether everything is saved now
+   */
+  async function retry() {
+    const saved = await storageService.flushWrites();
+    status.value = storageService.getStatus();
+    refreshUsage();
+    return saved;
+  }
+  
+  return {
+    // State
+    status,
+    isFull,
+    hasUnsavedChanges,
+    isPersistent,
+    usageFormatted,
+    
+    // Methods
+    refreshUsage,
+    retry
+  };
+}
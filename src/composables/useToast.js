@@ -2,6 +2,8 @@ import { ref } from 'vue';
 
 const toasts = ref([]);
 let toastId = 0;
+// Auto-dismiss timers by toast ID
+const timers = new Map();
 
 export function useToast() {
   /**
@@ -9,21 +11,50 @@ export function useToast() {
    * @param {string} message - The message to display
    * @param {'success'|'error'|'warning'|'info'} [type='success'] - Toast type for styling
    * @param {number} [duration=3000] - Duration in milliseconds
+   * @param {Object} [options]
+   * @param {{label: string, handler: Function}|null} [options.action] - Button shown in the toast
+   * @returns {number} Toast ID
    */
-  function showToast(message, type = 'success', duration = 3000) {
+  function showToast(message, type = 'success', duration = 3000, { action = null } = {}) {
     const id = ++toastId;
     
     toasts.value.push({
       id,
       message,
       type,
+      action,
+      createdAt: Date.now(),
       visible: true
     });
     
-    // Auto-dismiss after duration
-    setTimeout(() => {
+    scheduleDismiss(id, duration);
+    return id;
+  }
+  
+  /**
+   * Add a button to a toast already showing, keeping it up long enough to use
+   * @param {number} id
+   * @param {{label: string, handler: Function}} action
+   * @param {number} duration - Milliseconds from now before it's dismissed
+   */
+  function setToastAction(id, action, duration) {
+    const toast = toasts.value.find(t => t.id === id);
+    if (!toast) return;
+    
+    toast.action = action;
+    scheduleDismiss(id, duration);
+  }
+  
+  /**
+   * Dismiss a toast after a while, replacing any earlier timer
+   * @param {number} id
+   * @param {number} duration - Milliseconds
+   */
+  function scheduleDismiss(id, duration) {
+    clearTimeout(timers.get(id));
+    timers.set(id, setTimeout(() => {
       dismissToast(id);
-    }, duration);
+    }, duration));
   }
   
   /**
@@ -32,6 +63,8 @@ export function useToast() {
    */
   function dismissToast(id) {
     const index = toasts.value.findIndex(t => t.id === id);
+    clearTimeout(timers.get(id));
+    timers.delete(id);
     if (index !== -1) {
       // Mark as not visible to trigger exit animation
       toasts.value[index].visible = false;
@@ -56,6 +89,7 @@ export function useToast() {
   return {
     toasts,
     showToast,
+    setToastAction,
     dismissToast,
     dismissAll
   };
@@ -0,0 +1,70 @@
+import { watch, onMounted, onUnmounted } from 'vue';
+import { useSession } from './useSession.js';
+import { useToast } from './useToast.js';
+import { UNDO_DEFAULTS } from '../constants/defaults.js';
+
+/**
+ * Composable that offers to undo each edit from a toast, and undoes and
+ * redoes with the usual shortcuts on desktop (Ctrl/⌘+Z, Ctrl/⌘+Shift+Z or
+ * Ctrl+Y). Text fields keep their own undo.
+ * Call this once, from the app root.
+ */
+export function useUndo() {
+  const { lastEdit, undo, redo } = useSession();
+  const { toasts, showToast, setToastAction } = useToast();
+  
+  const undoAction = { label: 'Undo', handler: handleUndo };
+  
+  // Put Undo on the toast confirming the edit, or show one if there isn't one
+  watch(lastEdit, (command) => {
+    if (!command) return;
+    
+    const since = Date.parse(command.timestamp);
+    const confirmation = toasts.value.findLast(t => t.visible && t.type !== 'error' && t.createdAt >= since);
+    if (confirmation) {
+      setToastAction(confirmation.id, undoAction, UNDO_DEFAULTS.TOAST_MS);
+    } else {
+      showToast(command.label, 'info', UNDO_DEFAULTS.TOAST_MS, { action: undoAction });
+    }
+  });
+  
+  function handleUndo() {
+    const command = undo();
+    if (command) {
+      showToast(`Undone: ${command.label}`, 'info', UNDO_DEFAULTS.TOAST_MS, {
+        action: { label: 'Redo', handler: handleRedo }
+      });
+    }
+  }
+  
+  function handleRedo() {
+    const command = redo();
+    if (command) {
+      showToast(`Redone: ${command.label}`, 'info', UNDO_DEFAULTS.TOAST_MS, { action: undoAction });
+    }
+  }
+  
+  function handleKeydown(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    
+    const target = event.target;
+    if (target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)) return;
+    
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+      event.preventDefault();
+      handleUndo();
+    } else if ((key === 'z' && event.shiftKey) || (key === 'y' && event.ctrlKey)) {
+      event.preventDefault();
+      handleRedo();
+    }
+  }
+  
+  onMounted(() => {
+    window.addEventListener('keydown', handleKeydown);
+  });
+  
+  onUnmounted(() => {
+    window.removeEventListener('keydown', handleKeydown);
+  });
+}
@@ -116,9 +116,27 @@ export const chartColors = {
     point: 'rgb(217, 119, 6)',     // amber-600
     fill: 'rgba(245, 158, 11, 0.1)'
   },
+  ovenMeasured: {
+    line: 'rgb(234, 88, 12)',      // orange-600
+    point: 'rgb(194, 65, 12)',     // orange-700
+    fill: 'rgba(234, 88, 12, 0.1)'
+  },
   projection: {
     line: 'rgba(239, 68, 68, 0.5)', // red-500 with transparency
-    dash: [5, 5]
+    dash: [5, 5],
+    cone: 'rgba(239, 68, 68, 0.12)'
+  },
+  rest: {
+    line: 'rgb(99, 102, 241)',     // indigo-500
+    point: 'rgb(79, 70, 229)'      // indigo-600
+  },
+  plan: {
+    line: 'rgb(148, 163, 184)',    // slate-400
+    dash: [2, 4]
+  },
+  simulation: {
+    line: 'rgb(14, 165, 233)',     // sky-500
+    dash: [4, 3]
   },
   target: {
     line: 'rgb(34, 197, 94)',      // green-500
@@ -132,9 +150,48 @@ export const chartColors = {
     line: 'rgb(168, 85, 247)',     // purple-500
     point: 'rgb(147, 51, 234)',    // purple-600
     fill: 'rgba(168, 85, 247, 0.1)'
-  }
+  },
+  stall: {
+    fill: 'rgba(100, 116, 139, 0.12)', // slate-500 with transparency
+    border: 'rgba(100, 116, 139, 0.5)',
+    label: 'rgba(71, 85, 105, 0.85)'   // slate-600
+  },
+  drift: {
+    line: 'rgb(20, 184, 166)',     // teal-500
+    point: 'rgb(13, 148, 136)',    // teal-600
+    fill: 'rgba(20, 184, 166, 0.1)'
+  },
+  // Reverse-sear phase bands
+  phases: {
+    'low-and-slow': 'rgba(245, 158, 11, 0.06)', // amber-500
+    rest: 'rgba(99, 102, 241, 0.1)',            // indigo-500
+    sear: 'rgba(239, 68, 68, 0.12)',            // red-500
+    serve: 'rgba(34, 197, 94, 0.1)',            // green-500
+    label: 'rgba(55, 65, 81, 0.75)'             // gray-700
+  },
+  outlier: {
+    suspect: 'rgb(217, 119, 6)',   // amber-600
+    excluded: 'rgb(100, 116, 139)' // slate-500
+  },
+  // Extra probes, in order; the first probe uses internalTemp
+  probes: [
+    'rgb(139, 92, 246)',           // violet-500
+    'rgb(14, 165, 233)',           // sky-500
+    'rgb(236, 72, 153)',           // pink-500
+    'rgb(132, 204, 22)'            // lime-500
+  ]
 };
 
+/**
+ * Line colour for a probe by its position in the session
+ * @param {number} index - Probe index
+ * @returns {string}
+ */
+export function getProbeColor(index) {
+  if (index <= 0) return chartColors.internalTemp.line;
+  return chartColors.probes[(index - 1) % chartColors.probes.length];
+}
+
 /**
  * Create annotation configuration for target temperature line
  * @param {number} targetTemp - Target temperature value
@@ -186,6 +243,58 @@ export function createServeTimeAnnotation(serveTime) {
   };
 }
 
+/**
+ * Create a box annotation marking a stall (plateau) period
+ * @param {Object} period - Stall period with startTime and endTime
+ * @param {boolean} isActive - Whether the roast is still in this stall
+ * @returns {Object} Annotation configuration
+ */
+export function createStallAnnotation(period, isActive) {
+  return {
+    type: 'box',
+    xMin: new Date(period.startTime),
+    xMax: new Date(period.endTime),
+    backgroundColor: chartColors.stall.fill,
+    borderColor: chartColors.stall.border,
+    borderWidth: 1,
+    borderDash: [4, 4],
+    label: {
+      display: true,
+      content: isActive ? 'Stall' : 'Stalled',
+      position: { x: 'center', y: 'start' },
+      backgroundColor: chartColors.stall.label,
+      color: 'white',
+      font: { size: 11 },
+      padding: 4
+    }
+  };
+}
+
+/**
+ * Create a box annotation marking a reverse-sear phase
+ * @param {Object} span - Phase span with phase, label, start and end
+ * @returns {Object} Annotation configuration
+ */
+export function createPhaseAnnotation(span) {
+  return {
+    type: 'box',
+    xMin: new Date(span.start),
+    xMax: new Date(span.end),
+    backgroundColor: chartColors.phases[span.phase] ?? 'transparent',
+    borderWidth: 0,
+    drawTime: 'beforeDatasetsDraw',
+    label: {
+      display: true,
+      content: span.label,
+      position: { x: 'start', y: 'end' },
+      backgroundColor: chartColors.phases.label,
+      color: 'white',
+      font: { size: 10 },
+      padding: 3
+    }
+  };
+}
+
 /**
  * Create segment annotations for oven temperature periods
  * @param {Array} segments - Array of segment objects with startTime, endTime, ovenTemp
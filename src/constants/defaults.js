@@ -1,3 +1,14 @@
+/**
+ * Version of the stored data format (sessions, settings, exports)
+ * Bump it together with a new step in migrationService.
+ */
+export const SCHEMA_VERSION = 5;
+
+/**
+ * App version written into exports
+ */
+export const APP_VERSION = '1.0.0';
+
 /**
  * Default session configuration values
  */
@@ -32,7 +43,144 @@ export const CALCULATION_THRESHOLDS = {
   MIN_READINGS_FOR_RATE: 2,
   MIN_READINGS_FOR_PROJECTION: 2,
   RATE_VARIANCE_THRESHOLD: 0.5, // Coefficient of variation threshold for "noisy" data
-  MIN_RATE_FOR_PREDICTION: 0.1 // °F/hr minimum to consider valid heating
+  MIN_RATE_FOR_PREDICTION: 0.1, // °F/hr minimum to consider valid heating
+  MIN_READINGS_FOR_EXPONENTIAL: 3, // Readings at the current oven setting needed to fit the curve
+  PREDICTION_INTERVAL_Z: 1.2816, // z-score for the 80% finish window
+  MIN_PACE_UNCERTAINTY_FRACTION: 0.05 // Floor on rate uncertainty as a fraction of the rate
+};
+
+/**
+ * Carryover (post-pull temperature rise) estimation
+ * Carryover ≈ heating rate × equilibration time, where the equilibration time
+ * grows with roast size (∝ weight^(2/3)) and is scaled by how hot the oven is.
+ */
+export const CARRYOVER_DEFAULTS = {
+  REFERENCE_WEIGHT_LB: 5, // Used when no weight was entered
+  REFERENCE_TIME_CONSTANT_HOURS: 0.3, // Equilibration time for the reference roast
+  REFERENCE_OVEN_TEMP_F: 225,
+  AMBIENT_TEMP_F: 100, // Oven temp at which the surface gradient vanishes for scaling purposes
+  MIN_OVEN_FACTOR: 0.5,
+  MAX_OVEN_FACTOR: 2.5,
+  MIN_CARRYOVER_F: 1,
+  MAX_CARRYOVER_F: 15
+};
+
+/**
+ * Rest tracking: carryover rise plus Newtonian cooling once the roast is pulled
+ */
+export const REST_DEFAULTS = {
+  AMBIENT_TEMP_F: 70,
+  COOLING_RATE_PER_MIN: 0.004, // Tented roast losing heat to the room
+  MIN_COOLING_RATE_PER_MIN: 0.001,
+  MAX_COOLING_RATE_PER_MIN: 0.015,
+  MIN_EQUALIZATION_MINUTES: 5, // Range searched for how fast the centre catches up with the outer layers
+  MAX_EQUALIZATION_MINUTES: 60,
+  GRID_STEPS: 12,
+  PRIOR_WEIGHT: 0.1, // Pull of the carryover estimate on the fit, against Σ(basis²) of the readings
+  MIN_DROP_F: 1 // Fall from the highest rest reading before the cooling rate is fitted
+};
+
+/**
+ * Lumped heat-transfer model (dT/dt = h × (oven - meat), with oven lag)
+ */
+export const THERMAL_MODEL_DEFAULTS = {
+  DEFAULT_LAG_MINUTES: 15, // Used until an oven change shows the real lag
+  MAX_LAG_MINUTES: 60,
+  LAG_STEP_MINUTES: 5,
+  MIN_COEFFICIENT: 0.01, // h search range, per hour
+  MAX_COEFFICIENT: 3,
+  MIN_PAIRS: 3, // Consecutive reading pairs needed to fit
+  OVEN_OFF_TEMP_F: 70, // What the meat is driven towards with the oven off
+  CANDIDATE_STEP_F: 5, // Oven settings tried when choosing a change
+  SIMULATION_STEP_MINUTES: 5, // Spacing of projected points in what-if simulations
+  SIMULATION_MAX_HOURS: 12 // How far ahead a what-if simulation looks for the target
+};
+
+/**
+ * Heating profiles learned from past cooks, used as a prior on the heat-transfer
+ * coefficient h. Coefficients are scaled between weights by weight^(2/3).
+ */
+export const HEATING_PRIOR_DEFAULTS = {
+  MIN_LOG_SD: 0.15, // Floor on the spread of ln(h) across cooks
+  SINGLE_COOK_LOG_SD: 0.4, // Spread assumed with only one past cook
+  OBSERVED_RELATIVE_ERROR: 0.5 // Floor on the observed pace's relative error with two readings; shrinks with √(readings − 1)
+};
+
+/**
+ * Cook planner (before any readings)
+ * The roast is planned with the lumped model, its time constant scaled from a
+ * reference roast by weight^(2/3) and the preset's shape factor.
+ */
+export const PLANNER_DEFAULTS = {
+  REFERENCE_TIME_CONSTANT_HOURS: 7.3, // 5 lb roast (CARRYOVER_DEFAULTS.REFERENCE_WEIGHT_LB)
+  STARTING_TEMP_F: 40, // Straight from the fridge
+  REST_MINUTES: 20,
+  SEAR_MINUTES: 10,
+  SEAR_OVEN_TEMP_F: 500,
+  OVEN_STEP_F: 5, // Steps tried when raising the oven to make the serve time
+  CURVE_STEP_MINUTES: 10
+};
+
+/**
+ * Reverse-sear phases, in order
+ */
+export const COOK_PHASES = [
+  { id: 'low-and-slow', label: 'Low & Slow' },
+  { id: 'rest', label: 'Rest' },
+  { id: 'sear', label: 'Sear' },
+  { id: 'serve', label: 'Serve' }
+];
+
+/**
+ * Getting the pan or oven hot for the sear
+ */
+export const SEAR_DEFAULTS = {
+  PAN_PREHEAT_MINUTES: 5,
+  OVEN_PREHEAT_MINUTES: 15 // From the low-and-slow setting to searing hot
+};
+
+/**
+ * Undo and redo of session edits
+ */
+export const UNDO_DEFAULTS = {
+  MAX_COMMANDS: 50, // Oldest edits drop off beyond this, keeping saved sessions small
+  TOAST_MS: 5000 // How long the Undo action stays on screen after an edit
+};
+
+/**
+ * Live thermometer sources feeding readings in automatically
+ */
+export const READING_SOURCE_DEFAULTS = {
+  POLL_INTERVAL_MS: 5000, // How often the thermometer bridge is asked for temperatures
+  REQUEST_TIMEOUT_MS: 4000, // A bridge slower than this to answer counts as disconnected
+  MIN_INTERVAL_MS: 30000, // At most one reading per probe this often; probes report far faster than a roast changes
+  RECONNECT_DELAYS_MS: [2000, 5000, 15000, 30000], // Waits between reconnect attempts; the last one repeats
+  SIMULATED_INTERVAL_MS: 2000
+};
+
+/**
+ * Suspect reading (outlier) detection
+ */
+export const OUTLIER_THRESHOLDS = {
+  MIN_READINGS: 5, // Readings needed before any can be called suspect
+  NEIGHBOR_COUNT: 4, // Nearby readings the local trend is fitted through
+  MIN_RESIDUAL_F: 10, // Never flag a reading closer than this to the trend
+  MAD_MULTIPLIER: 4, // Robust standard deviations off the trend that mark a reading suspect
+  ENTRY_TOLERANCE_F: 15 // New readings this far from the projected temp get a warning
+};
+
+/**
+ * Stall (evaporative plateau) detection thresholds
+ */
+export const STALL_THRESHOLDS = {
+  MIN_TEMP_F: 150,
+  MAX_TEMP_F: 170,
+  MAX_RATE_F_PER_HOUR: 4, // Slower than this inside the band counts as a plateau
+  MAX_RANGE_F: 6, // Total wander allowed across a plateau
+  MIN_DURATION_MINUTES: 30,
+  MIN_READINGS: 3,
+  TYPICAL_DURATION_MINUTES: 150, // Used when there are no past stalls to learn from
+  MIN_REMAINING_MINUTES: 15
 };
 
 /**
@@ -59,12 +207,25 @@ export const RECOMMENDATION_MESSAGES = {
   LOW_TEMP_DISABLED: 'Running early, but recommendations below {minTemp} are disabled.',
   OVEN_RESTART_NOW: 'Turn oven on NOW at {ovenTemp}.',
   OVEN_RESTART_TIMED: 'Turn oven on at {restartTime} at {ovenTemp}.',
+  PULL_NOW: 'Pull the roast now. It should coast up to about {peakTemp} while resting.',
+  REST: 'Let the roast rest. Start heating the {searMethod} at {preheatTime} to sear at {searTime}.',
+  REST_NO_SEAR: 'Let the roast rest. Slice and serve at {serveTime}.',
+  PREHEAT_NOW: 'Start heating the {searMethod} now so it\'s ready to sear at {searTime}.',
+  SEAR_NOW: 'The rest is done. Sear now, turning to brown every side.',
+  SEARING: 'Searing. Take it off at {serveTime} and serve.',
+  SERVE: 'Slice and serve.',
+  SHARED_HOLD: 'Hold steady at {ovenTemp}. Every roast is on track for its serve time.',
+  SHARED_RAISE: 'Raise the oven to {suggestedTemp} to bring every roast in on time.',
+  SHARED_LOWER: 'Lower the oven to {suggestedTemp} to bring every roast in on time.',
+  SHARED_PULL_EARLY: 'No one setting suits every roast. Set the oven to {suggestedTemp} and pull the {roastNames} early, keeping it warm until serving.',
+  SHARED_NOT_READY: 'Need a serve time and a few readings from each roast to plan the oven for all of them.',
   OVEN_OFF_COOLING: 'Oven is off. Meat is cooling down (estimated current temp: {estimatedTemp}).',
   NEED_MORE_READINGS: 'Need at least {count} readings to make recommendations.',
   NEED_MORE_TIME: 'Need readings spanning at least {minutes} minutes.',
   NO_SERVE_TIME: 'Set a desired serve time to get timing recommendations.',
   RATE_TOO_LOW: 'Heating rate is very slow or negative. Check thermometer placement.',
   RATE_UNSTABLE: 'Temperature readings are fluctuating. Wait for more stable data.',
+  STALL: 'The roast has hit the stall, a normal plateau as surface moisture evaporates. Hold the oven steady; it should break in about {duration}.',
   OVEN_TEMP_STALE: 'Oven temperature hasn\'t been updated recently. Please confirm current oven setting.'
 };
 
@@ -82,6 +243,9 @@ export const MEAT_PRESETS = [
     cuts: ['Bone-in', 'Boneless'],
     defaultTargetF: 125,
     suggestedOvenF: 200,
+    timeConstantFactor: 1, // Heating time constant relative to a compact roast of the same weight
+    restMinutes: 30,
+    searMinutes: 10,
     notes: 'Remove 5°F below target for carryover'
   },
   {
@@ -89,6 +253,9 @@ export const MEAT_PRESETS = [
     cuts: ['Whole', 'Center-cut'],
     defaultTargetF: 125,
     suggestedOvenF: 225,
+    timeConstantFactor: 0.6,
+    restMinutes: 15,
+    searMinutes: 8,
     notes: 'Cooks faster due to smaller diameter'
   },
   {
@@ -96,6 +263,9 @@ export const MEAT_PRESETS = [
     cuts: ['Bone-in', 'Boneless'],
     defaultTargetF: 140,
     suggestedOvenF: 225,
+    timeConstantFactor: 0.8,
+    restMinutes: 15,
+    searMinutes: 8,
     notes: 'USDA recommends 145°F minimum'
   },
   {
@@ -103,6 +273,9 @@ export const MEAT_PRESETS = [
     cuts: ['Bone-in', 'Boneless'],
     defaultTargetF: 195,
     suggestedOvenF: 225,
+    timeConstantFactor: 1,
+    restMinutes: 60,
+    searMinutes: 0,
     notes: 'For pulled pork, aim for 195-205°F'
   },
   {
@@ -110,6 +283,9 @@ export const MEAT_PRESETS = [
     cuts: ['Bone-in', 'Boneless'],
     defaultTargetF: 130,
     suggestedOvenF: 225,
+    timeConstantFactor: 0.9,
+    restMinutes: 20,
+    searMinutes: 10,
     notes: 'Remove 5°F below target for carryover'
   }
 ];
@@ -3,11 +3,16 @@ import { createPinia } from 'pinia';
 import './style.css';
 import './styles/transitions.css';
 import App from './App.vue';
+import { storageService } from './services/storageService.js';
 
 const app = createApp(App);
 const pinia = createPinia();
 
 app.use(pinia);
-app.mount('#app');
+
+// Storage loads asynchronously; mount once it's ready so reads can be synchronous
+storageService.initialize().finally(() => {
+  app.mount('#app');
+});
 
 
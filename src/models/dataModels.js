@@ -1,3 +1,5 @@
+import { SCHEMA_VERSION } from '../constants/defaults.js';
+
 /**
  * @typedef {Object} SessionConfig
  * @property {string} id - Unique session identifier (UUID v4)
@@ -11,6 +13,9 @@
  * @property {string|null} meatCut - Optional: e.g., "Bone-in", "Boneless"
  * @property {number|null} weight - Optional: weight in pounds
  * @property {string|null} notes - Optional: free-form notes
+ * @property {string[]} [tags] - Labels for finding the cook in the history later
+ * @property {string|null} [governingProbeId] - Probe that drives recommendations; null uses the coolest
+ * @property {'pan'|'oven'} [searMethod] - How the roast will be seared (sets the preheat lead time)
  * @property {string} createdAt - ISO 8601 datetime when session started
  * @property {string} updatedAt - ISO 8601 datetime of last modification
  */
@@ -22,6 +27,28 @@
  * @property {string} timestamp - ISO 8601 datetime when reading was taken
  * @property {number|null} deltaFromStart - Computed: degrees change from first reading
  * @property {number|null} deltaFromPrevious - Computed: degrees change from previous reading
+ * @property {'excluded'|'included'|null} [exclusion] - User override of outlier handling; null follows the estimator
+ * @property {string|null} [probeId] - Probe the reading came from; missing means the session's first probe
+ * @property {string} [source] - Live thermometer source that sent it (e.g. 'http'); missing when typed in
+ */
+
+/**
+ * @typedef {Object} Probe
+ * @property {string} id - Unique probe identifier (UUID v4)
+ * @property {string} name - e.g. "Thick end", "Thin end"
+ * @property {string|null} [roastId] - Roast the probe is in; missing means the main roast
+ */
+
+/**
+ * Another roast sharing the oven with the main one (described by the session config)
+ * @typedef {Object} Roast
+ * @property {string} id - Unique roast identifier (UUID v4)
+ * @property {string} name - e.g. "Tenderloin"
+ * @property {number} targetTemp - Target internal temperature in Fahrenheit
+ * @property {string|null} meatType
+ * @property {number|null} weight - Pounds
+ * @property {string|null} desiredServeTime - ISO 8601; null serves it with the main roast
+ * @property {string|null} pulledAt - ISO 8601 when it came out of the oven
  */
 
 /**
@@ -33,6 +60,24 @@
  * @property {boolean} isOff - Whether this event represents turning the oven OFF (default: false)
  */
 
+/**
+ * @typedef {'low-and-slow'|'rest'|'sear'|'serve'} CookPhaseId
+ */
+
+/**
+ * @typedef {Object} PhaseTransition
+ * @property {string} id - Unique transition identifier (UUID v4)
+ * @property {CookPhaseId} phase - Phase entered
+ * @property {string} timestamp - ISO 8601 datetime when it was entered
+ */
+
+/**
+ * @typedef {Object} OvenReading
+ * @property {string} id - Unique reading identifier (UUID v4)
+ * @property {number} temp - Measured oven/ambient temperature in Fahrenheit
+ * @property {string} timestamp - ISO 8601 datetime when reading was taken
+ */
+
 /**
  * @typedef {Object} CalculationResult
  * @property {number|null} currentRate - Degrees F per hour, null if insufficient data
@@ -43,11 +88,33 @@
  * @property {'early'|'late'|'on-track'|'unknown'} scheduleStatus
  * @property {'high'|'medium'|'low'|'insufficient'} confidence
  * @property {string|null} confidenceReason - Human-readable explanation
+ * @property {'linear'|'exponential'} predictionModel - Model actually used for the prediction
+ * @property {{r2: number, readings: number, timeConstantMinutes: number|null, fallbackReason: string|null}|null} modelFit - Fit quality of that model
+ * @property {Object|null} stall - Stall detection result (see detectStall)
+ * @property {{earliestMinutes: number, latestMinutes: number|null, earliestTargetTime: string, latestTargetTime: string|null}|null} predictionWindow - 80% finish window
+ * @property {number|null} onTimeProbability - Probability (0-1) of reaching target by desired serve time
+ * @property {{carryoverF: number, pullTemp: number, expectedPeakTemp: number, shouldPull: boolean, minutesToPull: number|null, pullTime: string|null}|null} carryover - Pull temperature guidance
+ * @property {{coefficient: number, count: number, weight: number}|null} heatingPrior - Prior from past cooks and its share (0-1) of the rate
+ * @property {string[]} excludedReadingIds - Readings left out of rate and ETA
+ * @property {Array<{id: string, expectedTemp: number, residual: number}>} suspectReadings - Readings well off the local trend
+ * @property {string|null} governingProbeId - Probe the top-level values come from
+ * @property {ProbeCalculation[]} probes - Per-probe rate and ETA (empty with fewer than two probes)
+ */
+
+/**
+ * @typedef {Object} ProbeCalculation
+ * @property {string} probeId
+ * @property {string} name
+ * @property {number|null} currentTemp - Latest included reading (°F)
+ * @property {number|null} currentRate - Degrees F per hour
+ * @property {number|null} predictedMinutesToTarget
+ * @property {string|null} predictedTargetTime
+ * @property {'high'|'medium'|'low'|'insufficient'} confidence
  */
 
 /**
  * @typedef {Object} Recommendation
- * @property {'raise'|'lower'|'hold'|'oven-off'|'none'} action
+ * @property {'raise'|'lower'|'hold'|'oven-off'|'pull'|'rest'|'preheat'|'sear'|'serve'|'none'} action
  * @property {number|null} suggestedTemp - New oven set temp in Fahrenheit
  * @property {number|null} changeAmount - Degrees to change (always positive)
  * @property {string} message - Human-readable recommendation (may contain {minTemp} placeholder)
@@ -60,6 +127,14 @@
  * @property {number|null} minutesUntilRestart - Minutes until should restart oven (when oven is off)
  * @property {boolean} shouldRestartNow - Whether should restart oven immediately (when oven is off)
  * @property {number|null} estimatedCurrentMeatTemp - Estimated current meat temperature in Fahrenheit (when oven is off)
+ * @property {number|null} [pullTemp] - Pull temperature in Fahrenheit (pull action)
+ * @property {number|null} [expectedPeakTemp] - Expected post-rest peak in Fahrenheit (pull and rest actions)
+ * @property {number|null} [carryoverF] - Expected carryover in Fahrenheit degrees (pull action)
+ * @property {string|null} [preheatTime] - When to start heating the pan or oven (rest and sear actions)
+ * @property {string|null} [searTime] - When the sear starts (rest and sear actions)
+ * @property {string|null} [serveTime] - When the roast is ready to serve (rest and sear actions)
+ * @property {number|null} [minutesLeftInPhase] - Minutes left in the rest or sear
+ * @property {string|null} [peakTime] - When carryover peaks during the rest
  * @property {boolean} canRecommend - Whether conditions allow a recommendation
  * @property {string|null} blockerReason - If canRecommend is false, why
  */
@@ -68,8 +143,10 @@
  * @typedef {Object} AppSettings
  * @property {'F'|'C'} units - Temperature display units
  * @property {number} smoothingWindowReadings - Number of readings for rate smoothing (default 3)
- * @property {number} smoothingWindowMinutes - Alternative: time window for smoothing (default 30)
- * @property {'readings'|'time'} smoothingMode - Which smoothing approach to use
+ * @property {number} smoothingWindowMinutes - Time window, or half-life when time-weighted (default 30)
+ * @property {'readings'|'time'|'weighted'} smoothingMode - Which smoothing approach to use
+ * @property {'linear'|'exponential'} predictionModel - Linear extrapolation or exponential approach to oven temp (default 'linear')
+ * @property {'standard'|'robust'} rateEstimator - Robust leaves suspect readings out of rate and ETA (default 'standard')
  * @property {number} onTrackThresholdMinutes - Minutes variance considered "on track" (default 10)
  * @property {number} recommendationStepF - Default temp change step in F (default 10)
  * @property {number} recommendationMaxStepF - Maximum single change in F (default 25)
@@ -84,10 +161,95 @@
 
 /**
  * @typedef {Object} Session
+ * @property {number} schemaVersion - Format version (see migrationService)
  * @property {SessionConfig} config
  * @property {InternalReading[]} readings
+ * @property {Probe[]} probes - At least one; readings are tagged with a probe ID
+ * @property {Roast[]} roasts - Other roasts in the same oven; each has its own probes
  * @property {OvenTempEvent[]} ovenEvents
+ * @property {OvenReading[]} ovenReadings - Measured oven temperatures, separate from the set point
  * @property {AppSettings} settings
+ * @property {PredictionRecord[]} predictions - ETA history, one per reading or oven change
+ * @property {CookPlan|null} plan - Backward-scheduled plan made at setup, if any
+ * @property {PhaseTransition[]} phases - Reverse-sear phases entered so far, starting with low-and-slow
+ * @property {UndoCommand[]} undoStack - Edits that can be undone, oldest first
+ * @property {UndoCommand[]} redoStack - Undone edits that can be redone, most recently undone last
+ * @property {ChangeLogEntry[]} changeLog - Every edit, undo and redo, oldest first; only ever appended to
+ */
+
+/**
+ * One user edit, recorded as what it changed (see undoService)
+ * @typedef {Object} UndoCommand
+ * @property {string} id - UUID
+ * @property {string} label - What the edit did, e.g. "Reading added"
+ * @property {string} timestamp - When it was made (ISO 8601)
+ * @property {Object<string, Object>} changes - Per session field: items added, removed and updated, or the value before and after
+ */
+
+/**
+ * One entry in a session's change log (see changeLogService)
+ * @typedef {Object} ChangeLogEntry
+ * @property {string} id - UUID
+ * @property {string} timestamp - When the change was made (ISO 8601)
+ * @property {'user'|'undo'|'redo'|'device'} source - Who made it: the user editing, or undoing or redoing an edit,
+ *   or a live thermometer connecting and disconnecting (its readings are counted, not listed)
+ * @property {string} label - What was done, e.g. "Reading edited"
+ * @property {FieldChange[]} changes
+ */
+
+/**
+ * One value changed, or one item added or removed
+ * @typedef {Object} FieldChange
+ * @property {string} target - Session field, e.g. "readings" or "config"
+ * @property {string|null} itemId - Item in a list that changed; null for config, settings and plan
+ * @property {string|null} field - Property that changed; null when a whole item was added or removed
+ * @property {*} before - Null when added
+ * @property {*} after - Null when removed
+ */
+
+/**
+ * @typedef {Object} ArchiveEntry
+ * @property {string} id - Session ID
+ * @property {string|null} meatType
+ * @property {string|null} meatCut
+ * @property {number|null} weight - Pounds
+ * @property {number} targetTemp - Fahrenheit
+ * @property {string[]} tags
+ * @property {string} startedAt - ISO 8601
+ * @property {string} endedAt - ISO 8601, last reading (or when archived without readings)
+ * @property {string} archivedAt - ISO 8601
+ * @property {number} readingCount
+ * @property {number|null} peakTemp - Highest reading in Fahrenheit
+ */
+
+/**
+ * @typedef {Object} CookPlan
+ * @property {string} createdAt - ISO 8601
+ * @property {number} targetTemp - °F
+ * @property {number} startingTemp - °F assumed when the roast goes in
+ * @property {number} ovenTemp - Planned roasting temperature (°F)
+ * @property {boolean} ovenTempRaised - Whether the oven had to go above the chosen temperature to make the serve time
+ * @property {number} coefficient - Expected heat-transfer coefficient h, per hour
+ * @property {number} cookMinutes - Oven-in to pull
+ * @property {number} restMinutes
+ * @property {number} searMinutes
+ * @property {string} ovenInTime - When the roast must go in (ISO 8601)
+ * @property {string} pullTime - When it should reach target (ISO 8601)
+ * @property {string} serveTime - ISO 8601
+ * @property {boolean} isFeasible - False if the serve time can't be made even at the hottest setting
+ * @property {Array<{phase: 'roast'|'rest'|'sear', start: string, end: string, ovenTemp: number|null}>} schedule
+ */
+
+/**
+ * @typedef {Object} PredictionRecord
+ * @property {string} id - UUID
+ * @property {string} timestamp - When the prediction was made (ISO 8601)
+ * @property {string|null} readingId - Latest included reading it was based on
+ * @property {string|null} ovenEventId - Oven event in effect when it was made
+ * @property {string} predictedTargetTime - Predicted time to reach target (ISO 8601)
+ * @property {number|null} currentRate - Heating rate (°F per hour)
+ * @property {'high'|'medium'|'low'|'insufficient'} confidence
+ * @property {'linear'|'exponential'} model - Prediction model used
  */
 
 /**
@@ -98,6 +260,7 @@
 export function createSession(configOverrides = {}) {
   const now = new Date().toISOString();
   return {
+    schemaVersion: SCHEMA_VERSION,
     config: {
       id: generateUUID(),
       targetTemp: 125, // Default for medium-rare beef
@@ -110,13 +273,25 @@ export function createSession(configOverrides = {}) {
       meatCut: null,
       weight: null,
       notes: null,
+      tags: [],
+      governingProbeId: null,
+      searMethod: 'pan',
       createdAt: now,
       updatedAt: now,
       ...configOverrides
     },
     readings: [],
+    probes: [createProbe('Probe 1')],
+    roasts: [],
     ovenEvents: [],
-    settings: createDefaultSettings()
+    ovenReadings: [],
+    settings: createDefaultSettings(),
+    predictions: [],
+    plan: null,
+    phases: [createPhaseTransition('low-and-slow', now)],
+    undoStack: [],
+    redoStack: [],
+    changeLog: []
   };
 }
 
@@ -130,6 +305,8 @@ export function createDefaultSettings() {
     smoothingWindowReadings: 3,
     smoothingWindowMinutes: 30,
     smoothingMode: 'readings',
+    predictionModel: 'linear',
+    rateEstimator: 'standard',
     onTrackThresholdMinutes: 10,
     recommendationStepF: 10,
     recommendationMaxStepF: 25,
@@ -147,15 +324,73 @@ export function createDefaultSettings() {
  * Factory function to create an internal reading
  * @param {number} temp - Temperature in current display units (will be converted)
  * @param {string} [timestamp] - Optional timestamp, defaults to now
+ * @param {string|null} [probeId] - Probe the reading came from
  * @returns {InternalReading}
  */
-export function createReading(temp, timestamp = null) {
+export function createReading(temp, timestamp = null, probeId = null) {
   return {
     id: generateUUID(),
     temp: temp, // Caller responsible for ensuring this is in Fahrenheit
     timestamp: timestamp || new Date().toISOString(),
     deltaFromStart: null, // Computed after creation
-    deltaFromPrevious: null // Computed after creation
+    deltaFromPrevious: null, // Computed after creation
+    exclusion: null,
+    probeId
+  };
+}
+
+/**
+ * Factory function to create a probe
+ * @param {string} name
+ * @param {string|null} [roastId] - Roast it goes in; null for the main roast
+ * @returns {Probe}
+ */
+export function createProbe(name, roastId = null) {
+  return {
+    id: generateUUID(),
+    name,
+    roastId
+  };
+}
+
+/**
+ * Factory function to create a roast sharing the oven
+ * @param {Object} roast
+ * @param {string} roast.name
+ * @param {number} roast.targetTemp - Fahrenheit
+ * @param {string|null} [roast.meatType]
+ * @param {number|null} [roast.weight] - Pounds
+ * @param {string|null} [roast.desiredServeTime] - ISO 8601
+ * @returns {Roast}
+ */
+export function createRoast({ name, targetTemp, meatType = null, weight = null, desiredServeTime = null }) {
+  return {
+    id: generateUUID(),
+    name,
+    targetTemp,
+    meatType,
+    weight,
+    desiredServeTime,
+    pulledAt: null
+  };
+}
+
+/**
+ * Factory function to create a prediction record
+ * @param {Omit<PredictionRecord, 'id'|'timestamp'>} prediction
+ * @param {string} [timestamp] - Optional timestamp, defaults to now
+ * @returns {PredictionRecord}
+ */
+export function createPredictionRecord({ readingId, ovenEventId, predictedTargetTime, currentRate, confidence, model }, timestamp = null) {
+  return {
+    id: generateUUID(),
+    timestamp: timestamp || new Date().toISOString(),
+    readingId,
+    ovenEventId,
+    predictedTargetTime,
+    currentRate,
+    confidence,
+    model
   };
 }
 
@@ -177,6 +412,66 @@ export function createOvenEvent(setTemp, previousTemp = null, timestamp = null,
   };
 }
 
+/**
+ * Factory function to create a measured oven temperature reading
+ * @param {number} temp - Measured oven temp (caller converts to Fahrenheit)
+ * @param {string} [timestamp] - Optional timestamp, defaults to now
+ * @returns {OvenReading}
+ */
+export function createOvenReading(temp, timestamp = null) {
+  return {
+    id: generateUUID(),
+    temp,
+    timestamp: timestamp || new Date().toISOString()
+  };
+}
+
+/**
+ * Factory function to create a phase transition
+ * @param {CookPhaseId} phase
+ * @param {string} [timestamp] - ISO string, defaults to now
+ * @returns {PhaseTransition}
+ */
+export function createPhaseTransition(phase, timestamp = null) {
+  return {
+    id: generateUUID(),
+    phase,
+    timestamp: timestamp || new Date().toISOString()
+  };
+}
+
+/**
+ * Factory function to create an undo command
+ * @param {string} label
+ * @param {Object<string, Object>} changes - From diffSessionState
+ * @returns {UndoCommand}
+ */
+export function createUndoCommand(label, changes) {
+  return {
+    id: generateUUID(),
+    label,
+    timestamp: new Date().toISOString(),
+    changes
+  };
+}
+
+/**
+ * Factory function to create a change log entry
+ * @param {string} label
+ * @param {FieldChange[]} changes
+ * @param {'user'|'undo'|'redo'|'device'} [source='user']
+ * @returns {ChangeLogEntry}
+ */
+export function createChangeLogEntry(label, changes, source = 'user') {
+  return {
+    id: generateUUID(),
+    timestamp: new Date().toISOString(),
+    source,
+    label,
+    changes
+  };
+}
+
 /**
  * Generate a UUID v4
  * @returns {string}
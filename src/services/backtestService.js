@@ -0,0 +1,283 @@
+import { computeSessionCalculations, groupReadingsByProbe } from './calculationService.js';
+import { generateRecommendation } from './recommendationService.js';
+import { filterReadingsByPhase } from './phaseService.js';
+import { getRoastProbes, getRoastReadings, MAIN_ROAST_ID } from './roastService.js';
+import { migrateSession } from './migrationService.js';
+import { createDefaultSettings } from '../models/dataModels.js';
+import { minutesBetween } from '../utils/timeUtils.js';
+
+/**
+ * Pull the session out of a file written by exportToJSON (or a bare session),
+ * migrated to the current format
+ * @param {Object} data - Parsed JSON
+ * @returns {Session}
+ * @throws {MigrationError} If it can't be migrated
+ */
+export function extractSession(data) {
+  const session = data?.session ?? data;
+  if (!session?.config || !Array.isArray(session.readings)) {
+    throw new Error('Not a RoastPilot session export');
+  }
+  return migrateSession(session);
+}
+
+/**
+ * Replay a finished session reading by reading, calculating exactly what the
+ * app would have shown at each reading's timestamp
+ * Only readings before the target was reached are scored; the first reading at
+ * or above target gives the actual finish time. With several probes, the
+ * probe governing at the end of the cook decides when it finished. Readings
+ * from the rest onwards are left out, as they are in the app, and so are other
+ * roasts sharing the oven.
+ * 
+ * @param {Session} session
+ * @param {Object} [options]
+ * @param {Partial<AppSettings>} [options.settings] - Overrides applied on top of the session's settings
+ * @param {number[]} [options.stallHistory] - Stall durations from other cooks
+ * @param {Object|null} [options.heatingProfile] - Heating prior from other cooks (see buildHeatingProfile)
+ * @returns {{sessionId: string, meatType: string|null, targetTemp: number, actualFinishTime: string|null, steps: Array<Object>}}
+ */
+export function replaySession(session, { settings: overrides = {}, stallHistory = [], heatingProfile = null } = {}) {
+  const { config } = session;
+  const settings = { ...createDefaultSettings(), ...session.settings, ...overrides };
+  const byTime = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
+  const allProbes = session.probes ?? [];
+  const probes = getRoastProbes(allProbes, MAIN_ROAST_ID);
+  const mainReadings = getRoastReadings([...session.readings].sort(byTime), allProbes, MAIN_ROAST_ID);
+  const readings = filterReadingsByPhase(mainReadings, session.phases ?? [], 'low-and-slow');
+  const ovenEvents = [...(session.ovenEvents ?? [])].sort(byTime);
+  const ovenReadings = [...(session.ovenReadings ?? [])].sort(byTime);
+  const governingProbeId = config.governingProbeId ?? null;
+  
+  const calculate = (visibleReadings, visibleOvenEvents, visibleOvenReadings, now) => computeSessionCalculations({
+    readings: visibleReadings,
+    probes,
+    governingProbeId,
+    targetTemp: config.targetTemp,
+    desiredServeTime: config.desiredServeTime,
+    settings,
+    ovenEvents: visibleOvenEvents,
+    ovenReadings: visibleOvenReadings,
+    stallHistory,
+    weight: config.weight ?? null,
+    heatingProfile,
+    now
+  });
+  
+  const finalProbeId = calculate(readings, ovenEvents, ovenReadings, readings[readings.length - 1]?.timestamp).governingProbeId;
+  const finishReading = (groupReadingsByProbe(readings, probes).get(finalProbeId) ?? [])
+    .find(r => r.temp >= config.targetTemp && r.exclusion !== 'excluded');
+  const actualFinishTime = finishReading?.timestamp ?? null;
+  
+  const steps = [];
+  
+  for (let i = 0; i < readings.length; i++) {
+    const now = readings[i].timestamp;
+    if (actualFinishTime && new Date(now) >= new Date(actualFinishTime)) break;
+    
+    const visibleReadings = readings.slice(0, i + 1);
+    const visibleOvenEvents = ovenEvents.filter(e => new Date(e.timestamp) <= new Date(now));
+    const visibleOvenReadings = ovenReadings.filter(r => new Date(r.timestamp) <= new Date(now));
+    
+    const calculations = calculate(visibleReadings, visibleOvenEvents, visibleOvenReadings, now);
+    
+    // Mirror useRecommendations: no oven temp, no recommendation
+    const currentOvenTemp = visibleOvenEvents.length > 0
+      ? visibleOvenEvents[visibleOvenEvents.length - 1].setTemp
+      : config.initialOvenTemp ?? null;
+    const excluded = new Set(calculations.excludedReadingIds);
+    const governingReadings = groupReadingsByProbe(visibleReadings, probes).get(calculations.governingProbeId) ?? visibleReadings;
+    
+    const recommendation = currentOvenTemp === null ? null : generateRecommendation({
+      readings: governingReadings.filter(r => !excluded.has(r.id)),
+      ovenEvents: visibleOvenEvents,
+      ovenReadings: visibleOvenReadings,
+      currentOvenTemp,
+      targetTemp: config.targetTemp,
+      desiredServeTime: config.desiredServeTime,
+      scheduleVarianceMinutes: calculations.scheduleVarianceMinutes,
+      scheduleStatus: calculations.scheduleStatus,
+      confidence: calculations.confidence,
+      settings,
+      predictedMinutesToTarget: calculations.predictedMinutesToTarget,
+      currentRate: calculations.currentRate,
+      stall: calculations.stall,
+      carryover: calculations.carryover,
+      now
+    });
+    
+    const predictedTargetTime = calculations.predictedTargetTime;
+    const window = calculations.predictionWindow;
+    
+    steps.push({
+      timestamp: now,
+      temp: readings[i].temp,
+      predictedTargetTime,
+      actualMinutesRemaining: actualFinishTime ? Math.round(minutesBetween(now, actualFinishTime)) : null,
+      // Positive = predicted later than it happened
+      etaErrorMinutes: actualFinishTime && predictedTargetTime
+        ? Math.round(minutesBetween(actualFinishTime, predictedTargetTime))
+        : null,
+      withinWindow: actualFinishTime && window?.latestTargetTime
+        ? new Date(actualFinishTime) >= new Date(window.earliestTargetTime) &&
+          new Date(actualFinishTime) <= new Date(window.latestTargetTime)
+        : null,
+      confidence: calculations.confidence.level,
+      action: recommendation?.canRecommend ? recommendation.action : null,
+      suggestedTemp: recommendation?.canRecommend ? recommendation.suggestedTemp : null
+    });
+  }
+  
+  return {
+    sessionId: config.id,
+    meatType: config.meatType ?? null,
+    targetTemp: config.targetTemp,
+    actualFinishTime,
+    steps
+  };
+}
+
+/**
+ * Score one or more replays
+ * 
+ * - ETA error: absolute and signed (bias) error of the predicted finish
+ * - Flip-flops: how often the recommended action changed, and how often it
+ *   reversed direction (raise straight after lower or vice versa)
+ * - Calibration: error and hit rate per confidence level, plus how often the
+ *   actual finish fell inside the 80% finish window
+ * 
+ * @param {Array<ReturnType<typeof replaySession>>} replays
+ * @param {Object} [options]
+ * @param {number} [options.onTimeMinutes] - An ETA within this many minutes counts as a hit
+ * @returns {Object} Metrics
+ */
+export function scoreReplays(replays, { onTimeMinutes = createDefaultSettings().onTrackThresholdMinutes } = {}) {
+  const steps = replays.flatMap(r => r.steps);
+  const scored = steps.filter(s => s.etaErrorMinutes !== null);
+  
+  let actionChanges = 0;
+  let reversals = 0;
+  for (const replay of replays) {
+    const actions = replay.steps.map(s => s.action).filter(a => a !== null);
+    for (let i = 1; i < actions.length; i++) {
+      if (actions[i] !== actions[i - 1]) actionChanges++;
+      if ((actions[i] === 'raise' && actions[i - 1] === 'lower') ||
+          (actions[i] === 'lower' && actions[i - 1] === 'raise')) {
+        reversals++;
+      }
+    }
+  }
+  
+  const calibration = {};
+  for (const level of ['high', 'medium', 'low']) {
+    const atLevel = scored.filter(s => s.confidence === level);
+    calibration[level] = {
+      count: atLevel.length,
+      ...errorStats(atLevel),
+      hitRate: atLevel.length > 0
+        ? round(atLevel.filter(s => Math.abs(s.etaErrorMinutes) <= onTimeMinutes).length / atLevel.length, 2)
+        : null
+    };
+  }
+  
+  const windowed = steps.filter(s => s.withinWindow !== null);
+  
+  return {
+    sessions: replays.length,
+    finishedSessions: replays.filter(r => r.actualFinishTime).length,
+    steps: steps.length,
+    eta: {
+      count: scored.length,
+      ...errorStats(scored)
+    },
+    recommendations: {
+      count: steps.filter(s => s.action !== null).length,
+      actionChanges,
+      reversals
+    },
+    calibration,
+    windowCoverage: windowed.length > 0
+      ? round(windowed.filter(s => s.withinWindow).length / windowed.length, 2)
+      : null
+  };
+}
+
+/**
+ * Mean/median absolute error and bias of a set of scored steps
+ * @param {Array<{etaErrorMinutes: number}>} steps
+ * @returns {{meanAbsoluteMinutes: number|null, medianAbsoluteMinutes: number|null, biasMinutes: number|null}}
+ */
+function errorStats(steps) {
+  if (steps.length === 0) {
+    return { meanAbsoluteMinutes: null, medianAbsoluteMinutes: null, biasMinutes: null };
+  }
+  
+  const errors = steps.map(s => s.etaErrorMinutes);
+  const absolute = errors.map(Math.abs).sort((a, b) => a - b);
+  const mid = Math.floor(absolute.length / 2);
+  
+  return {
+    meanAbsoluteMinutes: round(absolute.reduce((a, b) => a + b, 0) / absolute.length, 1),
+    medianAbsoluteMinutes: absolute.length % 2 ? absolute[mid] : (absolute[mid - 1] + absolute[mid]) / 2,
+    biasMinutes: round(errors.reduce((a, b) => a + b, 0) / errors.length, 1)
+  };
+}
+
+/**
+ * Round to a number of decimal places
+ * @param {number} value
+ * @param {number} decimals
+ * @returns {number}
+ */
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Plain-text report of backtest results
+ * @param {Array<ReturnType<typeof replaySession>>} replays
+ * @param {ReturnType<typeof scoreReplays>} score
+ * @returns {string}
+ */
+export function formatBacktestReport(replays, score) {
+  const value = (v, unit = '') => (v === null ? '--' : `${v}${unit}`);
+  const lines = [];
+  
+  for (const replay of replays) {
+    lines.push(`Session ${replay.sessionId}${replay.meatType ? ` (${replay.meatType})` : ''}`);
+    if (!replay.actualFinishTime) {
+      lines.push('  Target never reached; ETA error not scored');
+    }
+    const row = (time, temp, error, confidence, action) => '  ' + [
+      time.padEnd(24),
+      temp.padStart(7),
+      error.padStart(10),
+      confidence.padEnd(12),
+      action
+    ].join('  ');
+    
+    lines.push(row('Time', 'Temp', 'ETA error', 'Confidence', 'Action'));
+    for (const step of replay.steps) {
+      lines.push(row(
+        step.timestamp,
+        `${step.temp.toFixed(1)}°F`,
+        value(step.etaErrorMinutes, ' min'),
+        step.confidence,
+        step.action ?? '--'
+      ));
+    }
+    lines.push('');
+  }
+  
+  lines.push(`Sessions: ${score.sessions} (${score.finishedSessions} reached target), ${score.steps} readings replayed`);
+  lines.push(`ETA error: mean ${value(score.eta.meanAbsoluteMinutes, ' min')}, median ${value(score.eta.medianAbsoluteMinutes, ' min')}, bias ${value(score.eta.biasMinutes, ' min')} over ${score.eta.count} predictions`);
+  lines.push(`Recommendations: ${score.recommendations.count}, ${score.recommendations.actionChanges} action changes, ${score.recommendations.reversals} raise/lower reversals`);
+  lines.push(`Finish window coverage: ${value(score.windowCoverage === null ? null : Math.round(score.windowCoverage * 100), '%')} (target 80%)`);
+  lines.push('Calibration:');
+  for (const [level, stats] of Object.entries(score.calibration)) {
+    lines.push(`  ${level.padEnd(7)} ${String(stats.count).padStart(4)} predictions, mean error ${value(stats.meanAbsoluteMinutes, ' min')}, on time ${value(stats.hitRate === null ? null : Math.round(stats.hitRate * 100), '%')}`);
+  }
+  
+  return lines.join('\n');
+}
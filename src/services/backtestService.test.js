@@ -0,0 +1,159 @@
+import { describe, it, expect } from 'vitest';
+import { extractSession, replaySession, scoreReplays, formatBacktestReport } from './backtestService.js';
+import { SCHEMA_VERSION } from '../constants/defaults.js';
+
+/**
+ * Session heating steadily at 20°F/hr from 100°F, one reading every 30 minutes
+ */
+function steadySession({ count = 7, targetTemp = 150, desiredServeTime = null } = {}) {
+  const start = new Date('2024-01-01T12:00:00Z').getTime();
+  return {
+    config: {
+      id: 'steady',
+      targetTemp,
+      desiredServeTime,
+      initialOvenTemp: 225,
+      meatType: 'beef',
+      weight: null
+    },
+    readings: Array.from({ length: count }, (_, i) => ({
+      id: `r${i}`,
+      temp: 100 + i * 10,
+      timestamp: new Date(start + i * 30 * 60000).toISOString()
+    })),
+    ovenEvents: [{ id: 'o1', setTemp: 225, previousTemp: null, timestamp: '2024-01-01T12:00:00.000Z', isOff: false }],
+    settings: {}
+  };
+}
+
+/**
+ * Replay with only the fields scoreReplays looks at
+ */
+function replayOf(steps, actualFinishTime = '2024-01-01T15:00:00.000Z') {
+  return {
+    sessionId: 's',
+    meatType: null,
+    targetTemp: 150,
+    actualFinishTime,
+    steps: steps.map(s => ({ withinWindow: null, confidence: 'high', action: null, etaErrorMinutes: null, ...s }))
+  };
+}
+
+describe('extractSession', () => {
+  it('accepts an export file or a bare session', () => {
+    const session = steadySession();
+    
+    expect(extractSession({ exportedAt: 'x', session }).readings).toEqual(session.readings);
+    expect(extractSession(session).config).toMatchObject(session.config);
+  });
+  
+  it('migrates exports from older versions', () => {
+    const session = extractSession({ session: steadySession() });
+    
+    expect(session.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(session.probes).toHaveLength(1);
+    expect(session.phases[0].phase).toBe('low-and-slow');
+  });
+  
+  it('rejects anything else', () => {
+    expect(() => extractSession({ foo: 1 })).toThrow('Not a RoastPilot session export');
+  });
+});
+
+describe('replaySession', () => {
+  it('stops at the reading that reaches target', () => {
+    const replay = replaySession(steadySession());
+    
+    expect(replay.actualFinishTime).toBe('2024-01-01T14:30:00.000Z');
+    expect(replay.steps).toHaveLength(5);
+  });
+  
+  it('predicts as of each reading, not the wall clock', () => {
+    const replay = replaySession(steadySession());
+    
+    // Perfectly steady heating: every prediction from two readings on is exact
+    expect(replay.steps[0].etaErrorMinutes).toBeNull();
+    expect(replay.steps.slice(1).map(s => s.etaErrorMinutes)).toEqual([0, 0, 0, 0]);
+    expect(replay.steps[2].actualMinutesRemaining).toBe(90);
+  });
+  
+  it('leaves ETA error unscored when the target was never reached', () => {
+    const replay = replaySession(steadySession({ targetTemp: 203 }));
+    
+    expect(replay.actualFinishTime).toBeNull();
+    expect(replay.steps).toHaveLength(7);
+    expect(replay.steps.every(s => s.etaErrorMinutes === null)).toBe(true);
+  });
+  
+  it('applies setting overrides', () => {
+    const replay = replaySession(steadySession(), { settings: { minReadingsForRecommendation: 10 } });
+    
+    expect(replay.steps.every(s => s.action === null)).toBe(true);
+  });
+  
+  it('replays recommendations against the serve time', () => {
+    // Finishes 14:30; serving at 16:00 is well over an hour early
+    const replay = replaySession(steadySession({ desiredServeTime: '2024-01-01T16:00:00.000Z' }));
+    const actions = replay.steps.map(s => s.action).filter(Boolean);
+    
+    expect(actions.length).toBeGreaterThan(0);
+    expect(actions.every(a => a === 'lower' || a === 'oven-off')).toBe(true);
+  });
+});
+
+describe('scoreReplays', () => {
+  it('summarises ETA error and bias', () => {
+    const score = scoreReplays([replayOf([
+      { etaErrorMinutes: 10 },
+      { etaErrorMinutes: -20 },
+      { etaErrorMinutes: 30 },
+      { etaErrorMinutes: null }
+    ])]);
+    
+    expect(score.eta).toEqual({ count: 3, meanAbsoluteMinutes: 20, medianAbsoluteMinutes: 20, biasMinutes: 6.7 });
+  });
+  
+  it('counts action changes and raise/lower reversals', () => {
+    const score = scoreReplays([replayOf([
+      { action: 'raise' },
+      { action: null },
+      { action: 'lower' },
+      { action: 'hold' },
+      { action: 'hold' },
+      { action: 'raise' }
+    ])]);
+    
+    expect(score.recommendations).toEqual({ count: 5, actionChanges: 3, reversals: 1 });
+  });
+  
+  it('does not count changes across sessions', () => {
+    const score = scoreReplays([replayOf([{ action: 'raise' }]), replayOf([{ action: 'lower' }])]);
+    
+    expect(score.recommendations.actionChanges).toBe(0);
+  });
+  
+  it('reports calibration per confidence level and window coverage', () => {
+    const score = scoreReplays([replayOf([
+      { confidence: 'high', etaErrorMinutes: 5, withinWindow: true },
+      { confidence: 'high', etaErrorMinutes: 25, withinWindow: false },
+      { confidence: 'low', etaErrorMinutes: 60, withinWindow: true },
+      { confidence: 'low', etaErrorMinutes: 40, withinWindow: true }
+    ])]);
+    
+    expect(score.calibration.high).toMatchObject({ count: 2, meanAbsoluteMinutes: 15, hitRate: 0.5 });
+    expect(score.calibration.low).toMatchObject({ count: 2, meanAbsoluteMinutes: 50, hitRate: 0 });
+    expect(score.calibration.medium).toMatchObject({ count: 0, meanAbsoluteMinutes: null, hitRate: null });
+    expect(score.windowCoverage).toBe(0.75);
+  });
+});
+
+describe('formatBacktestReport', () => {
+  it('includes each session and the summary', () => {
+    const replays = [replaySession(steadySession())];
+    const report = formatBacktestReport(replays, scoreReplays(replays));
+    
+    expect(report).toContain('Session steady (beef)');
+    expect(report).toContain('ETA error: mean 0 min');
+    expect(report).toContain('Calibration:');
+  });
+});
@@ -1,5 +1,23 @@
 import { hoursBetween, minutesBetween, addMinutes } from '../utils/timeUtils.js';
-import { CALCULATION_THRESHOLDS } from '../constants/defaults.js';
+import {
+  CALCULATION_THRESHOLDS,
+  STALL_THRESHOLDS,
+  CARRYOVER_DEFAULTS,
+  OUTLIER_THRESHOLDS,
+  HEATING_PRIOR_DEFAULTS,
+  REST_DEFAULTS
+} from '../constants/defaults.js';
+import {
+  applyMeasuredOvenTemps,
+  effectiveOvenTemp,
+  fitThermalModel,
+  fitRestModel,
+  findRestPeak,
+  restTempAt,
+  equalizationTempForPeak
+} from './thermalModelService.js';
+import { filterReadingsByPhase } from './phaseService.js';
+import { getRoastProbes, getRoastReadings, MAIN_ROAST_ID } from './roastService.js';
 
 /**
  * Calculate the heating rate from a set of readings using linear regression
@@ -7,7 +25,7 @@ import { CALCULATION_THRESHOLDS } from '../constants/defaults.js';
  * 
  * @param {InternalReading[]} readings - Array of readings sorted by timestamp
  * @param {number} windowSize - Number of most recent readings to use
- * @returns {{rate: number|null, r2: number, readings: number}}
+ * @returns {{rate: number|null, r2: number, readings: number, rateStdError?: number|null}}
  */
 export function calculateHeatingRate(readings, windowSize = 3) {
   if (readings.length < CALCULATION_THRESHOLDS.MIN_READINGS_FOR_RATE) {
@@ -28,45 +46,354 @@ export function calculateHeatingRate(readings, windowSize = 3) {
     y: r.temp
   }));
   
-  // Simple linear regression: y = mx + b
-  // m = (n∑xy - ∑x∑y) / (n∑x² - (∑x)²)
+  const fit = linearRegression(points);
+  
+  // Handle edge case of all points at same time (division by zero)
+  if (!fit) {
+    return { rate: null, r2: 0, readings: points.length };
+  }
+  
+  return {
+    rate: Math.round(fit.slope * 100) / 100, // °F per hour, 2 decimal places
+    r2: Math.round(fit.r2 * 1000) / 1000,
+    readings: fit.n,
+    rateStdError: roundStdError(fit.slopeStdError)
+  };
+}
+
+/**
+ * Least-squares fit of y = mx + b, optionally weighted per point
+ * 
+ * @param {Array<{x: number, y: number, w?: number}>} points - w defaults to 1
+ * @returns {{slope: number, intercept: number, r2: number, n: number, slopeStdError: number|null}|null} Null if x has no spread
+ */
+export function linearRegression(points) {
+  // Weighted linear regression: y = mx + b
+  // m = (∑w∑wxy - ∑wx∑wy) / (∑w∑wx² - (∑wx)²), which reduces to OLS when all w = 1
   const n = points.length;
-  let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0, sumY2 = 0;
+  let sumW = 0, sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0;
   
   for (const p of points) {
-    sumX += p.x;
-    sumY += p.y;
-    sumXY += p.x * p.y;
-    sumX2 += p.x * p.x;
-    sumY2 += p.y * p.y;
+    const w = p.w ?? 1;
+    sumW += w;
+    sumX += w * p.x;
+    sumY += w * p.y;
+    sumXY += w * p.x * p.y;
+    sumX2 += w * p.x * p.x;
   }
   
-  const denominator = n * sumX2 - sumX * sumX;
+  const denominator = sumW * sumX2 - sumX * sumX;
   
-  // Handle edge case of all points at same time (division by zero)
   if (Math.abs(denominator) < 0.0001) {
-    return { rate: null, r2: 0, readings: n };
+    return null;
   }
   
-  const slope = (n * sumXY - sumX * sumY) / denominator;
+  const slope = (sumW * sumXY - sumX * sumY) / denominator;
+  const intercept = (sumY - slope * sumX) / sumW;
   
   // Calculate R² (coefficient of determination) for confidence assessment
-  const meanY = sumY / n;
+  const meanY = sumY / sumW;
   let ssTotal = 0, ssResidual = 0;
-  const intercept = (sumY - slope * sumX) / n;
   
   for (const p of points) {
+    const w = p.w ?? 1;
     const predicted = slope * p.x + intercept;
-    ssTotal += (p.y - meanY) ** 2;
-    ssResidual += (p.y - predicted) ** 2;
+    ssTotal += w * (p.y - meanY) ** 2;
+    ssResidual += w * (p.y - predicted) ** 2;
   }
   
   const r2 = ssTotal > 0 ? 1 - (ssResidual / ssTotal) : 0;
   
+  // Standard error of the slope needs at least one residual degree of freedom
+  const sxx = sumX2 - (sumX * sumX) / sumW;
+  const slopeStdError = n > 2 && sxx > 0
+    ? Math.sqrt((ssResidual / (n - 2)) / sxx)
+    : null;
+  
+  return { slope, intercept, r2, n, slopeStdError };
+}
+
+/**
+ * Round a standard error to 3 decimal places, passing null through
+ * @param {number|null} value
+ * @returns {number|null}
+ */
+function roundStdError(value) {
+  return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Calculate the heating rate from readings within a time window
+ * The window is measured back from the latest reading. If it holds fewer than
+ * two readings, the most recent reading before the window is included so a
+ * long gap still yields a rate instead of nothing.
+ * 
+ * @param {InternalReading[]} readings - Array of readings sorted by timestamp
+ * @param {number} windowMinutes - Minutes of history to use
+ * @returns {{rate: number|null, r2: number, readings: number}}
+ */
+export function calculateHeatingRateByTime(readings, windowMinutes = 30) {
+  if (readings.length < CALCULATION_THRESHOLDS.MIN_READINGS_FOR_RATE) {
+    return { rate: null, r2: 0, readings: readings.length };
+  }
+  
+  const latestTime = new Date(readings[readings.length - 1].timestamp).getTime();
+  const windowStart = latestTime - windowMinutes * 60 * 1000;
+  
+  let firstIndex = readings.findIndex(r => new Date(r.timestamp).getTime() >= windowStart);
+  if (readings.length - firstIndex < 2) {
+    firstIndex = readings.length - 2;
+  }
+  
+  return calculateHeatingRate(readings.slice(firstIndex), readings.length - firstIndex);
+}
+
+/**
+ * Calculate the heating rate with exponentially time-weighted regression
+ * Every reading contributes, with its weight halving every halfLifeMinutes of
+ * age, so a burst of closely spaced readings can't dominate the slope.
+ * 
+ * @param {InternalReading[]} readings - Array of readings sorted by timestamp
+ * @param {number} halfLifeMinutes - Age at which a reading counts half as much as the latest
+ * @returns {{rate: number|null, r2: number, readings: number}}
+ */
+export function calculateWeightedHeatingRate(readings, halfLifeMinutes = 30) {
+  if (readings.length < CALCULATION_THRESHOLDS.MIN_READINGS_FOR_RATE) {
+    return { rate: null, r2: 0, readings: readings.length };
+  }
+  
+  const firstTime = new Date(readings[0].timestamp).getTime();
+  const latestTime = new Date(readings[readings.length - 1].timestamp).getTime();
+  const points = readings.map(r => {
+    const time = new Date(r.timestamp).getTime();
+    const ageMinutes = (latestTime - time) / (1000 * 60);
+    return {
+      x: (time - firstTime) / (1000 * 60 * 60), // hours
+      y: r.temp,
+      w: Math.pow(0.5, ageMinutes / halfLifeMinutes)
+    };
+  });
+  
+  const fit = linearRegression(points);
+  
+  if (!fit) {
+    return { rate: null, r2: 0, readings: points.length };
+  }
+  
   return {
-    rate: Math.round(slope * 100) / 100, // °F per hour, 2 decimal places
+    rate: Math.round(fit.slope * 100) / 100,
+    r2: Math.round(fit.r2 * 1000) / 1000,
+    readings: fit.n,
+    rateStdError: roundStdError(fit.slopeStdError)
+  };
+}
+
+/**
+ * Calculate the current heating rate using the configured smoothing mode
+ * 
+ * @param {InternalReading[]} readings - Array of readings sorted by timestamp
+ * @param {AppSettings} settings
+ * @returns {{rate: number|null, r2: number, readings: number}}
+ */
+export function calculateSmoothedRate(readings, settings) {
+  switch (settings.smoothingMode) {
+    case 'time':
+      return calculateHeatingRateByTime(readings, settings.smoothingWindowMinutes);
+    case 'weighted':
+      return calculateWeightedHeatingRate(readings, settings.smoothingWindowMinutes);
+    default:
+      return calculateHeatingRate(readings, settings.smoothingWindowReadings);
+  }
+}
+
+/**
+ * Flag readings that sit well off the local trend, e.g. a probe that slipped
+ * into fat or touched bone
+ * Each reading is compared with a Theil–Sen line through its nearest
+ * neighbours, so one bad reading can't drag the line it is judged against.
+ * Readings the user has excluded are left out of everyone's neighbourhood.
+ * 
+ * @param {InternalReading[]} readings - Array of readings sorted by timestamp
+ * @returns {Array<{id: string, expectedTemp: number, residual: number}>}
+ */
+export function findSuspectReadings(readings) {
+  const candidates = readings.filter(r => r.exclusion !== 'excluded');
+  if (candidates.length < OUTLIER_THRESHOLDS.MIN_READINGS) {
+    return [];
+  }
+  
+  const firstTime = new Date(candidates[0].timestamp).getTime();
+  const points = candidates.map(r => ({
+    id: r.id,
+    x: (new Date(r.timestamp).getTime() - firstTime) / (1000 * 60 * 60), // hours
+    y: r.temp
+  }));
+  
+  const neighborCount = Math.min(OUTLIER_THRESHOLDS.NEIGHBOR_COUNT, points.length - 1);
+  const suspects = [];
+  
+  points.forEach((point, i) => {
+    // Window of neighborCount + 1 points containing i, shifted inwards at the ends
+    const start = Math.min(
+      Math.max(i - Math.floor(neighborCount / 2), 0),
+      points.length - neighborCount - 1
+    );
+    const neighbors = points.slice(start, start + neighborCount + 1).filter((_, j) => start + j !== i);
+    
+    const fit = theilSenFit(neighbors);
+    if (!fit) return;
+    
+    const predict = (x) => fit.slope * x + fit.intercept;
+    const residual = point.y - predict(point.x);
+    // 1.4826 × MAD estimates the standard deviation for normally distributed noise
+    const spread = 1.4826 * median(neighbors.map(p => Math.abs(p.y - predict(p.x))));
+    const threshold = Math.max(
+      OUTLIER_THRESHOLDS.MIN_RESIDUAL_F,
+      OUTLIER_THRESHOLDS.MAD_MULTIPLIER * spread
+    );
+    
+    if (Math.abs(residual) > threshold) {
+      suspects.push({
+        id: point.id,
+        expectedTemp: Math.round(predict(point.x) * 10) / 10,
+        residual: Math.round(residual * 10) / 10
+      });
+    }
+  });
+  
+  return suspects;
+}
+
+/**
+ * Theil–Sen line: median of pairwise slopes, median of intercepts
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {{slope: number, intercept: number}|null} Null if x has no spread
+ */
+function theilSenFit(points) {
+  const slopes = [];
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      const dx = points[j].x - points[i].x;
+      if (Math.abs(dx) > 0.0001) {
+        slopes.push((points[j].y - points[i].y) / dx);
+      }
+    }
+  }
+  
+  if (slopes.length === 0) return null;
+  
+  const slope = median(slopes);
+  const intercept = median(points.map(p => p.y - slope * p.x));
+  return { slope, intercept };
+}
+
+/**
+ * Split readings into those used for rate/ETA and those left out
+ * A reading is left out when the user excluded it, or when it is suspect and
+ * the robust estimator is on, unless the user chose to keep it.
+ * 
+ * @param {InternalReading[]} readings - Array of readings sorted by timestamp
+ * @param {AppSettings} settings
+ * @returns {{readings: InternalReading[], excludedReadingIds: string[], suspectReadings: Array<{id: string, expectedTemp: number, residual: number}>}}
+ */
+export function partitionReadings(readings, settings) {
+  const suspectReadings = findSuspectReadings(readings);
+  const autoExcluded = new Set(
+    settings.rateEstimator === 'robust' ? suspectReadings.map(s => s.id) : []
+  );
+  
+  const included = [];
+  const excludedReadingIds = [];
+  
+  for (const reading of readings) {
+    const excluded = reading.exclusion === 'excluded' ||
+      (autoExcluded.has(reading.id) && reading.exclusion !== 'included');
+    
+    if (excluded) {
+      excludedReadingIds.push(reading.id);
+    } else {
+      included.push(reading);
+    }
+  }
+  
+  return { readings: included, excludedReadingIds, suspectReadings };
+}
+
+/**
+ * Find the oven event in effect at a given time
+ * 
+ * @param {OvenTempEvent[]} ovenEvents - Events sorted by timestamp
+ * @param {string} [atTime] - ISO timestamp, defaults to now
+ * @returns {OvenTempEvent|null}
+ */
+export function getOvenEventAt(ovenEvents, atTime = new Date().toISOString()) {
+  const time = new Date(atTime).getTime();
+  let current = null;
+  
+  for (const event of ovenEvents) {
+    if (new Date(event.timestamp).getTime() <= time) {
+      current = event;
+    }
+  }
+  
+  return current;
+}
+
+/**
+ * Fit a Newton-style approach to equilibrium with the oven:
+ * T(t) = T_oven - (T_oven - T_0) * e^(-k*t)
+ * 
+ * Linearised as ln(T_oven - T) = ln(T_oven - T_0) - k*t, so k comes from an
+ * ordinary regression. R² is reported on the temperature scale so it can be
+ * compared with the linear model.
+ * 
+ * @param {InternalReading[]} readings - Readings taken at a constant oven setting
+ * @param {number} ovenTemp - Oven temperature the meat is approaching (°F)
+ * @returns {{k: number|null, r2: number, readings: number, timeConstantMinutes: number|null, kStdError?: number|null}}
+ */
+export function fitExponentialApproach(readings, ovenTemp) {
+  const empty = { k: null, r2: 0, readings: readings.length, timeConstantMinutes: null };
+  
+  if (readings.length < CALCULATION_THRESHOLDS.MIN_READINGS_FOR_EXPONENTIAL || !ovenTemp) {
+    return empty;
+  }
+  
+  // The log transform needs every reading strictly below the oven temp
+  if (readings.some(r => r.temp >= ovenTemp - 0.5)) {
+    return empty;
+  }
+  
+  const firstTime = new Date(readings[0].timestamp).getTime();
+  const points = readings.map(r => ({
+    x: (new Date(r.timestamp).getTime() - firstTime) / (1000 * 60 * 60), // hours
+    y: Math.log(ovenTemp - r.temp)
+  }));
+  
+  const fit = linearRegression(points);
+  if (!fit || fit.slope >= 0) {
+    // Not approaching the oven temperature
+    return empty;
+  }
+  
+  const k = -fit.slope;
+  
+  let ssTotal = 0, ssResidual = 0;
+  const meanTemp = readings.reduce((sum, r) => sum + r.temp, 0) / readings.length;
+  
+  points.forEach((p, i) => {
+    const predicted = ovenTemp - Math.exp(fit.intercept + fit.slope * p.x);
+    ssTotal += (readings[i].temp - meanTemp) ** 2;
+    ssResidual += (readings[i].temp - predicted) ** 2;
+  });
+  
+  const r2 = ssTotal > 0 ? 1 - (ssResidual / ssTotal) : 0;
+  
+  return {
+    k: Math.round(k * 10000) / 10000, // per hour
     r2: Math.round(r2 * 1000) / 1000,
-    readings: n
+    readings: readings.length,
+    timeConstantMinutes: Math.round(60 / k),
+    kStdError: fit.slopeStdError === null ? null : Math.round(fit.slopeStdError * 10000) / 10000
   };
 }
 
@@ -106,9 +433,10 @@ export function calculateReadingSpanMinutes(readings) {
  * @param {number} currentTemp - Current internal temperature (°F)
  * @param {number} targetTemp - Target temperature (°F)
  * @param {number} rate - Heating rate (°F/hour)
+ * @param {string} [now] - ISO timestamp to predict from, defaults to the current time
  * @returns {{minutes: number|null, targetTime: string|null}}
  */
-export function predictTimeToTarget(currentTemp, targetTemp, rate) {
+export function predictTimeToTarget(currentTemp, targetTemp, rate, now = new Date().toISOString()) {
   if (rate === null || rate <= CALCULATION_THRESHOLDS.MIN_RATE_FOR_PREDICTION) {
     return { minutes: null, targetTime: null };
   }
@@ -117,12 +445,42 @@ export function predictTimeToTarget(currentTemp, targetTemp, rate) {
   
   if (tempRemaining <= 0) {
     // Already at or past target
-    return { minutes: 0, targetTime: new Date().toISOString() };
+    return { minutes: 0, targetTime: now };
   }
   
   const hoursRemaining = tempRemaining / rate;
   const minutesRemaining = Math.round(hoursRemaining * 60);
-  const targetTime = addMinutes(new Date().toISOString(), minutesRemaining);
+  const targetTime = addMinutes(now, minutesRemaining);
+  
+  return {
+    minutes: minutesRemaining,
+    targetTime
+  };
+}
+
+/**
+ * Predict time to reach target using the exponential approach model
+ * 
+ * @param {number} currentTemp - Current internal temperature (°F)
+ * @param {number} targetTemp - Target temperature (°F)
+ * @param {number} ovenTemp - Oven temperature being approached (°F)
+ * @param {number|null} k - Fitted rate constant (per hour)
+ * @param {string} [now] - ISO timestamp to predict from, defaults to the current time
+ * @returns {{minutes: number|null, targetTime: string|null}}
+ */
+export function predictTimeToTargetExponential(currentTemp, targetTemp, ovenTemp, k, now = new Date().toISOString()) {
+  if (k === null || k <= 0 || !ovenTemp || targetTemp >= ovenTemp) {
+    // Target is unreachable at this oven temperature
+    return { minutes: null, targetTime: null };
+  }
+  
+  if (targetTemp - currentTemp <= 0) {
+    return { minutes: 0, targetTime: now };
+  }
+  
+  const hoursRemaining = Math.log((ovenTemp - currentTemp) / (ovenTemp - targetTemp)) / k;
+  const minutesRemaining = Math.round(hoursRemaining * 60);
+  const targetTime = addMinutes(now, minutesRemaining);
   
   return {
     minutes: minutesRemaining,
@@ -130,6 +488,82 @@ export function predictTimeToTarget(currentTemp, targetTemp, rate) {
   };
 }
 
+/**
+ * Turn the uncertainty in the fitted pace into a finish window and the
+ * probability of reaching target by serve time
+ * 
+ * Both models finish after work / pace hours: for the linear model work is
+ * the °F remaining and pace the rate; for the exponential model work is
+ * ln((oven - current) / (oven - target)) and pace is k. The pace is treated
+ * as normally distributed around the fit with the regression's standard error.
+ * 
+ * @param {Object} params
+ * @param {number} params.work - Remaining work in the model's units
+ * @param {number} params.pace - Fitted pace (per hour)
+ * @param {number|null} params.paceStdError - Standard error of the pace
+ * @param {string|null} params.desiredServeTime - ISO timestamp
+ * @param {string} [params.now] - ISO timestamp to predict from, defaults to the current time
+ * @returns {{earliestMinutes: number|null, latestMinutes: number|null, earliestTargetTime: string|null, latestTargetTime: string|null, onTimeProbability: number|null}}
+ */
+export function calculatePredictionUncertainty({ work, pace, paceStdError, desiredServeTime, now = new Date().toISOString() }) {
+  const empty = {
+    earliestMinutes: null,
+    latestMinutes: null,
+    earliestTargetTime: null,
+    latestTargetTime: null,
+    onTimeProbability: null
+  };
+  
+  if (paceStdError === null || paceStdError === undefined || !(pace > 0) || work <= 0) {
+    return empty;
+  }
+  
+  // A near-perfect fit on a few readings understates the real spread
+  const stdError = Math.max(paceStdError, pace * CALCULATION_THRESHOLDS.MIN_PACE_UNCERTAINTY_FRACTION);
+  const z = CALCULATION_THRESHOLDS.PREDICTION_INTERVAL_Z;
+  
+  const fastPace = pace + z * stdError;
+  const slowPace = pace - z * stdError;
+  
+  const earliestMinutes = Math.round((work / fastPace) * 60);
+  // If the slow edge could be stalled, the latest finish is unbounded
+  const latestMinutes = slowPace > 0 ? Math.round((work / slowPace) * 60) : null;
+  
+  let onTimeProbability = null;
+  if (desiredServeTime) {
+    const hoursToServe = minutesBetween(now, desiredServeTime) / 60;
+    if (hoursToServe <= 0) {
+      onTimeProbability = 0;
+    } else {
+      const requiredPace = work / hoursToServe;
+      onTimeProbability = Math.round((1 - normalCdf((requiredPace - pace) / stdError)) * 100) / 100;
+    }
+  }
+  
+  return {
+    earliestMinutes,
+    latestMinutes,
+    earliestTargetTime: addMinutes(now, earliestMinutes),
+    latestTargetTime: latestMinutes === null ? null : addMinutes(now, latestMinutes),
+    onTimeProbability
+  };
+}
+
+/**
+ * Standard normal cumulative distribution function
+ * Abramowitz & Stegun 7.1.26 approximation of erf (error < 1.5e-7)
+ * 
+ * @param {number} z
+ * @returns {number}
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
 /**
  * Calculate schedule variance (how early or late vs desired serve time)
  * 
@@ -187,6 +621,404 @@ export function calculateScheduleVarianceWithThreshold(predictedTargetTime, desi
   };
 }
 
+/**
+ * Estimate how far the internal temperature will keep rising after the roast
+ * comes out of the oven, and the pull temperature that lands on target
+ * 
+ * @param {Object} params
+ * @param {number} params.targetTemp - Desired final temperature (°F)
+ * @param {number|null} params.rate - Current heating rate (°F/hour)
+ * @param {number|null} params.ovenTemp - Current oven temperature (°F), null if off/unknown
+ * @param {number|null} params.weight - Roast weight in pounds
+ * @returns {{carryoverF: number, pullTemp: number}|null} Null without a positive heating rate
+ */
+export function estimateCarryover({ targetTemp, rate, ovenTemp, weight }) {
+  if (rate === null || rate <= CALCULATION_THRESHOLDS.MIN_RATE_FOR_PREDICTION) {
+    return null;
+  }
+  
+  const timeConstantHours = carryoverTimeConstantHours(weight);
+  
+  // Hotter ovens leave a steeper gradient under the surface, so more heat keeps moving inward
+  const ovenFactor = ovenTemp
+    ? Math.min(
+        CARRYOVER_DEFAULTS.MAX_OVEN_FACTOR,
+        Math.max(
+          CARRYOVER_DEFAULTS.MIN_OVEN_FACTOR,
+          (ovenTemp - CARRYOVER_DEFAULTS.AMBIENT_TEMP_F) /
+            (CARRYOVER_DEFAULTS.REFERENCE_OVEN_TEMP_F - CARRYOVER_DEFAULTS.AMBIENT_TEMP_F)
+        )
+      )
+    : 1;
+  
+  const raw = rate * timeConstantHours * ovenFactor;
+  const carryoverF = Math.round(
+    Math.min(CARRYOVER_DEFAULTS.MAX_CARRYOVER_F, Math.max(CARRYOVER_DEFAULTS.MIN_CARRYOVER_F, raw))
+  );
+  
+  return {
+    carryoverF,
+    pullTemp: targetTemp - carryoverF
+  };
+}
+
+/**
+ * How long the centre takes to even out with the outer layers, by weight
+ * @param {number|null} weight - Roast weight in pounds
+ * @returns {number} Hours
+ */
+function carryoverTimeConstantHours(weight) {
+  const weightLb = weight > 0 ? weight : CARRYOVER_DEFAULTS.REFERENCE_WEIGHT_LB;
+  return CARRYOVER_DEFAULTS.REFERENCE_TIME_CONSTANT_HOURS *
+    Math.pow(weightLb / CARRYOVER_DEFAULTS.REFERENCE_WEIGHT_LB, 2 / 3);
+}
+
+/**
+ * Track the rest: how high carryover takes the roast and when it starts to drop
+ * Before any rest readings the rest model is anchored to the carryover
+ * estimate, evening out at the carryover time constant for this weight; rest
+ * readings then fit it (see fitRestModel).
+ * 
+ * @param {Object} params
+ * @param {InternalReading[]} params.restReadings - Governing probe readings since the pull, sorted by timestamp
+ * @param {InternalReading|null} params.pullReading - Last reading before the pull
+ * @param {string} params.restStartTime - ISO timestamp the roast was pulled
+ * @param {number|null} [params.carryoverF] - Expected rise from estimateCarryover
+ * @param {number|null} [params.weight] - Roast weight in pounds
+ * @param {string} [params.now] - ISO timestamp
+ * @returns {{pullTemp: number, peakTemp: number, peakTime: string, minutesToPeak: number, isPastPeak: boolean, estimatedTemp: number, isFitted: boolean, rmse: number|null}|null}
+ *   Null without any reading to start from
+ */
+export function analyzeRest({
+  restReadings,
+  pullReading,
+  restStartTime,
+  carryoverF = null,
+  weight = null,
+  now = new Date().toISOString()
+}) {
+  const pullTemp = pullReading?.temp ?? restReadings[0]?.temp;
+  if (pullTemp === undefined) return null;
+  
+  const rates = {
+    pullTemp,
+    ambientTemp: REST_DEFAULTS.AMBIENT_TEMP_F,
+    coolingRate: REST_DEFAULTS.COOLING_RATE_PER_MIN,
+    equalizationRate: 1 / (carryoverTimeConstantHours(weight) * 60)
+  };
+  const expectedRise = carryoverF ?? CARRYOVER_DEFAULTS.MIN_CARRYOVER_F;
+  const priorEqualizationTemp = equalizationTempForPeak(rates, pullTemp + expectedRise);
+  
+  const fit = fitRestModel(restReadings, {
+    pullTemp,
+    pullTime: restStartTime,
+    priorEqualizationTemp,
+    ambientTemp: rates.ambientTemp,
+    coolingRate: rates.coolingRate
+  });
+  const model = fit ?? { ...rates, equalizationTemp: priorEqualizationTemp };
+  
+  const peak = findRestPeak(model);
+  // A reading above the curve is still the highest the roast got
+  const highestReading = Math.max(...restReadings.map(r => r.temp), -Infinity);
+  const minutesSincePull = Math.max(0, minutesBetween(restStartTime, now));
+  
+  return {
+    pullTemp,
+    peakTemp: Math.round(Math.max(peak.temp, highestReading) * 10) / 10,
+    peakTime: addMinutes(restStartTime, Math.round(peak.minutes)),
+    minutesToPeak: Math.max(0, Math.round(peak.minutes - minutesSincePull)),
+    isPastPeak: minutesSincePull >= peak.minutes,
+    estimatedTemp: Math.round(restTempAt(model, minutesSincePull) * 10) / 10,
+    isFitted: fit !== null,
+    rmse: fit?.rmse ?? null
+  };
+}
+
+/**
+ * Find plateaus in the stall band (evaporative cooling on long cooks)
+ * A plateau is a run of readings inside the band that wanders less than
+ * MAX_RANGE_F and rises slower than MAX_RATE_F_PER_HOUR for at least
+ * MIN_DURATION_MINUTES.
+ * 
+ * @param {InternalReading[]} readings - Readings sorted by timestamp
+ * @returns {Array<{startTime: string, endTime: string, durationMinutes: number, startTemp: number, endTemp: number, plateauTemp: number, endIndex: number}>}
+ */
+export function findStallPeriods(readings) {
+  const periods = [];
+  const inBand = (r) => r.temp >= STALL_THRESHOLDS.MIN_TEMP_F && r.temp <= STALL_THRESHOLDS.MAX_TEMP_F;
+  
+  let i = 0;
+  while (i < readings.length) {
+    if (!inBand(readings[i])) {
+      i++;
+      continue;
+    }
+    
+    // Extend the run while it stays in band and within the allowed range
+    let j = i;
+    let min = readings[i].temp;
+    let max = readings[i].temp;
+    while (j + 1 < readings.length && inBand(readings[j + 1])) {
+      const next = readings[j + 1].temp;
+      if (Math.max(max, next) - Math.min(min, next) > STALL_THRESHOLDS.MAX_RANGE_F) break;
+      min = Math.min(min, next);
+      max = Math.max(max, next);
+      j++;
+    }
+    
+    const run = readings.slice(i, j + 1);
+    const durationMinutes = calculateReadingSpanMinutes(run);
+    
+    if (run.length >= STALL_THRESHOLDS.MIN_READINGS && durationMinutes >= STALL_THRESHOLDS.MIN_DURATION_MINUTES) {
+      const firstTime = new Date(run[0].timestamp).getTime();
+      const fit = linearRegression(run.map(r => ({
+        x: (new Date(r.timestamp).getTime() - firstTime) / (1000 * 60 * 60),
+        y: r.temp
+      })));
+      
+      if (fit && fit.slope <= STALL_THRESHOLDS.MAX_RATE_F_PER_HOUR) {
+        periods.push({
+          startTime: run[0].timestamp,
+          endTime: run[run.length - 1].timestamp,
+          durationMinutes: Math.round(durationMinutes),
+          startTemp: run[0].temp,
+          endTemp: run[run.length - 1].temp,
+          plateauTemp: Math.round(run.reduce((sum, r) => sum + r.temp, 0) / run.length),
+          endIndex: j
+        });
+        i = j + 1;
+        continue;
+      }
+    }
+    
+    i++;
+  }
+  
+  return periods;
+}
+
+/**
+ * Detect whether the roast is currently in a stall and estimate when it will break
+ * 
+ * The expected stall length is the median of past stalls when history is
+ * available, otherwise a typical duration. Once a stall has outlasted that,
+ * a short minimum remaining time is reported rather than zero.
+ * 
+ * @param {InternalReading[]} readings - Readings sorted by timestamp
+ * @param {number[]} [historicalStallMinutes] - Durations of stalls from past cooks
+ * @returns {{isStalled: boolean, startTime: string|null, durationMinutes: number, plateauTemp: number|null, expectedDurationMinutes: number|null, estimatedBreakMinutes: number|null, estimatedBreakTime: string|null, estimateBasis: 'history'|'typical'|null, periods: Array}}
+ */
+export function detectStall(readings, historicalStallMinutes = []) {
+  const periods = findStallPeriods(readings);
+  const latest = periods[periods.length - 1];
+  
+  if (!latest || latest.endIndex !== readings.length - 1) {
+    return {
+      isStalled: false,
+      startTime: null,
+      durationMinutes: 0,
+      plateauTemp: null,
+      expectedDurationMinutes: null,
+      estimatedBreakMinutes: null,
+      estimatedBreakTime: null,
+      estimateBasis: null,
+      periods
+    };
+  }
+  
+  const history = historicalStallMinutes.filter(m => m > 0);
+  const expectedDurationMinutes = history.length > 0
+    ? Math.round(median(history))
+    : STALL_THRESHOLDS.TYPICAL_DURATION_MINUTES;
+  
+  const estimatedBreakMinutes = Math.max(
+    expectedDurationMinutes - latest.durationMinutes,
+    STALL_THRESHOLDS.MIN_REMAINING_MINUTES
+  );
+  
+  return {
+    isStalled: true,
+    startTime: latest.startTime,
+    durationMinutes: latest.durationMinutes,
+    plateauTemp: latest.plateauTemp,
+    expectedDurationMinutes,
+    estimatedBreakMinutes,
+    estimatedBreakTime: addMinutes(latest.endTime, estimatedBreakMinutes),
+    estimateBasis: history.length > 0 ? 'history' : 'typical',
+    periods
+  };
+}
+
+/**
+ * Pull stall durations out of past cook summaries, preferring the same meat type
+ * 
+ * @param {Array<{meatType: string|null, stalls: Array<{durationMinutes: number}>}>} summaries
+ * @param {string|null} [meatType]
+ * @returns {number[]} Stall durations in minutes
+ */
+export function getHistoricalStallMinutes(summaries, meatType = null) {
+  const durations = (list) => list.flatMap(s => (s.stalls || []).map(stall => stall.durationMinutes));
+  
+  if (meatType) {
+    const sameMeat = durations(summaries.filter(s => s.meatType === meatType));
+    if (sameMeat.length > 0) return sameMeat;
+  }
+  
+  return durations(summaries);
+}
+
+/**
+ * Learn a heating profile from past cooks, preferring the same meat type
+ * Each cook's fitted heat-transfer coefficient is scaled to this roast's weight
+ * (h ∝ weight^(-2/3)) and the profile is the log-normal fit of those values.
+ * 
+ * @param {Array<{meatType: string|null, weight: number|null, heatingCoefficient?: number|null}>} summaries
+ * @param {Object} [params]
+ * @param {string|null} [params.meatType]
+ * @param {number|null} [params.weight] - Pounds
+ * @returns {{coefficient: number, logStdDev: number, count: number, sameMeatType: boolean}|null}
+ *   Null without past cooks that had a fitted coefficient
+ */
+export function buildHeatingProfile(summaries, { meatType = null, weight = null } = {}) {
+  const fitted = summaries.filter(s => s.heatingCoefficient > 0);
+  const sameMeat = meatType ? fitted.filter(s => s.meatType === meatType) : [];
+  const cooks = sameMeat.length > 0 ? sameMeat : fitted;
+  if (cooks.length === 0) return null;
+  
+  const referenceWeight = CARRYOVER_DEFAULTS.REFERENCE_WEIGHT_LB;
+  const targetWeight = weight > 0 ? weight : referenceWeight;
+  const logs = cooks.map(s => {
+    const cookWeight = s.weight > 0 ? s.weight : referenceWeight;
+    return Math.log(s.heatingCoefficient * Math.pow(cookWeight / targetWeight, 2 / 3));
+  });
+  
+  const mean = logs.reduce((a, b) => a + b, 0) / logs.length;
+  const logStdDev = logs.length > 1
+    ? Math.sqrt(logs.reduce((sum, x) => sum + (x - mean) ** 2, 0) / (logs.length - 1))
+    : HEATING_PRIOR_DEFAULTS.SINGLE_COOK_LOG_SD;
+  
+  return {
+    coefficient: Math.round(Math.exp(mean) * 10000) / 10000,
+    logStdDev: Math.round(Math.max(logStdDev, HEATING_PRIOR_DEFAULTS.MIN_LOG_SD) * 1000) / 1000,
+    count: cooks.length,
+    sameMeatType: sameMeat.length > 0
+  };
+}
+
+/**
+ * Score a session's prediction trail against when the target was actually reached
+ * The first reading at or above target gives the actual time; only predictions
+ * made before then are scored.
+ * 
+ * @param {Object} params
+ * @param {PredictionRecord[]} params.predictions
+ * @param {InternalReading[]} params.readings - Included readings, sorted by timestamp
+ * @param {number} params.targetTemp - °F
+ * @param {number} [params.thresholdMinutes] - A prediction within this many minutes counts as accurate
+ * @returns {{actualTargetTime: string, count: number, meanAbsoluteErrorMinutes: number, biasMinutes: number, withinThresholdFraction: number, errors: Array<{timestamp: string, errorMinutes: number}>}|null}
+ *   Null until the target is reached, or if nothing was predicted before it
+ */
+export function calculatePredictionAccuracy({ predictions, readings, targetTemp, thresholdMinutes = 10 }) {
+  const reached = readings.find(r => r.temp >= targetTemp);
+  if (!reached) return null;
+  
+  const actualMs = new Date(reached.timestamp).getTime();
+  const errors = predictions
+    .filter(p => p.predictedTargetTime && new Date(p.timestamp).getTime() < actualMs)
+    .map(p => ({
+      timestamp: p.timestamp,
+      // Positive = predicted later than it happened
+      errorMinutes: Math.round(minutesBetween(reached.timestamp, p.predictedTargetTime))
+    }));
+  
+  if (errors.length === 0) return null;
+  
+  const absolute = errors.map(e => Math.abs(e.errorMinutes));
+  
+  return {
+    actualTargetTime: reached.timestamp,
+    count: errors.length,
+    meanAbsoluteErrorMinutes: Math.round(absolute.reduce((a, b) => a + b, 0) / absolute.length * 10) / 10,
+    biasMinutes: Math.round(errors.reduce((sum, e) => sum + e.errorMinutes, 0) / errors.length * 10) / 10,
+    withinThresholdFraction: Math.round(absolute.filter(m => m <= thresholdMinutes).length / absolute.length * 100) / 100,
+    errors
+  };
+}
+
+/**
+ * Summarise a finished session for the cook history
+ * 
+ * @param {Session} session
+ * @returns {Object|null} Summary, or null if there isn't enough data to learn from
+ */
+export function summarizeCook(session) {
+  // Learn from the main roast's governing probe's low-and-slow readings only
+  const settings = session?.settings ?? {};
+  const allProbes = session?.probes ?? [];
+  const probes = getRoastProbes(allProbes, MAIN_ROAST_ID);
+  const roastReadings = filterReadingsByPhase(
+    getRoastReadings(session?.readings ?? [], allProbes, MAIN_ROAST_ID),
+    session?.phases ?? [],
+    'low-and-slow'
+  );
+  const groups = [...groupReadingsByProbe(roastReadings, probes)]
+    .map(([probeId, probeReadings]) => ({ probeId, readings: partitionReadings(probeReadings, settings).readings }));
+  const governingId = selectGoverningProbe(
+    groups.map(g => ({ probeId: g.probeId, currentTemp: g.readings[g.readings.length - 1]?.temp ?? null })),
+    session?.config?.governingProbeId
+  );
+  const readings = groups.find(g => g.probeId === governingId)?.readings ?? [];
+  if (readings.length < 2) return null;
+  
+  const stalls = findStallPeriods(readings).map(period => ({
+    startTemp: period.startTemp,
+    plateauTemp: period.plateauTemp,
+    durationMinutes: period.durationMinutes
+  }));
+  
+  const accuracy = calculatePredictionAccuracy({
+    predictions: session.predictions ?? [],
+    readings,
+    targetTemp: session.config.targetTemp,
+    thresholdMinutes: session.settings?.onTrackThresholdMinutes
+  });
+  
+  // How this roast took up heat, for the next cook's prior
+  const thermalModel = fitThermalModel(
+    readings,
+    applyMeasuredOvenTemps(session.ovenEvents ?? [], session.ovenReadings ?? [])
+  );
+  
+  return {
+    id: session.config.id,
+    meatType: session.config.meatType,
+    weight: session.config.weight,
+    targetTemp: session.config.targetTemp,
+    startedAt: readings[0].timestamp,
+    endedAt: readings[readings.length - 1].timestamp,
+    readingCount: readings.length,
+    stalls,
+    heatingCoefficient: thermalModel?.coefficient ?? null,
+    predictionAccuracy: accuracy && {
+      count: accuracy.count,
+      meanAbsoluteErrorMinutes: accuracy.meanAbsoluteErrorMinutes,
+      biasMinutes: accuracy.biasMinutes
+    }
+  };
+}
+
+/**
+ * Median of a non-empty list of numbers
+ * @param {number[]} values
+ * @returns {number}
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
 /**
  * Assess confidence level of predictions based on data quality
  * 
@@ -195,9 +1027,10 @@ export function calculateScheduleVarianceWithThreshold(predictedTargetTime, desi
  * @param {number} params.timeSpanMinutes - Time span of readings
  * @param {number} params.r2 - R² value from rate calculation
  * @param {number} params.rate - Calculated heating rate
+ * @param {{isStalled: boolean}} [params.stall] - Stall detection result
  * @returns {{level: 'high'|'medium'|'low'|'insufficient', reason: string}}
  */
-export function assessConfidence({ readingCount, timeSpanMinutes, r2, rate }) {
+export function assessConfidence({ readingCount, timeSpanMinutes, r2, rate, stall = null }) {
   // Insufficient data
   if (readingCount < 2) {
     return {
@@ -213,6 +1046,14 @@ export function assessConfidence({ readingCount, timeSpanMinutes, r2, rate }) {
     };
   }
   
+  // A stall explains a flat rate; it isn't a thermometer problem
+  if (stall?.isStalled) {
+    return {
+      level: 'low',
+      reason: 'In the stall; timing depends on when the plateau breaks'
+    };
+  }
+  
   // Check for unreliable rate
   if (rate !== null && rate <= CALCULATION_THRESHOLDS.MIN_RATE_FOR_PREDICTION) {
     return {
@@ -258,18 +1099,141 @@ export function assessConfidence({ readingCount, timeSpanMinutes, r2, rate }) {
   };
 }
 
+/**
+ * Group readings by the probe they came from
+ * Readings with no probe, or one that isn't listed, belong to the first probe.
+ * Without any probes, all readings are grouped under null.
+ * 
+ * @param {InternalReading[]} readings - Sorted by timestamp
+ * @param {Probe[]} probes
+ * @returns {Map<string|null, InternalReading[]>} Probe ID → readings, in probe order
+ */
+export function groupReadingsByProbe(readings, probes) {
+  if (probes.length === 0) {
+    return new Map([[null, [...readings]]]);
+  }
+  
+  const groups = new Map(probes.map(probe => [probe.id, []]));
+  for (const reading of readings) {
+    const group = groups.get(reading.probeId) ?? groups.get(probes[0].id);
+    group.push(reading);
+  }
+  return groups;
+}
+
+/**
+ * Choose the probe that drives the session
+ * The chosen probe wins if it has a temperature; otherwise the coolest probe
+ * governs, since it will be the last to reach target.
+ * 
+ * @param {Array<{probeId: string, currentTemp: number|null}>} probeTemps - In probe order
+ * @param {string|null} [governingProbeId] - User's choice
+ * @returns {string|null}
+ */
+function selectGoverningProbe(probeTemps, governingProbeId = null) {
+  const withTemp = probeTemps.filter(p => p.currentTemp !== null);
+  
+  const chosen = withTemp.find(p => p.probeId === governingProbeId);
+  if (chosen) return chosen.probeId;
+  if (withTemp.length === 0) return probeTemps[0]?.probeId ?? null;
+  
+  return withTemp.reduce((coolest, p) => (p.currentTemp < coolest.currentTemp ? p : coolest)).probeId;
+}
+
 /**
  * Compute all calculations for the current session state
  * This is the main entry point that combines all calculation functions
+ * With several probes, each gets its own rate and ETA and the top-level
+ * values come from the governing probe.
  * 
  * @param {Object} params
  * @param {InternalReading[]} params.readings
+ * @param {Probe[]} [params.probes] - Session probes; readings are split between them
+ * @param {string|null} [params.governingProbeId] - Probe to drive the session; null uses the coolest
  * @param {number} params.targetTemp
  * @param {string|null} params.desiredServeTime
  * @param {AppSettings} params.settings
+ * @param {OvenTempEvent[]} [params.ovenEvents] - Needed for the exponential model
+ * @param {OvenReading[]} [params.ovenReadings] - Measured oven temperatures, used over the set point when present
+ * @param {number[]} [params.stallHistory] - Stall durations (minutes) from past cooks
+ * @param {number|null} [params.weight] - Roast weight in pounds, for carryover
+ * @param {ReturnType<typeof buildHeatingProfile>} [params.heatingProfile] - Prior from past cooks (see buildHeatingProfile)
+ * @param {string} [params.now] - ISO timestamp to calculate as of, defaults to the current time
  * @returns {CalculationResult}
  */
-export function computeSessionCalculations({ readings, targetTemp, desiredServeTime, settings }) {
+export function computeSessionCalculations({
+  readings,
+  probes = [],
+  governingProbeId = null,
+  ovenEvents = [],
+  ovenReadings = [],
+  ...rest
+}) {
+  const params = { ...rest, ovenEvents: applyMeasuredOvenTemps(ovenEvents, ovenReadings) };
+  
+  if (probes.length < 2) {
+    return {
+      ...computeProbeCalculations({ readings, ...params }),
+      governingProbeId: probes[0]?.id ?? null,
+      probes: []
+    };
+  }
+  
+  const groups = groupReadingsByProbe(readings, probes);
+  const results = probes.map(probe => {
+    const probeReadings = groups.get(probe.id);
+    const result = computeProbeCalculations({ readings: probeReadings, ...params });
+    const excluded = new Set(result.excludedReadingIds);
+    const included = probeReadings.filter(r => !excluded.has(r.id));
+    
+    return {
+      probe,
+      result,
+      currentTemp: included.length > 0 ? included[included.length - 1].temp : null
+    };
+  });
+  
+  const governingId = selectGoverningProbe(
+    results.map(r => ({ probeId: r.probe.id, currentTemp: r.currentTemp })),
+    governingProbeId
+  );
+  const governing = results.find(r => r.probe.id === governingId);
+  
+  return {
+    ...governing.result,
+    excludedReadingIds: results.flatMap(r => r.result.excludedReadingIds),
+    suspectReadings: results.flatMap(r => r.result.suspectReadings),
+    governingProbeId: governingId,
+    probes: results.map(({ probe, result, currentTemp }) => ({
+      probeId: probe.id,
+      name: probe.name,
+      currentTemp,
+      currentRate: result.currentRate,
+      predictedMinutesToTarget: result.predictedMinutesToTarget,
+      predictedTargetTime: result.predictedTargetTime,
+      confidence: result.confidence.level
+    }))
+  };
+}
+
+/**
+ * Calculations for a single series of readings (one probe)
+ * @returns {CalculationResult} Without the probe fields
+ */
+function computeProbeCalculations({
+  readings: allReadings,
+  targetTemp,
+  desiredServeTime,
+  settings,
+  ovenEvents = [],
+  stallHistory = [],
+  weight = null,
+  heatingProfile = null,
+  now = new Date().toISOString()
+}) {
+  // Leave out excluded readings (and suspect ones in robust mode)
+  const { readings, excludedReadingIds, suspectReadings } = partitionReadings(allReadings, settings);
+  
   // Handle empty or insufficient readings
   if (readings.length === 0) {
     return {
@@ -279,7 +1243,19 @@ export function computeSessionCalculations({ readings, targetTemp, desiredServeT
       predictedTargetTime: null,
       scheduleVarianceMinutes: null,
       scheduleStatus: 'unknown',
-      confidence: { level: 'insufficient', reason: 'No readings recorded yet' }
+      confidence: {
+        level: 'insufficient',
+        reason: allReadings.length === 0 ? 'No readings recorded yet' : 'All readings are excluded'
+      },
+      predictionModel: 'linear',
+      modelFit: null,
+      stall: null,
+      predictionWindow: null,
+      onTimeProbability: null,
+      carryover: null,
+      heatingPrior: null,
+      excludedReadingIds,
+      suspectReadings
     };
   }
   
@@ -287,19 +1263,92 @@ export function computeSessionCalculations({ readings, targetTemp, desiredServeT
   const timeSpan = calculateReadingSpanMinutes(readings);
   
   // Calculate rates
-  const rateResult = calculateHeatingRate(readings, settings.smoothingWindowReadings);
+  let rateResult = calculateSmoothedRate(readings, settings);
   const averageRate = calculateAverageRate(readings);
   
-  // Assess confidence
-  const confidence = assessConfidence({
-    readingCount: readings.length,
-    timeSpanMinutes: timeSpan,
-    r2: rateResult.r2,
-    rate: rateResult.rate
+  // Choose the prediction model
+  let model = selectPredictionModel({
+    readings,
+    targetTemp,
+    ovenEvents,
+    requestedModel: settings.predictionModel,
+    rateResult
+  });
+  
+  const stall = detectStall(readings, stallHistory);
+  
+  // Lean on past cooks while this one has little data of its own
+  const prior = applyHeatingPrior({
+    profile: heatingProfile,
+    readings,
+    ovenEvents,
+    currentTemp,
+    targetTemp,
+    rateResult,
+    model,
+    stall
   });
+  if (prior) {
+    ({ rateResult, model } = prior);
+  }
   
-  // Predict time to target
-  const prediction = predictTimeToTarget(currentTemp, targetTemp, rateResult.rate);
+  // Assess confidence
+  const confidence = prior && readings.length < 2
+    ? {
+        level: 'low',
+        reason: `Early estimate from ${prior.heatingPrior.count} past cook${prior.heatingPrior.count === 1 ? '' : 's'}`
+      }
+    : assessConfidence({
+        readingCount: readings.length,
+        timeSpanMinutes: timeSpan,
+        r2: model.fit.r2,
+        rate: rateResult.rate,
+        stall
+      });
+  
+  // Predict time to a temperature; during a stall, project from the estimated break
+  const predictTimeTo = (temp) => {
+    const modelPrediction = model.name === 'exponential'
+      ? predictTimeToTargetExponential(currentTemp, temp, model.ovenTemp, model.fit.k, now)
+      : predictTimeToTarget(currentTemp, temp, rateResult.rate, now);
+    
+    if (stall.isStalled && temp > currentTemp) {
+      return predictThroughStall({ readings, currentTemp, targetTemp: temp, stall, settings, now }) ?? modelPrediction;
+    }
+    return modelPrediction;
+  };
+  
+  const prediction = predictTimeTo(targetTemp);
+  
+  let uncertainty = null;
+  if (!stall.isStalled && prediction.minutes > 0) {
+    uncertainty = model.name === 'exponential'
+      ? calculatePredictionUncertainty({
+          work: Math.log((model.ovenTemp - currentTemp) / (model.ovenTemp - targetTemp)),
+          pace: model.fit.k,
+          paceStdError: model.fit.kStdError,
+          desiredServeTime,
+          now
+        })
+      : calculatePredictionUncertainty({
+          work: targetTemp - currentTemp,
+          pace: rateResult.rate,
+          paceStdError: rateResult.rateStdError,
+          desiredServeTime,
+          now
+        });
+  }
+  
+  // Pull temperature accounting for carryover
+  const carryover = computeCarryover({
+    readings,
+    ovenEvents,
+    targetTemp,
+    currentTemp,
+    weight,
+    rate: rateResult.rate,
+    predictTimeTo
+  });
   
   // Calculate schedule variance if serve time is set
   let scheduleVariance = { varianceMinutes: null, status: 'unknown' };
@@ -318,8 +1367,217 @@ export function computeSessionCalculations({ readings, targetTemp, desiredServeT
     predictedTargetTime: prediction.targetTime,
     scheduleVarianceMinutes: scheduleVariance.varianceMinutes,
     scheduleStatus: scheduleVariance.status,
-    confidence
+    confidence,
+    predictionModel: model.name,
+    modelFit: {
+      r2: model.fit.r2,
+      readings: model.fit.readings,
+      timeConstantMinutes: model.fit.timeConstantMinutes ?? null,
+      fallbackReason: model.fallbackReason
+    },
+    stall,
+    predictionWindow: uncertainty?.earliestTargetTime
+      ? {
+          earliestMinutes: uncertainty.earliestMinutes,
+          latestMinutes: uncertainty.latestMinutes,
+          earliestTargetTime: uncertainty.earliestTargetTime,
+          latestTargetTime: uncertainty.latestTargetTime
+        }
+      : null,
+    onTimeProbability: uncertainty?.onTimeProbability ?? null,
+    carryover,
+    heatingPrior: prior?.heatingPrior ?? null,
+    excludedReadingIds,
+    suspectReadings
   };
 }
 
+/**
+ * Blend the observed heating pace with the prior from past cooks
+ * The prior expects h × (oven − meat). It is weighted against the observed
+ * pace (the exponential model's k, or the straight-line rate) by precision,
+ * so it fades as readings accumulate; with no rate yet it is used on its own.
+ * 
+ * @returns {{rateResult: Object, model: Object, heatingPrior: {coefficient: number, count: number, weight: number}}|null}
+ *   Null when the prior doesn't apply (no profile, oven off or too cool, stalled, at target)
+ */
+function applyHeatingPrior({ profile, readings, ovenEvents, currentTemp, targetTemp, rateResult, model, stall }) {
+  if (!profile || stall.isStalled || currentTemp >= targetTemp) return null;
+  
+  const ovenEvent = getOvenEventAt(ovenEvents, readings[readings.length - 1].timestamp);
+  if (!ovenEvent || ovenEvent.isOff) return null;
+  
+  const ovenTemp = model.name === 'exponential' ? model.ovenTemp : effectiveOvenTemp(ovenEvent);
+  if (ovenTemp <= targetTemp) return null;
+  
+  const h = profile.coefficient;
+  const priorRate = h * (ovenTemp - currentTemp);
+  const summary = (weight) => ({ coefficient: h, count: profile.count, weight: Math.round(weight * 100) / 100 });
+  
+  if (rateResult.rate === null) {
+    return {
+      rateResult: {
+        ...rateResult,
+        rate: Math.round(priorRate * 100) / 100,
+        rateStdError: roundStdError(priorRate * profile.logStdDev)
+      },
+      model: {
+        name: 'exponential',
+        fit: {
+          k: h,
+          kStdError: roundStdError(h * profile.logStdDev),
+          r2: 0,
+          readings: readings.length,
+          timeConstantMinutes: Math.round(60 / h)
+        },
+        ovenTemp,
+        fallbackReason: null
+      },
+      heatingPrior: summary(1)
+    };
+  }
+  
+  const isExponential = model.name === 'exponential';
+  const priorPace = isExponential ? h : priorRate;
+  const observedPace = isExponential ? model.fit.k : rateResult.rate;
+  // A near-perfect fit on a few readings says little about this roast yet
+  const observedStdError = Math.max(
+    (isExponential ? model.fit.kStdError : rateResult.rateStdError) ?? 0,
+    Math.abs(observedPace) * HEATING_PRIOR_DEFAULTS.OBSERVED_RELATIVE_ERROR / Math.sqrt(readings.length - 1)
+  );
+  if (!(observedStdError > 0)) return null;
+  
+  const priorPrecision = 1 / (priorPace * profile.logStdDev) ** 2;
+  const observedPrecision = 1 / observedStdError ** 2;
+  const weight = priorPrecision / (priorPrecision + observedPrecision);
+  const pace = weight * priorPace + (1 - weight) * observedPace;
+  const paceStdError = roundStdError(Math.sqrt(1 / (priorPrecision + observedPrecision)));
+  
+  if (isExponential) {
+    return {
+      rateResult: {
+        ...rateResult,
+        rate: Math.round((weight * priorRate + (1 - weight) * rateResult.rate) * 100) / 100
+      },
+      model: {
+        ...model,
+        fit: {
+          ...model.fit,
+          k: Math.round(pace * 10000) / 10000,
+          kStdError: paceStdError,
+          timeConstantMinutes: Math.round(60 / pace)
+        }
+      },
+      heatingPrior: summary(weight)
+    };
+  }
+  
+  return {
+    rateResult: { ...rateResult, rate: Math.round(pace * 100) / 100, rateStdError: paceStdError },
+    model,
+    heatingPrior: summary(weight)
+  };
+}
+
+/**
+ * Combine the carryover estimate with a prediction of when to pull
+ * 
+ * @returns {{carryoverF: number, pullTemp: number, expectedPeakTemp: number, shouldPull: boolean, minutesToPull: number|null, pullTime: string|null}|null}
+ */
+function computeCarryover({ readings, ovenEvents, targetTemp, currentTemp, weight, rate, predictTimeTo }) {
+  const ovenEvent = getOvenEventAt(ovenEvents, readings[readings.length - 1].timestamp);
+  const estimate = estimateCarryover({
+    targetTemp,
+    rate,
+    ovenTemp: ovenEvent && !ovenEvent.isOff ? effectiveOvenTemp(ovenEvent) : null,
+    weight
+  });
+  
+  if (!estimate) return null;
+  
+  const shouldPull = currentTemp >= estimate.pullTemp;
+  const pullPrediction = shouldPull ? { minutes: 0, targetTime: null } : predictTimeTo(estimate.pullTemp);
+  
+  return {
+    ...estimate,
+    expectedPeakTemp: shouldPull ? currentTemp + estimate.carryoverF : targetTemp,
+    shouldPull,
+    minutesToPull: pullPrediction.minutes,
+    pullTime: pullPrediction.targetTime
+  };
+}
+
+/**
+ * Predict completion for a stalled roast: wait out the stall, then resume
+ * at the rate seen before it started
+ * 
+ * @returns {{minutes: number, targetTime: string}|null} Null if there is no usable pre-stall rate
+ */
+function predictThroughStall({ readings, currentTemp, targetTemp, stall, settings, now }) {
+  const stallStart = new Date(stall.startTime).getTime();
+  const preStall = readings.filter(r => new Date(r.timestamp).getTime() <= stallStart);
+  const { rate } = calculateSmoothedRate(preStall, settings);
+  
+  if (rate === null || rate <= CALCULATION_THRESHOLDS.MIN_RATE_FOR_PREDICTION) {
+    return null;
+  }
+  
+  const targetTime = addMinutes(stall.estimatedBreakTime, Math.round(((targetTemp - currentTemp) / rate) * 60));
+  
+  return {
+    minutes: Math.max(0, Math.round(minutesBetween(now, targetTime))),
+    targetTime
+  };
+}
+
+/**
+ * Decide which prediction model to use for this session state
+ * Falls back to linear when the exponential curve can't be fitted
+ * 
+ * @param {Object} params
+ * @param {InternalReading[]} params.readings
+ * @param {number} params.targetTemp
+ * @param {OvenTempEvent[]} params.ovenEvents
+ * @param {'linear'|'exponential'} [params.requestedModel]
+ * @param {{rate: number|null, r2: number, readings: number}} params.rateResult
+ * @returns {{name: 'linear'|'exponential', fit: Object, ovenTemp: number|null, fallbackReason: string|null}}
+ */
+function selectPredictionModel({ readings, targetTemp, ovenEvents, requestedModel, rateResult }) {
+  const linear = (fallbackReason = null) => ({
+    name: 'linear',
+    fit: { r2: rateResult.r2, readings: rateResult.readings, timeConstantMinutes: null },
+    ovenTemp: null,
+    fallbackReason
+  });
+  
+  if (requestedModel !== 'exponential') {
+    return linear();
+  }
+  
+  const ovenEvent = getOvenEventAt(ovenEvents, readings[readings.length - 1].timestamp);
+  if (!ovenEvent || ovenEvent.isOff) {
+    return linear('No oven temperature in effect');
+  }
+  
+  const ovenTemp = effectiveOvenTemp(ovenEvent);
+  if (targetTemp >= ovenTemp) {
+    return linear('Target is at or above the oven temperature');
+  }
+  
+  // Only readings taken since the current oven setting follow a single curve
+  const segmentStart = new Date(ovenEvent.timestamp).getTime();
+  const segment = readings.filter(r => new Date(r.timestamp).getTime() >= segmentStart);
+  const fit = fitExponentialApproach(segment, ovenTemp);
+  
+  if (fit.k === null) {
+    return linear(
+      segment.length < CALCULATION_THRESHOLDS.MIN_READINGS_FOR_EXPONENTIAL
+        ? 'Not enough readings since the last oven change'
+        : 'Readings do not fit an approach to the oven temperature'
+    );
+  }
+  
+  return { name: 'exponential', fit, ovenTemp, fallbackReason: null };
+}
+
 
@@ -7,9 +7,53 @@ import {
   calculateScheduleVariance,
   calculateScheduleVarianceWithThreshold,
   assessConfidence,
-  computeSessionCalculations
+  computeSessionCalculations,
+  fitExponentialApproach,
+  predictTimeToTargetExponential,
+  getOvenEventAt,
+  findStallPeriods,
+  detectStall,
+  getHistoricalStallMinutes,
+  summarizeCook,
+  linearRegression,
+  calculateHeatingRateByTime,
+  calculateWeightedHeatingRate,
+  calculateSmoothedRate,
+  calculatePredictionUncertainty,
+  estimateCarryover,
+  findSuspectReadings,
+  partitionReadings,
+  calculatePredictionAccuracy,
+  groupReadingsByProbe,
+  buildHeatingProfile,
+  analyzeRest
 } from './calculationService.js';
 
+/**
+ * Build readings from a list of temps taken every intervalMinutes
+ */
+function readingsFromTemps(temps, intervalMinutes = 30, from = '2024-01-01T08:00:00Z') {
+  const startMs = new Date(from).getTime();
+  return temps.map((temp, i) => ({
+    temp,
+    timestamp: new Date(startMs + i * intervalMinutes * 60000).toISOString()
+  }));
+}
+
+/**
+ * Build readings following T(t) = oven - (oven - start) * e^(-k*t), one per interval
+ */
+function exponentialReadings({ start, oven, k, count, intervalMinutes = 30, from = '2024-01-01T12:00:00Z' }) {
+  const startMs = new Date(from).getTime();
+  return Array.from({ length: count }, (_, i) => {
+    const hours = (i * intervalMinutes) / 60;
+    return {
+      temp: Math.round((oven - (oven - start) * Math.exp(-k * hours)) * 10) / 10,
+      timestamp: new Date(startMs + i * intervalMinutes * 60000).toISOString()
+    };
+  });
+}
+
 describe('calculateHeatingRate', () => {
   it('returns null when fewer than 2 readings provided', () => {
     const result = calculateHeatingRate([]);
@@ -391,3 +435,922 @@ describe('computeSessionCalculations', () => {
   });
 });
 
+describe('fitExponentialApproach', () => {
+  it('recovers the rate constant of an exponential approach', () => {
+    const readings = exponentialReadings({ start: 40, oven: 225, k: 0.3, count: 6 });
+    const result = fitExponentialApproach(readings, 225);
+    
+    expect(result.k).toBeCloseTo(0.3, 2);
+    expect(result.r2).toBeGreaterThan(0.99);
+    expect(result.timeConstantMinutes).toBe(200);
+  });
+  
+  it('returns null k with too few readings', () => {
+    const readings = exponentialReadings({ start: 40, oven: 225, k: 0.3, count: 2 });
+    expect(fitExponentialApproach(readings, 225).k).toBeNull();
+  });
+  
+  it('returns null k when a reading is at or above oven temperature', () => {
+    const readings = [
+      { temp: 200, timestamp: '2024-01-01T12:00:00Z' },
+      { temp: 215, timestamp: '2024-01-01T12:30:00Z' },
+      { temp: 226, timestamp: '2024-01-01T13:00:00Z' }
+    ];
+    expect(fitExponentialApproach(readings, 225).k).toBeNull();
+  });
+  
+  it('returns null k when temperature is moving away from the oven temperature', () => {
+    const readings = [
+      { temp: 120, timestamp: '2024-01-01T12:00:00Z' },
+      { temp: 118, timestamp: '2024-01-01T12:30:00Z' },
+      { temp: 115, timestamp: '2024-01-01T13:00:00Z' }
+    ];
+    expect(fitExponentialApproach(readings, 225).k).toBeNull();
+  });
+});
+
+describe('predictTimeToTargetExponential', () => {
+  it('solves for the time to reach target', () => {
+    // ln((225-100)/(225-125)) / 0.3 = 0.744 hours
+    const result = predictTimeToTargetExponential(100, 125, 225, 0.3);
+    expect(result.minutes).toBe(45);
+    expect(result.targetTime).toBeTruthy();
+  });
+  
+  it('returns 0 minutes when target already reached', () => {
+    expect(predictTimeToTargetExponential(130, 125, 225, 0.3).minutes).toBe(0);
+  });
+  
+  it('returns null when target is at or above oven temperature', () => {
+    expect(predictTimeToTargetExponential(100, 225, 225, 0.3).minutes).toBeNull();
+  });
+  
+  it('returns null without a valid rate constant', () => {
+    expect(predictTimeToTargetExponential(100, 125, 225, null).minutes).toBeNull();
+    expect(predictTimeToTargetExponential(100, 125, 225, 0).minutes).toBeNull();
+  });
+});
+
+describe('getOvenEventAt', () => {
+  const events = [
+    { setTemp: 225, timestamp: '2024-01-01T12:00:00Z', isOff: false },
+    { setTemp: 200, timestamp: '2024-01-01T14:00:00Z', isOff: false }
+  ];
+  
+  it('returns the latest event at or before the given time', () => {
+    expect(getOvenEventAt(events, '2024-01-01T13:00:00Z').setTemp).toBe(225);
+    expect(getOvenEventAt(events, '2024-01-01T14:00:00Z').setTemp).toBe(200);
+  });
+  
+  it('returns null before the first event', () => {
+    expect(getOvenEventAt(events, '2024-01-01T11:00:00Z')).toBeNull();
+  });
+});
+
+describe('computeSessionCalculations with exponential model', () => {
+  const defaultSettings = {
+    smoothingWindowReadings: 3,
+    onTrackThresholdMinutes: 10
+  };
+  const ovenEvents = [{ setTemp: 225, timestamp: '2024-01-01T12:00:00Z', isOff: false }];
+  const readings = exponentialReadings({ start: 40, oven: 225, k: 0.25, count: 5 });
+  
+  it('uses the linear model by default', () => {
+    const result = computeSessionCalculations({
+      readings,
+      targetTemp: 130,
+      desiredServeTime: null,
+      settings: defaultSettings,
+      ovenEvents
+    });
+    
+    expect(result.predictionModel).toBe('linear');
+    expect(result.modelFit.timeConstantMinutes).toBeNull();
+  });
+  
+  it('predicts a later finish than the linear model', () => {
+    const linear = computeSessionCalculations({
+      readings,
+      targetTemp: 130,
+      desiredServeTime: null,
+      settings: defaultSettings,
+      ovenEvents
+    });
+    const exponential = computeSessionCalculations({
+      readings,
+      targetTemp: 130,
+      desiredServeTime: null,
+      settings: { ...defaultSettings, predictionModel: 'exponential' },
+      ovenEvents
+    });
+    
+    expect(exponential.predictionModel).toBe('exponential');
+    expect(exponential.modelFit.r2).toBeGreaterThan(0.99);
+    expect(exponential.modelFit.fallbackReason).toBeNull();
+    expect(exponential.predictedMinutesToTarget).toBeGreaterThan(linear.predictedMinutesToTarget);
+  });
+  
+  it('only fits readings since the last oven change', () => {
+    const changed = [
+      ...ovenEvents,
+      { setTemp: 250, timestamp: '2024-01-01T13:45:00Z', isOff: false }
+    ];
+    
+    const result = computeSessionCalculations({
+      readings,
+      targetTemp: 130,
+      desiredServeTime: null,
+      settings: { ...defaultSettings, predictionModel: 'exponential' },
+      ovenEvents: changed
+    });
+    
+    // Only the 14:00 reading follows the new setting
+    expect(result.predictionModel).toBe('linear');
+    expect(result.modelFit.fallbackReason).toMatch(/Not enough readings/);
+  });
+  
+  it('falls back to linear when the oven is off', () => {
+    const result = computeSessionCalculations({
+      readings,
+      targetTemp: 130,
+      desiredServeTime: null,
+      settings: { ...defaultSettings, predictionModel: 'exponential' },
+      ovenEvents: [...ovenEvents, { setTemp: 0, timestamp: '2024-01-01T13:00:00Z', isOff: true }]
+    });
+    
+    expect(result.predictionModel).toBe('linear');
+    expect(result.modelFit.fallbackReason).toBeTruthy();
+  });
+  
+  it('falls back to linear without oven events', () => {
+    const result = computeSessionCalculations({
+      readings,
+      targetTemp: 130,
+      desiredServeTime: null,
+      settings: { ...defaultSettings, predictionModel: 'exponential' }
+    });
+    
+    expect(result.predictionModel).toBe('linear');
+  });
+  
+  it('uses the measured oven temperature over the set point', () => {
+    const settings = { ...defaultSettings, predictionModel: 'exponential' };
+    const actual = computeSessionCalculations({
+      readings,
+      targetTemp: 130,
+      desiredServeTime: null,
+      settings,
+      ovenEvents
+    });
+    
+    // Dial says 250 but the oven really runs at 225
+    const result = computeSessionCalculations({
+      readings,
+      targetTemp: 130,
+      desiredServeTime: null,
+      settings,
+      ovenEvents: [{ setTemp: 250, timestamp: '2024-01-01T12:00:00Z', isOff: false }],
+      ovenReadings: [
+        { id: 'o1', temp: 224, timestamp: '2024-01-01T12:30:00Z' },
+        { id: 'o2', temp: 226, timestamp: '2024-01-01T13:30:00Z' }
+      ]
+    });
+    
+    expect(result.predictionModel).toBe('exponential');
+    expect(result.predictedMinutesToTarget).toBe(actual.predictedMinutesToTarget);
+  });
+});
+
+describe('findStallPeriods', () => {
+  it('finds a plateau in the stall band', () => {
+    const readings = readingsFromTemps([120, 135, 148, 156, 157, 157, 158, 159, 170, 182]);
+    const periods = findStallPeriods(readings);
+    
+    expect(periods).toHaveLength(1);
+    expect(periods[0].startTemp).toBe(156);
+    expect(periods[0].endTemp).toBe(159);
+    expect(periods[0].durationMinutes).toBe(120);
+  });
+  
+  it('ignores steady heating through the band', () => {
+    const readings = readingsFromTemps([140, 150, 160, 170, 180]);
+    expect(findStallPeriods(readings)).toHaveLength(0);
+  });
+  
+  it('ignores slow heating below the band', () => {
+    const readings = readingsFromTemps([120, 121, 121, 122, 122]);
+    expect(findStallPeriods(readings)).toHaveLength(0);
+  });
+  
+  it('requires the plateau to last long enough', () => {
+    const readings = readingsFromTemps([156, 157, 157], 10);
+    expect(findStallPeriods(readings)).toHaveLength(0);
+  });
+});
+
+describe('detectStall', () => {
+  const stalled = readingsFromTemps([120, 135, 148, 156, 157, 157, 158]);
+  
+  it('reports an active stall with a typical duration estimate', () => {
+    const result = detectStall(stalled);
+    
+    expect(result.isStalled).toBe(true);
+    expect(result.durationMinutes).toBe(90);
+    expect(result.estimateBasis).toBe('typical');
+    expect(result.estimatedBreakMinutes).toBe(60); // 150 typical - 90 so far
+    expect(result.estimatedBreakTime).toBe('2024-01-01T12:00:00.000Z');
+  });
+  
+  it('uses the median of historical stalls when available', () => {
+    const result = detectStall(stalled, [120, 200, 240]);
+    
+    expect(result.estimateBasis).toBe('history');
+    expect(result.expectedDurationMinutes).toBe(200);
+    expect(result.estimatedBreakMinutes).toBe(110);
+  });
+  
+  it('keeps a minimum remaining time once the stall outlasts the estimate', () => {
+    const result = detectStall(stalled, [60]);
+    expect(result.estimatedBreakMinutes).toBe(15);
+  });
+  
+  it('is not stalled once temperature climbs out of the plateau', () => {
+    const readings = readingsFromTemps([120, 135, 148, 156, 157, 157, 158, 170]);
+    const result = detectStall(readings);
+    
+    expect(result.isStalled).toBe(false);
+    expect(result.periods).toHaveLength(1);
+  });
+});
+
+describe('getHistoricalStallMinutes', () => {
+  const summaries = [
+    { meatType: 'Pork Shoulder', stalls: [{ durationMinutes: 180 }] },
+    { meatType: 'Prime Rib', stalls: [] },
+    { meatType: 'Beef Brisket', stalls: [{ durationMinutes: 240 }] }
+  ];
+  
+  it('prefers stalls from the same meat type', () => {
+    expect(getHistoricalStallMinutes(summaries, 'Pork Shoulder')).toEqual([180]);
+  });
+  
+  it('falls back to all stalls', () => {
+    expect(getHistoricalStallMinutes(summaries, 'Leg of Lamb')).toEqual([180, 240]);
+    expect(getHistoricalStallMinutes(summaries)).toEqual([180, 240]);
+  });
+});
+
+describe('summarizeCook', () => {
+  it('records stall durations from the session', () => {
+    const session = {
+      config: { id: 'abc', meatType: 'Pork Shoulder', weight: 8, targetTemp: 195 },
+      readings: readingsFromTemps([120, 135, 148, 156, 157, 157, 158, 170, 185, 195])
+    };
+    const summary = summarizeCook(session);
+    
+    expect(summary.meatType).toBe('Pork Shoulder');
+    expect(summary.readingCount).toBe(10);
+    expect(summary.stalls).toEqual([{ startTemp: 156, plateauTemp: 157, durationMinutes: 90 }]);
+  });
+  
+  it('returns null without enough readings', () => {
+    expect(summarizeCook({ config: { id: 'abc' }, readings: [] })).toBeNull();
+  });
+  
+  it('leaves out readings from the rest', () => {
+    const readings = readingsFromTemps([120, 135, 148, 156, 157, 157, 158, 170, 185, 195, 199, 197]);
+    const session = {
+      config: { id: 'abc', meatType: 'Pork Shoulder', weight: 8, targetTemp: 195 },
+      readings,
+      phases: [
+        { id: 'p1', phase: 'low-and-slow', timestamp: readings[0].timestamp },
+        { id: 'p2', phase: 'rest', timestamp: readings[10].timestamp }
+      ]
+    };
+    
+    const summary = summarizeCook(session);
+    
+    expect(summary.readingCount).toBe(10);
+    expect(summary.endedAt).toBe(readings[9].timestamp);
+  });
+});
+
+describe('analyzeRest', () => {
+  const pullTime = '2024-01-01T18:00:00.000Z';
+  const at = (minutes) => new Date(new Date(pullTime).getTime() + minutes * 60000).toISOString();
+  const pullReading = { temp: 125, timestamp: at(-5) };
+  
+  it('expects the carryover estimate before any rest readings', () => {
+    const rest = analyzeRest({ restReadings: [], pullReading, restStartTime: pullTime, carryoverF: 6, weight: 5, now: at(2) });
+    
+    expect(rest.peakTemp).toBeCloseTo(131, 0);
+    expect(rest.isFitted).toBe(false);
+    expect(rest.isPastPeak).toBe(false);
+    expect(rest.minutesToPeak).toBeGreaterThan(10);
+    expect(rest.estimatedTemp).toBeGreaterThan(125);
+  });
+  
+  it('fits the rest readings', () => {
+    // Rose 4°F in 15 minutes, then started to drop
+    const restReadings = readingsFromTemps([127.2, 128.4, 128.8, 128.8, 127.8, 126], 5, at(5));
+    const rest = analyzeRest({ restReadings, pullReading, restStartTime: pullTime, carryoverF: 10, weight: 5, now: at(30) });
+    
+    expect(rest.isFitted).toBe(true);
+    expect(rest.peakTemp).toBeCloseTo(128.8, 0);
+    expect(rest.isPastPeak).toBe(true);
+    expect(rest.minutesToPeak).toBe(0);
+    expect(new Date(rest.peakTime) < new Date(at(25))).toBe(true);
+  });
+  
+  it('starts from the first rest reading without a pull reading', () => {
+    const restReadings = readingsFromTemps([130], 5, at(5));
+    
+    expect(analyzeRest({ restReadings, pullReading: null, restStartTime: pullTime, now: at(6) }).pullTemp).toBe(130);
+    expect(analyzeRest({ restReadings: [], pullReading: null, restStartTime: pullTime })).toBeNull();
+  });
+});
+
+describe('heating profiles from past cooks', () => {
+  const settings = {
+    smoothingWindowReadings: 3,
+    onTrackThresholdMinutes: 10
+  };
+  const ovenEvents = [{ setTemp: 225, timestamp: '2024-01-01T12:00:00Z', isOff: false }];
+  const profile = { coefficient: 0.3, logStdDev: 0.2, count: 3, sameMeatType: true };
+  
+  it('records the fitted heating coefficient in the cook summary', () => {
+    const summary = summarizeCook({
+      config: { id: 'abc', targetTemp: 130 },
+      readings: exponentialReadings({ start: 40, oven: 225, k: 0.3, count: 8 }),
+      ovenEvents
+    });
+    
+    expect(summary.heatingCoefficient).toBeCloseTo(0.3, 2);
+    expect(summarizeCook({ config: { id: 'abc' }, readings: readingsFromTemps([40, 60]) }).heatingCoefficient).toBeNull();
+  });
+  
+  it('prefers cooks of the same meat type and scales them to the weight', () => {
+    const summaries = [
+      { meatType: 'Prime Rib', weight: 8, heatingCoefficient: 0.2 },
+      { meatType: 'Prime Rib', weight: 8, heatingCoefficient: 0.2 },
+      { meatType: 'Pork Shoulder', weight: 8, heatingCoefficient: 0.5 },
+      { meatType: 'Prime Rib', weight: 8, heatingCoefficient: null }
+    ];
+    
+    expect(buildHeatingProfile(summaries, { meatType: 'Prime Rib', weight: 8 })).toEqual({
+      coefficient: 0.2,
+      logStdDev: 0.15,
+      count: 2,
+      sameMeatType: true
+    });
+    // Half the weight heats 2^(2/3) times faster
+    expect(buildHeatingProfile(summaries, { meatType: 'Prime Rib', weight: 4 }).coefficient).toBeCloseTo(0.2 * 2 ** (2 / 3), 3);
+    expect(buildHeatingProfile(summaries, { meatType: 'Lamb' })).toMatchObject({ count: 3, sameMeatType: false });
+  });
+  
+  it('assumes a wide spread from a single cook and needs at least one', () => {
+    expect(buildHeatingProfile([{ meatType: 'Lamb', weight: 5, heatingCoefficient: 0.3 }]).logStdDev).toBe(0.4);
+    expect(buildHeatingProfile([])).toBeNull();
+  });
+  
+  it('gives an early estimate from the first reading', () => {
+    const params = {
+      readings: [{ temp: 40, timestamp: '2024-01-01T12:00:00Z' }],
+      targetTemp: 130,
+      desiredServeTime: null,
+      settings,
+      ovenEvents,
+      now: '2024-01-01T12:00:00Z'
+    };
+    
+    const result = computeSessionCalculations({ ...params, heatingProfile: profile });
+    
+    expect(result.predictedMinutesToTarget).toBe(Math.round(Math.log(185 / 95) / 0.3 * 60));
+    expect(result.currentRate).toBeCloseTo(0.3 * 185, 1);
+    expect(result.confidence).toEqual({ level: 'low', reason: 'Early estimate from 3 past cooks' });
+    expect(result.heatingPrior).toEqual({ coefficient: 0.3, count: 3, weight: 1 });
+    expect(result.predictionWindow.earliestMinutes).toBeLessThan(result.predictedMinutesToTarget);
+    
+    expect(computeSessionCalculations(params).predictedMinutesToTarget).toBeNull();
+  });
+  
+  it('blends toward the observed data as readings accumulate', () => {
+    // This roast heats more slowly than past cooks suggest
+    const readings = exponentialReadings({ start: 40, oven: 225, k: 0.2, count: 8, intervalMinutes: 20 });
+    const calculate = (count, heatingProfile = null) => computeSessionCalculations({
+      readings: readings.slice(0, count),
+      targetTemp: 130,
+      desiredServeTime: null,
+      settings: { ...settings, predictionModel: 'exponential' },
+      ovenEvents,
+      heatingProfile,
+      now: readings[count - 1].timestamp
+    });
+    
+    const early = calculate(3, profile);
+    const late = calculate(8, profile);
+    
+    expect(late.heatingPrior.weight).toBeLessThan(early.heatingPrior.weight);
+    expect(early.predictedMinutesToTarget).toBeLessThan(calculate(3).predictedMinutesToTarget);
+    expect(Math.abs(late.predictedMinutesToTarget - calculate(8).predictedMinutesToTarget)).toBeLessThanOrEqual(
+      Math.abs(early.predictedMinutesToTarget - calculate(3).predictedMinutesToTarget)
+    );
+  });
+  
+  it('is not used while the oven is off', () => {
+    const result = computeSessionCalculations({
+      readings: [{ temp: 40, timestamp: '2024-01-01T12:30:00Z' }],
+      targetTemp: 130,
+      desiredServeTime: null,
+      settings,
+      ovenEvents: [...ovenEvents, { setTemp: 0, timestamp: '2024-01-01T12:15:00Z', isOff: true }],
+      heatingProfile: profile
+    });
+    
+    expect(result.heatingPrior).toBeNull();
+    expect(result.predictedMinutesToTarget).toBeNull();
+  });
+});
+
+describe('calculatePredictionAccuracy', () => {
+  // Target 125 is first reached by the 09:30 reading
+  const readings = readingsFromTemps([100, 110, 120, 130]);
+  const predictions = [
+    { timestamp: '2024-01-01T08:30:00Z', predictedTargetTime: '2024-01-01T09:50:00Z' },
+    { timestamp: '2024-01-01T09:00:00Z', predictedTargetTime: '2024-01-01T09:25:00Z' },
+    { timestamp: '2024-01-01T09:45:00Z', predictedTargetTime: '2024-01-01T09:45:00Z' }
+  ];
+  
+  it('scores predictions made before the target was reached', () => {
+    const accuracy = calculatePredictionAccuracy({ predictions, readings, targetTemp: 125, thresholdMinutes: 10 });
+    
+    expect(accuracy.actualTargetTime).toBe('2024-01-01T09:30:00.000Z');
+    expect(accuracy.errors).toEqual([
+      { timestamp: '2024-01-01T08:30:00Z', errorMinutes: 20 },
+      { timestamp: '2024-01-01T09:00:00Z', errorMinutes: -5 }
+    ]);
+    expect(accuracy.meanAbsoluteErrorMinutes).toBe(12.5);
+    expect(accuracy.biasMinutes).toBe(7.5);
+    expect(accuracy.withinThresholdFraction).toBe(0.5);
+  });
+  
+  it('returns null until the target is reached', () => {
+    expect(calculatePredictionAccuracy({ predictions, readings, targetTemp: 135 })).toBeNull();
+  });
+  
+  it('is included in the cook summary', () => {
+    const summary = summarizeCook({
+      config: { id: 'abc', targetTemp: 125 },
+      readings,
+      predictions
+    });
+    
+    expect(summary.predictionAccuracy).toEqual({ count: 2, meanAbsoluteErrorMinutes: 12.5, biasMinutes: 7.5 });
+  });
+});
+
+describe('stall-aware calculations', () => {
+  const settings = { smoothingWindowReadings: 3, onTrackThresholdMinutes: 10 };
+  const readings = readingsFromTemps([120, 135, 148, 156, 157, 157, 158]);
+  
+  it('does not blame the thermometer during a stall', () => {
+    const confidence = assessConfidence({
+      readingCount: 7,
+      timeSpanMinutes: 180,
+      r2: 0.4,
+      rate: 0.05,
+      stall: { isStalled: true }
+    });
+    
+    expect(confidence.level).toBe('low');
+    expect(confidence.reason).not.toMatch(/thermometer|fluctuating|slow or negative/);
+  });
+  
+  it('projects the finish from the stall break and the pre-stall rate', () => {
+    const result = computeSessionCalculations({
+      readings,
+      targetTemp: 195,
+      desiredServeTime: null,
+      settings
+    });
+    
+    expect(result.stall.isStalled).toBe(true);
+    // Break at 12:00, then (195-158) at the pre-stall rate of 21°F/hr ≈ 106 minutes
+    expect(result.predictedTargetTime).toBe('2024-01-01T13:46:00.000Z');
+  });
+});
+
+describe('linearRegression', () => {
+  it('fits an unweighted line', () => {
+    const fit = linearRegression([{ x: 0, y: 1 }, { x: 1, y: 3 }, { x: 2, y: 5 }]);
+    expect(fit.slope).toBeCloseTo(2);
+    expect(fit.intercept).toBeCloseTo(1);
+    expect(fit.r2).toBeCloseTo(1);
+  });
+  
+  it('lets heavier points pull the fit', () => {
+    const points = [{ x: 0, y: 0 }, { x: 1, y: 10 }, { x: 2, y: 10 }];
+    const unweighted = linearRegression(points);
+    const weighted = linearRegression(points.map((p, i) => ({ ...p, w: i === 0 ? 0.01 : 1 })));
+    
+    expect(weighted.slope).toBeLessThan(unweighted.slope);
+  });
+  
+  it('returns null when x has no spread', () => {
+    expect(linearRegression([{ x: 1, y: 1 }, { x: 1, y: 2 }])).toBeNull();
+  });
+});
+
+describe('calculateHeatingRateByTime', () => {
+  // Two readings a minute apart, then a 40-minute gap
+  const irregular = [
+    { temp: 100, timestamp: '2024-01-01T12:00:00Z' },
+    { temp: 110, timestamp: '2024-01-01T12:30:00Z' },
+    { temp: 111, timestamp: '2024-01-01T12:31:00Z' },
+    { temp: 124, timestamp: '2024-01-01T13:11:00Z' }
+  ];
+  
+  it('uses only readings inside the window', () => {
+    const readings = [
+      { temp: 100, timestamp: '2024-01-01T12:00:00Z' },
+      { temp: 110, timestamp: '2024-01-01T13:00:00Z' },
+      { temp: 112, timestamp: '2024-01-01T13:30:00Z' },
+      { temp: 114, timestamp: '2024-01-01T14:00:00Z' }
+    ];
+    const result = calculateHeatingRateByTime(readings, 60);
+    
+    expect(result.readings).toBe(3);
+    expect(result.rate).toBe(4);
+  });
+  
+  it('reaches back past the window when it holds a single reading', () => {
+    const result = calculateHeatingRateByTime(irregular, 30);
+    
+    expect(result.readings).toBe(2);
+    expect(result.rate).toBe(19.5); // 13°F over 40 minutes
+  });
+  
+  it('is steadier than a reading-count window under irregular cadence', () => {
+    const readings = [
+      { temp: 100, timestamp: '2024-01-01T12:00:00Z' },
+      { temp: 110, timestamp: '2024-01-01T12:40:00Z' },
+      { temp: 112, timestamp: '2024-01-01T12:41:00Z' }
+    ];
+    
+    // The last two readings are a minute apart, so a 2-reading window sees 120°F/hr
+    expect(calculateHeatingRate(readings, 2).rate).toBe(120);
+    expect(calculateHeatingRateByTime(readings, 45).rate).toBeLessThan(20);
+  });
+});
+
+describe('calculateWeightedHeatingRate', () => {
+  it('matches the true rate for steady heating', () => {
+    const readings = [
+      { temp: 100, timestamp: '2024-01-01T12:00:00Z' },
+      { temp: 105, timestamp: '2024-01-01T13:00:00Z' },
+      { temp: 110, timestamp: '2024-01-01T14:00:00Z' }
+    ];
+    expect(calculateWeightedHeatingRate(readings, 30).rate).toBe(5);
+  });
+  
+  it('favours recent readings when the rate changes', () => {
+    const readings = [
+      { temp: 100, timestamp: '2024-01-01T12:00:00Z' },
+      { temp: 120, timestamp: '2024-01-01T13:00:00Z' },
+      { temp: 140, timestamp: '2024-01-01T14:00:00Z' },
+      { temp: 145, timestamp: '2024-01-01T15:00:00Z' },
+      { temp: 150, timestamp: '2024-01-01T16:00:00Z' }
+    ];
+    const short = calculateWeightedHeatingRate(readings, 20);
+    const long = calculateWeightedHeatingRate(readings, 600);
+    
+    expect(short.rate).toBeLessThan(long.rate);
+    expect(short.rate).toBeLessThan(8);
+  });
+  
+  it('returns null with fewer than 2 readings', () => {
+    expect(calculateWeightedHeatingRate([{ temp: 100, timestamp: '2024-01-01T12:00:00Z' }]).rate).toBeNull();
+  });
+});
+
+describe('calculateSmoothedRate', () => {
+  const readings = [
+    { temp: 100, timestamp: '2024-01-01T12:00:00Z' },
+    { temp: 110, timestamp: '2024-01-01T13:00:00Z' },
+    { temp: 112, timestamp: '2024-01-01T13:30:00Z' },
+    { temp: 114, timestamp: '2024-01-01T14:00:00Z' }
+  ];
+  
+  it('defaults to the reading-count window', () => {
+    const result = calculateSmoothedRate(readings, { smoothingWindowReadings: 4 });
+    expect(result.readings).toBe(4);
+  });
+  
+  it('honours the time smoothing mode', () => {
+    const result = calculateSmoothedRate(readings, {
+      smoothingMode: 'time',
+      smoothingWindowReadings: 4,
+      smoothingWindowMinutes: 60
+    });
+    expect(result.readings).toBe(3);
+  });
+  
+  it('is used by computeSessionCalculations', () => {
+    const result = computeSessionCalculations({
+      readings,
+      targetTemp: 125,
+      desiredServeTime: null,
+      settings: {
+        smoothingMode: 'time',
+        smoothingWindowReadings: 4,
+        smoothingWindowMinutes: 60,
+        onTrackThresholdMinutes: 10
+      }
+    });
+    expect(result.currentRate).toBe(4);
+  });
+});
+
+describe('prediction uncertainty', () => {
+  const hoursFromNow = (hours) => new Date(Date.now() + hours * 3600000).toISOString();
+  
+  it('reports the slope standard error from regression', () => {
+    const fit = linearRegression([{ x: 0, y: 0 }, { x: 1, y: 11 }, { x: 2, y: 19 }, { x: 3, y: 31 }]);
+    expect(fit.slopeStdError).toBeGreaterThan(0);
+    expect(linearRegression([{ x: 0, y: 0 }, { x: 1, y: 10 }]).slopeStdError).toBeNull();
+  });
+  
+  it('brackets the point estimate with an earliest and latest finish', () => {
+    // 20°F to go at 10°F/hr = 120 minutes
+    const result = calculatePredictionUncertainty({ work: 20, pace: 10, paceStdError: 1, desiredServeTime: null });
+    
+    expect(result.earliestMinutes).toBeLessThan(120);
+    expect(result.latestMinutes).toBeGreaterThan(120);
+    expect(result.earliestTargetTime).toBeTruthy();
+    expect(result.onTimeProbability).toBeNull();
+  });
+  
+  it('leaves the latest finish open when the rate could be zero', () => {
+    const result = calculatePredictionUncertainty({ work: 20, pace: 2, paceStdError: 5, desiredServeTime: null });
+    expect(result.latestMinutes).toBeNull();
+    expect(result.latestTargetTime).toBeNull();
+  });
+  
+  it('gives a 50% chance when the prediction lands on serve time', () => {
+    const result = calculatePredictionUncertainty({ work: 20, pace: 10, paceStdError: 1, desiredServeTime: hoursFromNow(2) });
+    expect(result.onTimeProbability).toBeCloseTo(0.5, 1);
+  });
+  
+  it('gives high and low chances for generous and tight serve times', () => {
+    const generous = calculatePredictionUncertainty({ work: 20, pace: 10, paceStdError: 1, desiredServeTime: hoursFromNow(4) });
+    const tight = calculatePredictionUncertainty({ work: 20, pace: 10, paceStdError: 1, desiredServeTime: hoursFromNow(1) });
+    
+    expect(generous.onTimeProbability).toBeGreaterThan(0.95);
+    expect(tight.onTimeProbability).toBeLessThan(0.05);
+  });
+  
+  it('applies a minimum uncertainty to perfect fits', () => {
+    const result = calculatePredictionUncertainty({ work: 20, pace: 10, paceStdError: 0, desiredServeTime: null });
+    expect(result.latestMinutes).toBeGreaterThan(result.earliestMinutes);
+  });
+  
+  it('returns nothing without a standard error', () => {
+    const result = calculatePredictionUncertainty({ work: 20, pace: 10, paceStdError: null, desiredServeTime: null });
+    expect(result.earliestTargetTime).toBeNull();
+  });
+  
+  it('is included in session calculations', () => {
+    const start = Date.now() - 2 * 3600000;
+    const readings = [0, 30, 60, 90, 120].map((minutes, i) => ({
+      temp: 80 + i * 5 + (i % 2 ? 0.5 : -0.5),
+      timestamp: new Date(start + minutes * 60000).toISOString()
+    }));
+    
+    const result = computeSessionCalculations({
+      readings,
+      targetTemp: 125,
+      desiredServeTime: hoursFromNow(3),
+      settings: { smoothingWindowReadings: 5, onTrackThresholdMinutes: 10 }
+    });
+    
+    expect(result.predictionWindow.earliestMinutes).toBeLessThan(result.predictedMinutesToTarget);
+    expect(result.onTimeProbability).toBeGreaterThan(0);
+    expect(result.onTimeProbability).toBeLessThanOrEqual(1);
+  });
+});
+
+describe('estimateCarryover', () => {
+  it('scales with heating rate', () => {
+    const slow = estimateCarryover({ targetTemp: 130, rate: 10, ovenTemp: 225, weight: 5 });
+    const fast = estimateCarryover({ targetTemp: 130, rate: 30, ovenTemp: 225, weight: 5 });
+    
+    expect(slow.carryoverF).toBe(3); // 10°F/hr × 0.3 hr
+    expect(fast.carryoverF).toBe(9);
+    expect(fast.pullTemp).toBe(121);
+  });
+  
+  it('grows with roast weight and oven temperature', () => {
+    const base = estimateCarryover({ targetTemp: 130, rate: 15, ovenTemp: 225, weight: 5 });
+    const heavier = estimateCarryover({ targetTemp: 130, rate: 15, ovenTemp: 225, weight: 15 });
+    const hotter = estimateCarryover({ targetTemp: 130, rate: 15, ovenTemp: 350, weight: 5 });
+    
+    expect(heavier.carryoverF).toBeGreaterThan(base.carryoverF);
+    expect(hotter.carryoverF).toBeGreaterThan(base.carryoverF);
+  });
+  
+  it('clamps to a sensible range', () => {
+    expect(estimateCarryover({ targetTemp: 130, rate: 1, ovenTemp: 225, weight: 5 }).carryoverF).toBe(1);
+    expect(estimateCarryover({ targetTemp: 130, rate: 100, ovenTemp: 450, weight: 20 }).carryoverF).toBe(15);
+  });
+  
+  it('returns null without a positive rate', () => {
+    expect(estimateCarryover({ targetTemp: 130, rate: null, ovenTemp: 225, weight: 5 })).toBeNull();
+    expect(estimateCarryover({ targetTemp: 130, rate: -2, ovenTemp: 225, weight: 5 })).toBeNull();
+  });
+});
+
+describe('computeSessionCalculations carryover', () => {
+  const settings = { smoothingWindowReadings: 3, onTrackThresholdMinutes: 10 };
+  const ovenEvents = [{ setTemp: 225, timestamp: '2024-01-01T12:00:00Z', isOff: false }];
+  
+  it('predicts when to pull before reaching target', () => {
+    const readings = [
+      { temp: 100, timestamp: '2024-01-01T12:00:00Z' },
+      { temp: 110, timestamp: '2024-01-01T12:30:00Z' },
+      { temp: 120, timestamp: '2024-01-01T13:00:00Z' }
+    ];
+    
+    const result = computeSessionCalculations({ readings, targetTemp: 135, desiredServeTime: null, settings, ovenEvents, weight: 5 });
+    
+    // 20°F/hr × 0.3 hr = 6°F carryover
+    expect(result.carryover.pullTemp).toBe(129);
+    expect(result.carryover.shouldPull).toBe(false);
+    expect(result.carryover.minutesToPull).toBe(27);
+    expect(result.carryover.minutesToPull).toBeLessThan(result.predictedMinutesToTarget);
+  });
+  
+  it('says to pull once the pull temperature is reached', () => {
+    const readings = [
+      { temp: 110, timestamp: '2024-01-01T12:00:00Z' },
+      { temp: 120, timestamp: '2024-01-01T12:30:00Z' },
+      { temp: 130, timestamp: '2024-01-01T13:00:00Z' }
+    ];
+    
+    const result = computeSessionCalculations({ readings, targetTemp: 135, desiredServeTime: null, settings, ovenEvents, weight: 5 });
+    
+    expect(result.carryover.shouldPull).toBe(true);
+    expect(result.carryover.expectedPeakTemp).toBe(136);
+  });
+});
+
+describe('suspect readings', () => {
+  const settings = { smoothingWindowReadings: 3, onTrackThresholdMinutes: 10 };
+  
+  /**
+   * Smooth cook with IDs, optionally with one reading knocked off the curve
+   */
+  function cookWithSpike(index = null, offset = 0) {
+    return exponentialReadings({ start: 40, oven: 225, k: 0.35, count: 16 }).map((r, i) => ({
+      ...r,
+      id: `r${i}`,
+      temp: i === index ? r.temp + offset : r.temp
+    }));
+  }
+  
+  it('flags nothing on a clean exponential cook', () => {
+    expect(findSuspectReadings(cookWithSpike())).toEqual([]);
+  });
+  
+  it('flags a single mis-placed reading and nothing else', () => {
+    const suspects = findSuspectReadings(cookWithSpike(8, -30));
+    
+    expect(suspects.map(s => s.id)).toEqual(['r8']);
+    expect(suspects[0].residual).toBeLessThan(-25);
+  });
+  
+  it('flags a bad latest reading', () => {
+    const suspects = findSuspectReadings(cookWithSpike(15, 25));
+    
+    expect(suspects.map(s => s.id)).toEqual(['r15']);
+  });
+  
+  it('needs enough readings before flagging anything', () => {
+    const readings = cookWithSpike(2, 40).slice(0, 4);
+    
+    expect(findSuspectReadings(readings)).toEqual([]);
+  });
+  
+  it('only excludes suspects automatically in robust mode', () => {
+    const readings = cookWithSpike(8, -30);
+    
+    expect(partitionReadings(readings, settings).excludedReadingIds).toEqual([]);
+    expect(partitionReadings(readings, { ...settings, rateEstimator: 'robust' }).excludedReadingIds).toEqual(['r8']);
+  });
+  
+  it('honours the user keeping or excluding a reading', () => {
+    const readings = cookWithSpike(8, -30);
+    readings[8].exclusion = 'included';
+    readings[3].exclusion = 'excluded';
+    
+    const result = partitionReadings(readings, { ...settings, rateEstimator: 'robust' });
+    
+    expect(result.excludedReadingIds).toEqual(['r3']);
+    expect(result.readings).toHaveLength(15);
+  });
+  
+  it('keeps a bad latest reading out of the rate in robust mode', () => {
+    const readings = cookWithSpike(15, 25);
+    const clean = computeSessionCalculations({ readings: cookWithSpike(), targetTemp: 203, desiredServeTime: null, settings });
+    
+    const standard = computeSessionCalculations({ readings, targetTemp: 203, desiredServeTime: null, settings });
+    const robust = computeSessionCalculations({ readings, targetTemp: 203, desiredServeTime: null, settings: { ...settings, rateEstimator: 'robust' } });
+    
+    expect(standard.currentRate).toBeGreaterThan(clean.currentRate * 2);
+    expect(robust.excludedReadingIds).toEqual(['r15']);
+    expect(robust.suspectReadings.map(s => s.id)).toEqual(['r15']);
+    // One reading older, so slightly faster on a decelerating curve
+    expect(robust.currentRate).toBeLessThan(clean.currentRate * 1.5);
+  });
+  
+  it('reports when every reading is excluded', () => {
+    const readings = cookWithSpike().slice(0, 2).map(r => ({ ...r, exclusion: 'excluded' }));
+    
+    const result = computeSessionCalculations({ readings, targetTemp: 203, desiredServeTime: null, settings });
+    
+    expect(result.confidence.level).toBe('insufficient');
+    expect(result.confidence.reason).toBe('All readings are excluded');
+    expect(result.excludedReadingIds).toEqual(['r0', 'r1']);
+  });
+  
+  it('leaves excluded readings out of the cook summary', () => {
+    const readings = cookWithSpike();
+    readings[15].exclusion = 'excluded';
+    
+    const summary = summarizeCook({ config: { id: 's1', meatType: 'beef', weight: 4, targetTemp: 203 }, readings });
+    
+    expect(summary.readingCount).toBe(15);
+  });
+});
+
+describe('multiple probes', () => {
+  const settings = { smoothingWindowReadings: 3, onTrackThresholdMinutes: 10 };
+  const probes = [{ id: 'thick', name: 'Thick end' }, { id: 'thin', name: 'Thin end' }];
+  
+  function probeReadings(probeId, temps) {
+    return readingsFromTemps(temps).map((r, i) => ({ ...r, id: `${probeId}-${i}`, probeId }));
+  }
+  
+  // Thick end heats at 10°F/hr, thin end at 20°F/hr
+  const readings = [
+    ...probeReadings('thick', [80, 85, 90, 95, 100]),
+    ...probeReadings('thin', [90, 100, 110, 120, 130])
+  ].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  
+  const calculate = (overrides = {}) => computeSessionCalculations({
+    readings,
+    probes,
+    targetTemp: 135,
+    desiredServeTime: null,
+    settings,
+    now: '2024-01-01T10:00:00Z',
+    ...overrides
+  });
+  
+  it('groups untagged readings with the first probe', () => {
+    const groups = groupReadingsByProbe([{ id: 'a', probeId: 'thin' }, { id: 'b' }], probes);
+    
+    expect(groups.get('thick').map(r => r.id)).toEqual(['b']);
+    expect(groups.get('thin').map(r => r.id)).toEqual(['a']);
+  });
+  
+  it('calculates rate and ETA for each probe', () => {
+    const result = calculate();
+    
+    expect(result.probes.map(p => [p.probeId, p.currentTemp, p.currentRate])).toEqual([
+      ['thick', 100, 10],
+      ['thin', 130, 20]
+    ]);
+    expect(result.probes[0].predictedMinutesToTarget).toBe(210);
+    expect(result.probes[1].predictedMinutesToTarget).toBe(15);
+  });
+  
+  it('is governed by the coolest probe by default', () => {
+    const result = calculate();
+    
+    expect(result.governingProbeId).toBe('thick');
+    expect(result.currentRate).toBe(10);
+  });
+  
+  it('follows the chosen governing probe', () => {
+    const result = calculate({ governingProbeId: 'thin' });
+    
+    expect(result.governingProbeId).toBe('thin');
+    expect(result.predictedMinutesToTarget).toBe(15);
+  });
+  
+  it('summarises the cook from the governing probe', () => {
+    const summary = summarizeCook({ config: { id: 'abc', targetTemp: 135 }, readings, probes });
+    
+    expect(summary.readingCount).toBe(5);
+  });
+});
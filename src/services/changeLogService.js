@@ -0,0 +1,109 @@
+import { createChangeLogEntry } from '../models/dataModels.js';
+import { ITEM_FIELDS } from './undoService.js';
+
+/**
+ * The session's change log: an append-only record of every edit, undo and
+ * redo, as the values each one changed from and to. Edits overwrite readings,
+ * oven events and the config in place, so this is what's left of what the app
+ * was told at each point in the cook. Entries are built from the same changes
+ * undoService records, and undoing an edit adds an entry rather than removing
+ * one. Readings from a live thermometer come too often to log one by one, so
+ * its connecting and disconnecting are logged instead, with the readings it
+ * sent in between.
+ */
+
+/**
+ * Properties worked out from others, left out of the log
+ */
+const DERIVED_FIELDS = {
+  readings: ['deltaFromStart', 'deltaFromPrevious'],
+  config: ['updatedAt']
+};
+
+/**
+ * The values an edit changed, one per property (or per item added or removed)
+ * @param {Object<string, Object>} changes - From diffSessionState
+ * @param {Object} [options]
+ * @param {boolean} [options.reverse=false] - Describe the changes being undone
+ * @returns {FieldChange[]}
+ */
+export function describeChanges(changes, { reverse = false } = {}) {
+  const described = [];
+  
+  for (const [target, change] of Object.entries(changes)) {
+    const derived = DERIVED_FIELDS[target] ?? [];
+    
+    if (!ITEM_FIELDS.includes(target)) {
+      const [before, after] = reverse ? [change.after, change.before] : [change.before, change.after];
+      described.push(...diffProperties(before ?? {}, after ?? {}, derived)
+        .map(fieldChange => ({ target, itemId: null, ...fieldChange })));
+      continue;
+    }
+    
+    const [added, removed] = reverse ? [change.removed, change.added] : [change.added, change.removed];
+    for (const { item } of removed) {
+      described.push({ target, itemId: item.id, field: null, before: item, after: null });
+    }
+    for (const { item } of added) {
+      described.push({ target, itemId: item.id, field: null, before: null, after: item });
+    }
+    for (const update of change.updated) {
+      const [before, after] = reverse ? [update.after, update.before] : [update.before, update.after];
+      described.push(...diffProperties(before, after, derived)
+        .map(fieldChange => ({ target, itemId: after.id, ...fieldChange })));
+    }
+  }
+  
+  return described;
+}
+
+/**
+ * Properties that differ between two versions of an object
+ * @param {Object} before
+ * @param {Object} after
+ * @param {string[]} ignored
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+function diffProperties(before, after, ignored) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...fields]
+    .filter(field => !ignored.includes(field))
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+}
+
+/**
+ * Add an entry to the session's change log
+ * Changes to derived values alone (e.g. reading deltas) aren't logged.
+ * @param {Session} session - Changed in place
+ * @param {string} label - What was done
+ * @param {Object<string, Object>} changes - From diffSessionState, or an undo command
+ * @param {'user'|'undo'|'redo'} [source='user']
+ * @returns {ChangeLogEntry|null} The entry, or null if nothing worth logging changed
+ */
+export function appendChangeLog(session, label, changes, source = 'user') {
+  const described = describeChanges(changes, { reverse: source === 'undo' });
+  if (described.length === 0) return null;
+  
+  const entry = createChangeLogEntry(label, described, source);
+  if (!Array.isArray(session.changeLog)) {
+    session.changeLog = [];
+  }
+  session.changeLog.push(entry);
+  return entry;
+}
+
+/**
+ * Add an entry for something a live thermometer did, e.g. connecting
+ * @param {Session} session - Changed in place
+ * @param {string} label - What happened, e.g. "Connected to Bluetooth thermometer"
+ * @returns {ChangeLogEntry}
+ */
+export function appendDeviceEvent(session, label) {
+  const entry = createChangeLogEntry(label, [], 'device');
+  if (!Array.isArray(session.changeLog)) {
+    session.changeLog = [];
+  }
+  session.changeLog.push(entry);
+  return entry;
+}
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { describeChanges, appendChangeLog, appendDeviceEvent } from './changeLogService.js';
+import { captureSessionState, diffSessionState, recordCommand, undoCommand } from './undoService.js';
+import { createSession, createReading } from '../models/dataModels.js';
+
+function sessionWithReadings() {
+  const session = createSession({ targetTemp: 130, desiredServeTime: '2024-01-01T19:00:00.000Z' });
+  session.readings = [60, 70].map((temp, i) => createReading(temp, `2024-01-01T1${i}:00:00.000Z`, session.probes[0].id));
+  return session;
+}
+
+/**
+ * Make an edit and log it the way useSession does
+ */
+function edit(session, label, mutate) {
+  const before = captureSessionState(session);
+  mutate(session);
+  const changes = diffSessionState(before, session);
+  recordCommand(session, label, changes);
+  return appendChangeLog(session, label, changes);
+}
+
+describe('describeChanges', () => {
+  it('lists each value changed with its before and after', () => {
+    const session = sessionWithReadings();
+    const readingId = session.readings[1].id;
+    const before = captureSessionState(session);
+    session.readings[1].timestamp = '2024-01-01T11:05:00.000Z';
+    session.readings[1].deltaFromPrevious = 12;
+    session.config = { ...session.config, targetTemp: 135, desiredServeTime: '2024-01-01T19:30:00.000Z', updatedAt: 'later' };
+    
+    expect(describeChanges(diffSessionState(before, session))).toEqual([
+      { target: 'readings', itemId: readingId, field: 'timestamp', before: '2024-01-01T11:00:00.000Z', after: '2024-01-01T11:05:00.000Z' },
+      { target: 'config', itemId: null, field: 'targetTemp', before: 130, after: 135 },
+      { target: 'config', itemId: null, field: 'desiredServeTime', before: '2024-01-01T19:00:00.000Z', after: '2024-01-01T19:30:00.000Z' }
+    ]);
+  });
+  
+  it('lists whole items added and removed, swapped when undoing', () => {
+    const session = sessionWithReadings();
+    const removed = session.readings[0];
+    const before = captureSessionState(session);
+    session.readings = [session.readings[1], createReading(80, '2024-01-01T12:00:00.000Z')];
+    const added = session.readings[1];
+    const changes = diffSessionState(before, session);
+    
+    expect(describeChanges(changes)).toEqual([
+      { target: 'readings', itemId: removed.id, field: null, before: removed, after: null },
+      { target: 'readings', itemId: added.id, field: null, before: null, after: added }
+    ]);
+    expect(describeChanges(changes, { reverse: true })).toEqual([
+      { target: 'readings', itemId: added.id, field: null, before: added, after: null },
+      { target: 'readings', itemId: removed.id, field: null, before: null, after: removed }
+    ]);
+  });
+});
+
+describe('appendChangeLog', () => {
+  it('keeps every edit, and logs undoing one rather than dropping it', () => {
+    const session = sessionWithReadings();
+    edit(session, 'Cook details changed', s => {
+      s.config = { ...s.config, targetTemp: 135 };
+    });
+    const command = undoCommand(session);
+    appendChangeLog(session, command.label, command.changes, 'undo');
+    
+    expect(session.config.targetTemp).toBe(130);
+    expect(session.changeLog.map(e => [e.label, e.source, e.changes[0].before, e.changes[0].after])).toEqual([
+      ['Cook details changed', 'user', 130, 135],
+      ['Cook details changed', 'undo', 135, 130]
+    ]);
+  });
+  
+  it('skips changes to derived values alone', () => {
+    const session = sessionWithReadings();
+    const entry = edit(session, 'Reading edited', s => {
+      s.readings[1].deltaFromStart = 99;
+    });
+    
+    expect(entry).toBeNull();
+    expect(session.changeLog).toEqual([]);
+  });
+  
+  it('logs what a live thermometer did alongside the edits', () => {
+    const session = sessionWithReadings();
+    edit(session, 'Cook details changed', s => {
+      s.config = { ...s.config, targetTemp: 135 };
+    });
+    appendDeviceEvent(session, 'Connected to Bluetooth thermometer');
+    
+    expect(session.changeLog.map(e => [e.label, e.source, e.changes])).toEqual([
+      ['Cook details changed', 'user', expect.any(Array)],
+      ['Connected to Bluetooth thermometer', 'device', []]
+    ]);
+  });
+});
@@ -1,5 +1,7 @@
 import { formatDateTime, formatDuration } from '../utils/timeUtils.js';
 import { toDisplayUnit } from '../utils/temperatureUtils.js';
+import { getPhaseLabel } from './phaseService.js';
+import { APP_VERSION } from '../constants/defaults.js';
 
 /**
  * Generate a comprehensive JSON export of the session
@@ -9,12 +11,22 @@ import { toDisplayUnit } from '../utils/temperatureUtils.js';
 export function exportToJSON(session) {
   const exportData = {
     exportedAt: new Date().toISOString(),
-    appVersion: '1.0.0',
+    appVersion: APP_VERSION,
     session: {
+      schemaVersion: session.schemaVersion,
       config: session.config,
+      probes: session.probes ?? [],
+      roasts: session.roasts ?? [],
       readings: session.readings,
       ovenEvents: session.ovenEvents,
-      settings: session.settings
+      ovenReadings: session.ovenReadings ?? [],
+      settings: session.settings,
+      predictions: session.predictions ?? [],
+      plan: session.plan ?? null,
+      phases: session.phases ?? [],
+      undoStack: session.undoStack ?? [],
+      redoStack: session.redoStack ?? [],
+      changeLog: session.changeLog ?? []
     },
     summary: generateSessionSummary(session)
   };
@@ -60,9 +72,27 @@ export function exportToCSV(session) {
   }
   lines.push('');
   
+  // Roasts sharing the oven; the main one is described above
+  const roasts = session.roasts ?? [];
+  if (roasts.length > 0) {
+    lines.push('## Roasts Sharing the Oven');
+    lines.push(`Name,Target Temperature (°${units}),Meat Type,Weight (lbs)`);
+    
+    roasts.forEach(r => {
+      lines.push(`${csvField(r.name)},${toDisplayUnit(r.targetTemp, units)},${csvField(r.meatType ?? '')},${r.weight ?? ''}`);
+    });
+    lines.push('');
+  }
+  
   // Internal readings table
   lines.push('## Internal Temperature Readings');
-  lines.push(`Timestamp,Time,Temperature (°${units}),Delta From Start (°${units}),Delta From Previous (°${units}),Minutes Elapsed`);
+  lines.push(`Timestamp,Time,Probe,Roast,Temperature (°${units}),Delta From Start (°${units}),Delta From Previous (°${units}),Minutes Elapsed`);
+  
+  // Untagged readings belong to the first probe; the main roast's are left blank
+  const probes = session.probes ?? [];
+  const probeFor = (probeId) => probes.find(p => p.id === probeId) ?? probes[0];
+  const probeName = (probeId) => probeFor(probeId)?.name ?? '';
+  const roastName = (probeId) => roasts.find(r => r.id === probeFor(probeId)?.roastId)?.name ?? '';
   
   const startTime = session.readings.length > 0 
     ? new Date(session.readings[0].timestamp).getTime()
@@ -81,7 +111,7 @@ export function exportToCSV(session) {
       : '';
     const elapsed = Math.round((new Date(r.timestamp).getTime() - startTime) / 60000);
     
-    lines.push(`${r.timestamp},${time},${temp},${deltaStart},${deltaPrev},${elapsed}`);
+    lines.push(`${r.timestamp},${time},${csvField(probeName(r.probeId))},${csvField(roastName(r.probeId))},${temp},${deltaStart},${deltaPrev},${elapsed}`);
   });
   lines.push('');
   
@@ -102,9 +132,60 @@ export function exportToCSV(session) {
     lines.push(`${e.timestamp},${time},${setTemp},${prevTemp},${change}`);
   });
   
+  // Measured oven temperatures
+  const ovenReadings = session.ovenReadings ?? [];
+  if (ovenReadings.length > 0) {
+    lines.push('');
+    lines.push('## Measured Oven Temperatures');
+    lines.push(`Timestamp,Time,Measured Temp (°${units})`);
+    
+    ovenReadings.forEach(r => {
+      lines.push(`${r.timestamp},${formatDateTime(r.timestamp)},${toDisplayUnit(r.temp, units).toFixed(0)}`);
+    });
+  }
+  
+  // Reverse-sear phases, once the roast has moved past low and slow
+  const phases = session.phases ?? [];
+  if (phases.length > 1) {
+    lines.push('');
+    lines.push('## Phases');
+    lines.push('Timestamp,Time,Phase');
+    
+    phases.forEach(p => {
+      lines.push(`${p.timestamp},${formatDateTime(p.timestamp)},${getPhaseLabel(p.phase)}`);
+    });
+  }
+  
+  // Prediction trail
+  const predictions = session.predictions ?? [];
+  if (predictions.length > 0) {
+    lines.push('');
+    lines.push('## Predictions');
+    lines.push(`Timestamp,Time,Predicted Finish,Rate (°${units}/hr),Confidence,Model`);
+    
+    predictions.forEach(p => {
+      const time = formatDateTime(p.timestamp);
+      const finish = formatDateTime(p.predictedTargetTime);
+      const rate = p.currentRate !== null
+        ? (units === 'C' ? (p.currentRate * 5 / 9).toFixed(1) : p.currentRate.toFixed(1))
+        : '';
+      
+      lines.push(`${p.timestamp},${time},${finish},${rate},${p.confidence},${p.model}`);
+    });
+  }
+  
   return lines.join('\n');
 }
 
+/**
+ * Quote a free-text CSV field when needed
+ * @param {string} value
+ * @returns {string}
+ */
+function csvField(value) {
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
 /**
  * Generate a summary of the session for export metadata
  */
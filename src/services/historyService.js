@@ -0,0 +1,92 @@
+import { sanitizeString } from '../utils/validationUtils.js';
+
+/**
+ * Archive of finished cooks. Each archived session is stored whole; a small
+ * entry per session (see ArchiveEntry) is kept alongside for listing and search.
+ */
+
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Build the list entry for an archived session
+ * @param {Session} session
+ * @param {string} [archivedAt] - ISO timestamp
+ * @returns {ArchiveEntry}
+ */
+export function createArchiveEntry(session, archivedAt = new Date().toISOString()) {
+  const { config, readings } = session;
+  const temps = readings.map(r => r.temp);
+  
+  return {
+    id: config.id,
+    meatType: config.meatType ?? null,
+    meatCut: config.meatCut ?? null,
+    weight: config.weight ?? null,
+    targetTemp: config.targetTemp,
+    tags: config.tags ?? [],
+    startedAt: config.createdAt,
+    endedAt: readings.length > 0 ? readings[readings.length - 1].timestamp : archivedAt,
+    archivedAt,
+    readingCount: readings.length,
+    peakTemp: temps.length > 0 ? Math.max(...temps) : null
+  };
+}
+
+/**
+ * Turn comma-separated input into tags
+ * Blank and repeated tags (ignoring case) are dropped.
+ * @param {string} input - e.g. "holiday, smoked, Holiday"
+ * @returns {string[]}
+ */
+export function parseTags(input) {
+  const tags = [];
+  for (const part of String(input ?? '').split(',')) {
+    const tag = sanitizeString(part, MAX_TAG_LENGTH);
+    if (tag && !tags.some(t => t.toLowerCase() === tag.toLowerCase())) {
+      tags.push(tag);
+    }
+  }
+  return tags;
+}
+
+/**
+ * Filter the archive, newest first
+ * Every word of the query has to match the meat type, cut or a tag. Dates are
+ * local calendar days (YYYY-MM-DD) and include the whole day.
+ * 
+ * @param {ArchiveEntry[]} entries
+ * @param {Object} [filters]
+ * @param {string} [filters.query] - Free text
+ * @param {string|null} [filters.meatType] - Exact meat type
+ * @param {string|null} [filters.from] - Started on or after this day
+ * @param {string|null} [filters.to] - Started on or before this day
+ * @returns {ArchiveEntry[]}
+ */
+export function searchArchive(entries, { query = '', meatType = null, from = null, to = null } = {}) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const fromMs = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+  const toMs = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+  
+  return entries
+    .filter(entry => {
+      if (meatType && entry.meatType !== meatType) return false;
+      
+      const started = new Date(entry.startedAt).getTime();
+      if (started < fromMs || started > toMs) return false;
+      
+      const haystack = [entry.meatType, entry.meatCut, ...entry.tags]
+        .filter(Boolean)
+        .map(text => text.toLowerCase());
+      return words.every(word => haystack.some(text => text.includes(word)));
+    })
+    .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+}
+
+/**
+ * Meat types in the archive, for the filter list
+ * @param {ArchiveEntry[]} entries
+ * @returns {string[]} Sorted, without blanks
+ */
+export function getArchiveMeatTypes(entries) {
+  return [...new Set(entries.map(e => e.meatType).filter(Boolean))].sort();
+}
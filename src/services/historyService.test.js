@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { createArchiveEntry, parseTags, searchArchive, getArchiveMeatTypes } from './historyService.js';
+
+/**
+ * Archive entry with only the fields searchArchive looks at
+ * @param {string} id
+ * @param {Date} startedAt - Local time
+ */
+function entry(id, startedAt, { meatType = 'beef', meatCut = null, tags = [] } = {}) {
+  return { id, meatType, meatCut, tags, startedAt: startedAt.toISOString() };
+}
+
+describe('createArchiveEntry', () => {
+  const session = {
+    config: {
+      id: 's1',
+      meatType: 'beef',
+      meatCut: 'ribeye',
+      weight: 4,
+      targetTemp: 130,
+      tags: ['holiday'],
+      createdAt: '2024-01-01T12:00:00.000Z'
+    },
+    readings: [
+      { id: 'r1', temp: 60, timestamp: '2024-01-01T12:05:00.000Z' },
+      { id: 'r2', temp: 134, timestamp: '2024-01-01T15:30:00.000Z' },
+      { id: 'r3', temp: 131, timestamp: '2024-01-01T15:45:00.000Z' }
+    ]
+  };
+  
+  it('summarises the session for the list', () => {
+    expect(createArchiveEntry(session, '2024-01-01T16:00:00.000Z')).toEqual({
+      id: 's1',
+      meatType: 'beef',
+      meatCut: 'ribeye',
+      weight: 4,
+      targetTemp: 130,
+      tags: ['holiday'],
+      startedAt: '2024-01-01T12:00:00.000Z',
+      endedAt: '2024-01-01T15:45:00.000Z',
+      archivedAt: '2024-01-01T16:00:00.000Z',
+      readingCount: 3,
+      peakTemp: 134
+    });
+  });
+  
+  it('handles sessions without readings or tags', () => {
+    const result = createArchiveEntry(
+      { config: { ...session.config, tags: undefined }, readings: [] },
+      '2024-01-01T16:00:00.000Z'
+    );
+    
+    expect(result.tags).toEqual([]);
+    expect(result.endedAt).toBe('2024-01-01T16:00:00.000Z');
+    expect(result.peakTemp).toBeNull();
+  });
+});
+
+describe('parseTags', () => {
+  it('splits on commas and trims', () => {
+    expect(parseTags(' holiday,kamado ,  dry brined ')).toEqual(['holiday', 'kamado', 'dry brined']);
+  });
+  
+  it('drops blanks and repeats regardless of case', () => {
+    expect(parseTags('Holiday, , holiday,HOLIDAY,smoked,')).toEqual(['Holiday', 'smoked']);
+  });
+  
+  it('returns nothing for empty input', () => {
+    expect(parseTags('')).toEqual([]);
+    expect(parseTags(null)).toEqual([]);
+  });
+});
+
+describe('searchArchive', () => {
+  const entries = [
+    entry('a', new Date(2024, 0, 5, 18), { meatType: 'beef', meatCut: 'ribeye', tags: ['holiday'] }),
+    entry('b', new Date(2024, 2, 10, 23, 30), { meatType: 'pork', meatCut: 'loin', tags: ['weeknight'] }),
+    entry('c', new Date(2024, 1, 14, 12), { meatType: 'beef', meatCut: 'tenderloin', tags: ['Holiday', 'kamado'] })
+  ];
+  const ids = (list) => list.map(e => e.id);
+  
+  it('returns everything newest first without filters', () => {
+    expect(ids(searchArchive(entries))).toEqual(['b', 'c', 'a']);
+  });
+  
+  it('matches every query word against meat, cut and tags, ignoring case', () => {
+    expect(ids(searchArchive(entries, { query: 'holiday' }))).toEqual(['c', 'a']);
+    expect(ids(searchArchive(entries, { query: 'HOLIDAY kamado' }))).toEqual(['c']);
+    expect(ids(searchArchive(entries, { query: 'loin' }))).toEqual(['b', 'c']);
+    expect(ids(searchArchive(entries, { query: 'lamb' }))).toEqual([]);
+  });
+  
+  it('filters by exact meat type', () => {
+    expect(ids(searchArchive(entries, { meatType: 'pork' }))).toEqual(['b']);
+  });
+  
+  it('includes the whole of the from and to days', () => {
+    expect(ids(searchArchive(entries, { from: '2024-02-14', to: '2024-03-10' }))).toEqual(['b', 'c']);
+    expect(ids(searchArchive(entries, { to: '2024-01-05' }))).toEqual(['a']);
+    expect(ids(searchArchive(entries, { from: '2024-03-11' }))).toEqual([]);
+  });
+});
+
+describe('getArchiveMeatTypes', () => {
+  it('lists each meat type once, sorted', () => {
+    const entries = [
+      entry('a', new Date(2024, 0, 1), { meatType: 'pork' }),
+      entry('b', new Date(2024, 0, 2), { meatType: null }),
+      entry('c', new Date(2024, 0, 3), { meatType: 'beef' }),
+      entry('d', new Date(2024, 0, 4), { meatType: 'pork' })
+    ];
+    
+    expect(getArchiveMeatTypes(entries)).toEqual(['beef', 'pork']);
+  });
+});
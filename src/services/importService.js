@@ -0,0 +1,364 @@
+import { createSession, createReading, createOvenEvent, createOvenReading, createProbe, createRoast, createPhaseTransition } from '../models/dataModels.js';
+import { groupReadingsByProbe } from './calculationService.js';
+import { migrateSession } from './migrationService.js';
+import { toStorageUnit } from '../utils/temperatureUtils.js';
+import { APP_VERSION, COOK_PHASES } from '../constants/defaults.js';
+
+/**
+ * Reading sessions back in from the app's own exports (see exportService).
+ * JSON exports carry the whole session and are migrated to the current
+ * format; CSV exports are rebuilt from their tables, converting temperatures
+ * from the exported units back to Fahrenheit.
+ */
+
+/**
+ * Raised when a file can't be imported
+ */
+export class ImportError extends Error {
+  /**
+   * @param {string} message - Says what's wrong in terms the user can act on
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+/**
+ * Parse an exported file into a session
+ * @param {string} text - File contents
+ * @param {string} [filename] - Used to tell JSON from CSV
+ * @returns {{session: Session, format: 'json'|'csv', warnings: string[]}}
+ * @throws {ImportError|MigrationError} If the file isn't a usable export
+ */
+export function parseSessionFile(text, filename = '') {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  
+  if (/\.json$/i.test(filename) || trimmed.startsWith('{')) {
+    return parseJsonExport(trimmed);
+  }
+  if (/\.csv$/i.test(filename) || trimmed.startsWith('#')) {
+    return parseCsvExport(trimmed);
+  }
+  throw new ImportError('Choose a JSON or CSV file exported from this app');
+}
+
+/**
+ * Parse a JSON export (or a bare session)
+ * @param {string} text
+ * @returns {{session: Session, format: 'json', warnings: string[]}}
+ * @throws {ImportError|MigrationError}
+ */
+export function parseJsonExport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new ImportError('The file isn\'t valid JSON');
+  }
+  
+  const warnings = [];
+  if (typeof data?.appVersion === 'string' && compareVersions(data.appVersion, APP_VERSION) > 0) {
+    warnings.push(`Exported by a newer version of the app (${data.appVersion}); anything it added is left out`);
+  }
+  
+  const stored = data?.session ?? data;
+  if (!stored?.config || !Array.isArray(stored.readings)) {
+    throw new ImportError('Not a RoastPilot session export');
+  }
+  
+  const session = migrateSession(stored);
+  validateSession(session);
+  return { session, format: 'json', warnings };
+}
+
+/**
+ * Rebuild a session from a CSV export
+ * IDs are new, settings are defaults in the exported units, and the
+ * prediction trail and serve time (exported only as local times) are left out.
+ * @param {string} text
+ * @returns {{session: Session, format: 'csv', warnings: string[]}}
+ * @throws {ImportError}
+ */
+export function parseCsvExport(text) {
+  const sections = splitSections(parseCsvRows(text));
+  const configRows = sections.get('Session Configuration');
+  const readingRows = sections.get('Internal Temperature Readings');
+  if (!configRows || !readingRows) {
+    throw new ImportError('Not a RoastPilot CSV export');
+  }
+  
+  const config = new Map(configRows.map(row => [row[0], row.slice(1)]));
+  const configText = (key) => config.get(key)?.join(',').trim() || null;
+  const target = config.get('Target Temperature');
+  if (!target) {
+    throw new ImportError('The file has no target temperature');
+  }
+  const units = target[1] === '°C' ? 'C' : 'F';
+  const toF = (value) => toStorageUnit(value, units);
+  
+  const warnings = ['CSV files don\'t include settings or the prediction history, so defaults are used'];
+  if (config.has('Target Serve Time')) {
+    warnings.push('The target serve time isn\'t imported from CSV; set it again if you need it');
+  }
+  
+  // Their serve times and when they were pulled are left out, as for the main roast
+  const roasts = readTable(sections.get('Roasts Sharing the Oven') ?? [], 'Roast', (get) => {
+    return createRoast({
+      name: get.text('Name'),
+      targetTemp: toF(get.number('Target Temperature')),
+      meatType: get.text('Meat Type') || null,
+      weight: get.text('Weight') ? get.number('Weight') : null
+    });
+  });
+  
+  // Probes are named in the readings table, with the roast they're in unless
+  // it's the main one; exports from before probes have none
+  const probes = [];
+  const probeFor = (name, roastName) => {
+    if (!name) return null;
+    const roastId = roasts.find(r => r.name === roastName)?.id ?? null;
+    let probe = probes.find(p => p.name === name && p.roastId === roastId);
+    if (!probe) {
+      probe = createProbe(name, roastId);
+      probes.push(probe);
+    }
+    return probe.id;
+  };
+  
+  const readings = readTable(readingRows, 'Internal temperature reading', (get) => {
+    return createReading(toF(get.number('Temperature')), get.timestamp(), probeFor(get.text('Probe'), get.text('Roast')));
+  });
+  
+  let previousTemp = null;
+  const ovenEvents = readTable(sections.get('Oven Temperature Events') ?? [], 'Oven event', (get) => {
+    // Off is exported as 0°F, which shows as -18°C
+    const setTemp = toF(get.number('Set Temperature'));
+    const event = createOvenEvent(setTemp, previousTemp, get.timestamp(), setTemp <= 0);
+    previousTemp = event.setTemp;
+    return event;
+  });
+  
+  const ovenReadings = readTable(sections.get('Measured Oven Temperatures') ?? [], 'Oven reading', (get) => {
+    return createOvenReading(toF(get.number('Measured Temp')), get.timestamp());
+  });
+  
+  const phases = readTable(sections.get('Phases') ?? [], 'Phase', (get) => {
+    const phase = COOK_PHASES.find(p => p.label === get.text('Phase'));
+    if (!phase) {
+      throw new ImportError(`Phase "${get.text('Phase')}" isn't one this app knows`);
+    }
+    return createPhaseTransition(phase.id, get.timestamp());
+  });
+  
+  // "Started" is exported as a local time without a year; the first entry is exact
+  const timestamps = [...readings, ...ovenEvents, ...ovenReadings, ...phases].map(item => item.timestamp).sort();
+  if (timestamps.length === 0) {
+    throw new ImportError('The file has no readings or oven events');
+  }
+  const createdAt = timestamps[0];
+  
+  const initialOven = config.get('Initial Oven Temp');
+  const weight = config.get('Weight');
+  const session = createSession({
+    units,
+    targetTemp: toF(parseNumber(target[0], 'Target temperature')),
+    initialOvenTemp: initialOven ? toF(parseNumber(initialOven[0], 'Initial oven temperature')) : ovenEvents[0]?.setTemp ?? 200,
+    meatType: configText('Meat Type'),
+    meatCut: configText('Cut'),
+    weight: weight ? parseNumber(weight[0], 'Weight') : null,
+    notes: configText('Notes'),
+    createdAt,
+    updatedAt: createdAt
+  });
+  session.settings.units = units;
+  if (probes.length > 0) {
+    session.probes = probes;
+  }
+  session.roasts = roasts;
+  session.readings = readings.map(r => ({ ...r, probeId: r.probeId ?? session.probes[0].id }));
+  session.ovenEvents = ovenEvents;
+  session.ovenReadings = ovenReadings;
+  session.phases = phases.length > 0 ? phases : [createPhaseTransition(COOK_PHASES[0].id, createdAt)];
+  
+  fillDeltas(session);
+  validateSession(session);
+  return { session, format: 'csv', warnings };
+}
+
+/**
+ * Check the values the app relies on are usable
+ * @param {Session} session
+ * @throws {ImportError}
+ */
+function validateSession(session) {
+  const isTime = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+  
+  if (!Number.isFinite(session.config.targetTemp)) {
+    throw new ImportError('The session has no valid target temperature');
+  }
+  if (!isTime(session.config.createdAt)) {
+    throw new ImportError('The session has no valid start time');
+  }
+  session.readings.forEach((r, i) => {
+    if (!Number.isFinite(r.temp) || !isTime(r.timestamp)) {
+      throw new ImportError(`Reading ${i + 1} has no valid temperature or time`);
+    }
+  });
+  session.ovenEvents.forEach((e, i) => {
+    if (!Number.isFinite(e.setTemp) || !isTime(e.timestamp)) {
+      throw new ImportError(`Oven event ${i + 1} has no valid temperature or time`);
+    }
+  });
+}
+
+/**
+ * Work out reading deltas per probe, as the app does when they're logged
+ * @param {Session} session
+ */
+function fillDeltas(session) {
+  session.readings.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  for (const readings of groupReadingsByProbe(session.readings, session.probes).values()) {
+    readings.forEach((r, i) => {
+      r.deltaFromStart = i === 0 ? 0 : r.temp - readings[0].temp;
+      r.deltaFromPrevious = i === 0 ? 0 : r.temp - readings[i - 1].temp;
+    });
+  }
+}
+
+/**
+ * Split CSV text into rows of fields
+ * Quoted fields may contain commas, quotes ("") and line breaks.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  
+  return rows;
+}
+
+/**
+ * Group CSV rows under their "## Section" headings, dropping comments and blank lines
+ * @param {string[][]} rows
+ * @returns {Map<string, string[][]>}
+ */
+function splitSections(rows) {
+  const sections = new Map();
+  let current = null;
+  
+  for (const row of rows) {
+    const first = row[0].trim();
+    if (first.startsWith('## ')) {
+      current = [];
+      sections.set(first.slice(3), current);
+    } else if (current && first && !first.startsWith('#')) {
+      current.push(row);
+    }
+  }
+  return sections;
+}
+
+/**
+ * Turn a table (header row first) into items
+ * Columns are found by the start of their header, so the unit suffix and
+ * columns added or dropped between versions don't matter. The second column
+ * is a local time written unquoted, so commas in it ("Jan 1, 3:00 PM") make
+ * extra fields; they are joined back up.
+ * @param {string[][]} rows
+ * @param {string} label - Names a row in errors
+ * @param {(get: Object) => Object} createItem
+ * @returns {Object[]}
+ */
+function readTable(rows, label, createItem) {
+  if (rows.length === 0) return [];
+  
+  const [header, ...body] = rows;
+  const column = (name) => header.findIndex(h => h.startsWith(name));
+  
+  return body.map((fields, i) => {
+    const extra = fields.length - header.length;
+    const row = extra > 0
+      ? [fields[0], fields.slice(1, 2 + extra).join(','), ...fields.slice(2 + extra)]
+      : fields;
+    const cell = (name) => {
+      const index = column(name);
+      return index >= 0 ? (row[index] ?? '').trim() : '';
+    };
+    const get = {
+      text: cell,
+      number: (name) => parseNumber(cell(name), `${label} ${i + 1}`),
+      timestamp: () => {
+        const value = cell('Timestamp');
+        if (Number.isNaN(Date.parse(value))) {
+          throw new ImportError(`${label} ${i + 1} has no valid time`);
+        }
+        return new Date(value).toISOString();
+      }
+    };
+    return createItem(get);
+  });
+}
+
+/**
+ * @param {string} value
+ * @param {string} label - Names the value in errors
+ * @returns {number}
+ * @throws {ImportError}
+ */
+function parseNumber(value, label) {
+  const number = Number.parseFloat(value);
+  if (!Number.isFinite(number)) {
+    throw new ImportError(`${label} has no valid number`);
+  }
+  return number;
+}
+
+/**
+ * Compare dotted version strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Positive if a is newer
+ */
+function compareVersions(a, b) {
+  const pa = a.split('.').map(n => Number.parseInt(n, 10) || 0);
+  const pb = b.split('.').map(n => Number.parseInt(n, 10) || 0);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] ?? 0) - (pb[i] ?? 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
@@ -0,0 +1,181 @@
+import { describe, it, expect } from 'vitest';
+import { parseSessionFile, parseCsvRows, ImportError } from './importService.js';
+import { MigrationError } from './migrationService.js';
+import { exportToJSON, exportToCSV } from './exportService.js';
+import { storageService } from './storageService.js';
+import { createSession, createReading, createOvenEvent, createOvenReading, createProbe, createRoast, createPhaseTransition } from '../models/dataModels.js';
+import { SCHEMA_VERSION } from '../constants/defaults.js';
+
+/**
+ * Two-probe cook: oven at 225°F, turned off, then resting
+ */
+function cookedSession({ units = 'F' } = {}) {
+  const session = createSession({
+    units,
+    targetTemp: 130,
+    initialOvenTemp: 225,
+    meatType: 'Prime Rib',
+    meatCut: 'Bone-in',
+    weight: 6.5,
+    notes: 'Dry brined, "48h", then tied',
+    createdAt: '2024-01-01T12:00:00.000Z'
+  });
+  session.probes = [createProbe('Thick end'), createProbe('Thin, end')];
+  session.phases = [
+    createPhaseTransition('low-and-slow', '2024-01-01T12:00:00.000Z'),
+    createPhaseTransition('rest', '2024-01-01T15:00:00.000Z')
+  ];
+  session.readings = [0, 1, 2, 3].flatMap(i => session.probes.map((probe, p) => {
+    return createReading(60 + i * 20 + p * 5, new Date(Date.parse('2024-01-01T12:00:00Z') + i * 3600000).toISOString(), probe.id);
+  }));
+  session.ovenEvents = [
+    createOvenEvent(225, null, '2024-01-01T12:00:00.000Z'),
+    createOvenEvent(0, 225, '2024-01-01T15:00:00.000Z', true)
+  ];
+  session.ovenReadings = [createOvenReading(230, '2024-01-01T13:00:00.000Z')];
+  return session;
+}
+
+describe('parseSessionFile', () => {
+  it('rejects files that are neither JSON nor CSV exports', () => {
+    expect(() => parseSessionFile('hello', 'notes.txt')).toThrow(ImportError);
+  });
+});
+
+describe('importing JSON', () => {
+  it('restores an export exactly', () => {
+    const session = cookedSession();
+    const { session: imported, format, warnings } = parseSessionFile(exportToJSON(session), 'roast.json');
+    
+    expect(format).toBe('json');
+    expect(warnings).toEqual([]);
+    expect(imported).toEqual(JSON.parse(JSON.stringify(session)));
+  });
+  
+  it('migrates exports from before sessions were versioned', () => {
+    const session = cookedSession();
+    delete session.schemaVersion;
+    delete session.phases;
+    const file = JSON.stringify({ exportedAt: '2024-01-02T00:00:00.000Z', appVersion: '1.0.0', session });
+    
+    const { session: imported } = parseSessionFile(file);
+    
+    expect(imported.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(imported.phases).toMatchObject([{ phase: 'low-and-slow' }]);
+  });
+  
+  it('warns about exports from a newer app version', () => {
+    const data = JSON.parse(exportToJSON(cookedSession()));
+    data.appVersion = '2.1.0';
+    
+    const { warnings } = parseSessionFile(JSON.stringify(data));
+    expect(warnings[0]).toContain('newer version of the app (2.1.0)');
+  });
+  
+  it('refuses sessions in a newer format', () => {
+    const data = JSON.parse(exportToJSON(cookedSession()));
+    data.session.schemaVersion = SCHEMA_VERSION + 1;
+    
+    expect(() => parseSessionFile(JSON.stringify(data))).toThrow(MigrationError);
+  });
+  
+  it('says what is wrong with a broken file', () => {
+    expect(() => parseSessionFile('{"session": ', 'roast.json')).toThrow('isn\'t valid JSON');
+    expect(() => parseSessionFile('{"foo": 1}')).toThrow('Not a RoastPilot session export');
+    
+    const data = JSON.parse(exportToJSON(cookedSession()));
+    data.session.readings[2].temp = 'hot';
+    expect(() => parseSessionFile(JSON.stringify(data))).toThrow('Reading 3 has no valid temperature or time');
+  });
+});
+
+describe('importing CSV', () => {
+  it('rebuilds the session from a Celsius export in Fahrenheit', () => {
+    const session = cookedSession({ units: 'C' });
+    const { session: imported, format } = parseSessionFile(exportToCSV(session), 'roast.csv');
+    
+    expect(format).toBe('csv');
+    expect(imported.config.units).toBe('C');
+    expect(imported.settings.units).toBe('C');
+    expect(imported.config.targetTemp).toBeCloseTo(130, 0);
+    expect(imported.config.initialOvenTemp).toBeCloseTo(225, 0);
+    expect(imported.config.createdAt).toBe('2024-01-01T12:00:00.000Z');
+    
+    // Exported to 0.1°C, so within a fifth of a degree
+    imported.readings.forEach((r, i) => {
+      expect(Math.abs(r.temp - session.readings[i].temp)).toBeLessThan(0.2);
+      expect(r.timestamp).toBe(session.readings[i].timestamp);
+    });
+    expect(imported.ovenReadings[0].temp).toBeCloseTo(230, 0);
+  });
+  
+  it('keeps probes, phases, oven off and the free-text fields', () => {
+    const { session: imported } = parseSessionFile(exportToCSV(cookedSession()));
+    
+    expect(imported.probes.map(p => p.name)).toEqual(['Thick end', 'Thin, end']);
+    expect(imported.readings.filter(r => r.probeId === imported.probes[1].id)).toHaveLength(4);
+    expect(imported.phases.map(p => p.phase)).toEqual(['low-and-slow', 'rest']);
+    expect(imported.ovenEvents.map(e => [e.setTemp, e.previousTemp, e.isOff])).toEqual([[225, null, false], [0, 225, true]]);
+    expect(imported.config).toMatchObject({
+      meatType: 'Prime Rib',
+      meatCut: 'Bone-in',
+      weight: 6.5,
+      notes: 'Dry brined, "48h", then tied'
+    });
+  });
+  
+  it('keeps which roast each probe is in', () => {
+    const session = cookedSession();
+    const chicken = createRoast({ name: 'Chicken, spatchcocked', targetTemp: 160, meatType: 'Chicken', weight: 4 });
+    session.roasts = [chicken];
+    session.probes[1].roastId = chicken.id;
+    
+    const { session: imported } = parseSessionFile(exportToCSV(session));
+    
+    expect(imported.roasts).toEqual([expect.objectContaining({ name: 'Chicken, spatchcocked', targetTemp: 160, meatType: 'Chicken', weight: 4 })]);
+    expect(imported.probes.map(p => [p.name, p.roastId])).toEqual([['Thick end', null], ['Thin, end', imported.roasts[0].id]]);
+  });
+  
+  it('reads the storage service\'s export', () => {
+    const session = cookedSession();
+    const { session: imported } = parseSessionFile(storageService.exportSession(session, 'csv'), 'roast.csv');
+    
+    expect(imported.config.targetTemp).toBe(130);
+    expect(imported.readings.map(r => r.temp)).toEqual(session.readings.map(r => r.temp));
+    expect(imported.ovenEvents.map(e => e.setTemp)).toEqual([225, 0]);
+  });
+  
+  it('works out deltas for each probe', () => {
+    const { session: imported } = parseSessionFile(exportToCSV(cookedSession()));
+    const thin = imported.readings.filter(r => r.probeId === imported.probes[1].id);
+    
+    expect(thin.map(r => r.deltaFromStart)).toEqual([0, 20, 40, 60]);
+    expect(thin.map(r => r.deltaFromPrevious)).toEqual([0, 20, 20, 20]);
+  });
+  
+  it('notes what CSV files leave out', () => {
+    const session = cookedSession();
+    session.config.desiredServeTime = '2024-01-01T16:00:00.000Z';
+    
+    const { warnings } = parseSessionFile(exportToCSV(session));
+    expect(warnings).toHaveLength(2);
+  });
+  
+  it('says which row is broken', () => {
+    const lines = exportToCSV(cookedSession()).split('\n');
+    const firstReading = lines.findIndex(l => l.startsWith('Timestamp,Time,Probe')) + 1;
+    lines[firstReading] = lines[firstReading].replace(/,Thick end,,[\d.]+,/, ',Thick end,,,');
+    
+    expect(() => parseSessionFile(lines.join('\n'))).toThrow('Internal temperature reading 1 has no valid number');
+    expect(() => parseSessionFile('# Notes\nfoo,bar')).toThrow('Not a RoastPilot CSV export');
+  });
+});
+
+describe('parseCsvRows', () => {
+  it('handles quoted commas, quotes and line breaks', () => {
+    expect(parseCsvRows('a,"b, c","say ""hi""\nthere"\r\nd')).toEqual([
+      ['a', 'b, c', 'say "hi"\nthere'],
+      ['d']
+    ]);
+  });
+});
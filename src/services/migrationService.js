@@ -0,0 +1,202 @@
+import { createDefaultSettings, createProbe, createPhaseTransition } from '../models/dataModels.js';
+import { SCHEMA_VERSION } from '../constants/defaults.js';
+
+/**
+ * Ordered steps that bring stored data up to SCHEMA_VERSION. Each step moves
+ * data from `version - 1` to `version` and is applied to stored sessions,
+ * settings and imported files alike. Steps are never edited once released;
+ * a format change gets a new step (with a test) and a SCHEMA_VERSION bump.
+ * 
+ * Sessions carry their own `schemaVersion`; those saved before it existed are
+ * version 1.
+ */
+export const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Version sessions and fill in fields added before versioning',
+    session(session) {
+      // Sessions saved before settings were stored with them
+      if (!session.settings) {
+        session.settings = createDefaultSettings();
+      }
+      
+      // Sessions saved before probes were named; untagged readings belong to the first probe
+      if (!Array.isArray(session.probes) || session.probes.length === 0) {
+        session.probes = [createProbe('Probe 1')];
+      }
+      
+      // Sessions saved before the prediction trail was recorded
+      if (!Array.isArray(session.predictions)) {
+        session.predictions = [];
+      }
+      
+      // Sessions saved before measured oven temperatures were recorded
+      if (!Array.isArray(session.ovenReadings)) {
+        session.ovenReadings = [];
+      }
+      
+      // Sessions saved before the cook planner
+      if (session.plan === undefined) {
+        session.plan = null;
+      }
+      
+      // Sessions saved before reverse-sear phases; they were all still roasting
+      if (!Array.isArray(session.phases) || session.phases.length === 0) {
+        session.phases = [createPhaseTransition('low-and-slow', session.config.createdAt)];
+      }
+      
+      // Sessions saved before tags
+      if (!Array.isArray(session.config.tags)) {
+        session.config.tags = [];
+      }
+      
+      return session;
+    }
+  },
+  {
+    version: 3,
+    description: 'Sessions can hold several roasts sharing the oven',
+    session(session) {
+      if (!Array.isArray(session.roasts)) {
+        session.roasts = [];
+      }
+      return session;
+    }
+  },
+  {
+    version: 4,
+    description: 'Edits can be undone and redone',
+    session(session) {
+      session.undoStack = Array.isArray(session.undoStack) ? session.undoStack : [];
+      session.redoStack = Array.isArray(session.redoStack) ? session.redoStack : [];
+      return session;
+    }
+  },
+  {
+    version: 5,
+    description: 'Sessions keep a log of every edit',
+    session(session) {
+      if (!Array.isArray(session.changeLog)) {
+        session.changeLog = [];
+      }
+      return session;
+    }
+  }
+];
+
+/**
+ * Raised when stored or imported data can't be brought up to date
+ */
+export class MigrationError extends Error {
+  /**
+   * @param {string} message - Says what's wrong in terms the user can act on
+   * @param {Object} [details]
+   * @param {number|null} [details.fromVersion] - Version of the data
+   * @param {number|null} [details.failedVersion] - Step that failed, if one did
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, { fromVersion = null, failedVersion = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'MigrationError';
+    this.fromVersion = fromVersion;
+    this.failedVersion = failedVersion;
+  }
+}
+
+/**
+ * Version of a stored or imported session
+ * @param {Object} session
+ * @returns {number}
+ */
+export function getSessionVersion(session) {
+  return Number.isInteger(session?.schemaVersion) ? session.schemaVersion : 1;
+}
+
+/**
+ * Whether a session needs migrating
+ * @param {Object} session
+ * @returns {boolean}
+ */
+export function needsMigration(session) {
+  return getSessionVersion(session) < SCHEMA_VERSION;
+}
+
+/**
+ * Check that data has the parts every version of a session has
+ * @param {Object} session
+ * @param {number} version
+ */
+function assertSessionShape(session, version) {
+  if (!session || typeof session !== 'object') {
+    throw new MigrationError('This is not a saved session', { fromVersion: version });
+  }
+  if (!session.config || typeof session.config !== 'object') {
+    throw new MigrationError('The session has no configuration', { fromVersion: version });
+  }
+  if (!Array.isArray(session.readings) || !Array.isArray(session.ovenEvents)) {
+    throw new MigrationError('The session is missing its readings or oven events', { fromVersion: version });
+  }
+}
+
+/**
+ * Bring a session up to the current format
+ * The input is left untouched.
+ * @param {Object} session - Parsed from storage or an imported file
+ * @returns {Session}
+ * @throws {MigrationError} If it isn't a session, is from a newer version of the app, or a step fails
+ */
+export function migrateSession(session) {
+  const fromVersion = getSessionVersion(session);
+  assertSessionShape(session, fromVersion);
+  
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new MigrationError(
+      `The session was saved by a newer version of the app (format ${fromVersion}); update the app to open it`,
+      { fromVersion }
+    );
+  }
+  
+  let migrated = JSON.parse(JSON.stringify(session));
+  for (const step of MIGRATIONS) {
+    if (step.version <= fromVersion || !step.session) continue;
+    
+    try {
+      migrated = step.session(migrated);
+    } catch (error) {
+      throw new MigrationError(
+        `The session couldn't be updated from format ${step.version - 1} to ${step.version}: ${error.message}`,
+        { fromVersion, failedVersion: step.version, cause: error }
+      );
+    }
+  }
+  
+  migrated.schemaVersion = SCHEMA_VERSION;
+  assertSessionShape(migrated, SCHEMA_VERSION);
+  return migrated;
+}
+
+/**
+ * Bring stored settings up to the current format
+ * Settings fields added since they were saved get their defaults.
+ * @param {Object} settings - Parsed from storage
+ * @param {number} fromVersion - Stored schema version
+ * @returns {AppSettings}
+ * @throws {MigrationError} If a step fails
+ */
+export function migrateSettings(settings, fromVersion) {
+  let migrated = { ...settings };
+  for (const step of MIGRATIONS) {
+    if (step.version <= fromVersion || !step.settings) continue;
+    
+    try {
+      migrated = step.settings(migrated);
+    } catch (error) {
+      throw new MigrationError(
+        `Settings couldn't be updated from format ${step.version - 1} to ${step.version}: ${error.message}`,
+        { fromVersion, failedVersion: step.version, cause: error }
+      );
+    }
+  }
+  
+  return { ...createDefaultSettings(), ...migrated };
+}
@@ -0,0 +1,129 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  MIGRATIONS,
+  MigrationError,
+  getSessionVersion,
+  needsMigration,
+  migrateSession,
+  migrateSettings
+} from './migrationService.js';
+import { createSession, createDefaultSettings } from '../models/dataModels.js';
+import { SCHEMA_VERSION } from '../constants/defaults.js';
+
+/**
+ * Session as saved before sessions were versioned
+ */
+function v1Session() {
+  return {
+    config: { id: 'old', targetTemp: 130, units: 'F', createdAt: '2024-01-01T12:00:00.000Z' },
+    readings: [{ id: 'r1', temp: 60, timestamp: '2024-01-01T12:05:00.000Z' }],
+    ovenEvents: []
+  };
+}
+
+describe('MIGRATIONS', () => {
+  it('runs in order, one version at a time, up to SCHEMA_VERSION', () => {
+    MIGRATIONS.forEach((step, i) => {
+      expect(step.version).toBe(i + 2);
+      expect(step.description).toBeTruthy();
+    });
+    expect(MIGRATIONS.at(-1).version).toBe(SCHEMA_VERSION);
+  });
+});
+
+describe('getSessionVersion', () => {
+  it('treats unversioned sessions as version 1', () => {
+    expect(getSessionVersion(v1Session())).toBe(1);
+    expect(needsMigration(v1Session())).toBe(true);
+  });
+  
+  it('reads the version new sessions are created with', () => {
+    expect(getSessionVersion(createSession())).toBe(SCHEMA_VERSION);
+    expect(needsMigration(createSession())).toBe(false);
+  });
+});
+
+describe('migrateSession', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+  
+  it('fills in the fields a version 1 session may lack', () => {
+    const session = migrateSession(v1Session());
+    
+    expect(session.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(session.settings).toEqual(createDefaultSettings());
+    expect(session.probes.map(p => p.name)).toEqual(['Probe 1']);
+    expect(session.predictions).toEqual([]);
+    expect(session.ovenReadings).toEqual([]);
+    expect(session.plan).toBeNull();
+    expect(session.phases).toMatchObject([{ phase: 'low-and-slow', timestamp: '2024-01-01T12:00:00.000Z' }]);
+    expect(session.config.tags).toEqual([]);
+    expect(session.roasts).toEqual([]);
+    expect(session.undoStack).toEqual([]);
+    expect(session.redoStack).toEqual([]);
+    expect(session.changeLog).toEqual([]);
+    expect(session.readings).toEqual(v1Session().readings);
+  });
+  
+  it('keeps what a version 1 session already has', () => {
+    const old = { ...v1Session(), probes: [{ id: 'p1', name: 'Tip' }], plan: { pullTime: 'x' } };
+    old.config.tags = ['holiday'];
+    
+    const session = migrateSession(old);
+    expect(session.probes).toEqual([{ id: 'p1', name: 'Tip' }]);
+    expect(session.plan).toEqual({ pullTime: 'x' });
+    expect(session.config.tags).toEqual(['holiday']);
+  });
+  
+  it('leaves the input untouched', () => {
+    const old = v1Session();
+    migrateSession(old);
+    
+    expect(old).toEqual(v1Session());
+  });
+  
+  it('passes current sessions through', () => {
+    const current = createSession();
+    expect(migrateSession(current)).toEqual(JSON.parse(JSON.stringify(current)));
+  });
+  
+  it('rejects data that is not a session', () => {
+    expect(() => migrateSession(null)).toThrow(MigrationError);
+    expect(() => migrateSession({ foo: 1 })).toThrow('The session has no configuration');
+    expect(() => migrateSession({ config: {}, readings: [] })).toThrow('missing its readings or oven events');
+  });
+  
+  it('rejects sessions from a newer version of the app', () => {
+    const future = { ...createSession(), schemaVersion: SCHEMA_VERSION + 1 };
+    
+    expect(() => migrateSession(future)).toThrow('saved by a newer version of the app');
+  });
+  
+  it('says which step failed', () => {
+    vi.spyOn(MIGRATIONS[0], 'session').mockImplementation(() => {
+      throw new Error('bad phases');
+    });
+    
+    let error;
+    try {
+      migrateSession(v1Session());
+    } catch (e) {
+      error = e;
+    }
+    
+    expect(error).toBeInstanceOf(MigrationError);
+    expect(error.fromVersion).toBe(1);
+    expect(error.failedVersion).toBe(2);
+    expect(error.message).toContain('from format 1 to 2: bad phases');
+    expect(error.cause.message).toBe('bad phases');
+  });
+});
+
+describe('migrateSettings', () => {
+  it('keeps stored values and fills in new fields with defaults', () => {
+    const settings = migrateSettings({ units: 'C' }, 1);
+    
+    expect(settings).toEqual({ ...createDefaultSettings(), units: 'C' });
+  });
+});
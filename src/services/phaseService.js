@@ -0,0 +1,178 @@
+import { COOK_PHASES, PLANNER_DEFAULTS, SEAR_DEFAULTS, MEAT_PRESETS } from '../constants/defaults.js';
+import { addMinutes, minutesBetween } from '../utils/timeUtils.js';
+
+/**
+ * Reverse-sear phases: roast low and slow to the pull temperature, rest, sear,
+ * serve. A session records a transition each time it moves on; the phase in
+ * effect is the latest one.
+ */
+
+/**
+ * Phase the session is in
+ * @param {PhaseTransition[]} phases - Sorted by timestamp
+ * @returns {CookPhaseId}
+ */
+export function getCurrentPhase(phases) {
+  return phases.length > 0 ? phases[phases.length - 1].phase : COOK_PHASES[0].id;
+}
+
+/**
+ * Phase in effect at a given time
+ * Anything before the first transition counts as the low-and-slow roast.
+ * @param {PhaseTransition[]} phases - Sorted by timestamp
+ * @param {string} timestamp - ISO timestamp
+ * @returns {CookPhaseId}
+ */
+export function getPhaseAt(phases, timestamp) {
+  const time = new Date(timestamp).getTime();
+  let phase = COOK_PHASES[0].id;
+  for (const transition of phases) {
+    if (new Date(transition.timestamp).getTime() > time) break;
+    phase = transition.phase;
+  }
+  return phase;
+}
+
+/**
+ * Readings taken during one phase
+ * Rest readings track carryover and cooling, so they stay out of the
+ * heating-rate math that runs on the low-and-slow readings.
+ * @param {InternalReading[]} readings
+ * @param {PhaseTransition[]} phases - Sorted by timestamp
+ * @param {CookPhaseId} phase
+ * @returns {InternalReading[]}
+ */
+export function filterReadingsByPhase(readings, phases, phase) {
+  return readings.filter(r => getPhaseAt(phases, r.timestamp) === phase);
+}
+
+/**
+ * Display label for a phase
+ * @param {CookPhaseId} phase
+ * @returns {string}
+ */
+export function getPhaseLabel(phase) {
+  return COOK_PHASES.find(p => p.id === phase)?.label ?? phase;
+}
+
+/**
+ * Phase that follows another
+ * @param {CookPhaseId} phase
+ * @param {Object} [options]
+ * @param {boolean} [options.skipSear] - Go straight from rest to serve (e.g. pulled pork)
+ * @returns {CookPhaseId|null} Null after serve
+ */
+export function getNextPhase(phase, { skipSear = false } = {}) {
+  const order = COOK_PHASES.map(p => p.id).filter(id => !(skipSear && id === 'sear'));
+  const index = order.indexOf(phase);
+  return index >= 0 && index < order.length - 1 ? order[index + 1] : null;
+}
+
+/**
+ * Whether moving to a phase goes forward from the current one
+ * @param {CookPhaseId} from
+ * @param {CookPhaseId} to
+ * @returns {boolean}
+ */
+export function isLaterPhase(from, to) {
+  const ids = COOK_PHASES.map(p => p.id);
+  return ids.indexOf(to) > ids.indexOf(from);
+}
+
+/**
+ * Time spans of each phase so far, for the chart
+ * @param {PhaseTransition[]} phases - Sorted by timestamp
+ * @param {string} [now] - ISO timestamp the current phase runs to
+ * @returns {Array<{phase: CookPhaseId, label: string, start: string, end: string, isCurrent: boolean}>}
+ */
+export function buildPhaseSpans(phases, now = new Date().toISOString()) {
+  return phases.map((transition, i) => {
+    const isCurrent = i === phases.length - 1;
+    return {
+      phase: transition.phase,
+      label: getPhaseLabel(transition.phase),
+      start: transition.timestamp,
+      end: isCurrent ? now : phases[i + 1].timestamp,
+      isCurrent
+    };
+  });
+}
+
+/**
+ * How long to rest and sear this roast
+ * The cook plan wins, then the meat preset, then the planner defaults.
+ * 
+ * @param {Object} params
+ * @param {CookPlan|null} [params.plan]
+ * @param {string|null} [params.meatType]
+ * @returns {{restMinutes: number, searMinutes: number}}
+ */
+export function resolvePhaseDurations({ plan = null, meatType = null }) {
+  const preset = MEAT_PRESETS.find(p => p.type === meatType);
+  return {
+    restMinutes: plan?.restMinutes ?? preset?.restMinutes ?? PLANNER_DEFAULTS.REST_MINUTES,
+    searMinutes: plan?.searMinutes ?? preset?.searMinutes ?? PLANNER_DEFAULTS.SEAR_MINUTES
+  };
+}
+
+/**
+ * Rest, preheat and sear times from when the current phase started
+ * The pan (or oven) should start heating so it is hot as the rest ends. The
+ * rest runs restMinutes unless restEndTime (e.g. when carryover peaks) says
+ * otherwise.
+ * 
+ * @param {Object} params
+ * @param {PhaseTransition[]} params.phases - Sorted by timestamp
+ * @param {number} params.restMinutes
+ * @param {number} params.searMinutes - 0 skips the sear
+ * @param {'pan'|'oven'} [params.searMethod]
+ * @param {string|null} [params.restEndTime] - ISO timestamp the rest ends at
+ * @param {string} [params.now] - ISO timestamp
+ * @returns {{phase: CookPhaseId, phaseStartTime: string, phaseEndTime: string|null, minutesLeftInPhase: number|null, preheatTime: string|null, minutesToPreheat: number|null, searTime: string|null, serveTime: string|null}|null}
+ *   Null during the low-and-slow roast
+ */
+export function calculatePhaseTiming({
+  phases,
+  restMinutes,
+  searMinutes,
+  searMethod = 'pan',
+  restEndTime = null,
+  now = new Date().toISOString()
+}) {
+  const phase = getCurrentPhase(phases);
+  if (phase === 'low-and-slow' || phases.length === 0) return null;
+  
+  const phaseStartTime = phases[phases.length - 1].timestamp;
+  const preheatMinutes = searMethod === 'oven' ? SEAR_DEFAULTS.OVEN_PREHEAT_MINUTES : SEAR_DEFAULTS.PAN_PREHEAT_MINUTES;
+  const minutesUntil = (time) => (time ? Math.round(minutesBetween(now, time)) : null);
+  
+  let phaseEndTime = null;
+  let preheatTime = null;
+  let searTime = null;
+  let serveTime = null;
+  
+  if (phase === 'rest') {
+    phaseEndTime = restEndTime ?? addMinutes(phaseStartTime, restMinutes);
+    if (searMinutes > 0) {
+      searTime = phaseEndTime;
+      preheatTime = addMinutes(phaseEndTime, -preheatMinutes);
+      serveTime = addMinutes(searTime, searMinutes);
+    } else {
+      serveTime = phaseEndTime;
+    }
+  } else if (phase === 'sear') {
+    phaseEndTime = addMinutes(phaseStartTime, searMinutes);
+    serveTime = phaseEndTime;
+  }
+  
+  return {
+    phase,
+    phaseStartTime,
+    phaseEndTime,
+    minutesLeftInPhase: phaseEndTime ? Math.max(0, minutesUntil(phaseEndTime)) : null,
+    preheatTime,
+    minutesToPreheat: minutesUntil(preheatTime),
+    searTime,
+    serveTime
+  };
+}
@@ -0,0 +1,179 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getCurrentPhase,
+  getPhaseAt,
+  filterReadingsByPhase,
+  getNextPhase,
+  isLaterPhase,
+  buildPhaseSpans,
+  resolvePhaseDurations,
+  calculatePhaseTiming
+} from './phaseService.js';
+import { generatePhaseRecommendation } from './recommendationService.js';
+import { PLANNER_DEFAULTS, SEAR_DEFAULTS } from '../constants/defaults.js';
+
+const NOW = '2024-01-01T18:00:00.000Z';
+
+function at(minutes) {
+  return new Date(new Date(NOW).getTime() + minutes * 60000).toISOString();
+}
+
+function transitions(...entries) {
+  return entries.map(([phase, minutes]) => ({ id: phase, phase, timestamp: at(minutes) }));
+}
+
+describe('phase order', () => {
+  it('starts low and slow and follows the latest transition', () => {
+    expect(getCurrentPhase([])).toBe('low-and-slow');
+    expect(getCurrentPhase(transitions(['low-and-slow', -240], ['rest', -10]))).toBe('rest');
+  });
+  
+  it('moves forward through rest, sear and serve', () => {
+    expect(getNextPhase('low-and-slow')).toBe('rest');
+    expect(getNextPhase('rest')).toBe('sear');
+    expect(getNextPhase('rest', { skipSear: true })).toBe('serve');
+    expect(getNextPhase('serve')).toBeNull();
+  });
+  
+  it('only counts later phases as moving on', () => {
+    expect(isLaterPhase('low-and-slow', 'sear')).toBe(true);
+    expect(isLaterPhase('sear', 'rest')).toBe(false);
+    expect(isLaterPhase('rest', 'rest')).toBe(false);
+  });
+});
+
+describe('buildPhaseSpans', () => {
+  it('runs each phase to the next and the current one to now', () => {
+    const spans = buildPhaseSpans(transitions(['low-and-slow', -240], ['rest', -10]), NOW);
+    
+    expect(spans).toEqual([
+      { phase: 'low-and-slow', label: 'Low & Slow', start: at(-240), end: at(-10), isCurrent: false },
+      { phase: 'rest', label: 'Rest', start: at(-10), end: NOW, isCurrent: true }
+    ]);
+  });
+});
+
+describe('resolvePhaseDurations', () => {
+  it('prefers the plan, then the preset, then the defaults', () => {
+    expect(resolvePhaseDurations({ plan: { restMinutes: 25, searMinutes: 6 }, meatType: 'Prime Rib' }))
+      .toEqual({ restMinutes: 25, searMinutes: 6 });
+    expect(resolvePhaseDurations({ meatType: 'Pork Shoulder' })).toEqual({ restMinutes: 60, searMinutes: 0 });
+    expect(resolvePhaseDurations({})).toEqual({
+      restMinutes: PLANNER_DEFAULTS.REST_MINUTES,
+      searMinutes: PLANNER_DEFAULTS.SEAR_MINUTES
+    });
+  });
+});
+
+describe('readings by phase', () => {
+  const phases = transitions(['low-and-slow', -240], ['rest', -20], ['sear', 0]);
+  const readings = [-300, -60, -20, -5, 2].map(minutes => ({ id: `r${minutes}`, temp: 120, timestamp: at(minutes) }));
+  
+  it('finds the phase in effect at a time', () => {
+    expect(getPhaseAt(phases, at(-300))).toBe('low-and-slow');
+    expect(getPhaseAt(phases, at(-20))).toBe('rest');
+    expect(getPhaseAt(phases, at(5))).toBe('sear');
+    expect(getPhaseAt([], NOW)).toBe('low-and-slow');
+  });
+  
+  it('splits readings into the roast and the rest', () => {
+    expect(filterReadingsByPhase(readings, phases, 'low-and-slow').map(r => r.id)).toEqual(['r-300', 'r-60']);
+    expect(filterReadingsByPhase(readings, phases, 'rest').map(r => r.id)).toEqual(['r-20', 'r-5']);
+  });
+});
+
+describe('calculatePhaseTiming', () => {
+  const resting = transitions(['low-and-slow', -240], ['rest', -10]);
+  
+  it('is not needed while roasting', () => {
+    expect(calculatePhaseTiming({ phases: transitions(['low-and-slow', -60]), restMinutes: 20, searMinutes: 10, now: NOW })).toBeNull();
+  });
+  
+  it('counts down to preheating and searing during the rest', () => {
+    const timing = calculatePhaseTiming({ phases: resting, restMinutes: 30, searMinutes: 10, now: NOW });
+    
+    expect(timing.minutesLeftInPhase).toBe(20);
+    expect(timing.searTime).toBe(at(20));
+    expect(timing.preheatTime).toBe(at(20 - SEAR_DEFAULTS.PAN_PREHEAT_MINUTES));
+    expect(timing.minutesToPreheat).toBe(20 - SEAR_DEFAULTS.PAN_PREHEAT_MINUTES);
+    expect(timing.serveTime).toBe(at(30));
+  });
+  
+  it('allows longer to preheat an oven than a pan', () => {
+    const timing = calculatePhaseTiming({ phases: resting, restMinutes: 30, searMinutes: 10, searMethod: 'oven', now: NOW });
+    
+    expect(timing.preheatTime).toBe(at(20 - SEAR_DEFAULTS.OVEN_PREHEAT_MINUTES));
+  });
+  
+  it('goes straight to serving without a sear', () => {
+    const timing = calculatePhaseTiming({ phases: resting, restMinutes: 60, searMinutes: 0, now: NOW });
+    
+    expect(timing.searTime).toBeNull();
+    expect(timing.preheatTime).toBeNull();
+    expect(timing.serveTime).toBe(at(50));
+  });
+  
+  it('rests until the given end, e.g. when carryover peaks', () => {
+    const timing = calculatePhaseTiming({ phases: resting, restMinutes: 30, searMinutes: 10, restEndTime: at(35), now: NOW });
+    
+    expect(timing.minutesLeftInPhase).toBe(35);
+    expect(timing.searTime).toBe(at(35));
+    expect(timing.serveTime).toBe(at(45));
+  });
+  
+  it('counts down the sear to serving', () => {
+    const searing = transitions(['low-and-slow', -240], ['rest', -30], ['sear', -4]);
+    const timing = calculatePhaseTiming({ phases: searing, restMinutes: 25, searMinutes: 10, now: NOW });
+    
+    expect(timing.phase).toBe('sear');
+    expect(timing.minutesLeftInPhase).toBe(6);
+    expect(timing.serveTime).toBe(at(6));
+  });
+});
+
+describe('generatePhaseRecommendation', () => {
+  const timingAt = (phases, now, options = {}) => calculatePhaseTiming({
+    phases,
+    restMinutes: 30,
+    searMinutes: 10,
+    now,
+    ...options
+  });
+  const resting = transitions(['low-and-slow', -240], ['rest', 0]);
+  
+  it('rests, then preheats, then sears', () => {
+    expect(generatePhaseRecommendation({ timing: timingAt(resting, at(5)) }).action).toBe('rest');
+    
+    const preheat = generatePhaseRecommendation({ timing: timingAt(resting, at(26)), searMethod: 'pan' });
+    expect(preheat.action).toBe('preheat');
+    expect(preheat.message).toContain('pan');
+    
+    expect(generatePhaseRecommendation({ timing: timingAt(resting, at(31)) }).action).toBe('sear');
+  });
+  
+  it('explains the rest with the carryover peak', () => {
+    const rising = { peakTemp: 131, peakTime: at(20), isPastPeak: false };
+    const rest = generatePhaseRecommendation({ timing: timingAt(resting, at(5)), rest: rising });
+    
+    expect(rest.expectedPeakTemp).toBe(131);
+    expect(rest.peakTime).toBe(at(20));
+    expect(rest.reasoning).toContain('{peakTime}');
+    
+    const ready = generatePhaseRecommendation({ timing: timingAt(resting, at(31)), rest: { ...rising, isPastPeak: true } });
+    expect(ready.action).toBe('sear');
+    expect(ready.reasoning).toContain('starting to cool');
+  });
+  
+  it('serves after the rest when there is no sear', () => {
+    const timing = timingAt(resting, at(31), { searMinutes: 0 });
+    
+    expect(generatePhaseRecommendation({ timing }).action).toBe('serve');
+  });
+  
+  it('serves once the sear is done', () => {
+    const searing = transitions(['low-and-slow', -240], ['rest', -40], ['sear', -10]);
+    
+    expect(generatePhaseRecommendation({ timing: timingAt(searing, at(-5)) }).action).toBe('sear');
+    expect(generatePhaseRecommendation({ timing: timingAt(searing, NOW) }).action).toBe('serve');
+  });
+});
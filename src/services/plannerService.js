@@ -0,0 +1,175 @@
+import { PLANNER_DEFAULTS, CARRYOVER_DEFAULTS, SETTINGS_DEFAULTS, MEAT_PRESETS } from '../constants/defaults.js';
+import { simulateTemp, predictMinutesToTemp } from './thermalModelService.js';
+import { addMinutes, minutesBetween } from '../utils/timeUtils.js';
+
+/**
+ * Heat-transfer coefficient expected for a roast before any readings
+ * The time constant grows with weight^(2/3), as in the carryover estimate, and
+ * is scaled by the preset's shape factor.
+ * 
+ * @param {Object} params
+ * @param {number|null} [params.weight] - Pounds
+ * @param {string|null} [params.meatType] - MEAT_PRESETS type
+ * @returns {number} h, per hour
+ */
+export function estimatePlanCoefficient({ weight = null, meatType = null }) {
+  const preset = MEAT_PRESETS.find(p => p.type === meatType);
+  const weightLb = weight > 0 ? weight : CARRYOVER_DEFAULTS.REFERENCE_WEIGHT_LB;
+  const hours = PLANNER_DEFAULTS.REFERENCE_TIME_CONSTANT_HOURS *
+    (preset?.timeConstantFactor ?? 1) *
+    Math.pow(weightLb / CARRYOVER_DEFAULTS.REFERENCE_WEIGHT_LB, 2 / 3);
+  
+  return 1 / hours;
+}
+
+/**
+ * Plan a cook backwards from the serve time
+ * Reverse sear order: roast low until the target, rest, sear, serve. With a
+ * serve time the oven-in time is worked back from it; if there isn't time at
+ * the chosen oven temperature, the coolest setting (up to the maximum) that
+ * makes it is suggested instead. Without a serve time the roast goes in now.
+ * 
+ * @param {Object} params
+ * @param {number} params.targetTemp - °F
+ * @param {number} params.ovenTemp - Chosen oven temperature (°F)
+ * @param {number|null} [params.startingTemp] - °F, defaults to fridge temperature
+ * @param {number|null} [params.weight] - Pounds
+ * @param {string|null} [params.meatType] - MEAT_PRESETS type, for shape, rest and sear
+ * @param {string|null} [params.desiredServeTime] - ISO timestamp
+ * @param {string} [params.now] - ISO timestamp to plan from, defaults to the current time
+ * @returns {CookPlan|null} Null if the target can't be reached at any allowed oven temperature
+ */
+export function planCook({
+  targetTemp,
+  ovenTemp,
+  startingTemp = null,
+  weight = null,
+  meatType = null,
+  desiredServeTime = null,
+  now = new Date().toISOString()
+}) {
+  const preset = MEAT_PRESETS.find(p => p.type === meatType);
+  const restMinutes = preset?.restMinutes ?? PLANNER_DEFAULTS.REST_MINUTES;
+  const searMinutes = preset?.searMinutes ?? PLANNER_DEFAULTS.SEAR_MINUTES;
+  const startTemp = startingTemp ?? PLANNER_DEFAULTS.STARTING_TEMP_F;
+  const coefficient = estimatePlanCoefficient({ weight, meatType });
+  
+  // The roast goes into a preheated oven, so there's no lag to plan for
+  const cookMinutesAt = (temp) => predictMinutesToTemp(
+    { coefficient, lagMinutes: 0 },
+    { currentTemp: startTemp, targetTemp, ovenTemp: temp }
+  );
+  
+  const candidates = [];
+  for (let temp = ovenTemp; temp <= Math.max(ovenTemp, SETTINGS_DEFAULTS.OVEN_TEMP_MAX_F); temp += PLANNER_DEFAULTS.OVEN_STEP_F) {
+    const minutes = cookMinutesAt(temp);
+    if (minutes !== null) candidates.push({ ovenTemp: temp, cookMinutes: minutes });
+  }
+  if (candidates.length === 0) return null;
+  
+  let chosen = candidates[0];
+  let ovenInTime = now;
+  let isFeasible = true;
+  
+  if (desiredServeTime) {
+    const latestPull = addMinutes(desiredServeTime, -(restMinutes + searMinutes));
+    const minutesAvailable = minutesBetween(now, latestPull);
+    const inTime = candidates.find(c => c.cookMinutes <= minutesAvailable);
+    
+    if (inTime) {
+      chosen = inTime;
+      ovenInTime = addMinutes(latestPull, -chosen.cookMinutes);
+    } else {
+      // Too late even at the hottest setting: start now and say when it will be ready
+      chosen = candidates[candidates.length - 1];
+      isFeasible = false;
+    }
+  }
+  
+  const pullTime = addMinutes(ovenInTime, chosen.cookMinutes);
+  const searStartTime = addMinutes(pullTime, restMinutes);
+  const serveTime = addMinutes(searStartTime, searMinutes);
+  
+  const schedule = [
+    { phase: 'roast', start: ovenInTime, end: pullTime, ovenTemp: chosen.ovenTemp },
+    { phase: 'rest', start: pullTime, end: searStartTime, ovenTemp: null },
+    { phase: 'sear', start: searStartTime, end: serveTime, ovenTemp: PLANNER_DEFAULTS.SEAR_OVEN_TEMP_F }
+  ].filter(step => step.start !== step.end);
+  
+  return {
+    createdAt: now,
+    targetTemp,
+    startingTemp: startTemp,
+    ovenTemp: chosen.ovenTemp,
+    ovenTempRaised: chosen.ovenTemp !== ovenTemp,
+    coefficient: Math.round(coefficient * 10000) / 10000,
+    cookMinutes: chosen.cookMinutes,
+    restMinutes,
+    searMinutes,
+    ovenInTime,
+    pullTime,
+    serveTime,
+    isFeasible,
+    schedule
+  };
+}
+
+/**
+ * Meat temperature the plan expects at a given time
+ * Before the oven-in time this is the starting temperature; after the pull,
+ * the target.
+ * 
+ * @param {CookPlan} plan
+ * @param {string} timestamp - ISO timestamp
+ * @returns {number} °F
+ */
+export function plannedTempAt(plan, timestamp) {
+  const minutes = Math.min(Math.max(minutesBetween(plan.ovenInTime, timestamp), 0), plan.cookMinutes);
+  return Math.min(simulateTemp(plan.coefficient, plan.startingTemp, [{ ovenTemp: plan.ovenTemp, minutes }]), plan.targetTemp);
+}
+
+/**
+ * Planned temperature curve from the oven-in time to the pull
+ * @param {CookPlan} plan
+ * @returns {Array<{timestamp: string, temp: number}>}
+ */
+export function projectPlanCurve(plan) {
+  const points = [];
+  for (let minutes = 0; minutes < plan.cookMinutes; minutes += PLANNER_DEFAULTS.CURVE_STEP_MINUTES) {
+    const timestamp = addMinutes(plan.ovenInTime, minutes);
+    points.push({ timestamp, temp: plannedTempAt(plan, timestamp) });
+  }
+  points.push({ timestamp: plan.pullTime, temp: plan.targetTemp });
+  
+  return points;
+}
+
+/**
+ * How a reading compares with the plan
+ * 
+ * @param {CookPlan} plan
+ * @param {InternalReading|null} reading - Latest reading
+ * @returns {{plannedTemp: number, tempDifference: number, minutesAheadOfPlan: number|null}|null}
+ *   minutesAheadOfPlan is positive when the roast is ahead; null once past the target
+ */
+export function comparePlanProgress(plan, reading) {
+  if (!plan || !reading) return null;
+  
+  const plannedTemp = plannedTempAt(plan, reading.timestamp);
+  
+  // When the plan expected the roast to reach this reading's temperature
+  const minutesToReading = reading.temp >= plan.targetTemp
+    ? null
+    : predictMinutesToTemp(
+        { coefficient: plan.coefficient, lagMinutes: 0 },
+        { currentTemp: plan.startingTemp, targetTemp: reading.temp, ovenTemp: plan.ovenTemp }
+      );
+  
+  return {
+    plannedTemp: Math.round(plannedTemp * 10) / 10,
+    tempDifference: Math.round((reading.temp - plannedTemp) * 10) / 10,
+    minutesAheadOfPlan: minutesToReading === null
+      ? null
+      : Math.round(minutesBetween(reading.timestamp, addMinutes(plan.ovenInTime, minutesToReading)))
+  };
+}
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { estimatePlanCoefficient, planCook, plannedTempAt, projectPlanCurve, comparePlanProgress } from './plannerService.js';
+import { PLANNER_DEFAULTS } from '../constants/defaults.js';
+
+const NOW = '2024-01-01T12:00:00.000Z';
+
+function at(minutes) {
+  return new Date(new Date(NOW).getTime() + minutes * 60000).toISOString();
+}
+
+describe('estimatePlanCoefficient', () => {
+  it('uses the reference time constant for a 5 lb roast', () => {
+    expect(estimatePlanCoefficient({ weight: 5 })).toBeCloseTo(1 / PLANNER_DEFAULTS.REFERENCE_TIME_CONSTANT_HOURS, 8);
+  });
+  
+  it('heats bigger roasts and thicker presets more slowly', () => {
+    expect(estimatePlanCoefficient({ weight: 10 })).toBeLessThan(estimatePlanCoefficient({ weight: 5 }));
+    expect(estimatePlanCoefficient({ weight: 5, meatType: 'Beef Tenderloin' }))
+      .toBeGreaterThan(estimatePlanCoefficient({ weight: 5, meatType: 'Prime Rib' }));
+  });
+});
+
+describe('planCook', () => {
+  const base = { targetTemp: 125, ovenTemp: 225, startingTemp: 40, weight: 5, meatType: 'Prime Rib', now: NOW };
+  
+  it('works back from the serve time through sear and rest', () => {
+    const plan = planCook({ ...base, desiredServeTime: at(600) });
+    const h = 1 / PLANNER_DEFAULTS.REFERENCE_TIME_CONSTANT_HOURS;
+    
+    expect(plan.cookMinutes).toBe(Math.round(Math.log(185 / 100) / h * 60));
+    expect(plan.serveTime).toBe(at(600));
+    expect(plan.pullTime).toBe(at(600 - 30 - 10));
+    expect(plan.ovenInTime).toBe(at(560 - plan.cookMinutes));
+    expect(plan.schedule.map(s => s.phase)).toEqual(['roast', 'rest', 'sear']);
+    expect(plan.isFeasible).toBe(true);
+    expect(plan.ovenTempRaised).toBe(false);
+  });
+  
+  it('raises the oven when there is not enough time', () => {
+    const plan = planCook({ ...base, desiredServeTime: at(240) });
+    
+    expect(plan.ovenTempRaised).toBe(true);
+    expect(plan.ovenTemp).toBeGreaterThan(225);
+    expect(new Date(plan.ovenInTime) >= new Date(NOW)).toBe(true);
+    expect(new Date(plan.serveTime) <= new Date(at(240))).toBe(true);
+  });
+  
+  it('starts now when the serve time cannot be made', () => {
+    const plan = planCook({ ...base, desiredServeTime: at(60) });
+    
+    expect(plan.isFeasible).toBe(false);
+    expect(plan.ovenInTime).toBe(NOW);
+    expect(new Date(plan.serveTime) > new Date(at(60))).toBe(true);
+  });
+  
+  it('plans forward without a serve time', () => {
+    const plan = planCook(base);
+    
+    expect(plan.ovenInTime).toBe(NOW);
+    expect(plan.serveTime).toBe(at(plan.cookMinutes + 40));
+  });
+});
+
+describe('plan tracking', () => {
+  const plan = planCook({ targetTemp: 125, ovenTemp: 225, startingTemp: 40, weight: 5, now: NOW });
+  
+  it('follows the planned curve to the target', () => {
+    const curve = projectPlanCurve(plan);
+    
+    expect(curve[0]).toEqual({ timestamp: NOW, temp: 40 });
+    expect(curve[curve.length - 1]).toEqual({ timestamp: plan.pullTime, temp: 125 });
+    expect(plannedTempAt(plan, at(-30))).toBe(40);
+  });
+  
+  it('says how far ahead of plan a reading is', () => {
+    const reading = { temp: plannedTempAt(plan, at(120)), timestamp: at(100) };
+    const progress = comparePlanProgress(plan, reading);
+    
+    expect(progress.minutesAheadOfPlan).toBe(20);
+    expect(progress.tempDifference).toBeGreaterThan(0);
+    expect(comparePlanProgress(null, reading)).toBeNull();
+  });
+});
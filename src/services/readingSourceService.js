@@ -0,0 +1,145 @@
+import { toStorageUnit, validateTemperature } from '../utils/temperatureUtils.js';
+import { READING_SOURCE_DEFAULTS } from '../constants/defaults.js';
+
+/**
+ * Feeds a live thermometer source (see readingSources) into the session.
+ * Samples are converted to Fahrenheit and checked before they become
+ * readings: repeats and samples older than the last one from the same probe
+ * are dropped, each probe is held to one reading per MIN_INTERVAL_MS, and
+ * temperatures no roast could be at are ignored. A dropped connection is
+ * retried with growing waits until the source is disconnected.
+ */
+
+/**
+ * Why a sample shouldn't become a reading
+ * @param {{tempF: number, timestamp: string}} sample
+ * @param {{timestamp: string}|undefined} lastAccepted - Last sample taken from the same probe
+ * @param {Object} [options]
+ * @param {number} [options.minIntervalMs] - Least time between readings from a probe
+ * @returns {'invalid'|'duplicate'|'stale'|'rate-limited'|null} Null if it should be kept
+ */
+export function filterSample(sample, lastAccepted, { minIntervalMs = READING_SOURCE_DEFAULTS.MIN_INTERVAL_MS } = {}) {
+  if (!validateTemperature(sample.tempF, 'F', 'internal').valid) return 'invalid';
+  if (!lastAccepted) return null;
+  
+  const elapsed = Date.parse(sample.timestamp) - Date.parse(lastAccepted.timestamp);
+  if (elapsed === 0) return 'duplicate';
+  if (elapsed < 0) return 'stale';
+  if (elapsed < minIntervalMs) return 'rate-limited';
+  return null;
+}
+
+/**
+ * Session probe a sample's channel feeds
+ * Channels are matched to probes by name, or by position (0 is the first
+ * probe). A source with a single channel feeds the first probe.
+ * @param {string|number|null} channel
+ * @param {Probe[]} probes
+ * @returns {string|null} Probe ID, or null if no probe matches
+ */
+export function resolveSampleProbe(channel, probes) {
+  if (channel === null || channel === undefined) {
+    return probes[0]?.id ?? null;
+  }
+  
+  const name = String(channel).trim().toLowerCase();
+  const byName = probes.find(probe => probe.name.trim().toLowerCase() === name);
+  if (byName) return byName.id;
+  
+  return /^\d+$/.test(name) ? probes[Number(name)]?.id ?? null : null;
+}
+
+/**
+ * Connect to a source and pass on the samples worth keeping
+ * Status goes 'connecting', then 'connected'. A source that never connects
+ * ends up 'failed' (so a mistyped address shows at once); one that drops is
+ * 'reconnecting' until it's back.
+ * @param {Object} source - See readingSources
+ * @param {Object} handlers
+ * @param {Function} handlers.onSample - Called with {channel, tempF, timestamp} for each sample kept
+ * @param {Function} [handlers.onStatus] - Called with {state, error, attempt} on each change
+ * @param {number} [handlers.minIntervalMs] - Least time between readings from a probe
+ * @param {number[]} [handlers.reconnectDelaysMs] - Waits between reconnect attempts; the last repeats
+ * @returns {{disconnect: Function}}
+ */
+export function connectReadingSource(source, {
+  onSample,
+  onStatus = () => {},
+  minIntervalMs = READING_SOURCE_DEFAULTS.MIN_INTERVAL_MS,
+  reconnectDelaysMs = READING_SOURCE_DEFAULTS.RECONNECT_DELAYS_MS
+}) {
+  const lastAccepted = new Map();
+  let hasConnected = false;
+  let attempt = 0;
+  let retryTimer = null;
+  let closed = false;
+  
+  const setStatus = (state, error = null) => {
+    onStatus({ state, error: error?.message ?? null, attempt });
+  };
+  
+  function handleSample(sample) {
+    if (closed) return;
+    
+    const normalized = {
+      channel: sample.channel ?? null,
+      tempF: toStorageUnit(sample.temp, sample.unit ?? 'F'),
+      timestamp: sample.timestamp ?? new Date().toISOString()
+    };
+    const key = String(normalized.channel);
+    if (filterSample(normalized, lastAccepted.get(key), { minIntervalMs })) return;
+    
+    lastAccepted.set(key, normalized);
+    onSample(normalized);
+  }
+  
+  function scheduleReconnect(error) {
+    const delay = reconnectDelaysMs[Math.min(attempt, reconnectDelaysMs.length - 1)];
+    attempt++;
+    setStatus('reconnecting', error);
+    retryTimer = setTimeout(open, delay);
+  }
+  
+  function handleDisconnect(error) {
+    if (closed) return;
+    scheduleReconnect(error);
+  }
+  
+  async function open() {
+    if (!hasConnected) {
+      setStatus('connecting');
+    }
+    try {
+      await source.start({ onSample: handleSample, onDisconnect: handleDisconnect });
+    } catch (error) {
+      if (closed) return;
+      if (hasConnected) {
+        scheduleReconnect(error);
+      } else {
+        closed = true;
+        setStatus('failed', error);
+      }
+      return;
+    }
+    
+    if (closed) {
+      source.stop();
+      return;
+    }
+    hasConnected = true;
+    attempt = 0;
+    setStatus('connected');
+  }
+  
+  open();
+  
+  return {
+    disconnect() {
+      if (closed) return;
+      closed = true;
+      clearTimeout(retryTimer);
+      source.stop();
+      setStatus('disconnected');
+    }
+  };
+}
@@ -0,0 +1,174 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { filterSample, resolveSampleProbe, connectReadingSource } from './readingSourceService.js';
+import { createProbe } from '../models/dataModels.js';
+
+/**
+ * Source driven by the test: push samples and drop the connection at will
+ */
+function createTestSource({ failures = 0 } = {}) {
+  const source = {
+    name: 'test',
+    label: 'Test probe',
+    handlers: null,
+    starts: 0,
+    stopped: false,
+    async start(handlers) {
+      source.starts++;
+      if (failures > 0) {
+        failures--;
+        throw new Error('No answer');
+      }
+      source.handlers = handlers;
+    },
+    stop() {
+      source.stopped = true;
+    },
+    push(temp, timestamp, { channel = null, unit = 'F' } = {}) {
+      source.handlers.onSample({ channel, temp, unit, timestamp });
+    },
+    drop() {
+      source.handlers.onDisconnect(new Error('Connection lost'));
+    }
+  };
+  return source;
+}
+
+const at = (seconds) => new Date(Date.UTC(2024, 0, 1, 12, 0, seconds)).toISOString();
+
+describe('filterSample', () => {
+  const last = { tempF: 100, timestamp: at(0) };
+  
+  it('keeps the first sample and ones far enough apart', () => {
+    expect(filterSample({ tempF: 100, timestamp: at(0) }, undefined, { minIntervalMs: 30000 })).toBeNull();
+    expect(filterSample({ tempF: 101, timestamp: at(30) }, last, { minIntervalMs: 30000 })).toBeNull();
+  });
+  
+  it('drops repeats, older samples and ones too soon after the last', () => {
+    expect(filterSample({ tempF: 100, timestamp: at(0) }, last, { minIntervalMs: 30000 })).toBe('duplicate');
+    expect(filterSample({ tempF: 99, timestamp: '2024-01-01T11:59:00.000Z' }, last, { minIntervalMs: 30000 })).toBe('stale');
+    expect(filterSample({ tempF: 101, timestamp: at(10) }, last, { minIntervalMs: 30000 })).toBe('rate-limited');
+  });
+  
+  it('drops temperatures no roast could be at', () => {
+    expect(filterSample({ tempF: 3000, timestamp: at(60) }, last)).toBe('invalid');
+    expect(filterSample({ tempF: -40, timestamp: at(60) }, last)).toBe('invalid');
+  });
+});
+
+describe('resolveSampleProbe', () => {
+  const probes = [createProbe('Probe 1'), createProbe('Thin end')];
+  
+  it('feeds the first probe from a single-channel source', () => {
+    expect(resolveSampleProbe(null, probes)).toBe(probes[0].id);
+  });
+  
+  it('matches channels by name, then by position', () => {
+    expect(resolveSampleProbe(' thin END', probes)).toBe(probes[1].id);
+    expect(resolveSampleProbe(1, probes)).toBe(probes[1].id);
+    expect(resolveSampleProbe('0', probes)).toBe(probes[0].id);
+    expect(resolveSampleProbe(2, probes)).toBeNull();
+    expect(resolveSampleProbe('Tenderloin', probes)).toBeNull();
+  });
+});
+
+describe('connectReadingSource', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+  
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+  
+  it('passes on samples in Fahrenheit, dropping repeats and rate-limited ones per channel', async () => {
+    const source = createTestSource();
+    const onSample = vi.fn();
+    connectReadingSource(source, { onSample, minIntervalMs: 30000 });
+    await vi.advanceTimersByTimeAsync(0);
+    
+    source.push(50, at(0), { unit: 'C' });
+    source.push(50, at(0), { unit: 'C' });
+    source.push(51, at(10), { unit: 'C' });
+    source.push(100, at(10), { channel: 1 });
+    source.push(52, at(30), { unit: 'C' });
+    
+    expect(onSample.mock.calls.map(([s]) => [s.channel, s.tempF, s.timestamp])).toEqual([
+      [null, 122, at(0)],
+      [1, 100, at(10)],
+      [null, 125.6, at(30)]
+    ]);
+  });
+  
+  it('reconnects after a drop with growing waits', async () => {
+    const source = createTestSource();
+    const statuses = [];
+    connectReadingSource(source, {
+      onSample: () => {},
+      onStatus: s => statuses.push(s.state),
+      reconnectDelaysMs: [1000, 5000]
+    });
+    await vi.advanceTimersByTimeAsync(0);
+    expect(statuses).toEqual(['connecting', 'connected']);
+    
+    source.drop();
+    expect(statuses.at(-1)).toBe('reconnecting');
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(source.starts).toBe(2);
+    expect(statuses.at(-1)).toBe('connected');
+  });
+  
+  it('keeps retrying a source that was connected, waiting longer each time', async () => {
+    const source = createTestSource();
+    connectReadingSource(source, { onSample: () => {}, reconnectDelaysMs: [1000, 5000] });
+    await vi.advanceTimersByTimeAsync(0);
+    
+    const start = source.start;
+    let failing = 2;
+    source.start = async (handlers) => {
+      if (failing-- > 0) {
+        source.starts++;
+        throw new Error('No answer');
+      }
+      return start(handlers);
+    };
+    source.drop();
+    
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(source.starts).toBe(2);
+    await vi.advanceTimersByTimeAsync(4999);
+    expect(source.starts).toBe(2);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(source.starts).toBe(3);
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(source.starts).toBe(4);
+    expect(source.handlers).not.toBeNull();
+  });
+  
+  it("fails at once when the source can't connect in the first place", async () => {
+    const source = createTestSource({ failures: 1 });
+    const onStatus = vi.fn();
+    connectReadingSource(source, { onSample: () => {}, onStatus });
+    await vi.advanceTimersByTimeAsync(60000);
+    
+    expect(onStatus).toHaveBeenLastCalledWith({ state: 'failed', error: 'No answer', attempt: 0 });
+    expect(source.starts).toBe(1);
+  });
+  
+  it('stops the source and ignores it once disconnected', async () => {
+    const source = createTestSource();
+    const onSample = vi.fn();
+    const onStatus = vi.fn();
+    const connection = connectReadingSource(source, { onSample, onStatus });
+    await vi.advanceTimersByTimeAsync(0);
+    
+    connection.disconnect();
+    source.push(100, at(0));
+    source.drop();
+    await vi.advanceTimersByTimeAsync(60000);
+    
+    expect(source.stopped).toBe(true);
+    expect(onSample).not.toHaveBeenCalled();
+    expect(onStatus).toHaveBeenLastCalledWith(expect.objectContaining({ state: 'disconnected' }));
+    expect(source.starts).toBe(1);
+  });
+});
@@ -0,0 +1,388 @@
+import { READING_SOURCE_DEFAULTS } from '../constants/defaults.js';
+
+// Bluetooth GATT Health Thermometer service and its Temperature Measurement characteristic
+const HEALTH_THERMOMETER_SERVICE = 0x1809;
+const TEMPERATURE_MEASUREMENT = 0x2A1C;
+
+// IEEE-11073 FLOAT mantissas with special meanings
+const FLOAT_NAN = 0x7FFFFF;
+const FLOAT_NRES = 0x800000;
+const FLOAT_POSITIVE_INFINITY = 0x7FFFFE;
+const FLOAT_NEGATIVE_INFINITY = 0x800002;
+const FLOAT_RESERVED = 0x800001;
+
+/**
+ * Live thermometer sources for readingSourceService. A source connects to a
+ * thermometer and pushes temperature samples until it's stopped or the
+ * connection drops:
+ * 
+ *   name: string - Saved on the readings it produces, e.g. 'http'
+ *   label: string - Shown to the user
+ *   start({ onSample, onDisconnect }): Promise<void> - Resolves once connected; rejects if it can't connect
+ *   stop(): void
+ * 
+ * A sample is { channel, temp, unit, timestamp }. The channel tells the
+ * probes of a multi-probe thermometer apart (an index or a name; null when
+ * there's only one) and the timestamp is ISO 8601, or null for now. A source
+ * that loses its connection calls onDisconnect(error) once and sends nothing
+ * more; reconnecting is up to the caller, by calling start again.
+ * 
+ * Sources here: a thermometer bridge polled over HTTP, a Bluetooth Health
+ * Thermometer probe, and a simulated probe for trying the app out.
+ */
+
+/**
+ * Samples from a thermometer bridge's JSON response
+ * The bridge can answer with one probe, an array of them, or
+ * { unit, probes: [...] }. Each probe is { temp (or temperature), unit?,
+ * channel?, timestamp? }; units default to Fahrenheit, and a timestamp may be
+ * ISO 8601 or epoch seconds or milliseconds. Anything else (such as an uptime
+ * counter) is ignored and the reading is timed on arrival.
+ * @param {*} body - Parsed JSON
+ * @returns {Array<{channel: string|number|null, temp: number, unit: 'F'|'C', timestamp: string|null}>}
+ * @throws {Error} If the response has no temperatures in it
+ */
+export function parseBridgeResponse(body) {
+  const unit = parseUnit(body?.unit) ?? 'F';
+  const entries = Array.isArray(body) ? body : Array.isArray(body?.probes) ? body.probes : [body];
+  if (entries.length === 0) {
+    throw new Error('The thermometer bridge sent no temperatures');
+  }
+  
+  return entries.map((entry, index) => {
+    const temp = entry?.temp ?? entry?.temperature;
+    if (typeof temp !== 'number' || !Number.isFinite(temp)) {
+      throw new Error('The thermometer bridge sent something other than temperatures');
+    }
+    return {
+      channel: entry.channel ?? entry.probe ?? (entries.length > 1 ? index : null),
+      temp,
+      unit: parseUnit(entry.unit) ?? unit,
+      timestamp: parseTimestamp(entry.timestamp ?? entry.time)
+    };
+  });
+}
+
+/**
+ * @param {*} unit - e.g. 'C', 'celsius', '°F'
+ * @returns {'F'|'C'|null}
+ */
+function parseUnit(unit) {
+  if (typeof unit !== 'string') return null;
+  const letter = unit.replace('°', '').trim().charAt(0).toUpperCase();
+  return letter === 'C' || letter === 'F' ? letter : null;
+}
+
+/**
+ * @param {*} value - ISO 8601, or epoch seconds or milliseconds
+ * @returns {string|null} ISO 8601, or null if it isn't a usable time
+ */
+function parseTimestamp(value) {
+  let ms = null;
+  if (typeof value === 'string') {
+    ms = Date.parse(value);
+  } else if (typeof value === 'number') {
+    // Smaller numbers are uptime counters from boards without a clock
+    ms = value > 1e12 ? value : value > 1e9 ? value * 1000 : null;
+  }
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+/**
+ * Source that polls a thermometer bridge (e.g. an ESP32 on the local network)
+ * for JSON (see parseBridgeResponse)
+ * The bridge must allow cross-origin requests from the app.
+ * @param {Object} options
+ * @param {string} options.url - e.g. 'http://192.168.4.1/temperature'
+ * @param {Function} [options.fetch] - Defaults to the browser's
+ * @param {number} [options.intervalMs] - Time between polls
+ * @param {number} [options.timeoutMs] - How long to wait for an answer
+ * @returns {Object} Reading source
+ */
+export function createHttpReadingSource({
+  url,
+  fetch = globalThis.fetch,
+  intervalMs = READING_SOURCE_DEFAULTS.POLL_INTERVAL_MS,
+  timeoutMs = READING_SOURCE_DEFAULTS.REQUEST_TIMEOUT_MS
+}) {
+  let timer = null;
+  let running = false;
+  
+  async function poll() {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetch(url, { signal: controller.signal, cache: 'no-store' });
+      if (!response.ok) {
+        throw new Error(`The thermometer bridge answered with an error (${response.status})`);
+      }
+      return parseBridgeResponse(await response.json());
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error('The thermometer bridge stopped answering');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+  
+  return {
+    name: 'http',
+    label: 'Thermometer bridge',
+    
+    async start({ onSample, onDisconnect }) {
+      running = true;
+      try {
+        const samples = await poll();
+        if (!running) return;
+        samples.forEach(onSample);
+      } catch (error) {
+        running = false;
+        throw error;
+      }
+      
+      const scheduleNext = () => {
+        timer = setTimeout(async () => {
+          try {
+            const samples = await poll();
+            if (!running) return;
+            samples.forEach(onSample);
+            scheduleNext();
+          } catch (error) {
+            if (!running) return;
+            running = false;
+            onDisconnect(error);
+          }
+        }, intervalMs);
+      };
+      scheduleNext();
+    },
+    
+    stop() {
+      running = false;
+      clearTimeout(timer);
+    }
+  };
+}
+
+/**
+ * Source that makes up readings for a roast heating in the oven, for trying
+ * the app out without a thermometer
+ * Each channel follows Newton heating towards the oven temperature, the later
+ * ones a little slower (as if deeper in the roast), with some noise. The
+ * simulated clock carries on across reconnects.
+ * @param {Object} [options]
+ * @param {number} [options.channels=1] - Probes to simulate
+ * @param {number} [options.startTemp=40] - Fahrenheit
+ * @param {number} [options.ovenTemp=225] - Fahrenheit
+ * @param {number} [options.timeConstantMinutes=240] - Heating time constant of the first channel
+ * @param {number} [options.speed=1] - Simulated time per real time; above 1, readings are stamped ahead of the clock
+ * @param {number} [options.intervalMs] - Time between samples
+ * @param {number} [options.noiseF=0.3] - Most a sample is off by
+ * @param {number|null} [options.disconnectAfter=null] - Drop the connection after this many samples, to try reconnecting
+ * @param {Function} [options.random] - Defaults to Math.random
+ * @returns {Object} Reading source
+ */
+export function createSimulatedReadingSource({
+  channels = 1,
+  startTemp = 40,
+  ovenTemp = 225,
+  timeConstantMinutes = 240,
+  speed = 1,
+  intervalMs = READING_SOURCE_DEFAULTS.SIMULATED_INTERVAL_MS,
+  noiseF = 0.3,
+  disconnectAfter = null,
+  random = Math.random
+} = {}) {
+  let timer = null;
+  let startedAt = null;
+  
+  function sampleAt(channel, ms) {
+    const minutes = ((ms - startedAt) * speed) / 60000;
+    const tau = timeConstantMinutes * (1 + 0.15 * channel);
+    const temp = ovenTemp - (ovenTemp - startTemp) * Math.exp(-minutes / tau) + noiseF * (2 * random() - 1);
+    return {
+      channel: channels > 1 ? channel : null,
+      temp: Math.round(temp * 10) / 10,
+      unit: 'F',
+      timestamp: new Date(startedAt + (ms - startedAt) * speed).toISOString()
+    };
+  }
+  
+  return {
+    name: 'simulated',
+    label: 'Simulated probe',
+    
+    async start({ onSample, onDisconnect }) {
+      startedAt ??= Date.now();
+      let sent = 0;
+      
+      const tick = () => {
+        if (disconnectAfter !== null && sent >= disconnectAfter) {
+          clearInterval(timer);
+          onDisconnect(new Error('The simulated probe dropped out'));
+          return;
+        }
+        const ms = Date.now();
+        for (let channel = 0; channel < channels; channel++) {
+          onSample(sampleAt(channel, ms));
+        }
+        sent++;
+      };
+      
+      tick();
+      timer = setInterval(tick, intervalMs);
+    },
+    
+    stop() {
+      clearInterval(timer);
+    }
+  };
+}
+
+/**
+ * Decode an IEEE-11073 32-bit FLOAT: a signed 24-bit mantissa and a signed
+ * 8-bit base-10 exponent
+ * @param {number} raw - The 32 bits as an unsigned integer
+ * @returns {number} NaN for "not a number", "not at this resolution" and reserved values
+ */
+export function decodeIeee11073Float(raw) {
+  const mantissa = raw & 0xFFFFFF;
+  const exponent = (raw >>> 24) << 24 >> 24;
+  
+  if (exponent === 0) {
+    if (mantissa === FLOAT_NAN || mantissa === FLOAT_NRES || mantissa === FLOAT_RESERVED) return NaN;
+    if (mantissa === FLOAT_POSITIVE_INFINITY) return Infinity;
+    if (mantissa === FLOAT_NEGATIVE_INFINITY) return -Infinity;
+  }
+  
+  const signed = mantissa & 0x800000 ? mantissa - 0x1000000 : mantissa;
+  // Dividing keeps decimal values exact (364 / 10 rather than 364 * 0.1)
+  return exponent < 0 ? signed / 10 ** -exponent : signed * 10 ** exponent;
+}
+
+/**
+ * Decode a Temperature Measurement characteristic value
+ * Flags (first byte): bit 0 set means Fahrenheit, bit 1 a time stamp follows
+ * the temperature, bit 2 a temperature type follows that.
+ * @param {DataView} value
+ * @returns {{temp: number, unit: 'F'|'C', measuredAt: {year: number, month: number, day: number, hours: number, minutes: number, seconds: number}|null, type: number|null}}
+ * @throws {Error} If the value is too short for its flags
+ */
+export function decodeTemperatureMeasurement(value) {
+  const flags = value.getUint8(0);
+  const hasTimestamp = Boolean(flags & 0x02);
+  const hasType = Boolean(flags & 0x04);
+  if (value.byteLength < 5 + (hasTimestamp ? 7 : 0) + (hasType ? 1 : 0)) {
+    throw new Error('Temperature measurement is too short');
+  }
+  
+  let offset = 5;
+  let measuredAt = null;
+  if (hasTimestamp) {
+    measuredAt = {
+      year: value.getUint16(offset, true),
+      month: value.getUint8(offset + 2),
+      day: value.getUint8(offset + 3),
+      hours: value.getUint8(offset + 4),
+      minutes: value.getUint8(offset + 5),
+      seconds: value.getUint8(offset + 6)
+    };
+    offset += 7;
+  }
+  
+  return {
+    temp: decodeIeee11073Float(value.getUint32(1, true)),
+    unit: flags & 0x01 ? 'F' : 'C',
+    measuredAt,
+    type: hasType ? value.getUint8(offset) : null
+  };
+}
+
+/**
+ * Source that pairs with a Bluetooth probe exposing the standard Health
+ * Thermometer service and takes its temperature measurements
+ * Pairing opens the browser's device chooser, so the first start must come
+ * from a tap or click. Reconnecting reuses the paired probe. Probe clocks are
+ * rarely set, so readings are timed on arrival.
+ * @param {Object} [options]
+ * @param {Bluetooth} [options.bluetooth] - Defaults to the browser's Web Bluetooth
+ * @returns {Object} Reading source
+ */
+export function createBluetoothReadingSource({ bluetooth = globalThis.navigator?.bluetooth } = {}) {
+  let device = null;
+  let characteristic = null;
+  let running = false;
+  let handlers = null;
+  
+  function handleMeasurement(event) {
+    if (!running) return;
+    
+    // Malformed measurements and ones the probe marks as not a number are
+    // dropped, like the samples readingSourceService filters out
+    let measurement;
+    try {
+      measurement = decodeTemperatureMeasurement(event.target.value);
+    } catch {
+      return;
+    }
+    if (!Number.isFinite(measurement.temp)) return;
+    
+    handlers.onSample({ channel: null, temp: measurement.temp, unit: measurement.unit, timestamp: null });
+  }
+  
+  function stop() {
+    running = false;
+    characteristic?.removeEventListener('characteristicvaluechanged', handleMeasurement);
+    characteristic = null;
+    if (device?.gatt.connected) {
+      device.gatt.disconnect();
+    }
+  }
+  
+  function handleDisconnected() {
+    if (!running) return;
+    stop();
+    handlers.onDisconnect(new Error(`Lost the connection to ${device.name || 'the thermometer'}`));
+  }
+  
+  return {
+    name: 'bluetooth',
+    label: 'Bluetooth thermometer',
+    
+    async start({ onSample, onDisconnect }) {
+      if (!bluetooth) {
+        throw new Error('This browser can\'t connect to Bluetooth thermometers');
+      }
+      handlers = { onSample, onDisconnect };
+      
+      if (!device) {
+        try {
+          device = await bluetooth.requestDevice({ filters: [{ services: [HEALTH_THERMOMETER_SERVICE] }] });
+        } catch (error) {
+          if (error.name === 'NotFoundError') {
+            throw new Error('No thermometer was chosen');
+          }
+          throw error;
+        }
+        device.addEventListener('gattserverdisconnected', handleDisconnected);
+      }
+      
+      try {
+        const server = await device.gatt.connect();
+        const service = await server.getPrimaryService(HEALTH_THERMOMETER_SERVICE);
+        characteristic = await service.getCharacteristic(TEMPERATURE_MEASUREMENT);
+        characteristic.addEventListener('characteristicvaluechanged', handleMeasurement);
+        running = true;
+        await characteristic.startNotifications();
+      } catch (error) {
+        // Don't leave the probe half set up
+        stop();
+        throw error;
+      }
+    },
+    
+    stop
+  };
+}
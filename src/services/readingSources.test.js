@@ -0,0 +1,346 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  parseBridgeResponse,
+  createHttpReadingSource,
+  createSimulatedReadingSource,
+  decodeIeee11073Float,
+  decodeTemperatureMeasurement,
+  createBluetoothReadingSource
+} from './readingSources.js';
+import { connectReadingSource } from './readingSourceService.js';
+
+/**
+ * fetch that answers with the given bodies in turn (an Error rejects)
+ */
+function fakeFetch(...answers) {
+  return vi.fn(async () => {
+    const answer = answers.length > 1 ? answers.shift() : answers[0];
+    if (answer instanceof Error) throw answer;
+    return { ok: true, status: 200, json: async () => answer };
+  });
+}
+
+describe('parseBridgeResponse', () => {
+  it('reads a single probe', () => {
+    expect(parseBridgeResponse({ temp: 98.6 })).toEqual([
+      { channel: null, temp: 98.6, unit: 'F', timestamp: null }
+    ]);
+  });
+  
+  it('reads several probes with a shared unit and their own times', () => {
+    expect(parseBridgeResponse({
+      unit: 'celsius',
+      probes: [
+        { temperature: 40.5, timestamp: '2024-01-01T12:00:00Z' },
+        { channel: 'Thin end', temp: 45, time: 1704110400 }
+      ]
+    })).toEqual([
+      { channel: 0, temp: 40.5, unit: 'C', timestamp: '2024-01-01T12:00:00.000Z' },
+      { channel: 'Thin end', temp: 45, unit: 'C', timestamp: '2024-01-01T12:00:00.000Z' }
+    ]);
+  });
+  
+  it('times readings on arrival when the board only counts uptime', () => {
+    expect(parseBridgeResponse([{ temp: 100, timestamp: 123456 }])[0].timestamp).toBeNull();
+  });
+  
+  it('rejects responses without temperatures', () => {
+    expect(() => parseBridgeResponse({ status: 'ok' })).toThrow();
+    expect(() => parseBridgeResponse({ temp: null })).toThrow();
+    expect(() => parseBridgeResponse([])).toThrow();
+  });
+});
+
+describe('createHttpReadingSource', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+  
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+  
+  it('polls the bridge until stopped', async () => {
+    const fetch = fakeFetch({ temp: 100 }, { temp: 101 }, { temp: 102 });
+    const source = createHttpReadingSource({ url: 'http://bridge/temp', fetch, intervalMs: 1000 });
+    const samples = [];
+    
+    await source.start({ onSample: s => samples.push(s.temp), onDisconnect: () => {} });
+    await vi.advanceTimersByTimeAsync(1000);
+    source.stop();
+    await vi.advanceTimersByTimeAsync(5000);
+    
+    expect(samples).toEqual([100, 101]);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+  
+  it("fails to start when the bridge can't be reached", async () => {
+    const source = createHttpReadingSource({ url: 'http://bridge/temp', fetch: fakeFetch(new TypeError('Failed to fetch')) });
+    
+    await expect(source.start({ onSample: () => {}, onDisconnect: () => {} })).rejects.toThrow('Failed to fetch');
+  });
+  
+  it('reports a dropped connection once and stops polling', async () => {
+    const fetch = fakeFetch({ temp: 100 }, new TypeError('Failed to fetch'), { temp: 101 });
+    const source = createHttpReadingSource({ url: 'http://bridge/temp', fetch, intervalMs: 1000 });
+    const onDisconnect = vi.fn();
+    
+    await source.start({ onSample: () => {}, onDisconnect });
+    await vi.advanceTimersByTimeAsync(5000);
+    
+    expect(onDisconnect).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+  
+  it('gives up on a bridge that stops answering', async () => {
+    const fetch = vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    }));
+    const source = createHttpReadingSource({ url: 'http://bridge/temp', fetch, timeoutMs: 500 });
+    
+    const started = source.start({ onSample: () => {}, onDisconnect: () => {} });
+    const assertion = expect(started).rejects.toThrow('stopped answering');
+    await vi.advanceTimersByTimeAsync(500);
+    await assertion;
+  });
+});
+
+describe('createSimulatedReadingSource', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-01-01T12:00:00.000Z'));
+  });
+  
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+  
+  it('heats each probe towards the oven temperature, deeper ones slower', async () => {
+    const source = createSimulatedReadingSource({ channels: 2, speed: 60, intervalMs: 60000, noiseF: 0 });
+    const samples = [];
+    
+    await source.start({ onSample: s => samples.push(s), onDisconnect: () => {} });
+    await vi.advanceTimersByTimeAsync(6 * 60000);
+    source.stop();
+    
+    const first = samples.filter(s => s.channel === 0);
+    const second = samples.filter(s => s.channel === 1);
+    expect(first[0]).toEqual({ channel: 0, temp: 40, unit: 'F', timestamp: '2024-01-01T12:00:00.000Z' });
+    expect(first.at(-1).timestamp).toBe('2024-01-01T18:00:00.000Z');
+    expect(first.at(-1).temp).toBeGreaterThan(second.at(-1).temp);
+    expect(first.at(-1).temp).toBeLessThan(225);
+    expect(first.every((s, i) => i === 0 || s.temp > first[i - 1].temp)).toBe(true);
+  });
+  
+  it('drops out when asked to, and carries on its clock when restarted', async () => {
+    const source = createSimulatedReadingSource({ intervalMs: 1000, noiseF: 0, disconnectAfter: 2 });
+    const samples = [];
+    const onDisconnect = vi.fn();
+    
+    await source.start({ onSample: s => samples.push(s), onDisconnect });
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(onDisconnect).toHaveBeenCalledTimes(1);
+    expect(samples).toHaveLength(2);
+    
+    await source.start({ onSample: s => samples.push(s), onDisconnect });
+    source.stop();
+    expect(samples[2].timestamp).toBe('2024-01-01T12:00:05.000Z');
+    expect(samples[2].temp).toBeGreaterThan(samples[0].temp);
+  });
+});
+
+/**
+ * Temperature Measurement value: flags, FLOAT, then optional time stamp and type
+ */
+function measurement({ mantissa, exponent = -1, fahrenheit = false, timestamp = null, type = null }) {
+  const bytes = [(fahrenheit ? 0x01 : 0) | (timestamp ? 0x02 : 0) | (type !== null ? 0x04 : 0)];
+  const raw = ((exponent & 0xFF) << 24 | (mantissa & 0xFFFFFF)) >>> 0;
+  bytes.push(raw & 0xFF, raw >>> 8 & 0xFF, raw >>> 16 & 0xFF, raw >>> 24);
+  if (timestamp) {
+    const [year, month, day, hours, minutes, seconds] = timestamp;
+    bytes.push(year & 0xFF, year >>> 8, month, day, hours, minutes, seconds);
+  }
+  if (type !== null) {
+    bytes.push(type);
+  }
+  return new DataView(new Uint8Array(bytes).buffer);
+}
+
+/**
+ * Web Bluetooth stand-in with one Health Thermometer probe
+ */
+function createFakeBluetooth({ name = 'Meat Probe', cancel = false } = {}) {
+  const characteristic = new EventTarget();
+  characteristic.notifying = false;
+  characteristic.startNotifications = async () => {
+    characteristic.notifying = true;
+  };
+  
+  const device = new EventTarget();
+  device.name = name;
+  device.connects = 0;
+  device.gatt = {
+    connected: false,
+    async connect() {
+      device.connects++;
+      device.gatt.connected = true;
+      return {
+        async getPrimaryService(uuid) {
+          if (uuid !== 0x1809) throw new Error('No such service');
+          return {
+            async getCharacteristic(id) {
+              if (id !== 0x2A1C) throw new Error('No such characteristic');
+              return characteristic;
+            }
+          };
+        }
+      };
+    },
+    disconnect() {
+      device.gatt.connected = false;
+      device.dispatchEvent(new Event('gattserverdisconnected'));
+    }
+  };
+  
+  return {
+    device,
+    requestDevice: vi.fn(async (options) => {
+      if (cancel) throw Object.assign(new Error('User cancelled the requestDevice() chooser.'), { name: 'NotFoundError' });
+      expect(options).toEqual({ filters: [{ services: [0x1809] }] });
+      return device;
+    }),
+    indicate(value) {
+      characteristic.value = value;
+      characteristic.dispatchEvent(new Event('characteristicvaluechanged'));
+    },
+    // The probe going out of range
+    dropOut() {
+      device.gatt.connected = false;
+      device.dispatchEvent(new Event('gattserverdisconnected'));
+    }
+  };
+}
+
+describe('decodeIeee11073Float', () => {
+  it('scales the mantissa by a power of ten', () => {
+    expect(decodeIeee11073Float(0xFF00016C)).toBe(36.4);
+    expect(decodeIeee11073Float(0x00000062)).toBe(98);
+    expect(decodeIeee11073Float(0x01000002)).toBe(20);
+    expect(decodeIeee11073Float(0xFEFFFF9C)).toBe(-1);
+  });
+  
+  it('reads the special values', () => {
+    expect(decodeIeee11073Float(0x007FFFFF)).toBeNaN();
+    expect(decodeIeee11073Float(0x00800000)).toBeNaN();
+    expect(decodeIeee11073Float(0x00800001)).toBeNaN();
+    expect(decodeIeee11073Float(0x007FFFFE)).toBe(Infinity);
+    expect(decodeIeee11073Float(0x00800002)).toBe(-Infinity);
+  });
+});
+
+describe('decodeTemperatureMeasurement', () => {
+  it('reads the temperature and its unit', () => {
+    expect(decodeTemperatureMeasurement(measurement({ mantissa: 545 }))).toEqual({ temp: 54.5, unit: 'C', measuredAt: null, type: null });
+    expect(decodeTemperatureMeasurement(measurement({ mantissa: 1302, fahrenheit: true })).unit).toBe('F');
+  });
+  
+  it('reads the optional time stamp and temperature type', () => {
+    const decoded = decodeTemperatureMeasurement(measurement({ mantissa: 545, timestamp: [2024, 1, 2, 13, 4, 5], type: 2 }));
+    
+    expect(decoded.measuredAt).toEqual({ year: 2024, month: 1, day: 2, hours: 13, minutes: 4, seconds: 5 });
+    expect(decoded.type).toBe(2);
+  });
+  
+  it('rejects values shorter than their flags promise', () => {
+    const truncated = new DataView(measurement({ mantissa: 545, timestamp: [2024, 1, 2, 13, 4, 5] }).buffer.slice(0, 8));
+    expect(() => decodeTemperatureMeasurement(truncated)).toThrow();
+  });
+});
+
+describe('createBluetoothReadingSource', () => {
+  it('pairs with a probe and passes on its measurements', async () => {
+    const bluetooth = createFakeBluetooth();
+    const source = createBluetoothReadingSource({ bluetooth });
+    const samples = [];
+    
+    await source.start({ onSample: s => samples.push(s), onDisconnect: () => {} });
+    bluetooth.indicate(measurement({ mantissa: 545 }));
+    bluetooth.indicate(measurement({ mantissa: 0x7FFFFF, exponent: 0 }));
+    bluetooth.indicate(new DataView(new ArrayBuffer(2)));
+    bluetooth.indicate(measurement({ mantissa: 1302, fahrenheit: true }));
+    
+    expect(samples).toEqual([
+      { channel: null, temp: 54.5, unit: 'C', timestamp: null },
+      { channel: null, temp: 130.2, unit: 'F', timestamp: null }
+    ]);
+  });
+  
+  it('reports a lost connection once, then reconnects to the same probe', async () => {
+    const bluetooth = createFakeBluetooth();
+    const source = createBluetoothReadingSource({ bluetooth });
+    const samples = [];
+    const onDisconnect = vi.fn();
+    
+    await source.start({ onSample: s => samples.push(s.temp), onDisconnect });
+    bluetooth.dropOut();
+    bluetooth.dropOut();
+    bluetooth.indicate(measurement({ mantissa: 500 }));
+    expect(onDisconnect).toHaveBeenCalledTimes(1);
+    expect(onDisconnect.mock.calls[0][0].message).toContain('Meat Probe');
+    
+    await source.start({ onSample: s => samples.push(s.temp), onDisconnect });
+    bluetooth.indicate(measurement({ mantissa: 510 }));
+    
+    expect(bluetooth.requestDevice).toHaveBeenCalledTimes(1);
+    expect(bluetooth.device.connects).toBe(2);
+    expect(samples).toEqual([51]);
+  });
+  
+  it('disconnects when stopped without reporting it as a drop', async () => {
+    const bluetooth = createFakeBluetooth();
+    const source = createBluetoothReadingSource({ bluetooth });
+    const onDisconnect = vi.fn();
+    
+    await source.start({ onSample: () => {}, onDisconnect });
+    source.stop();
+    
+    expect(bluetooth.device.gatt.connected).toBe(false);
+    expect(onDisconnect).not.toHaveBeenCalled();
+  });
+  
+  it("fails to start when no probe is chosen or there's no Bluetooth", async () => {
+    const handlers = { onSample: () => {}, onDisconnect: () => {} };
+    
+    await expect(createBluetoothReadingSource({ bluetooth: createFakeBluetooth({ cancel: true }) }).start(handlers))
+      .rejects.toThrow('No thermometer was chosen');
+    await expect(createBluetoothReadingSource({ bluetooth: undefined }).start(handlers))
+      .rejects.toThrow("can't connect to Bluetooth");
+  });
+});
+
+describe('Bluetooth probe through readingSourceService', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+  
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+  
+  it('comes back after the probe drops out', async () => {
+    const bluetooth = createFakeBluetooth();
+    const statuses = [];
+    connectReadingSource(createBluetoothReadingSource({ bluetooth }), {
+      onSample: () => {},
+      onStatus: s => statuses.push(s.state),
+      reconnectDelaysMs: [1000]
+    });
+    await vi.advanceTimersByTimeAsync(0);
+    
+    bluetooth.dropOut();
+    await vi.advanceTimersByTimeAsync(1000);
+    
+    expect(statuses).toEqual(['connecting', 'connected', 'reconnecting', 'connected']);
+    expect(bluetooth.device.connects).toBe(2);
+  });
+});
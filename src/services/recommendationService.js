@@ -1,20 +1,17 @@
-import { minutesBetween } from '../utils/timeUtils.js';
-import { RECOMMENDATION_MESSAGES, SETTINGS_DEFAULTS } from '../constants/defaults.js';
-
-/**
- * Estimate meat temperature after cooling period
- * Uses exponential decay (Newton's Law of Cooling)
- * 
- * @param {number} initialTemp - Initial meat temperature in °F
- * @param {number} minutesElapsed - Time elapsed since cooling started
- * @param {number} ambientTemp - Room/ambient temperature in °F (default 70°F)
- * @param {number} coolingRate - Cooling constant k (default 0.02 per minute for typical roasts)
- * @returns {number} Estimated current temperature in °F
- */
-function estimateMeatCooling(initialTemp, minutesElapsed, ambientTemp = 70, coolingRate = 0.02) {
-  // T(t) = T_ambient + (T_initial - T_ambient) * e^(-k*t)
-  return ambientTemp + (initialTemp - ambientTemp) * Math.exp(-coolingRate * minutesElapsed);
-}
+import { minutesBetween, formatDuration } from '../utils/timeUtils.js';
+import { RECOMMENDATION_MESSAGES, SETTINGS_DEFAULTS, THERMAL_MODEL_DEFAULTS } from '../constants/defaults.js';
+import {
+  fitThermalModel,
+  predictMinutesToTemp,
+  modelHeatingRate,
+  segmentReadingsByOven,
+  ovenScheduleBetween,
+  simulateTemp,
+  applyMeasuredOvenTemps,
+  calculateOvenOffset,
+  effectiveOvenTemp,
+  estimateMeatCooling
+} from './thermalModelService.js';
 
 /**
  * Determine if conditions allow making a recommendation
@@ -25,6 +22,8 @@ function estimateMeatCooling(initialTemp, minutesElapsed, ambientTemp = 70, cool
  * @param {string|null} params.desiredServeTime
  * @param {AppSettings} params.settings
  * @param {Object} params.confidence - Confidence assessment from calculation service
+ * @param {Object|null} [params.stall] - Stall detection result from calculation service
+ * @param {string} [params.now] - ISO timestamp to check as of, defaults to the current time
  * @returns {{canRecommend: boolean, blockerReason: string|null, blockerType: string|null, progress: Object|null}}
  */
 export function checkRecommendationEligibility({
@@ -32,7 +31,9 @@ export function checkRecommendationEligibility({
   ovenEvents,
   desiredServeTime,
   settings,
-  confidence
+  confidence,
+  stall = null,
+  now = new Date().toISOString()
 }) {
   // Check minimum readings requirement
   if (readings.length < settings.minReadingsForRecommendation) {
@@ -79,7 +80,7 @@ export function checkRecommendationEligibility({
   }
   
   const lastOvenEvent = ovenEvents[ovenEvents.length - 1];
-  const ovenDataAge = minutesBetween(lastOvenEvent.timestamp, new Date().toISOString());
+  const ovenDataAge = minutesBetween(lastOvenEvent.timestamp, now);
   
   // Skip stale check if oven is currently off (we'll handle restart recommendations separately)
   const isOvenOff = lastOvenEvent.isOff === true;
@@ -118,6 +119,20 @@ export function checkRecommendationEligibility({
     };
   }
   
+  // A stall is expected on long cooks; changing the oven won't help, so hold
+  if (stall?.isStalled) {
+    return {
+      canRecommend: false,
+      blockerReason: RECOMMENDATION_MESSAGES.STALL.replace('{duration}', formatDuration(stall.estimatedBreakMinutes)),
+      blockerType: 'stall',
+      progress: {
+        current: stall.durationMinutes,
+        required: stall.expectedDurationMinutes,
+        message: `Stalled for ${formatDuration(stall.durationMinutes)}`
+      }
+    };
+  }
+  
   // For normal recommendations (oven is on), check confidence level
   if (confidence.level === 'insufficient') {
     return {
@@ -187,7 +202,8 @@ function calculateOvenOffDuration(scheduleVarianceMinutes, predictedMinutesToTar
 
 /**
  * Estimate heating rate at a different oven temperature
- * Uses proportional scaling based on temp difference
+ * Uses proportional scaling based on temp difference; only used when no
+ * thermal model could be fitted to the session
  * 
  * @param {number} newOvenTemp - Proposed new oven temperature in °F
  * @param {number} currentRate - Current observed heating rate in °F/hour
@@ -217,6 +233,9 @@ function estimateHeatingRate(newOvenTemp, currentRate, currentOvenTemp) {
  * @param {number} params.previousOvenTemp - Oven temperature before it was turned off in °F
  * @param {number|null} params.currentRate - Current/recent heating rate in °F/hour
  * @param {AppSettings} params.settings
+ * @param {Object|null} [params.thermalModel] - Fitted heat-transfer model (see fitThermalModel)
+ * @param {number} [params.ovenOffsetF] - How far the oven measures above its dial (°F)
+ * @param {string} params.now - ISO timestamp to plan from
  * @returns {Object} Restart recommendation
  */
 function calculateOvenRestartRecommendation({
@@ -226,7 +245,10 @@ function calculateOvenRestartRecommendation({
   desiredServeTime,
   previousOvenTemp,
   currentRate,
-  settings
+  settings,
+  thermalModel = null,
+  ovenOffsetF = 0,
+  now
 }) {
   // 1. Estimate current meat temp (after cooling)
   const estimatedCurrentTemp = estimateMeatCooling(lastMeatTemp, minutesSinceOvenOff);
@@ -237,7 +259,7 @@ function calculateOvenRestartRecommendation({
   // If already at or past target, recommend restart immediately
   if (tempDeficit <= 0) {
     return {
-      restartTime: new Date().toISOString(),
+      restartTime: now,
       restartTemp: previousOvenTemp,
       minutesUntilRestart: 0,
       shouldRestartNow: true,
@@ -247,7 +269,6 @@ function calculateOvenRestartRecommendation({
   }
   
   // 3. Calculate time remaining to serve time
-  const now = new Date().toISOString();
   const minutesToServeTime = minutesBetween(now, desiredServeTime);
   
   // If no time left or past serve time, restart immediately at higher temp
@@ -270,21 +291,38 @@ function calculateOvenRestartRecommendation({
   const requiredRatePerHour = (tempDeficit / minutesToServeTime) * 60;
   
   // 5. Select appropriate oven temperature
+  // The model knows the rate at the previous setting from where the meat is now;
+  // the last observed rate dates from before the oven went off.
+  // The model works in measured oven temperatures, the dial in set ones.
   let restartTemp = previousOvenTemp;
+  const rateAtPreviousTemp = thermalModel
+    ? modelHeatingRate(thermalModel, estimatedCurrentTemp, previousOvenTemp + ovenOffsetF)
+    : currentRate;
   
-  if (currentRate && currentRate > 0) {
-    if (requiredRatePerHour > currentRate * 1.2) {
+  if (rateAtPreviousTemp && rateAtPreviousTemp > 0) {
+    if (requiredRatePerHour > rateAtPreviousTemp * 1.2) {
       // Need to heat faster - increase temp
       restartTemp = Math.min(previousOvenTemp + 25, settings.ovenTempMaxF);
-    } else if (requiredRatePerHour < currentRate * 0.8) {
+    } else if (requiredRatePerHour < rateAtPreviousTemp * 0.8) {
       // Can afford to heat slower - decrease temp
       restartTemp = Math.max(previousOvenTemp - 25, settings.ovenTempMinF);
     }
   }
   
-  // 6. Estimate time needed at restart temp
-  const estimatedRateAtRestartTemp = estimateHeatingRate(restartTemp, currentRate, previousOvenTemp);
-  const minutesNeeded = (tempDeficit / estimatedRateAtRestartTemp) * 60;
+  // 6. Estimate time needed at restart temp, allowing for the oven coming back up to heat
+  let minutesNeeded = thermalModel
+    ? predictMinutesToTemp(thermalModel, {
+        currentTemp: estimatedCurrentTemp,
+        targetTemp,
+        ovenTemp: restartTemp + ovenOffsetF,
+        previousOvenTemp: THERMAL_MODEL_DEFAULTS.OVEN_OFF_TEMP_F
+      })
+    : null;
+  
+  if (minutesNeeded === null) {
+    const estimatedRateAtRestartTemp = estimateHeatingRate(restartTemp, currentRate, previousOvenTemp);
+    minutesNeeded = (tempDeficit / estimatedRateAtRestartTemp) * 60;
+  }
   
   // 7. Calculate restart time
   const restartTimeMs = new Date(desiredServeTime).getTime() - minutesNeeded * 60000;
@@ -315,6 +353,10 @@ function calculateOvenRestartRecommendation({
  * @param {AppSettings} params.settings
  * @param {number|null} params.predictedMinutesToTarget - Minutes until target
  * @param {number|null} params.currentRate - Current heating rate in °F/hour
+ * @param {Object|null} [params.thermalModel] - Fitted heat-transfer model (see fitThermalModel)
+ * @param {number|null} [params.currentTemp] - Current meat temperature (°F), needed with the model
+ * @param {number|null} [params.targetTemp] - Target meat temperature (°F), needed with the model
+ * @param {number} [params.ovenOffsetF] - How far the oven measures above its dial (°F)
  * @returns {Object} Recommendation details
  */
 export function calculateRecommendation({
@@ -323,7 +365,11 @@ export function calculateRecommendation({
   scheduleStatus,
   settings,
   predictedMinutesToTarget,
-  currentRate
+  currentRate,
+  thermalModel = null,
+  currentTemp = null,
+  targetTemp = null,
+  ovenOffsetF = 0
 }) {
   const {
     recommendationStepF,
@@ -333,6 +379,19 @@ export function calculateRecommendation({
     onTrackThresholdMinutes
   } = settings;
   
+  // Shared inputs for sizing a change with the thermal model
+  const modelInputs = {
+    thermalModel,
+    currentTemp,
+    targetTemp,
+    currentOvenTemp,
+    ovenOffsetF,
+    minutesAvailable: predictedMinutesToTarget !== null && scheduleVarianceMinutes !== null
+      ? predictedMinutesToTarget - scheduleVarianceMinutes
+      : null,
+    maxStepF: recommendationMaxStepF
+  };
+  
   // On track - recommend holding steady
   if (scheduleStatus === 'on-track') {
     return {
@@ -370,6 +429,12 @@ export function calculateRecommendation({
       severity = 'normal';
     }
     
+    // Let the fitted model size the change when it can
+    const modelled = chooseModelledChange({ ...modelInputs, direction: 1 });
+    if (modelled) {
+      changeAmount = modelled.changeAmount;
+    }
+    
     // Calculate suggested temperature
     let suggestedTemp = currentOvenTemp + changeAmount;
     
@@ -404,7 +469,8 @@ export function calculateRecommendation({
       suggestedTemp: Math.round(suggestedTemp),
       changeAmount: Math.round(changeAmount),
       message: formatMessage(messageTemplate, { suggestedTemp: Math.round(suggestedTemp) }),
-      reasoning: `Running approximately ${Math.round(absVariance)} minutes late. Increasing oven temperature will speed up heating.`,
+      reasoning: `Running approximately ${Math.round(absVariance)} minutes late. Increasing oven temperature will speed up heating.` +
+        describeModelledEffect({ ...modelInputs, suggestedTemp }),
       alternativeMessage: null,
       ovenOffMinutes: null,
       practicalMinF: null,
@@ -434,6 +500,12 @@ export function calculateRecommendation({
       severity = 'normal';
     }
     
+    // Let the fitted model size the change when it can
+    const modelled = chooseModelledChange({ ...modelInputs, direction: -1 });
+    if (modelled) {
+      changeAmount = modelled.changeAmount;
+    }
+    
     // Calculate suggested temperature
     let suggestedTemp = currentOvenTemp - changeAmount;
     
@@ -489,7 +561,8 @@ export function calculateRecommendation({
         suggestedTemp: Math.round(suggestedTemp),
         changeAmount: Math.round(changeAmount),
         message: formatMessage(messageTemplate, { suggestedTemp: Math.round(suggestedTemp) }),
-        reasoning: `Running approximately ${Math.round(absVariance)} minutes early. This is the practical minimum for most ovens.`,
+        reasoning: `Running approximately ${Math.round(absVariance)} minutes early. This is the practical minimum for most ovens.` +
+          describeModelledEffect({ ...modelInputs, suggestedTemp }),
         alternativeMessage: null,
         ovenOffMinutes: null,
         practicalMinF: null,
@@ -528,7 +601,8 @@ export function calculateRecommendation({
       suggestedTemp: Math.round(suggestedTemp),
       changeAmount: Math.round(changeAmount),
       message: formatMessage(messageTemplate, { suggestedTemp: Math.round(suggestedTemp) }),
-      reasoning: `Running approximately ${Math.round(absVariance)} minutes early. Lowering oven temperature will slow down heating.`,
+      reasoning: `Running approximately ${Math.round(absVariance)} minutes early. Lowering oven temperature will slow down heating.` +
+        describeModelledEffect({ ...modelInputs, suggestedTemp }),
       alternativeMessage: null,
       ovenOffMinutes: null,
       practicalMinF: null,
@@ -550,12 +624,366 @@ export function calculateRecommendation({
   };
 }
 
+/**
+ * Pick the oven change whose modelled finish lands closest to the serve time
+ * Candidates run in CANDIDATE_STEP_F steps up to the maximum single change.
+ * 
+ * @param {Object} params
+ * @param {Object|null} params.thermalModel
+ * @param {number|null} params.currentTemp - °F
+ * @param {number|null} params.targetTemp - °F
+ * @param {number} params.currentOvenTemp - Set temperature (°F)
+ * @param {number} params.ovenOffsetF - Measured minus set, so the model sees the real oven
+ * @param {number|null} params.minutesAvailable - Minutes until the serve time
+ * @param {number} params.maxStepF - Largest change to consider
+ * @param {1|-1} params.direction - Raise or lower
+ * @returns {{changeAmount: number, minutesToTarget: number}|null} Null without a model or a reachable candidate
+ */
+function chooseModelledChange({ thermalModel, currentTemp, targetTemp, currentOvenTemp, ovenOffsetF, minutesAvailable, maxStepF, direction }) {
+  if (!thermalModel || currentTemp === null || targetTemp === null || !(minutesAvailable > 0)) {
+    return null;
+  }
+  
+  let best = null;
+  for (let change = THERMAL_MODEL_DEFAULTS.CANDIDATE_STEP_F; change <= maxStepF; change += THERMAL_MODEL_DEFAULTS.CANDIDATE_STEP_F) {
+    const minutesToTarget = predictMinutesToTemp(thermalModel, {
+      currentTemp,
+      targetTemp,
+      ovenTemp: currentOvenTemp + ovenOffsetF + direction * change,
+      previousOvenTemp: currentOvenTemp + ovenOffsetF
+    });
+    if (minutesToTarget === null) continue;
+    
+    const miss = Math.abs(minutesToTarget - minutesAvailable);
+    if (!best || miss < best.miss) {
+      best = { changeAmount: change, minutesToTarget, miss };
+    }
+  }
+  
+  return best && { changeAmount: best.changeAmount, minutesToTarget: best.minutesToTarget };
+}
+
+/**
+ * Reasoning sentence giving the modelled finish at a suggested oven setting
+ * @returns {string} Empty without a model
+ */
+function describeModelledEffect({ thermalModel, currentTemp, targetTemp, currentOvenTemp, ovenOffsetF, suggestedTemp }) {
+  if (!thermalModel || currentTemp === null || targetTemp === null) return '';
+  
+  const minutes = predictMinutesToTemp(thermalModel, {
+    currentTemp,
+    targetTemp,
+    ovenTemp: suggestedTemp + ovenOffsetF,
+    previousOvenTemp: currentOvenTemp + ovenOffsetF
+  });
+  if (minutes === null) return '';
+  
+  return ` Based on how this roast has responded to the oven so far, expect about ${formatDuration(minutes)} to target at the new setting.`;
+}
+
+/**
+ * Find one oven setting that brings every roast sharing the oven to its target
+ * by its serve time
+ * Each roast's finish is predicted at candidate settings, CANDIDATE_STEP_F
+ * apart and within one change of the current setting, from its own fitted
+ * heat-transfer model (or by scaling its current rate without one). The
+ * setting whose worst miss is smallest wins, the smallest change breaking
+ * ties. If that still leaves one roast early and another late, no setting
+ * suits them all: the roast furthest ahead is pulled early and kept warm, and
+ * the rest are planned again. Roasts without a serve time or enough readings
+ * don't steer the setting, and nor do ones already at target.
+ * 
+ * @param {Object} params
+ * @param {Array<{id: string|null, name: string, readings: InternalReading[], targetTemp: number, desiredServeTime: string|null, currentRate: number|null, thermalModel?: Object|null}>} params.roasts -
+ *   Roasts in the oven, readings being the included ones from each roast's governing probe;
+ *   a roast's model is fitted here unless it comes with one
+ * @param {OvenTempEvent[]} params.ovenEvents
+ * @param {OvenReading[]} [params.ovenReadings] - Measured oven temperatures, used over the set point when present
+ * @param {number} params.currentOvenTemp - Set temperature (°F)
+ * @param {AppSettings} params.settings
+ * @param {string} [params.now] - ISO timestamp to recommend as of, defaults to the current time
+ * @returns {Recommendation & {roasts: Array<{id: string|null, name: string, status: 'ready'|'waiting'|'pull-early'|'on-track'|'early'|'late'|'unknown', minutesToTarget: number|null, targetTime: string|null, varianceMinutes: number|null}>, pullEarly: Array<{id: string|null, name: string}>}}
+ */
+export function recommendSharedOven({ roasts, ovenEvents, ovenReadings = [], currentOvenTemp, settings, now = new Date().toISOString() }) {
+  const { recommendationMaxStepF, ovenTempMinF, ovenTempMaxF, onTrackThresholdMinutes, minReadingsForRecommendation } = settings;
+  const measuredOvenEvents = applyMeasuredOvenTemps(ovenEvents, ovenReadings);
+  const ovenOffsetF = calculateOvenOffset(measuredOvenEvents);
+  
+  const forecasts = roasts.map(roast => {
+    const latest = roast.readings[roast.readings.length - 1] ?? null;
+    const thermalModel = !latest ? null : roast.thermalModel !== undefined ? roast.thermalModel : fitThermalModel(roast.readings, measuredOvenEvents);
+    
+    return {
+      roast,
+      isReady: latest !== null && latest.temp >= roast.targetTemp,
+      canPredict: roast.readings.length >= minReadingsForRecommendation && (thermalModel !== null || roast.currentRate > 0),
+      minutesAvailable: roast.desiredServeTime ? minutesBetween(now, roast.desiredServeTime) : null,
+      minutesAt: (setTemp) => {
+        if (thermalModel) {
+          return predictMinutesToTemp(thermalModel, {
+            currentTemp: latest.temp,
+            targetTemp: roast.targetTemp,
+            ovenTemp: setTemp + ovenOffsetF,
+            previousOvenTemp: currentOvenTemp + ovenOffsetF
+          });
+        }
+        const rate = estimateHeatingRate(setTemp, roast.currentRate, currentOvenTemp);
+        return rate > 0 ? ((roast.targetTemp - latest.temp) / rate) * 60 : null;
+      }
+    };
+  });
+  
+  let steering = forecasts.filter(f => !f.isReady && f.canPredict && f.minutesAvailable !== null);
+  if (steering.length === 0) {
+    return {
+      action: 'none',
+      suggestedTemp: null,
+      changeAmount: null,
+      message: null,
+      reasoning: null,
+      alternativeMessage: null,
+      ovenOffMinutes: null,
+      practicalMinF: null,
+      canRecommend: false,
+      blockerReason: RECOMMENDATION_MESSAGES.SHARED_NOT_READY,
+      blockerType: 'insufficient_readings',
+      progress: null,
+      roasts: [],
+      pullEarly: []
+    };
+  }
+  
+  const candidates = [];
+  for (let change = -recommendationMaxStepF; change <= recommendationMaxStepF; change += THERMAL_MODEL_DEFAULTS.CANDIDATE_STEP_F) {
+    const setTemp = currentOvenTemp + change;
+    if (setTemp >= ovenTempMinF && setTemp <= ovenTempMaxF) {
+      candidates.push(setTemp);
+    }
+  }
+  if (candidates.length === 0) {
+    candidates.push(currentOvenTemp);
+  }
+  candidates.sort((a, b) => Math.abs(a - currentOvenTemp) - Math.abs(b - currentOvenTemp));
+  
+  // Positive = late; a target the setting can't reach is as late as it gets
+  const missAt = (forecast, setTemp) => {
+    const minutes = forecast.minutesAt(setTemp);
+    return minutes === null ? Infinity : minutes - forecast.minutesAvailable;
+  };
+  const chooseSetting = () => candidates
+    .map(setTemp => {
+      const misses = steering.map(f => missAt(f, setTemp));
+      return { setTemp, misses, worst: Math.max(...misses.map(Math.abs)) };
+    })
+    .reduce((best, option) => (option.worst < best.worst ? option : best));
+  
+  const pullEarly = [];
+  let choice = chooseSetting();
+  while (
+    steering.length > 1 &&
+    Math.min(...choice.misses) < -onTrackThresholdMinutes &&
+    Math.max(...choice.misses) > onTrackThresholdMinutes
+  ) {
+    const earliest = steering[choice.misses.indexOf(Math.min(...choice.misses))];
+    pullEarly.push(earliest.roast);
+    steering = steering.filter(f => f !== earliest);
+    choice = chooseSetting();
+  }
+  
+  const suggestedTemp = choice.setTemp;
+  const breakdown = forecasts.map(forecast => {
+    const { id, name } = forecast.roast;
+    if (forecast.isReady) {
+      return { id, name, status: 'ready', minutesToTarget: 0, targetTime: now, varianceMinutes: null };
+    }
+    if (!forecast.canPredict) {
+      return { id, name, status: 'waiting', minutesToTarget: null, targetTime: null, varianceMinutes: null };
+    }
+    
+    const minutesToTarget = forecast.minutesAt(suggestedTemp);
+    const targetTime = minutesToTarget === null ? null : new Date(new Date(now).getTime() + minutesToTarget * 60000).toISOString();
+    const varianceMinutes = minutesToTarget !== null && forecast.minutesAvailable !== null
+      ? minutesToTarget - forecast.minutesAvailable
+      : null;
+    
+    let status = 'unknown';
+    if (pullEarly.includes(forecast.roast)) {
+      status = 'pull-early';
+    } else if (varianceMinutes !== null) {
+      status = Math.abs(varianceMinutes) <= onTrackThresholdMinutes ? 'on-track' : varianceMinutes > 0 ? 'late' : 'early';
+    }
+    return { id, name, status, minutesToTarget, targetTime, varianceMinutes };
+  });
+  
+  const action = suggestedTemp > currentOvenTemp ? 'raise' : suggestedTemp < currentOvenTemp ? 'lower' : 'hold';
+  const worstLate = Math.max(...choice.misses);
+  const template = pullEarly.length > 0
+    ? RECOMMENDATION_MESSAGES.SHARED_PULL_EARLY
+    : { raise: RECOMMENDATION_MESSAGES.SHARED_RAISE, lower: RECOMMENDATION_MESSAGES.SHARED_LOWER, hold: RECOMMENDATION_MESSAGES.SHARED_HOLD }[action];
+  
+  let reasoning = `Planned for ${steering.length} roast${steering.length === 1 ? '' : 's'} sharing the oven, each from how it has heated so far.`;
+  if (pullEarly.length > 0) {
+    reasoning += ` Any setting that brings the rest in on time gets the ${formatNames(pullEarly)} done well ahead of serving.`;
+  }
+  if (worstLate > onTrackThresholdMinutes) {
+    reasoning += Number.isFinite(worstLate)
+      ? ` Even so, expect to serve about ${formatDuration(worstLate)} late.`
+      : ' Even so, not every roast will reach its target at this setting.';
+  }
+  
+  return {
+    action,
+    suggestedTemp,
+    changeAmount: Math.abs(suggestedTemp - currentOvenTemp),
+    message: formatMessage(template, { roastNames: formatNames(pullEarly) }),
+    reasoning,
+    alternativeMessage: null,
+    ovenOffMinutes: null,
+    practicalMinF: null,
+    canRecommend: true,
+    blockerReason: null,
+    blockerType: null,
+    progress: null,
+    severity: worstLate > onTrackThresholdMinutes || pullEarly.length > 0 ? 'warning' : action === 'hold' ? 'normal' : 'moderate',
+    roasts: breakdown,
+    pullEarly: pullEarly.map(({ id, name }) => ({ id, name }))
+  };
+}
+
+/**
+ * Roast names as a list, e.g. "Tenderloin and Pork Loin"
+ * @param {Array<{name: string}>} roasts
+ * @returns {string}
+ */
+function formatNames(roasts) {
+  const names = roasts.map(r => r.name);
+  return names.length <= 1 ? names.join('') : `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+/**
+ * Project the meat temperature under a hypothetical oven schedule
+ * Answers "if I set the oven to 250°F now, or turn it off for 20 minutes, when
+ * will I hit target?". The schedule replaces any oven events from its first
+ * entry on. The fitted heat-transfer model is used when there is one (scheduled
+ * settings are shifted by the measured oven offset, lag included); otherwise the
+ * current rate is scaled to each setting and the meat cools while the oven is off.
+ * 
+ * @param {Object} params
+ * @param {InternalReading[]} params.readings - Included readings, sorted by timestamp
+ * @param {OvenTempEvent[]} params.ovenEvents
+ * @param {OvenReading[]} [params.ovenReadings] - Measured oven temperatures
+ * @param {Array<{setTemp: number, isOff?: boolean, timestamp: string}>} params.schedule - Hypothetical
+ *   oven settings (°F, dial), in order; the last one holds until the target is reached
+ * @param {number} params.targetTemp - °F
+ * @param {number|null} [params.currentRate] - Current heating rate in °F/hour, used without a model
+ * @param {Object|null} [params.thermalModel] - Model fitted to the readings and measured oven events; fitted here if left out
+ * @param {string} [params.now] - ISO timestamp to project from, defaults to the current time
+ * @returns {{canSimulate: boolean, reason: string|null, method: 'model'|'rate'|null, points: Array<{timestamp: string, temp: number}>, targetTime: string|null, minutesToTarget: number|null}}
+ */
+export function simulateOvenSchedule({
+  readings,
+  ovenEvents,
+  ovenReadings = [],
+  schedule,
+  targetTemp,
+  currentRate = null,
+  thermalModel,
+  now = new Date().toISOString()
+}) {
+  const empty = { canSimulate: false, method: null, points: [], targetTime: null, minutesToTarget: null };
+  const lastReading = readings[readings.length - 1];
+  if (!lastReading) {
+    return { ...empty, reason: 'Add a reading to simulate oven changes' };
+  }
+  
+  const nowMs = new Date(now).getTime();
+  const scheduleStartMs = schedule.length > 0 ? new Date(schedule[0].timestamp).getTime() : Infinity;
+  const before = (item) => new Date(item.timestamp).getTime() < scheduleStartMs;
+  
+  // Actual history up to the schedule, then the hypothetical settings
+  const measuredEvents = applyMeasuredOvenTemps(ovenEvents.filter(before), ovenReadings.filter(before));
+  const ovenOffsetF = calculateOvenOffset(measuredEvents);
+  const events = [
+    ...measuredEvents,
+    ...schedule.map(s => ({
+      setTemp: s.isOff ? 0 : s.setTemp,
+      isOff: Boolean(s.isOff),
+      timestamp: s.timestamp,
+      measuredTemp: s.isOff ? null : s.setTemp + ovenOffsetF
+    }))
+  ];
+  
+  if (thermalModel === undefined) {
+    thermalModel = fitThermalModel(readings, applyMeasuredOvenTemps(ovenEvents, ovenReadings));
+  }
+  const lastOnEvent = [...measuredEvents].reverse().find(e => !e.isOff);
+  
+  let advance;
+  if (thermalModel) {
+    advance = (temp, fromMs, toMs) => simulateTemp(
+      thermalModel.coefficient,
+      temp,
+      ovenScheduleBetween(events, thermalModel.lagMinutes, fromMs, toMs)
+    );
+  } else if (currentRate > 0) {
+    advance = (temp, fromMs, toMs) => {
+      const minutes = (toMs - fromMs) / 60000;
+      const active = [...events].reverse().find(e => new Date(e.timestamp).getTime() <= fromMs);
+      if (active?.isOff) {
+        return estimateMeatCooling(temp, minutes, THERMAL_MODEL_DEFAULTS.OVEN_OFF_TEMP_F);
+      }
+      const rate = active
+        ? estimateHeatingRate(active.setTemp, currentRate, lastOnEvent?.setTemp ?? active.setTemp)
+        : currentRate;
+      return temp + rate * minutes / 60;
+    };
+  } else {
+    return { ...empty, reason: 'Needs a heating rate or enough readings to model the oven' };
+  }
+  
+  // Step forward from the last reading until the target or the horizon
+  const stepMs = THERMAL_MODEL_DEFAULTS.SIMULATION_STEP_MINUTES * 60 * 1000;
+  const endMs = Math.max(nowMs, scheduleStartMs === Infinity ? nowMs : scheduleStartMs) +
+    THERMAL_MODEL_DEFAULTS.SIMULATION_MAX_HOURS * 60 * 60 * 1000;
+  let timeMs = new Date(lastReading.timestamp).getTime();
+  let temp = lastReading.temp;
+  const points = [{ timestamp: lastReading.timestamp, temp }];
+  let targetTime = temp >= targetTemp ? lastReading.timestamp : null;
+  
+  while (!targetTime && timeMs < endMs) {
+    const nextMs = Math.min(timeMs + stepMs, endMs);
+    const nextTemp = advance(temp, timeMs, nextMs);
+    
+    if (nextTemp >= targetTemp) {
+      // Interpolate the crossing within the step
+      const crossingMs = timeMs + (targetTemp - temp) / (nextTemp - temp) * (nextMs - timeMs);
+      targetTime = new Date(crossingMs).toISOString();
+      points.push({ timestamp: targetTime, temp: targetTemp });
+    } else {
+      points.push({ timestamp: new Date(nextMs).toISOString(), temp: Math.round(nextTemp * 10) / 10 });
+    }
+    
+    timeMs = nextMs;
+    temp = nextTemp;
+  }
+  
+  return {
+    canSimulate: true,
+    reason: null,
+    method: thermalModel ? 'model' : 'rate',
+    points,
+    targetTime,
+    minutesToTarget: targetTime ? Math.max(0, Math.round(minutesBetween(now, targetTime))) : null
+  };
+}
+
 /**
  * Generate the full recommendation result including eligibility check
  * 
  * @param {Object} params
  * @param {InternalReading[]} params.readings
  * @param {OvenTempEvent[]} params.ovenEvents
+ * @param {OvenReading[]} [params.ovenReadings] - Measured oven temperatures, used over the set point when present
  * @param {number} params.currentOvenTemp - Current oven temp in °F
  * @param {number} params.targetTemp - Target internal meat temp in °F
  * @param {string|null} params.desiredServeTime
@@ -565,11 +993,16 @@ export function calculateRecommendation({
  * @param {AppSettings} params.settings
  * @param {number|null} params.predictedMinutesToTarget - Minutes until target at current rate
  * @param {number|null} params.currentRate - Current heating rate in °F/hour
+ * @param {Object|null} [params.stall] - Stall detection result
+ * @param {Object|null} [params.carryover] - Carryover estimate from calculation service
+ * @param {Object|null} [params.thermalModel] - Model fitted to the readings and measured oven events; fitted here if left out
+ * @param {string} [params.now] - ISO timestamp to recommend as of, defaults to the current time
  * @returns {Recommendation}
  */
 export function generateRecommendation({
   readings,
   ovenEvents,
+  ovenReadings = [],
   currentOvenTemp,
   targetTemp,
   desiredServeTime,
@@ -578,15 +1011,48 @@ export function generateRecommendation({
   confidence,
   settings,
   predictedMinutesToTarget,
-  currentRate
+  currentRate,
+  stall = null,
+  carryover = null,
+  thermalModel,
+  now = new Date().toISOString()
 }) {
+  // Reaching the pull temperature overrides everything else
+  if (carryover?.shouldPull) {
+    return {
+      action: 'pull',
+      suggestedTemp: null,
+      changeAmount: null,
+      message: RECOMMENDATION_MESSAGES.PULL_NOW,
+      reasoning: 'Expect about {carryover} of carryover from the current heating rate, oven temperature and roast size, so pulling at {pullTemp} lands on target.',
+      alternativeMessage: null,
+      ovenOffMinutes: null,
+      practicalMinF: null,
+      restartTime: null,
+      restartTemp: null,
+      minutesUntilRestart: null,
+      shouldRestartNow: false,
+      estimatedCurrentMeatTemp: null,
+      pullTemp: carryover.pullTemp,
+      expectedPeakTemp: carryover.expectedPeakTemp,
+      carryoverF: carryover.carryoverF,
+      canRecommend: true,
+      blockerReason: null,
+      blockerType: null,
+      progress: null,
+      severity: 'urgent'
+    };
+  }
+  
   // First check eligibility
   const eligibility = checkRecommendationEligibility({
     readings,
     ovenEvents,
     desiredServeTime,
     settings,
-    confidence
+    confidence,
+    stall,
+    now
   });
   
   if (!eligibility.canRecommend) {
@@ -611,15 +1077,22 @@ export function generateRecommendation({
     };
   }
   
+  // How this roast responds to the oven, for sizing changes
+  const measuredOvenEvents = applyMeasuredOvenTemps(ovenEvents, ovenReadings);
+  if (thermalModel === undefined) {
+    thermalModel = fitThermalModel(readings, measuredOvenEvents);
+  }
+  const ovenOffsetF = calculateOvenOffset(measuredOvenEvents);
+  const lastReading = readings[readings.length - 1];
+  
   // Check if oven is currently off
   const lastOvenEvent = ovenEvents[ovenEvents.length - 1];
   const isOvenOff = lastOvenEvent.isOff === true;
   
   if (isOvenOff && desiredServeTime) {
     // Oven is off - calculate restart recommendation
-    const lastReading = readings[readings.length - 1];
     const ovenOffTime = new Date(lastOvenEvent.timestamp);
-    const minutesSinceOvenOff = minutesBetween(lastOvenEvent.timestamp, new Date().toISOString());
+    const minutesSinceOvenOff = minutesBetween(lastOvenEvent.timestamp, now);
     
     // Find the oven temp before it was turned off
     const previousOvenTemp = lastOvenEvent.previousTemp || currentOvenTemp || 225;
@@ -631,7 +1104,10 @@ export function generateRecommendation({
       desiredServeTime,
       previousOvenTemp,
       currentRate,
-      settings
+      settings,
+      thermalModel,
+      ovenOffsetF,
+      now
     });
     
     return {
@@ -665,7 +1141,11 @@ export function generateRecommendation({
     scheduleStatus,
     settings,
     predictedMinutesToTarget,
-    currentRate
+    currentRate,
+    thermalModel,
+    currentTemp: lastReading.temp,
+    targetTemp,
+    ovenOffsetF
   });
   
   return {
@@ -682,6 +1162,81 @@ export function generateRecommendation({
   };
 }
 
+/**
+ * Recommend the next step once the roast is out of the low-and-slow phase
+ * Resting counts down to preheating the pan or oven and then the sear;
+ * searing counts down to serving. Times stay as {preheatTime}, {searTime}
+ * and {serveTime} placeholders for the UI to format, and the carryover peak
+ * as {peakTemp} and {peakTime}.
+ * 
+ * @param {Object} params
+ * @param {ReturnType<typeof import('./phaseService.js').calculatePhaseTiming>} params.timing
+ * @param {'pan'|'oven'} [params.searMethod]
+ * @param {ReturnType<typeof import('./calculationService.js').analyzeRest>} [params.rest] - Carryover peak while resting
+ * @returns {Recommendation}
+ */
+export function generatePhaseRecommendation({ timing, searMethod = 'pan', rest = null }) {
+  const recommend = (action, message, reasoning, severity = 'normal') => ({
+    action,
+    suggestedTemp: null,
+    changeAmount: null,
+    message: formatMessage(message, { searMethod }),
+    reasoning,
+    alternativeMessage: null,
+    ovenOffMinutes: null,
+    practicalMinF: null,
+    restartTime: null,
+    restartTemp: null,
+    minutesUntilRestart: null,
+    shouldRestartNow: false,
+    estimatedCurrentMeatTemp: null,
+    preheatTime: timing.preheatTime,
+    minutesToPreheat: timing.minutesToPreheat,
+    searTime: timing.searTime,
+    serveTime: timing.serveTime,
+    minutesLeftInPhase: timing.minutesLeftInPhase,
+    expectedPeakTemp: rest?.peakTemp ?? null,
+    peakTime: rest?.peakTime ?? null,
+    canRecommend: true,
+    blockerReason: null,
+    blockerType: null,
+    progress: null,
+    severity
+  });
+  
+  if (timing.phase === 'rest') {
+    let restReasoning = 'Resting lets the juices settle and the carryover finish before the sear.';
+    let doneReasoning = 'The rest is done.';
+    if (rest?.isPastPeak) {
+      restReasoning = 'Carryover has peaked at {peakTemp}; resting a little longer lets the juices settle.';
+      doneReasoning = 'Carryover peaked at {peakTemp} and the roast is starting to cool.';
+    } else if (rest) {
+      restReasoning = 'Carryover should peak around {peakTemp} at {peakTime}; the rest runs until then.';
+    }
+    
+    if (!timing.searTime) {
+      return timing.minutesLeftInPhase > 0
+        ? recommend('rest', RECOMMENDATION_MESSAGES.REST_NO_SEAR, restReasoning)
+        : recommend('serve', RECOMMENDATION_MESSAGES.SERVE, doneReasoning, 'urgent');
+    }
+    if (timing.minutesLeftInPhase <= 0) {
+      return recommend('sear', RECOMMENDATION_MESSAGES.SEAR_NOW, `${doneReasoning} The pan or oven should be hot.`, 'urgent');
+    }
+    if (timing.minutesToPreheat <= 0) {
+      return recommend('preheat', RECOMMENDATION_MESSAGES.PREHEAT_NOW, `Starting now gets the ${searMethod} hot just as the rest ends.`);
+    }
+    return recommend('rest', RECOMMENDATION_MESSAGES.REST, restReasoning);
+  }
+  
+  if (timing.phase === 'sear') {
+    return timing.minutesLeftInPhase > 0
+      ? recommend('sear', RECOMMENDATION_MESSAGES.SEARING, 'A short, very hot sear browns the crust without overcooking the inside.')
+      : recommend('serve', RECOMMENDATION_MESSAGES.SERVE, 'The sear is done.', 'urgent');
+  }
+  
+  return recommend('serve', RECOMMENDATION_MESSAGES.SERVE, 'The roast is ready.');
+}
+
 /**
  * Format a message template with variable substitution
  * @param {string} template
@@ -701,31 +1256,29 @@ function formatMessage(template, variables) {
  * This provides feedback on observed responsiveness
  * 
  * @param {InternalReading[]} readings
- * @param {OvenTempEvent[]} ovenEvents
+ * @param {OvenTempEvent[]} rawOvenEvents
+ * @param {OvenReading[]} [ovenReadings] - Measured oven temperatures, used over the set point when present
+ * @param {Object|null} [thermalModel] - Model fitted to the readings and measured oven events; fitted here if left out
  * @returns {Object|null} Responsiveness analysis or null if insufficient data
  */
-export function analyzeOvenResponsiveness(readings, ovenEvents) {
-  if (ovenEvents.length < 2 || readings.length < 5) {
+export function analyzeOvenResponsiveness(readings, rawOvenEvents, ovenReadings = [], thermalModel) {
+  if (rawOvenEvents.length < 2 || readings.length < 5) {
     return null;
   }
   
+  const ovenEvents = applyMeasuredOvenTemps(rawOvenEvents, ovenReadings);
+  
+  // The fitted lag says when each oven change starts to show in the readings
+  if (thermalModel === undefined) {
+    thermalModel = fitThermalModel(readings, ovenEvents);
+  }
+  const lagMinutes = thermalModel?.lagMinutes ?? THERMAL_MODEL_DEFAULTS.DEFAULT_LAG_MINUTES;
+  
   const segments = [];
   
   // Analyze each oven temperature segment
-  for (let i = 0; i < ovenEvents.length; i++) {
-    const segmentStart = new Date(ovenEvents[i].timestamp);
-    const segmentEnd = i < ovenEvents.length - 1 
-      ? new Date(ovenEvents[i + 1].timestamp)
-      : new Date();
-    
-    // Find readings within this segment (with some delay for thermal lag)
-    const lagMinutes = 15; // Thermal lag before oven change affects meat
-    const effectiveStart = new Date(segmentStart.getTime() + lagMinutes * 60 * 1000);
-    
-    const segmentReadings = readings.filter(r => {
-      const time = new Date(r.timestamp);
-      return time >= effectiveStart && time < segmentEnd;
-    });
+  for (const segment of segmentReadingsByOven(readings, ovenEvents, lagMinutes)) {
+    const segmentReadings = segment.readings;
     
     if (segmentReadings.length >= 2) {
       const first = segmentReadings[0];
@@ -735,9 +1288,9 @@ export function analyzeOvenResponsiveness(readings, ovenEvents) {
       if (hours > 0.1) {
         const rate = (last.temp - first.temp) / hours;
         segments.push({
-          ovenTemp: ovenEvents[i].setTemp,
+          ovenTemp: effectiveOvenTemp(segment.event),
           heatingRate: rate,
-          duration: minutesBetween(ovenEvents[i].timestamp, segmentEnd.toISOString()),
+          duration: minutesBetween(segment.event.timestamp, segment.end),
           readingCount: segmentReadings.length
         });
       }
@@ -767,7 +1320,8 @@ export function analyzeOvenResponsiveness(readings, ovenEvents) {
     correlation,
     responsiveness, // °F/hr change per °F oven change
     responsivenessValue: responsiveness,
-    descriptionType: getResponsivenessDescriptionType(responsiveness, correlation)
+    descriptionType: getResponsivenessDescriptionType(responsiveness, correlation),
+    thermalModel
   };
 }
 
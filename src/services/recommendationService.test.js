@@ -0,0 +1,186 @@
+import { describe, it, expect } from 'vitest';
+import { simulateOvenSchedule, recommendSharedOven } from './recommendationService.js';
+import { createDefaultSettings } from '../models/dataModels.js';
+import { simulateTemp, fitThermalModel } from './thermalModelService.js';
+
+const START = '2024-01-01T12:00:00Z';
+
+function at(minutes) {
+  return new Date(new Date(START).getTime() + minutes * 60000).toISOString();
+}
+
+// Readings every 20 minutes from a roast following the lumped model at 225°F
+const readings = Array.from({ length: 8 }, (_, i) => ({
+  id: `r${i}`,
+  temp: simulateTemp(0.3, 40, [{ ovenTemp: 225, minutes: i * 20 }]),
+  timestamp: at(i * 20)
+}));
+const ovenEvents = [{ setTemp: 225, timestamp: at(0), isOff: false }];
+
+describe('simulateOvenSchedule', () => {
+  const now = at(140);
+  
+  it('projects the fitted model with the oven left alone', () => {
+    const result = simulateOvenSchedule({ readings, ovenEvents, schedule: [], targetTemp: 160, now });
+    const lastTemp = readings[readings.length - 1].temp;
+    
+    expect(result.canSimulate).toBe(true);
+    expect(result.method).toBe('model');
+    expect(result.minutesToTarget).toBe(Math.round(Math.log((225 - lastTemp) / (225 - 160)) / 0.3 * 60));
+    expect(result.points[0].timestamp).toBe(now);
+    expect(result.points[result.points.length - 1].temp).toBe(160);
+  });
+  
+  it('finishes sooner with a hotter oven and later after a pause', () => {
+    const alone = simulateOvenSchedule({ readings, ovenEvents, schedule: [], targetTemp: 160, now });
+    const hotter = simulateOvenSchedule({
+      readings,
+      ovenEvents,
+      schedule: [{ setTemp: 275, timestamp: now }],
+      targetTemp: 160,
+      now
+    });
+    const paused = simulateOvenSchedule({
+      readings,
+      ovenEvents,
+      schedule: [{ isOff: true, timestamp: now }, { setTemp: 225, timestamp: at(160) }],
+      targetTemp: 160,
+      now
+    });
+    
+    expect(hotter.minutesToTarget).toBeLessThan(alone.minutesToTarget);
+    expect(paused.minutesToTarget).toBeGreaterThan(alone.minutesToTarget + 20);
+  });
+  
+  it('scales the current rate without a model', () => {
+    const result = simulateOvenSchedule({
+      readings: readings.slice(0, 2),
+      ovenEvents,
+      schedule: [{ setTemp: 250, timestamp: at(20) }],
+      targetTemp: 130,
+      currentRate: 30,
+      now: at(20)
+    });
+    
+    expect(result.method).toBe('rate');
+    expect(result.minutesToTarget).toBe(Math.round((130 - readings[1].temp) / (30 * 250 / 225) * 60));
+  });
+  
+  it('uses a model fitted beforehand rather than fitting its own', () => {
+    const model = fitThermalModel(readings, ovenEvents);
+    const fitted = simulateOvenSchedule({ readings, ovenEvents, schedule: [], targetTemp: 160, now });
+    const given = simulateOvenSchedule({ readings, ovenEvents, schedule: [], targetTemp: 160, thermalModel: model, now });
+    const withoutModel = simulateOvenSchedule({ readings, ovenEvents, schedule: [], targetTemp: 160, currentRate: 30, thermalModel: null, now });
+    
+    expect(given).toEqual(fitted);
+    expect(withoutModel.method).toBe('rate');
+  });
+  
+  it('reports when the target is out of reach', () => {
+    const result = simulateOvenSchedule({
+      readings,
+      ovenEvents,
+      schedule: [{ isOff: true, timestamp: now }],
+      targetTemp: 160,
+      now
+    });
+    
+    expect(result.canSimulate).toBe(true);
+    expect(result.targetTime).toBeNull();
+    expect(result.minutesToTarget).toBeNull();
+  });
+  
+  it('needs a reading', () => {
+    const result = simulateOvenSchedule({ readings: [], ovenEvents, schedule: [], targetTemp: 160, now });
+    
+    expect(result.canSimulate).toBe(false);
+    expect(result.reason).toBeTruthy();
+  });
+});
+
+describe('recommendSharedOven', () => {
+  const now = at(80);
+  const settings = createDefaultSettings();
+  
+  // A big roast and a thin one that heats twice as fast, read every 20 minutes
+  function roast(name, coefficient, targetTemp) {
+    return {
+      id: name,
+      name,
+      targetTemp,
+      currentRate: null,
+      desiredServeTime: null,
+      readings: Array.from({ length: 5 }, (_, i) => ({
+        id: `${name}${i}`,
+        temp: simulateTemp(coefficient, 40, [{ ovenTemp: 225, minutes: i * 20 }]),
+        timestamp: at(i * 20)
+      }))
+    };
+  }
+  
+  // Serve time at which a roast finishes with the oven at a setting
+  function servedAt(r, setTemp) {
+    const schedule = setTemp === 225 ? [] : [{ setTemp, timestamp: now }];
+    const { minutesToTarget } = simulateOvenSchedule({ readings: r.readings, ovenEvents, schedule, targetTemp: r.targetTemp, now });
+    return new Date(new Date(now).getTime() + minutesToTarget * 60000).toISOString();
+  }
+  
+  it('holds when every roast is on track', () => {
+    const primeRib = roast('Prime Rib', 0.3, 130);
+    const tenderloin = roast('Tenderloin', 0.6, 160);
+    primeRib.desiredServeTime = servedAt(primeRib, 225);
+    tenderloin.desiredServeTime = servedAt(tenderloin, 225);
+    
+    const result = recommendSharedOven({ roasts: [primeRib, tenderloin], ovenEvents, currentOvenTemp: 225, settings, now });
+    
+    expect(result.action).toBe('hold');
+    expect(result.suggestedTemp).toBe(225);
+    expect(result.roasts.map(r => r.status)).toEqual(['on-track', 'on-track']);
+    expect(result.pullEarly).toEqual([]);
+  });
+  
+  it('finds the setting that suits both roasts', () => {
+    const primeRib = roast('Prime Rib', 0.3, 130);
+    const tenderloin = roast('Tenderloin', 0.6, 160);
+    primeRib.desiredServeTime = servedAt(primeRib, 245);
+    tenderloin.desiredServeTime = servedAt(tenderloin, 245);
+    
+    const result = recommendSharedOven({ roasts: [primeRib, tenderloin], ovenEvents, currentOvenTemp: 225, settings, now });
+    
+    expect(result.action).toBe('raise');
+    expect(result.suggestedTemp).toBe(245);
+    expect(result.changeAmount).toBe(20);
+    expect(result.roasts.map(r => r.status)).toEqual(['on-track', 'on-track']);
+  });
+  
+  it('says which roast to pull early when no setting suits both', () => {
+    const primeRib = roast('Prime Rib', 0.3, 130);
+    const tenderloin = roast('Tenderloin', 0.6, 160);
+    primeRib.desiredServeTime = servedAt(primeRib, 240);
+    tenderloin.desiredServeTime = primeRib.desiredServeTime;
+    
+    const result = recommendSharedOven({ roasts: [primeRib, tenderloin], ovenEvents, currentOvenTemp: 225, settings, now });
+    
+    expect(result.suggestedTemp).toBe(240);
+    expect(result.pullEarly).toEqual([{ id: 'Tenderloin', name: 'Tenderloin' }]);
+    expect(result.message).toContain('pull the Tenderloin early');
+    expect(result.roasts.map(r => r.status)).toEqual(['on-track', 'pull-early']);
+    expect(new Date(result.roasts[1].targetTime) < new Date(tenderloin.desiredServeTime)).toBe(true);
+  });
+  
+  it('leaves roasts it cannot plan for out of the choice', () => {
+    const primeRib = roast('Prime Rib', 0.3, 130);
+    const pork = { ...roast('Pork Loin', 0.5, 145), readings: roast('Pork Loin', 0.5, 145).readings.slice(0, 1) };
+    const done = roast('Chicken', 0.6, 120);
+    primeRib.desiredServeTime = servedAt(primeRib, 225);
+    pork.desiredServeTime = primeRib.desiredServeTime;
+    
+    const result = recommendSharedOven({ roasts: [primeRib, pork, done], ovenEvents, currentOvenTemp: 225, settings, now });
+    
+    expect(result.action).toBe('hold');
+    expect(result.roasts.map(r => r.status)).toEqual(['on-track', 'waiting', 'ready']);
+    
+    const blocked = recommendSharedOven({ roasts: [pork, done], ovenEvents, currentOvenTemp: 225, settings, now });
+    expect(blocked.canRecommend).toBe(false);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Several roasts in one oven. The session config describes the main roast;
+ * session.roasts holds the others, each with its own target and serve time.
+ * Probes name the roast they're in (none means the main roast), and readings
+ * belong to a roast through their probe. The oven event log is shared.
+ */
+
+/**
+ * ID standing for the main roast, which is described by the session config
+ */
+export const MAIN_ROAST_ID = null;
+
+/**
+ * Every roast in the session, the main one first
+ * The main roast takes its target, serve time and so on from the config.
+ * @param {Session} session
+ * @returns {Array<Roast & {isMain: boolean}>}
+ */
+export function getRoasts(session) {
+  const { config } = session;
+  const main = {
+    id: MAIN_ROAST_ID,
+    name: config.meatType || 'Main roast',
+    targetTemp: config.targetTemp,
+    meatType: config.meatType ?? null,
+    weight: config.weight ?? null,
+    desiredServeTime: config.desiredServeTime ?? null,
+    pulledAt: null,
+    isMain: true
+  };
+  const others = (session.roasts ?? []).map(roast => ({
+    ...roast,
+    // Served with the main roast unless given its own time
+    desiredServeTime: roast.desiredServeTime ?? main.desiredServeTime,
+    isMain: false
+  }));
+  return [main, ...others];
+}
+
+/**
+ * Probes in one roast
+ * @param {Probe[]} probes
+ * @param {string|null} roastId - MAIN_ROAST_ID for the main roast
+ * @returns {Probe[]}
+ */
+export function getRoastProbes(probes, roastId) {
+  return probes.filter(probe => (probe.roastId ?? MAIN_ROAST_ID) === roastId);
+}
+
+/**
+ * Readings from one roast's probes
+ * Readings without a known probe belong to the first probe, as elsewhere.
+ * @param {InternalReading[]} readings
+ * @param {Probe[]} probes
+ * @param {string|null} roastId - MAIN_ROAST_ID for the main roast
+ * @returns {InternalReading[]}
+ */
+export function getRoastReadings(readings, probes, roastId) {
+  if (probes.length === 0) {
+    return roastId === MAIN_ROAST_ID ? [...readings] : [];
+  }
+  
+  const ownerRoast = new Map(probes.map(probe => [probe.id, probe.roastId ?? MAIN_ROAST_ID]));
+  const fallback = probes[0].roastId ?? MAIN_ROAST_ID;
+  return readings.filter(r => (ownerRoast.has(r.probeId) ? ownerRoast.get(r.probeId) : fallback) === roastId);
+}
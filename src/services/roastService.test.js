@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { getRoasts, getRoastProbes, getRoastReadings, MAIN_ROAST_ID } from './roastService.js';
+import { createSession, createRoast, createProbe, createReading } from '../models/dataModels.js';
+
+function twoRoastSession() {
+  const session = createSession({ targetTemp: 130, meatType: 'Prime Rib', desiredServeTime: '2024-01-01T19:00:00.000Z' });
+  const tenderloin = createRoast({ name: 'Tenderloin', targetTemp: 125 });
+  session.roasts = [tenderloin];
+  session.probes = [createProbe('Thick end'), createProbe('Tenderloin', tenderloin.id), createProbe('Thin end')];
+  session.readings = [
+    createReading(60, '2024-01-01T12:00:00.000Z', session.probes[0].id),
+    createReading(45, '2024-01-01T12:00:00.000Z', session.probes[1].id),
+    createReading(62, '2024-01-01T12:00:00.000Z', session.probes[2].id),
+    // From before probes were tagged
+    createReading(70, '2024-01-01T13:00:00.000Z')
+  ];
+  return session;
+}
+
+describe('getRoasts', () => {
+  it('lists the main roast from the config, then the others', () => {
+    const session = twoRoastSession();
+    const roasts = getRoasts(session);
+    
+    expect(roasts.map(r => [r.id, r.name, r.targetTemp, r.isMain])).toEqual([
+      [MAIN_ROAST_ID, 'Prime Rib', 130, true],
+      [session.roasts[0].id, 'Tenderloin', 125, false]
+    ]);
+  });
+  
+  it('serves other roasts with the main one unless they have their own time', () => {
+    const session = twoRoastSession();
+    expect(getRoasts(session)[1].desiredServeTime).toBe('2024-01-01T19:00:00.000Z');
+    
+    session.roasts[0].desiredServeTime = '2024-01-01T18:30:00.000Z';
+    expect(getRoasts(session)[1].desiredServeTime).toBe('2024-01-01T18:30:00.000Z');
+  });
+
+});
+
+describe('getRoastProbes and getRoastReadings', () => {
+  it('split probes and readings by roast', () => {
+    const session = twoRoastSession();
+    const tenderloinId = session.roasts[0].id;
+    
+    expect(getRoastProbes(session.probes, MAIN_ROAST_ID).map(p => p.name)).toEqual(['Thick end', 'Thin end']);
+    expect(getRoastProbes(session.probes, tenderloinId).map(p => p.name)).toEqual(['Tenderloin']);
+    expect(getRoastReadings(session.readings, session.probes, MAIN_ROAST_ID).map(r => r.temp)).toEqual([60, 62, 70]);
+    expect(getRoastReadings(session.readings, session.probes, tenderloinId).map(r => r.temp)).toEqual([45]);
+  });
+  
+  it('gives every reading to the main roast when there are no probes', () => {
+    const readings = twoRoastSession().readings;
+    
+    expect(getRoastReadings(readings, [], MAIN_ROAST_ID)).toHaveLength(4);
+    expect(getRoastReadings(readings, [], 'other')).toEqual([]);
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Storage backends for storageService. Records are JSON strings under string
+ * keys. An adapter loads every record once at startup, then applies batches
+ * of writes in order:
+ * 
+ *   load(): Promise<Map<string, string>>
+ *   write({ put: Array<[string, string]>, remove: string[] }): Promise<void>
+ *   estimate(): Promise<{usage: number, quota: number}|null>
+ * 
+ * A failed write rejects with the underlying error (see isQuotaError).
+ */
+
+const DB_NAME = 'roastpilot';
+const DB_VERSION = 1;
+const STORE_NAME = 'records';
+
+// The app waits for storage before it mounts, so don't wait on IndexedDB for long
+const OPEN_TIMEOUT_MS = 5000;
+
+// localStorage is typically capped at 5-10MB per origin and can't be queried
+const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+/**
+ * Whether an error means the storage is full
+ * @param {Error|DOMException|null} error
+ * @returns {boolean}
+ */
+export function isQuotaError(error) {
+  if (!error) return false;
+  return error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22;
+}
+
+/**
+ * Approximate bytes used by records (strings are UTF-16)
+ * @param {Iterable<[string, string]>} records
+ * @returns {number}
+ */
+export function measureRecords(records) {
+  let bytes = 0;
+  for (const [key, value] of records) {
+    bytes += (key.length + value.length) * 2;
+  }
+  return bytes;
+}
+
+/**
+ * Wrap an IDBRequest or IDBTransaction in a promise
+ * @param {IDBRequest|IDBTransaction} target
+ * @returns {Promise<*>}
+ */
+function settle(target) {
+  return new Promise((resolve, reject) => {
+    if ('oncomplete' in target) {
+      target.oncomplete = () => resolve();
+      target.onabort = () => reject(target.error ?? new Error('Transaction aborted'));
+    } else {
+      target.onsuccess = () => resolve(target.result);
+    }
+    target.onerror = () => reject(target.error);
+  });
+}
+
+/**
+ * Open the database, creating the store on first use
+ * Rejects if another tab's older connection blocks an upgrade or it takes
+ * longer than timeoutMs, rather than leaving the caller waiting; a database
+ * that opens after that is closed again.
+ * @param {IDBFactory} indexedDB
+ * @param {string} name
+ * @param {number} timeoutMs
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase(indexedDB, name, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    let isSettled = false;
+    const fail = (error) => {
+      if (isSettled) return;
+      isSettled = true;
+      clearTimeout(timer);
+      reject(error);
+    };
+    const timer = setTimeout(() => fail(new Error('Timed out opening IndexedDB')), timeoutMs);
+    
+    const request = indexedDB.open(name, DB_VERSION);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+        request.result.createObjectStore(STORE_NAME);
+      }
+    };
+    request.onblocked = () => fail(new Error('IndexedDB is held open by another tab'));
+    request.onerror = () => fail(request.error);
+    request.onsuccess = () => {
+      if (isSettled) {
+        request.result.close();
+        return;
+      }
+      isSettled = true;
+      clearTimeout(timer);
+      resolve(request.result);
+    };
+  });
+}
+
+/**
+ * Adapter backed by IndexedDB
+ * @param {Object} [options]
+ * @param {IDBFactory} [options.indexedDB] - Defaults to the browser's
+ * @param {string} [options.name] - Database name
+ * @param {number} [options.openTimeoutMs] - How long to wait for the database to open
+ * @returns {Object} Storage adapter
+ */
+export function createIndexedDbAdapter({ indexedDB = globalThis.indexedDB, name = DB_NAME, openTimeoutMs = OPEN_TIMEOUT_MS } = {}) {
+  let db = null;
+  
+  async function open() {
+    if (db) return db;
+    if (!indexedDB) throw new Error('IndexedDB is not available');
+    
+    const opened = await openDatabase(indexedDB, name, openTimeoutMs);
+    // Step aside for a newer version of the app upgrading the database in another tab
+    opened.onversionchange = () => {
+      opened.close();
+      if (db === opened) db = null;
+    };
+    db = opened;
+    return db;
+  }
+  
+  return {
+    name: 'indexedDB',
+    
+    async load() {
+      const store = (await open()).transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+      const [keys, values] = await Promise.all([settle(store.getAllKeys()), settle(store.getAll())]);
+      return new Map(keys.map((key, i) => [key, values[i]]));
+    },
+    
+    async write({ put = [], remove = [] }) {
+      const transaction = (await open()).transaction(STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      remove.forEach(key => store.delete(key));
+      put.forEach(([key, value]) => store.put(value, key));
+      await settle(transaction);
+    },
+    
+    async estimate() {
+      if (!globalThis.navigator?.storage?.estimate) return null;
+      const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+      return { usage, quota };
+    }
+  };
+}
+
+/**
+ * Adapter backed by localStorage, for browsers without IndexedDB
+ * Only keys with the given prefix are loaded.
+ * @param {Object} [options]
+ * @param {Storage} [options.storage] - Defaults to window.localStorage
+ * @param {string} [options.prefix] - Key prefix, e.g. 'rstt_'
+ * @returns {Object} Storage adapter
+ */
+export function createLocalStorageAdapter({ storage = globalThis.localStorage, prefix = '' } = {}) {
+  const ownKeys = () => {
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (key.startsWith(prefix)) keys.push(key);
+    }
+    return keys;
+  };
+  
+  return {
+    name: 'localStorage',
+    
+    async load() {
+      if (!storage) throw new Error('localStorage is not available');
+      return new Map(ownKeys().map(key => [key, storage.getItem(key)]));
+    },
+    
+    async write({ put = [], remove = [] }) {
+      // Free space before taking more
+      remove.forEach(key => storage.removeItem(key));
+      put.forEach(([key, value]) => storage.setItem(key, value));
+    },
+    
+    async estimate() {
+      return {
+        usage: measureRecords(ownKeys().map(key => [key, storage.getItem(key)])),
+        quota: LOCAL_STORAGE_QUOTA
+      };
+    }
+  };
+}
+
+/**
+ * Adapter that keeps records in memory only (nothing survives a reload)
+ * Used when the browser offers no storage at all, e.g. some private modes.
+ * @param {Object<string, string>} [records] - Initial records
+ * @returns {Object} Storage adapter
+ */
+export function createMemoryAdapter(records = {}) {
+  const store = new Map(Object.entries(records));
+  
+  return {
+    name: 'memory',
+    records: store,
+    
+    async load() {
+      return new Map(store);
+    },
+    
+    async write({ put = [], remove = [] }) {
+      remove.forEach(key => store.delete(key));
+      put.forEach(([key, value]) => store.set(key, value));
+    },
+    
+    async estimate() {
+      return null;
+    }
+  };
+}
@@ -1,27 +1,79 @@
-import { createSession, createDefaultSettings } from '../models/dataModels.js';
+import { createDefaultSettings } from '../models/dataModels.js';
+import { createArchiveEntry } from './historyService.js';
+import { exportToCSV } from './exportService.js';
+import { migrateSession, migrateSettings, needsMigration } from './migrationService.js';
+import { SCHEMA_VERSION } from '../constants/defaults.js';
+import {
+  createIndexedDbAdapter,
+  createLocalStorageAdapter,
+  createMemoryAdapter,
+  isQuotaError,
+  measureRecords
+} from './storageAdapters.js';
+
+const KEY_PREFIX = 'rstt_';
 
 const STORAGE_KEYS = {
   CURRENT_SESSION: 'rstt_current_session',
+  CURRENT_READING_PREFIX: 'rstt_current_reading_',
   SETTINGS: 'rstt_settings',
-  SCHEMA_VERSION: 'rstt_schema_version'
+  SCHEMA_VERSION: 'rstt_schema_version',
+  COOK_HISTORY: 'rstt_cook_history',
+  ARCHIVE_INDEX: 'rstt_archive_index',
+  ARCHIVED_SESSION_PREFIX: 'rstt_archived_session_',
+  UNREADABLE_SESSION_PREFIX: 'rstt_unreadable_session_',
+  MIGRATION_BACKUP: 'rstt_migration_backup'
 };
 
-const CURRENT_SCHEMA_VERSION = 1;
+const MAX_COOK_SUMMARIES = 50;
+
+// Reads are served from memory; writes go to the backend in the background,
+// in order, and are held and retried if the backend refuses them. Writes that
+// free space (see commitAhead) go out on their own, ahead of held ones.
+const state = {
+  adapter: createMemoryAdapter(),
+  cache: new Map(),
+  pending: [],
+  freeing: [],
+  isFlushing: false,
+  flushAgain: false,
+  error: null,
+  estimate: null,
+  listeners: new Set()
+};
 
 /**
- * Storage service for persisting application state to localStorage
+ * Storage service for persisting application state, to IndexedDB where
+ * available and localStorage otherwise
  */
 export const storageService = {
   /**
    * Initialize storage, performing migrations if necessary
-   * @returns {boolean} Success status
+   * Everything is loaded into memory here so the rest of the API can stay
+   * synchronous; the app should wait for this before it mounts.
+   * @param {Object} [options]
+   * @param {Object} [options.adapter] - Backend to use instead of the best available
+   * @returns {Promise<boolean>} Success status
    */
-  initialize() {
+  async initialize({ adapter = null } = {}) {
     try {
+      await openBackend(adapter);
+      
+      // Data from before IndexedDB was used
+      if (state.adapter.name === 'indexedDB') {
+        await migrateFromLocalStorage();
+        globalThis.navigator?.storage?.persist?.().catch(() => {});
+      }
+      
+      await refreshEstimate();
+      
       const storedVersion = this.getSchemaVersion();
-      if (storedVersion < CURRENT_SCHEMA_VERSION) {
-        this.migrateSchema(storedVersion, CURRENT_SCHEMA_VERSION);
+      if (storedVersion < SCHEMA_VERSION) {
+        this.migrateSchema(storedVersion, SCHEMA_VERSION);
+      } else if (storedVersion > SCHEMA_VERSION) {
+        console.warn(`Stored data is from a newer version of the app (v${storedVersion})`);
       }
+      
       return true;
     } catch (error) {
       console.error('Storage initialization failed:', error);
@@ -34,7 +86,7 @@ export const storageService = {
    * @returns {number}
    */
   getSchemaVersion() {
-    const version = localStorage.getItem(STORAGE_KEYS.SCHEMA_VERSION);
+    const version = read(STORAGE_KEYS.SCHEMA_VERSION);
     return version ? parseInt(version, 10) : 0;
   },
 
@@ -43,79 +95,124 @@ export const storageService = {
    * @param {number} version
    */
   setSchemaVersion(version) {
-    localStorage.setItem(STORAGE_KEYS.SCHEMA_VERSION, version.toString());
+    commit({ put: [[STORAGE_KEYS.SCHEMA_VERSION, version.toString()]] });
   },
 
   /**
    * Migrate schema from one version to another
+   * The stored records are backed up first (see getMigrationBackup); without
+   * room for the backup nothing is touched and the migration is retried on
+   * the next start. Records that fail to migrate are left as they were; a
+   * current session that still can't be loaded is set aside, not dropped.
    * @param {number} fromVersion
    * @param {number} toVersion
+   * @returns {boolean} Whether everything was migrated
    */
   migrateSchema(fromVersion, toVersion) {
     console.log(`Migrating schema from v${fromVersion} to v${toVersion}`);
     
-    // Migration logic for future schema changes
-    // Each migration step should be idempotent
+    const keys = keysWithPrefix(KEY_PREFIX).filter(key => {
+      return key !== STORAGE_KEYS.SCHEMA_VERSION && key !== STORAGE_KEYS.MIGRATION_BACKUP;
+    });
+    if (keys.length > 0 && !backUpRecords(keys, fromVersion)) {
+      console.warn('Not enough storage to back up before migrating; will retry next start');
+      return false;
+    }
+    
+    let isComplete = true;
+    const migrate = (description, fn) => {
+      try {
+        fn();
+      } catch (error) {
+        console.error(`Failed to migrate ${description}:`, error);
+        isComplete = false;
+      }
+    };
+    
+    if (this.hasSession()) {
+      migrate('current session', () => {
+        const stored = readStoredSession();
+        if (needsMigration(stored)) {
+          commit(sessionRecords(migrateSession(stored)));
+        }
+      });
+    }
     
-    if (fromVersion < 1 && toVersion >= 1) {
-      // Initial schema setup - no migration needed
-      // Future migrations would go here:
-      // if (fromVersion < 2 && toVersion >= 2) { ... }
+    for (const key of keysWithPrefix(STORAGE_KEYS.ARCHIVED_SESSION_PREFIX)) {
+      migrate(key, () => {
+        const stored = JSON.parse(read(key));
+        if (needsMigration(stored)) {
+          commit({ put: [[key, JSON.stringify(migrateSession(stored))]] });
+        }
+      });
+    }
+    
+    const settings = read(STORAGE_KEYS.SETTINGS);
+    if (settings) {
+      migrate('settings', () => {
+        const migrated = migrateSettings(JSON.parse(settings), fromVersion);
+        commit({ put: [[STORAGE_KEYS.SETTINGS, JSON.stringify(migrated)]] });
+      });
     }
     
     this.setSchemaVersion(toVersion);
+    return isComplete;
+  },
+
+  /**
+   * Copy of the stored records from before the last migration
+   * @returns {{fromVersion: number, createdAt: string, records: Object<string, string>}|null}
+   */
+  getMigrationBackup() {
+    try {
+      const serialized = read(STORAGE_KEYS.MIGRATION_BACKUP);
+      return serialized ? JSON.parse(serialized) : null;
+    } catch (error) {
+      console.error('Failed to load migration backup:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Delete the migration backup to free space
+   * @returns {boolean} Success status
+   */
+  deleteMigrationBackup() {
+    return commit({ remove: [STORAGE_KEYS.MIGRATION_BACKUP] });
   },
 
   /**
    * Save the current session to storage
+   * Readings are stored one per record, and only new or changed ones are
+   * written, so a save doesn't rewrite the whole cook.
    * @param {Session} session
-   * @returns {boolean} Success status
+   * @returns {boolean} Success status (false while storage is refusing writes)
    */
   saveSession(session) {
     try {
       // Update the updatedAt timestamp
       session.config.updatedAt = new Date().toISOString();
       
-      const serialized = JSON.stringify(session);
-      localStorage.setItem(STORAGE_KEYS.CURRENT_SESSION, serialized);
-      return true;
+      return commit(sessionRecords(session));
     } catch (error) {
       console.error('Failed to save session:', error);
-      // Handle quota exceeded error
-      if (error.name === 'QuotaExceededError') {
-        console.error('localStorage quota exceeded');
-      }
       return false;
     }
   },
 
   /**
-   * Load the current session from storage
+   * Load the current session from storage, migrated to the current format
+   * A session that can't be read or migrated is set aside (see
+   * listUnreadableSessions) so that starting a new one doesn't overwrite it.
    * @returns {Session|null}
    */
   loadSession() {
     try {
-      const serialized = localStorage.getItem(STORAGE_KEYS.CURRENT_SESSION);
-      if (!serialized) {
-        return null;
-      }
-      
-      const session = JSON.parse(serialized);
-      
-      // Validate required fields exist
-      if (!session.config || !Array.isArray(session.readings) || !Array.isArray(session.ovenEvents)) {
-        console.warn('Invalid session structure, returning null');
-        return null;
-      }
-      
-      // Ensure settings exist (for sessions created before settings were added)
-      if (!session.settings) {
-        session.settings = createDefaultSettings();
-      }
-      
-      return session;
+      const stored = readStoredSession();
+      return stored ? migrateSession(stored) : null;
     } catch (error) {
       console.error('Failed to load session:', error);
+      setAsideSession(error);
       return null;
     }
   },
@@ -125,7 +222,7 @@ export const storageService = {
    * @returns {boolean}
    */
   hasSession() {
-    return localStorage.getItem(STORAGE_KEYS.CURRENT_SESSION) !== null;
+    return read(STORAGE_KEYS.CURRENT_SESSION) !== null;
   },
 
   /**
@@ -134,14 +231,186 @@ export const storageService = {
    */
   clearSession() {
     try {
-      localStorage.removeItem(STORAGE_KEYS.CURRENT_SESSION);
-      return true;
+      return commit({
+        remove: [STORAGE_KEYS.CURRENT_SESSION, ...keysWithPrefix(STORAGE_KEYS.CURRENT_READING_PREFIX)]
+      });
     } catch (error) {
       console.error('Failed to clear session:', error);
       return false;
     }
   },
 
+  /**
+   * Sessions that couldn't be loaded and were set aside
+   * @returns {Array<{key: string, savedAt: string|null, error: string}>} Oldest first
+   */
+  listUnreadableSessions() {
+    return keysWithPrefix(STORAGE_KEYS.UNREADABLE_SESSION_PREFIX)
+      .map(key => {
+        try {
+          const { savedAt, error } = JSON.parse(read(key));
+          return { key, savedAt, error };
+        } catch {
+          // Damaged after it was set aside; still listed so it can be downloaded
+          return { key, savedAt: null, error: 'Its stored data is unreadable' };
+        }
+      })
+      .sort((a, b) => new Date(a.savedAt) - new Date(b.savedAt));
+  },
+
+  /**
+   * The data of a session that was set aside, for download
+   * @param {string} key - From listUnreadableSessions
+   * @returns {string|null} JSON when the data could be parsed, otherwise as stored
+   */
+  exportUnreadableSession(key) {
+    const serialized = read(key);
+    if (!serialized) return null;
+    
+    let session;
+    try {
+      ({ session } = JSON.parse(serialized));
+    } catch {
+      return serialized;
+    }
+    return typeof session === 'string' ? session : JSON.stringify({ session }, null, 2);
+  },
+
+  /**
+   * Delete a session that was set aside
+   * @param {string} key - From listUnreadableSessions
+   * @returns {boolean} Success status
+   */
+  deleteUnreadableSession(key) {
+    return commit({ remove: [key] });
+  },
+
+  /**
+   * Append a finished cook's summary to the history, keeping the most recent ones
+   * @param {Object} summary - From summarizeCook
+   * @returns {boolean} Success status
+   */
+  saveCookSummary(summary) {
+    try {
+      const summaries = this.loadCookSummaries().filter(s => s.id !== summary.id);
+      summaries.push(summary);
+      return commit({
+        put: [[STORAGE_KEYS.COOK_HISTORY, JSON.stringify(summaries.slice(-MAX_COOK_SUMMARIES))]]
+      });
+    } catch (error) {
+      console.error('Failed to save cook summary:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Load summaries of past cooks
+   * @returns {Object[]}
+   */
+  loadCookSummaries() {
+    try {
+      const serialized = read(STORAGE_KEYS.COOK_HISTORY);
+      if (!serialized) return [];
+      
+      const summaries = JSON.parse(serialized);
+      return Array.isArray(summaries) ? summaries : [];
+    } catch (error) {
+      console.error('Failed to load cook summaries:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Move a finished session into the history archive
+   * The session is stored whole under its own key, with an entry in the index.
+   * @param {Session} session
+   * @returns {boolean} Success status (false when storage is full)
+   */
+  archiveSession(session) {
+    try {
+      const entry = createArchiveEntry(session);
+      const key = STORAGE_KEYS.ARCHIVED_SESSION_PREFIX + entry.id;
+      const serialized = JSON.stringify(session);
+      
+      // Refuse up front rather than queue a write that can't land, so the
+      // caller keeps the session
+      if (!hasRoomFor(measureRecords([[key, serialized]]))) {
+        console.warn('Not enough storage to archive session');
+        return false;
+      }
+      
+      const entries = this.loadArchiveIndex().filter(e => e.id !== entry.id);
+      entries.push(entry);
+      return commit({
+        put: [[key, serialized], [STORAGE_KEYS.ARCHIVE_INDEX, JSON.stringify(entries)]]
+      });
+    } catch (error) {
+      console.error('Failed to archive session:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Load the list of archived sessions
+   * @returns {ArchiveEntry[]}
+   */
+  loadArchiveIndex() {
+    try {
+      const serialized = read(STORAGE_KEYS.ARCHIVE_INDEX);
+      if (!serialized) return [];
+      
+      const entries = JSON.parse(serialized);
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      console.error('Failed to load archive index:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Load an archived session
+   * @param {string} id - Session ID
+   * @returns {Session|null}
+   */
+  loadArchivedSession(id) {
+    try {
+      const serialized = read(STORAGE_KEYS.ARCHIVED_SESSION_PREFIX + id);
+      if (!serialized) return null;
+      
+      return migrateSession(JSON.parse(serialized));
+    } catch (error) {
+      console.error('Failed to load archived session:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Delete an archived session, its index entry and its cook summary
+   * @param {string} id - Session ID
+   * @returns {boolean} Success status
+   */
+  deleteArchivedSession(id) {
+    try {
+      const entries = this.loadArchiveIndex().filter(e => e.id !== id);
+      
+      // A deleted cook shouldn't keep shaping predictions
+      const summaries = this.loadCookSummaries().filter(s => s.id !== id);
+      
+      // Deleting is how space is freed, so it goes out ahead of any held writes
+      commitAhead({
+        put: [
+          [STORAGE_KEYS.ARCHIVE_INDEX, JSON.stringify(entries)],
+          [STORAGE_KEYS.COOK_HISTORY, JSON.stringify(summaries)]
+        ],
+        remove: [STORAGE_KEYS.ARCHIVED_SESSION_PREFIX + id]
+      });
+      return true;
+    } catch (error) {
+      console.error('Failed to delete archived session:', error);
+      return false;
+    }
+  },
+
   /**
    * Save application settings independent of session
    * @param {AppSettings} settings
@@ -149,8 +418,7 @@ export const storageService = {
    */
   saveSettings(settings) {
     try {
-      localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(settings));
-      return true;
+      return commit({ put: [[STORAGE_KEYS.SETTINGS, JSON.stringify(settings)]] });
     } catch (error) {
       console.error('Failed to save settings:', error);
       return false;
@@ -163,14 +431,13 @@ export const storageService = {
    */
   loadSettings() {
     try {
-      const serialized = localStorage.getItem(STORAGE_KEYS.SETTINGS);
+      const serialized = read(STORAGE_KEYS.SETTINGS);
       if (!serialized) {
         return createDefaultSettings();
       }
       
-      const stored = JSON.parse(serialized);
-      // Merge with defaults to handle new settings fields
-      return { ...createDefaultSettings(), ...stored };
+      // Fills in new settings fields with their defaults
+      return migrateSettings(JSON.parse(serialized), this.getSchemaVersion());
     } catch (error) {
       console.error('Failed to load settings:', error);
       return createDefaultSettings();
@@ -179,6 +446,8 @@ export const storageService = {
 
   /**
    * Export session data for download
+   * CSV is the same spreadsheet export as elsewhere in the app (see
+   * exportToCSV), so it can be imported again.
    * @param {Session} session
    * @param {'json'|'csv'} format
    * @returns {string}
@@ -189,69 +458,378 @@ export const storageService = {
     }
     
     if (format === 'csv') {
-      return this.sessionToCSV(session);
+      return exportToCSV(session);
     }
     
     throw new Error(`Unsupported export format: ${format}`);
   },
 
   /**
-   * Convert session to CSV format
-   * @param {Session} session
-   * @returns {string}
+   * Get storage usage information
+   * Usage and quota come from the browser where it reports them (refreshed
+   * after each write); in-memory storage has no limit.
+   * @returns {{backend: string, used: number, quota: number, available: number, percentage: number}}
    */
-  sessionToCSV(session) {
-    const lines = [];
-    
-    // Session metadata header
-    lines.push('# Session Configuration');
-    lines.push(`Target Temp,${session.config.targetTemp}`);
-    lines.push(`Units,${session.config.units}`);
-    lines.push(`Started,${session.config.createdAt}`);
-    if (session.config.meatType) lines.push(`Meat Type,${session.config.meatType}`);
-    if (session.config.weight) lines.push(`Weight,${session.config.weight}`);
-    lines.push('');
-    
-    // Internal readings
-    lines.push('# Internal Temperature Readings');
-    lines.push('Timestamp,Temperature,Delta From Start,Delta From Previous');
-    session.readings.forEach(r => {
-      lines.push(`${r.timestamp},${r.temp},${r.deltaFromStart ?? ''},${r.deltaFromPrevious ?? ''}`);
-    });
-    lines.push('');
-    
-    // Oven events
-    lines.push('# Oven Temperature Events');
-    lines.push('Timestamp,Set Temperature,Previous Temperature');
-    session.ovenEvents.forEach(e => {
-      lines.push(`${e.timestamp},${e.setTemp},${e.previousTemp ?? ''}`);
-    });
+  getStorageInfo() {
+    const used = state.estimate?.usage ?? measureRecords(state.cache);
+    const quota = state.estimate?.quota || Infinity;
     
-    return lines.join('\n');
+    return {
+      backend: state.adapter.name,
+      used,
+      quota,
+      available: Math.max(0, quota - used),
+      percentage: Number.isFinite(quota) ? (used / quota) * 100 : 0
+    };
   },
 
   /**
-   * Get storage usage information
-   * @returns {{used: number, available: number, percentage: number}}
+   * Whether writes are reaching the device
+   * @returns {{backend: string, isPersistent: boolean, isFull: boolean, hasPendingWrites: boolean, error: string|null}}
    */
-  getStorageInfo() {
-    let used = 0;
-    for (let key in localStorage) {
-      if (localStorage.hasOwnProperty(key)) {
-        used += localStorage.getItem(key).length * 2; // UTF-16 = 2 bytes per char
-      }
-    }
-    
-    // localStorage limit is typically 5-10MB
-    const estimatedLimit = 5 * 1024 * 1024; // 5MB
-    
+  getStatus() {
     return {
-      used,
-      available: estimatedLimit - used,
-      percentage: (used / estimatedLimit) * 100
+      backend: state.adapter.name,
+      isPersistent: state.adapter.name !== 'memory',
+      isFull: isQuotaError(state.error),
+      hasPendingWrites: state.pending.length > 0 || state.freeing.length > 0,
+      error: state.error?.message ?? null
     };
+  },
+
+  /**
+   * Listen for changes to getStatus (e.g. storage filling up or recovering)
+   * @param {Function} listener - Called with the new status
+   * @returns {Function} Stops listening
+   */
+  onStatusChange(listener) {
+    state.listeners.add(listener);
+    return () => state.listeners.delete(listener);
+  },
+
+  /**
+   * Delete everything the app has stored
+   * @returns {Promise<boolean>} Success status
+   */
+  async clearAll() {
+    try {
+      const keys = [...state.cache.keys()];
+      state.cache.clear();
+      state.pending = [];
+      state.freeing = [];
+      await state.adapter.write({ remove: keys });
+      setError(null);
+      return true;
+    } catch (error) {
+      console.error('Failed to clear storage:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Write anything still queued, e.g. to retry after space was freed
+   * @returns {Promise<boolean>} Whether everything is now on the device
+   */
+  async flushWrites() {
+    await flushWrites();
+    return state.pending.length === 0 && state.freeing.length === 0;
   }
 };
 
+/**
+ * Open the given backend, or the best one the browser offers
+ * IndexedDB is preferred; localStorage and then memory are fallbacks.
+ * @param {Object|null} preferred - Adapter to use instead
+ */
+async function openBackend(preferred) {
+  const candidates = preferred
+    ? [preferred]
+    : [createIndexedDbAdapter(), createLocalStorageAdapter({ prefix: KEY_PREFIX }), createMemoryAdapter()];
+  
+  for (const adapter of candidates) {
+    try {
+      state.cache = await adapter.load();
+      state.adapter = adapter;
+      state.pending = [];
+      state.freeing = [];
+      setError(null);
+      return;
+    } catch (error) {
+      console.warn(`${adapter.name} storage unavailable:`, error);
+    }
+  }
+  throw new Error('No storage backend available');
+}
 
+/**
+ * Move rstt_* keys left in localStorage into the current backend
+ * Keys the backend already has are newer and win.
+ */
+async function migrateFromLocalStorage() {
+  const legacy = globalThis.localStorage;
+  if (!legacy) return;
+  
+  const keys = [];
+  for (let i = 0; i < legacy.length; i++) {
+    const key = legacy.key(i);
+    if (key.startsWith(KEY_PREFIX)) keys.push(key);
+  }
+  if (keys.length === 0) return;
+  
+  const put = keys.filter(key => !state.cache.has(key)).map(key => [key, legacy.getItem(key)]);
+  await state.adapter.write({ put });
+  put.forEach(([key, value]) => state.cache.set(key, value));
+  
+  // Only once they're safely written
+  keys.forEach(key => legacy.removeItem(key));
+}
+
+/**
+ * The current session as stored, before migration
+ * Readings are stored one per record; older sessions keep them inline.
+ * @returns {Object|null}
+ * @throws {SyntaxError} If a record isn't valid JSON
+ */
+function readStoredSession() {
+  const serialized = read(STORAGE_KEYS.CURRENT_SESSION);
+  if (!serialized) return null;
+  
+  const stored = JSON.parse(serialized);
+  if (!Array.isArray(stored.readingIds)) return stored;
+  
+  const { readingIds, ...session } = stored;
+  session.readings = readingIds
+    .map(id => read(STORAGE_KEYS.CURRENT_READING_PREFIX + id))
+    .filter(Boolean)
+    .map(reading => JSON.parse(reading));
+  return session;
+}
+
+/**
+ * Records for the current session: only new or changed readings are
+ * written, and readings no longer in the session are removed
+ * @param {Session} session
+ * @returns {{put: Array<[string, string]>, remove: string[]}}
+ */
+function sessionRecords(session) {
+  const { readings, ...rest } = session;
+  const put = [[
+    STORAGE_KEYS.CURRENT_SESSION,
+    JSON.stringify({ ...rest, readingIds: readings.map(r => r.id) })
+  ]];
+  
+  const readingKeys = new Set();
+  for (const reading of readings) {
+    const key = STORAGE_KEYS.CURRENT_READING_PREFIX + reading.id;
+    const serialized = JSON.stringify(reading);
+    readingKeys.add(key);
+    if (read(key) !== serialized) {
+      put.push([key, serialized]);
+    }
+  }
+  const remove = keysWithPrefix(STORAGE_KEYS.CURRENT_READING_PREFIX).filter(key => !readingKeys.has(key));
+  
+  return { put, remove };
+}
+
+/**
+ * Move the current session out of the way, keeping its data and the reason
+ * @param {Error} error - Why it couldn't be loaded
+ */
+function setAsideSession(error) {
+  let session;
+  try {
+    session = readStoredSession();
+  } catch {
+    // Not valid JSON; keep it exactly as stored
+    session = read(STORAGE_KEYS.CURRENT_SESSION);
+  }
+  
+  const savedAt = new Date().toISOString();
+  commit({
+    put: [[
+      STORAGE_KEYS.UNREADABLE_SESSION_PREFIX + Date.now(),
+      JSON.stringify({ savedAt, error: error.message, session })
+    ]],
+    remove: [STORAGE_KEYS.CURRENT_SESSION, ...keysWithPrefix(STORAGE_KEYS.CURRENT_READING_PREFIX)]
+  });
+}
+
+/**
+ * Save a copy of records before they're migrated, replacing any older copy
+ * @param {string[]} keys
+ * @param {number} fromVersion
+ * @returns {boolean} False if there isn't room for it
+ */
+function backUpRecords(keys, fromVersion) {
+  const serialized = JSON.stringify({
+    fromVersion,
+    createdAt: new Date().toISOString(),
+    records: Object.fromEntries(keys.map(key => [key, read(key)]))
+  });
+  if (!hasRoomFor(measureRecords([[STORAGE_KEYS.MIGRATION_BACKUP, serialized]]))) {
+    return false;
+  }
+  
+  commit({ put: [[STORAGE_KEYS.MIGRATION_BACKUP, serialized]] });
+  return true;
+}
+
+/**
+ * Read a record
+ * @param {string} key
+ * @returns {string|null}
+ */
+function read(key) {
+  return state.cache.get(key) ?? null;
+}
+
+/**
+ * Keys of all records starting with a prefix
+ * @param {string} prefix
+ * @returns {string[]}
+ */
+function keysWithPrefix(prefix) {
+  return [...state.cache.keys()].filter(key => key.startsWith(prefix));
+}
+
+/**
+ * Apply a write to memory now and queue it for the backend
+ * Writes made in the same tick go out together.
+ * @param {{put?: Array<[string, string]>, remove?: string[]}} write
+ * @returns {boolean} False while the backend is refusing writes
+ */
+function commit({ put = [], remove = [] }) {
+  remove.forEach(key => state.cache.delete(key));
+  put.forEach(([key, value]) => state.cache.set(key, value));
+  
+  state.pending.push({ put, remove });
+  queueMicrotask(flushWrites);
+  return state.error === null;
+}
 
+/**
+ * Apply a write that frees space to memory now and send it ahead of held writes
+ * Merged with held writes, a delete meant to make room for them would fail
+ * along with them once storage is full. Held writes to the same keys are
+ * older, so they're dropped.
+ * @param {{put?: Array<[string, string]>, remove?: string[]}} write
+ */
+function commitAhead({ put = [], remove = [] }) {
+  remove.forEach(key => state.cache.delete(key));
+  put.forEach(([key, value]) => state.cache.set(key, value));
+  
+  const keys = new Set([...remove, ...put.map(([key]) => key)]);
+  state.pending = state.pending.map(batch => ({
+    put: (batch.put ?? []).filter(([key]) => !keys.has(key)),
+    remove: (batch.remove ?? []).filter(key => !keys.has(key))
+  }));
+  state.freeing.push({ put, remove });
+  
+  if (state.isFlushing) {
+    state.flushAgain = true;
+  }
+  queueMicrotask(flushWrites);
+}
+
+/**
+ * Send queued writes to the backend: those freeing space first, on their
+ * own, then the rest as one batch
+ * On failure they're kept, in order, and go out with the next write or retry;
+ * later writes are never persisted ahead of earlier ones.
+ */
+async function flushWrites() {
+  if (state.isFlushing || (state.pending.length === 0 && state.freeing.length === 0)) return;
+  
+  state.isFlushing = true;
+  state.flushAgain = false;
+  
+  try {
+    await writeQueued('freeing');
+    await writeQueued('pending');
+    setError(null);
+  } catch (error) {
+    console.error('Failed to write to storage:', error);
+    setError(error);
+  } finally {
+    state.isFlushing = false;
+  }
+  
+  await refreshEstimate();
+  
+  // Written while this batch was in flight
+  const isWaiting = state.pending.length > 0 || state.freeing.length > 0;
+  if (isWaiting && (state.error === null || state.flushAgain)) {
+    await flushWrites();
+  }
+}
+
+/**
+ * Write one of the queues as a batch, putting it back if the backend refuses
+ * @param {'freeing'|'pending'} queue
+ */
+async function writeQueued(queue) {
+  const batches = state[queue];
+  if (batches.length === 0) return;
+  state[queue] = [];
+  
+  try {
+    await state.adapter.write(mergeWrites(batches));
+  } catch (error) {
+    state[queue] = [...batches, ...state[queue]];
+    throw error;
+  }
+}
+
+/**
+ * Collapse queued writes into the final state of each key
+ * @param {Array<{put?: Array<[string, string]>, remove?: string[]}>} batches - Oldest first
+ * @returns {{put: Array<[string, string]>, remove: string[]}}
+ */
+function mergeWrites(batches) {
+  const latest = new Map();
+  for (const { put = [], remove = [] } of batches) {
+    remove.forEach(key => latest.set(key, null));
+    put.forEach(([key, value]) => latest.set(key, value));
+  }
+  
+  const entries = [...latest];
+  return {
+    put: entries.filter(([, value]) => value !== null),
+    remove: entries.filter(([, value]) => value === null).map(([key]) => key)
+  };
+}
+
+/**
+ * Whether a write of this size is likely to fit
+ * @param {number} bytes
+ * @returns {boolean}
+ */
+function hasRoomFor(bytes) {
+  if (isQuotaError(state.error)) return false;
+  return storageService.getStorageInfo().available >= bytes;
+}
+
+/**
+ * Record the last write error and tell listeners if the status changed
+ * @param {Error|null} error
+ */
+function setError(error) {
+  const changed = (state.error === null) !== (error === null);
+  state.error = error;
+  if (changed) {
+    const status = storageService.getStatus();
+    state.listeners.forEach(listener => listener(status));
+  }
+}
+
+/**
+ * Ask the backend how much space is used
+ */
+async function refreshEstimate() {
+  try {
+    state.estimate = await state.adapter.estimate();
+  } catch (error) {
+    state.estimate = null;
+  }
+}
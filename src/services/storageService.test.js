@@ -0,0 +1,454 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { storageService } from './storageService.js';
+import { createMemoryAdapter, createLocalStorageAdapter, createIndexedDbAdapter, isQuotaError } from './storageAdapters.js';
+import { createSession, createReading, createDefaultSettings } from '../models/dataModels.js';
+import { SCHEMA_VERSION } from '../constants/defaults.js';
+
+/**
+ * Memory adapter that records each write and can be made to run out of space,
+ * either entirely or past a quota in characters
+ */
+function createTestAdapter(records = {}) {
+  const adapter = createMemoryAdapter(records);
+  const writes = [];
+  let isFull = false;
+  let quota = Infinity;
+  
+  const size = (entries) => entries.reduce((total, [key, value]) => total + key.length + value.length, 0);
+  
+  return {
+    ...adapter,
+    writes,
+    setFull(full) {
+      isFull = full;
+    },
+    setQuota(chars) {
+      quota = chars;
+    },
+    used() {
+      return size([...adapter.records]);
+    },
+    async write(batch) {
+      // Puts are counted before removes free anything, as a batch can run out
+      // of room partway through
+      const isOverQuota = this.used() + size(batch.put ?? []) > quota;
+      if ((isFull && batch.put?.length > 0) || isOverQuota) {
+        const error = new Error('The quota has been exceeded.');
+        error.name = 'QuotaExceededError';
+        throw error;
+      }
+      writes.push(batch);
+      return adapter.write(batch);
+    }
+  };
+}
+
+/**
+ * Minimal Web Storage for the localStorage adapter and migration
+ */
+function createFakeStorage(items = {}) {
+  const map = new Map(Object.entries(items));
+  return {
+    get length() {
+      return map.size;
+    },
+    key: (i) => [...map.keys()][i] ?? null,
+    getItem: (key) => map.get(key) ?? null,
+    setItem: (key, value) => map.set(key, String(value)),
+    removeItem: (key) => map.delete(key),
+    items: map
+  };
+}
+
+function sessionWithReadings(count) {
+  const session = createSession({ targetTemp: 130 });
+  for (let i = 0; i < count; i++) {
+    session.readings.push(createReading(60 + i * 10, `2024-01-01T12:${String(i * 10).padStart(2, '0')}:00.000Z`));
+  }
+  return session;
+}
+
+describe('storageService', () => {
+  let adapter;
+  
+  beforeEach(async () => {
+    adapter = createTestAdapter();
+    await storageService.initialize({ adapter });
+    await storageService.flushWrites();
+    adapter.writes.length = 0;
+  });
+  
+  it('saves and loads a session', async () => {
+    const session = sessionWithReadings(3);
+    expect(storageService.saveSession(session)).toBe(true);
+    await storageService.flushWrites();
+    
+    // Loaded from what reached the backend
+    await storageService.initialize({ adapter });
+    const loaded = storageService.loadSession();
+    expect(loaded.config.id).toBe(session.config.id);
+    expect(loaded.readings.map(r => r.temp)).toEqual([60, 70, 80]);
+    expect(loaded.readingIds).toBeUndefined();
+    expect(storageService.hasSession()).toBe(true);
+  });
+  
+  it('only writes readings that are new or changed', async () => {
+    const session = sessionWithReadings(3);
+    storageService.saveSession(session);
+    await storageService.flushWrites();
+    adapter.writes.length = 0;
+    
+    session.readings.push(createReading(90));
+    session.readings[0].exclusion = 'excluded';
+    storageService.saveSession(session);
+    await storageService.flushWrites();
+    
+    const keys = adapter.writes.flatMap(w => w.put.map(([key]) => key));
+    expect(keys).toHaveLength(3);
+    expect(keys).toContain('rstt_current_session');
+    expect(keys).toContain(`rstt_current_reading_${session.readings[0].id}`);
+    expect(keys).toContain(`rstt_current_reading_${session.readings[3].id}`);
+  });
+  
+  it('removes deleted readings and cleared sessions', async () => {
+    const session = sessionWithReadings(3);
+    storageService.saveSession(session);
+    const [removed] = session.readings.splice(1, 1);
+    storageService.saveSession(session);
+    await storageService.flushWrites();
+    
+    expect(adapter.records.has(`rstt_current_reading_${removed.id}`)).toBe(false);
+    expect(storageService.loadSession().readings).toHaveLength(2);
+    
+    storageService.clearSession();
+    await storageService.flushWrites();
+    expect([...adapter.records.keys()].filter(key => key.startsWith('rstt_current'))).toEqual([]);
+    expect(storageService.loadSession()).toBeNull();
+  });
+  
+  it('loads sessions saved with their readings inline', async () => {
+    const legacy = sessionWithReadings(2);
+    await storageService.initialize({
+      adapter: createTestAdapter({ rstt_current_session: JSON.stringify(legacy) })
+    });
+    
+    expect(storageService.loadSession().readings.map(r => r.temp)).toEqual([60, 70]);
+  });
+  
+  it('coalesces writes made in the same tick', async () => {
+    storageService.saveSettings({ units: 'C' });
+    storageService.saveSettings({ units: 'F' });
+    await storageService.flushWrites();
+    
+    expect(adapter.writes).toHaveLength(1);
+    expect(JSON.parse(adapter.records.get('rstt_settings'))).toEqual({ units: 'F' });
+  });
+  
+  describe('when storage is full', () => {
+    it('keeps changes in memory, reports it and recovers once space is freed', async () => {
+      const statuses = [];
+      const stop = storageService.onStatusChange(status => statuses.push(status));
+      
+      adapter.setFull(true);
+      storageService.saveSettings({ units: 'C' });
+      expect(await storageService.flushWrites()).toBe(false);
+      
+      expect(storageService.getStatus()).toMatchObject({ isFull: true, hasPendingWrites: true });
+      expect(statuses.at(-1).isFull).toBe(true);
+      expect(storageService.loadSettings().units).toBe('C');
+      expect(adapter.records.has('rstt_settings')).toBe(false);
+      
+      adapter.setFull(false);
+      expect(await storageService.flushWrites()).toBe(true);
+      
+      expect(storageService.getStatus()).toMatchObject({ isFull: false, hasPendingWrites: false, error: null });
+      expect(statuses.at(-1).isFull).toBe(false);
+      expect(JSON.parse(adapter.records.get('rstt_settings')).units).toBe('C');
+      stop();
+    });
+    
+    it('never persists later writes ahead of held ones', async () => {
+      const session = sessionWithReadings(2);
+      storageService.saveSession(session);
+      await storageService.flushWrites();
+      
+      adapter.setFull(true);
+      storageService.saveCookSummary({ id: 'cook' });
+      await storageService.flushWrites();
+      storageService.clearSession();
+      await storageService.flushWrites();
+      
+      // The clear waits behind the summary, so the session is still on disk
+      expect(adapter.records.has('rstt_current_session')).toBe(true);
+    });
+    
+    it('deletes an archived session ahead of held writes to make room for them', async () => {
+      storageService.archiveSession(sessionWithReadings(40));
+      await storageService.flushWrites();
+      const [{ id }] = storageService.loadArchiveIndex();
+      
+      adapter.setQuota(adapter.used() + 200);
+      storageService.saveSettings({ units: 'C', notes: 'x'.repeat(1000) });
+      expect(await storageService.flushWrites()).toBe(false);
+      expect(storageService.getStatus().isFull).toBe(true);
+      
+      expect(storageService.deleteArchivedSession(id)).toBe(true);
+      expect(await storageService.flushWrites()).toBe(true);
+      
+      expect(storageService.getStatus()).toMatchObject({ isFull: false, hasPendingWrites: false });
+      expect(adapter.records.has(`rstt_archived_session_${id}`)).toBe(false);
+      expect(JSON.parse(adapter.records.get('rstt_settings')).units).toBe('C');
+    });
+    
+    it('refuses to archive so the session is kept', async () => {
+      adapter.setFull(true);
+      storageService.saveSettings({ units: 'C' });
+      await storageService.flushWrites();
+      
+      expect(storageService.archiveSession(sessionWithReadings(2))).toBe(false);
+      expect(storageService.loadArchiveIndex()).toEqual([]);
+    });
+  });
+  
+  it('clears everything', async () => {
+    storageService.saveSession(sessionWithReadings(2));
+    storageService.saveSettings({ units: 'C' });
+    await storageService.flushWrites();
+    
+    expect(await storageService.clearAll()).toBe(true);
+    expect(adapter.records.size).toBe(0);
+    expect(storageService.hasSession()).toBe(false);
+  });
+  
+  describe('migrating stored data', () => {
+    function v1Records() {
+      const session = sessionWithReadings(2);
+      delete session.schemaVersion;
+      delete session.probes;
+      delete session.phases;
+      return {
+        rstt_schema_version: '1',
+        rstt_current_session: JSON.stringify(session),
+        rstt_archived_session_old: JSON.stringify({ ...session, config: { ...session.config, id: 'old' } }),
+        rstt_settings: JSON.stringify({ units: 'C' })
+      };
+    }
+    
+    it('migrates the current session, archive and settings after backing them up', async () => {
+      const records = v1Records();
+      const old = createTestAdapter(records);
+      await storageService.initialize({ adapter: old });
+      await storageService.flushWrites();
+      
+      expect(storageService.getSchemaVersion()).toBe(SCHEMA_VERSION);
+      
+      const stored = JSON.parse(old.records.get('rstt_current_session'));
+      expect(stored.schemaVersion).toBe(SCHEMA_VERSION);
+      expect(stored.probes).toHaveLength(1);
+      expect(stored.readingIds).toHaveLength(2);
+      expect(JSON.parse(old.records.get('rstt_archived_session_old')).schemaVersion).toBe(SCHEMA_VERSION);
+      expect(JSON.parse(old.records.get('rstt_settings'))).toEqual({ ...createDefaultSettings(), units: 'C' });
+      
+      const backup = storageService.getMigrationBackup();
+      expect(backup.fromVersion).toBe(1);
+      expect(backup.records).toEqual({
+        rstt_current_session: records.rstt_current_session,
+        rstt_archived_session_old: records.rstt_archived_session_old,
+        rstt_settings: records.rstt_settings
+      });
+      
+      expect(storageService.deleteMigrationBackup()).toBe(true);
+      expect(storageService.getMigrationBackup()).toBeNull();
+    });
+    
+    it('leaves everything as it was when there is no room for a backup', async () => {
+      const records = v1Records();
+      const full = { ...createTestAdapter(records), estimate: async () => ({ usage: 100, quota: 200 }) };
+      await storageService.initialize({ adapter: full });
+      await storageService.flushWrites();
+      
+      expect(storageService.getSchemaVersion()).toBe(1);
+      expect(full.records.get('rstt_current_session')).toBe(records.rstt_current_session);
+      expect(storageService.getMigrationBackup()).toBeNull();
+      
+      // Still readable, migrated as it loads
+      expect(storageService.loadSession().schemaVersion).toBe(SCHEMA_VERSION);
+    });
+  });
+  
+  describe('sessions that cannot be loaded', () => {
+    it('sets aside a session from a newer version instead of dropping it', async () => {
+      const future = { ...sessionWithReadings(1), schemaVersion: SCHEMA_VERSION + 1 };
+      await storageService.initialize({
+        adapter: createTestAdapter({
+          rstt_schema_version: String(SCHEMA_VERSION),
+          rstt_current_session: JSON.stringify(future)
+        })
+      });
+      
+      expect(storageService.loadSession()).toBeNull();
+      expect(storageService.hasSession()).toBe(false);
+      
+      const [unreadable] = storageService.listUnreadableSessions();
+      expect(unreadable.error).toContain('newer version of the app');
+      expect(JSON.parse(storageService.exportUnreadableSession(unreadable.key)).session).toEqual(future);
+      
+      storageService.deleteUnreadableSession(unreadable.key);
+      expect(storageService.listUnreadableSessions()).toEqual([]);
+    });
+    
+    it('keeps data that is not valid JSON exactly as stored', async () => {
+      await storageService.initialize({
+        adapter: createTestAdapter({
+          rstt_schema_version: String(SCHEMA_VERSION),
+          rstt_current_session: '{"config": {'
+        })
+      });
+      
+      expect(storageService.loadSession()).toBeNull();
+      
+      const [unreadable] = storageService.listUnreadableSessions();
+      expect(storageService.exportUnreadableSession(unreadable.key)).toBe('{"config": {');
+    });
+    
+    it('still lists a set-aside session whose own record is damaged', async () => {
+      await storageService.initialize({
+        adapter: createTestAdapter({
+          rstt_schema_version: String(SCHEMA_VERSION),
+          rstt_unreadable_session_1: '{"savedAt": "2024-01-01T12:00:00.000Z", "sess',
+          rstt_unreadable_session_2: JSON.stringify({ savedAt: '2024-01-02T12:00:00.000Z', error: 'Too new', session: {} })
+        })
+      });
+      
+      const [damaged, intact] = storageService.listUnreadableSessions();
+      expect(damaged).toMatchObject({ key: 'rstt_unreadable_session_1', savedAt: null, error: 'Its stored data is unreadable' });
+      expect(intact).toMatchObject({ key: 'rstt_unreadable_session_2', error: 'Too new' });
+      expect(storageService.exportUnreadableSession(damaged.key)).toBe('{"savedAt": "2024-01-01T12:00:00.000Z", "sess');
+    });
+  });
+  
+  describe('getStorageInfo', () => {
+    it('uses the quota the backend reports', async () => {
+      await storageService.initialize({
+        adapter: { ...createMemoryAdapter(), estimate: async () => ({ usage: 1000, quota: 4000 }) }
+      });
+      
+      expect(storageService.getStorageInfo()).toMatchObject({ used: 1000, quota: 4000, available: 3000, percentage: 25 });
+    });
+    
+    it('has no limit in memory', () => {
+      expect(storageService.getStorageInfo()).toMatchObject({ backend: 'memory', quota: Infinity, percentage: 0 });
+    });
+  });
+  
+  describe('moving data out of localStorage', () => {
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+    
+    it('copies rstt_* keys into IndexedDB and removes them', async () => {
+      const legacy = createFakeStorage({
+        rstt_settings: JSON.stringify({ units: 'C' }),
+        rstt_schema_version: '1',
+        other_app: 'kept'
+      });
+      vi.stubGlobal('localStorage', legacy);
+      const idb = { ...createTestAdapter(), name: 'indexedDB' };
+      
+      await storageService.initialize({ adapter: idb });
+      
+      expect(storageService.loadSettings().units).toBe('C');
+      expect(JSON.parse(idb.records.get('rstt_settings')).units).toBe('C');
+      expect([...legacy.items.keys()]).toEqual(['other_app']);
+    });
+    
+    it('keeps what IndexedDB already has', async () => {
+      vi.stubGlobal('localStorage', createFakeStorage({ rstt_settings: JSON.stringify({ units: 'C' }) }));
+      const idb = { ...createTestAdapter({ rstt_settings: JSON.stringify({ units: 'F' }) }), name: 'indexedDB' };
+      
+      await storageService.initialize({ adapter: idb });
+      
+      expect(storageService.loadSettings().units).toBe('F');
+    });
+  });
+});
+
+describe('createLocalStorageAdapter', () => {
+  it('loads and writes only prefixed keys', async () => {
+    const storage = createFakeStorage({ rstt_a: '1', other: '2' });
+    const adapter = createLocalStorageAdapter({ storage, prefix: 'rstt_' });
+    
+    expect([...(await adapter.load())]).toEqual([['rstt_a', '1']]);
+    
+    await adapter.write({ put: [['rstt_b', '3']], remove: ['rstt_a'] });
+    expect([...storage.items.keys()]).toEqual(['other', 'rstt_b']);
+    expect((await adapter.estimate()).usage).toBe(('rstt_b'.length + 1) * 2);
+  });
+});
+
+describe('createIndexedDbAdapter', () => {
+  /**
+   * IDBFactory whose open requests settle only when the test says so
+   */
+  function createFakeIndexedDb() {
+    const requests = [];
+    return {
+      requests,
+      open() {
+        const db = { objectStoreNames: { contains: () => true }, close: vi.fn() };
+        const request = {
+          result: db,
+          succeed: () => request.onsuccess(),
+          block: () => request.onblocked()
+        };
+        requests.push(request);
+        return request;
+      }
+    };
+  }
+  
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+  
+  it('gives up when another tab blocks the upgrade', async () => {
+    const indexedDB = createFakeIndexedDb();
+    const loading = createIndexedDbAdapter({ indexedDB }).load();
+    indexedDB.requests[0].block();
+    
+    await expect(loading).rejects.toThrow('another tab');
+  });
+  
+  it('gives up after a while, closing the database if it opens later', async () => {
+    vi.useFakeTimers();
+    const indexedDB = createFakeIndexedDb();
+    const loading = createIndexedDbAdapter({ indexedDB, openTimeoutMs: 1000 }).load();
+    const rejected = expect(loading).rejects.toThrow('Timed out');
+    
+    await vi.advanceTimersByTimeAsync(1000);
+    await rejected;
+    indexedDB.requests[0].succeed();
+    expect(indexedDB.requests[0].result.close).toHaveBeenCalled();
+  });
+  
+  it('closes the database when a newer version needs it', async () => {
+    const indexedDB = createFakeIndexedDb();
+    createIndexedDbAdapter({ indexedDB }).load().catch(() => {});
+    const { result: db } = indexedDB.requests[0];
+    indexedDB.requests[0].succeed();
+    await vi.waitFor(() => expect(db.onversionchange).toBeTypeOf('function'));
+    
+    db.onversionchange();
+    expect(db.close).toHaveBeenCalled();
+  });
+});
+
+describe('isQuotaError', () => {
+  it('recognises quota errors across browsers', () => {
+    expect(isQuotaError({ name: 'QuotaExceededError' })).toBe(true);
+    expect(isQuotaError({ name: 'NS_ERROR_DOM_QUOTA_REACHED' })).toBe(true);
+    expect(isQuotaError({ name: 'Error', code: 22 })).toBe(true);
+    expect(isQuotaError({ name: 'InvalidStateError' })).toBe(false);
+    expect(isQuotaError(null)).toBe(false);
+  });
+});
@@ -0,0 +1,468 @@
+import { THERMAL_MODEL_DEFAULTS, REST_DEFAULTS } from '../constants/defaults.js';
+
+/**
+ * Lumped heat-transfer model of the roast:
+ *   dT/dt = h × (T_oven(t - lag) - T)
+ * The meat heats in proportion to how far it is below the oven, with the oven
+ * setting taking `lag` minutes to reach the meat (oven recovery plus the outer
+ * layers warming). h and lag are fitted per session from readings and oven events.
+ */
+
+/**
+ * Oven temperature an event drives the meat towards
+ * Measured oven temperature wins over the dial when there is one.
+ * @param {OvenTempEvent & {measuredTemp?: number|null}} event
+ * @returns {number} °F
+ */
+export function effectiveOvenTemp(event) {
+  if (event.isOff) return THERMAL_MODEL_DEFAULTS.OVEN_OFF_TEMP_F;
+  return event.measuredTemp ?? event.setTemp;
+}
+
+/**
+ * Attach the measured oven temperature to each oven event
+ * An event's measured temperature is the median of the oven readings taken
+ * while it was in effect; events without readings (and oven-off events) get null.
+ * 
+ * @param {OvenTempEvent[]} ovenEvents - Sorted by timestamp
+ * @param {OvenReading[]} ovenReadings
+ * @returns {Array<OvenTempEvent & {measuredTemp: number|null}>} Copies of the events
+ */
+export function applyMeasuredOvenTemps(ovenEvents, ovenReadings = []) {
+  return ovenEvents.map((event, i) => {
+    if (event.isOff || ovenReadings.length === 0) {
+      return { ...event, measuredTemp: null };
+    }
+    
+    const startMs = new Date(event.timestamp).getTime();
+    const endMs = i < ovenEvents.length - 1 ? new Date(ovenEvents[i + 1].timestamp).getTime() : Infinity;
+    const temps = ovenReadings
+      .filter(r => {
+        const time = new Date(r.timestamp).getTime();
+        return time >= startMs && time < endMs;
+      })
+      .map(r => r.temp)
+      .sort((a, b) => a - b);
+    
+    if (temps.length === 0) {
+      return { ...event, measuredTemp: null };
+    }
+    
+    const mid = Math.floor(temps.length / 2);
+    return {
+      ...event,
+      measuredTemp: temps.length % 2 ? temps[mid] : (temps[mid - 1] + temps[mid]) / 2
+    };
+  });
+}
+
+/**
+ * How far the oven runs from its dial, from the latest measured setting
+ * @param {Array<OvenTempEvent & {measuredTemp?: number|null}>} ovenEvents - Sorted by timestamp
+ * @returns {number} Measured minus set (°F); 0 without measurements
+ */
+export function calculateOvenOffset(ovenEvents) {
+  for (let i = ovenEvents.length - 1; i >= 0; i--) {
+    const event = ovenEvents[i];
+    if (!event.isOff && Number.isFinite(event.measuredTemp)) {
+      return event.measuredTemp - event.setTemp;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Split readings into segments, one per oven event
+ * Each segment starts lagMinutes after its event, so readings still
+ * responding to the previous setting are left out.
+ * 
+ * @param {InternalReading[]} readings - Sorted by timestamp
+ * @param {OvenTempEvent[]} ovenEvents - Sorted by timestamp
+ * @param {number} [lagMinutes] - Delay before an oven change affects the meat
+ * @returns {Array<{event: OvenTempEvent, start: string, end: string, readings: InternalReading[]}>}
+ */
+export function segmentReadingsByOven(readings, ovenEvents, lagMinutes = 0) {
+  return ovenEvents.map((event, i) => {
+    const segmentEnd = i < ovenEvents.length - 1
+      ? new Date(ovenEvents[i + 1].timestamp)
+      : new Date();
+    const effectiveStart = new Date(new Date(event.timestamp).getTime() + lagMinutes * 60 * 1000);
+    
+    return {
+      event,
+      start: effectiveStart.toISOString(),
+      end: segmentEnd.toISOString(),
+      readings: readings.filter(r => {
+        const time = new Date(r.timestamp);
+        return time >= effectiveStart && time < segmentEnd;
+      })
+    };
+  });
+}
+
+/**
+ * Advance a meat temperature through a sequence of constant-oven stretches
+ * 
+ * @param {number} coefficient - h, per hour
+ * @param {number} startTemp - °F
+ * @param {Array<{ovenTemp: number, minutes: number}>} schedule
+ * @returns {number} Temperature at the end of the schedule (°F)
+ */
+export function simulateTemp(coefficient, startTemp, schedule) {
+  return schedule.reduce((temp, { ovenTemp, minutes }) => {
+    return ovenTemp - (ovenTemp - temp) * Math.exp(-coefficient * minutes / 60);
+  }, startTemp);
+}
+
+/**
+ * Build the oven stretches the meat experienced between two times
+ * The oven seen at time t is the one set at t - lag; before the first
+ * event, the first setting is assumed.
+ * 
+ * @param {OvenTempEvent[]} ovenEvents - Sorted by timestamp
+ * @param {number} lagMinutes
+ * @param {number} fromMs
+ * @param {number} toMs
+ * @returns {Array<{ovenTemp: number, minutes: number}>}
+ */
+export function ovenScheduleBetween(ovenEvents, lagMinutes, fromMs, toMs) {
+  const lagMs = lagMinutes * 60 * 1000;
+  const changes = ovenEvents.map(e => ({
+    time: new Date(e.timestamp).getTime() + lagMs,
+    ovenTemp: effectiveOvenTemp(e)
+  }));
+  
+  let ovenTemp = changes[0].ovenTemp;
+  for (const change of changes) {
+    if (change.time <= fromMs) ovenTemp = change.ovenTemp;
+  }
+  
+  const schedule = [];
+  let cursor = fromMs;
+  for (const change of changes) {
+    if (change.time <= fromMs || change.time >= toMs) continue;
+    schedule.push({ ovenTemp, minutes: (change.time - cursor) / 60000 });
+    cursor = change.time;
+    ovenTemp = change.ovenTemp;
+  }
+  schedule.push({ ovenTemp, minutes: (toMs - cursor) / 60000 });
+  
+  return schedule;
+}
+
+/**
+ * Fit the heat-transfer coefficient and oven lag to a session
+ * Each consecutive pair of readings is a one-step prediction: start from the
+ * earlier reading, simulate the oven history in between, compare with the
+ * later reading. The lag is searched on a grid and h by golden section for
+ * each lag. With a single oven segment the lag can't be told apart from h, so
+ * the default lag is used.
+ * 
+ * @param {InternalReading[]} readings - Sorted by timestamp
+ * @param {OvenTempEvent[]} ovenEvents - Sorted by timestamp
+ * @returns {{coefficient: number, lagMinutes: number, timeConstantMinutes: number, rmse: number, pairCount: number, segmentCount: number}|null}
+ *   Null without oven events or enough readings
+ */
+export function fitThermalModel(readings, ovenEvents) {
+  if (ovenEvents.length === 0) return null;
+  
+  const firstEventMs = new Date(ovenEvents[0].timestamp).getTime();
+  const usable = readings.filter(r => new Date(r.timestamp).getTime() >= firstEventMs);
+  
+  const pairs = [];
+  for (let i = 1; i < usable.length; i++) {
+    const fromMs = new Date(usable[i - 1].timestamp).getTime();
+    const toMs = new Date(usable[i].timestamp).getTime();
+    if (toMs > fromMs) {
+      pairs.push({ fromMs, toMs, startTemp: usable[i - 1].temp, endTemp: usable[i].temp });
+    }
+  }
+  
+  if (pairs.length < THERMAL_MODEL_DEFAULTS.MIN_PAIRS) return null;
+  
+  const segmentCount = segmentReadingsByOven(usable, ovenEvents)
+    .filter(segment => segment.readings.length > 0).length;
+  
+  const lags = [];
+  if (segmentCount < 2) {
+    lags.push(THERMAL_MODEL_DEFAULTS.DEFAULT_LAG_MINUTES);
+  } else {
+    for (let lag = 0; lag <= THERMAL_MODEL_DEFAULTS.MAX_LAG_MINUTES; lag += THERMAL_MODEL_DEFAULTS.LAG_STEP_MINUTES) {
+      lags.push(lag);
+    }
+  }
+  
+  let best = null;
+  for (const lagMinutes of lags) {
+    const schedules = pairs.map(p => ovenScheduleBetween(ovenEvents, lagMinutes, p.fromMs, p.toMs));
+    const sse = (coefficient) => pairs.reduce((sum, p, i) => {
+      return sum + (simulateTemp(coefficient, p.startTemp, schedules[i]) - p.endTemp) ** 2;
+    }, 0);
+    
+    const coefficient = minimizeLogScale(sse, THERMAL_MODEL_DEFAULTS.MIN_COEFFICIENT, THERMAL_MODEL_DEFAULTS.MAX_COEFFICIENT);
+    const error = sse(coefficient);
+    
+    if (!best || error < best.error) {
+      best = { coefficient, lagMinutes, error };
+    }
+  }
+  
+  return {
+    coefficient: Math.round(best.coefficient * 10000) / 10000,
+    lagMinutes: best.lagMinutes,
+    timeConstantMinutes: Math.round(60 / best.coefficient),
+    rmse: Math.round(Math.sqrt(best.error / pairs.length) * 100) / 100,
+    pairCount: pairs.length,
+    segmentCount
+  };
+}
+
+/**
+ * Golden-section search for the minimum of f over [min, max] on a log scale
+ * @param {(x: number) => number} f
+ * @param {number} min - Must be positive
+ * @param {number} max
+ * @returns {number}
+ */
+function minimizeLogScale(f, min, max) {
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let a = Math.log(min);
+  let b = Math.log(max);
+  
+  for (let i = 0; i < 60; i++) {
+    const c = b - ratio * (b - a);
+    const d = a + ratio * (b - a);
+    if (f(Math.exp(c)) < f(Math.exp(d))) {
+      b = d;
+    } else {
+      a = c;
+    }
+  }
+  
+  return Math.exp((a + b) / 2);
+}
+
+/**
+ * Heating rate the model expects at a given meat and oven temperature
+ * @param {{coefficient: number}} model
+ * @param {number} meatTemp - °F
+ * @param {number} ovenTemp - °F
+ * @returns {number} °F per hour
+ */
+export function modelHeatingRate(model, meatTemp, ovenTemp) {
+  return model.coefficient * (ovenTemp - meatTemp);
+}
+
+/**
+ * Predict minutes to reach a temperature after changing the oven now
+ * For the model's lag the meat still sees the previous oven temperature.
+ * 
+ * @param {{coefficient: number, lagMinutes: number}} model
+ * @param {Object} params
+ * @param {number} params.currentTemp - Meat temperature now (°F)
+ * @param {number} params.targetTemp - °F
+ * @param {number} params.ovenTemp - Proposed oven temperature (°F)
+ * @param {number} [params.previousOvenTemp] - Oven temperature the meat sees until the lag passes
+ * @returns {number|null} Minutes, or null if the target can't be reached
+ */
+export function predictMinutesToTemp(model, { currentTemp, targetTemp, ovenTemp, previousOvenTemp = ovenTemp }) {
+  if (currentTemp >= targetTemp) return 0;
+  
+  const h = model.coefficient;
+  
+  // Target reached while the previous setting still applies
+  if (previousOvenTemp > targetTemp) {
+    const minutes = Math.log((previousOvenTemp - currentTemp) / (previousOvenTemp - targetTemp)) / h * 60;
+    if (minutes <= model.lagMinutes) return Math.round(minutes);
+  }
+  
+  if (targetTemp >= ovenTemp) return null;
+  
+  const tempAfterLag = simulateTemp(h, currentTemp, [{ ovenTemp: previousOvenTemp, minutes: model.lagMinutes }]);
+  const remaining = tempAfterLag >= targetTemp
+    ? 0
+    : Math.log((ovenTemp - tempAfterLag) / (ovenTemp - targetTemp)) / h * 60;
+  
+  return Math.round(model.lagMinutes + remaining);
+}
+
+/**
+ * Estimate meat temperature after cooling period
+ * Uses exponential decay (Newton's Law of Cooling)
+ * 
+ * @param {number} initialTemp - Initial meat temperature in °F
+ * @param {number} minutesElapsed - Time elapsed since cooling started
+ * @param {number} ambientTemp - Room/ambient temperature in °F (default 70°F)
+ * @param {number} coolingRate - Cooling constant k (default 0.02 per minute for typical roasts)
+ * @returns {number} Estimated current temperature in °F
+ */
+export function estimateMeatCooling(initialTemp, minutesElapsed, ambientTemp = 70, coolingRate = 0.02) {
+  // T(t) = T_ambient + (T_initial - T_ambient) * e^(-k*t)
+  return ambientTemp + (initialTemp - ambientTemp) * Math.exp(-coolingRate * minutesElapsed);
+}
+
+/**
+ * Rest model: once pulled, the centre keeps rising as the hotter outer layers
+ * even out towards an equalization temperature, while the roast as a whole
+ * cools towards the room:
+ *   T(t) = cooling(T_eq, t) - (T_eq - T_pull) × e^(-r t)
+ * with cooling() from estimateMeatCooling at rate k. The centre peaks when the
+ * two balance, then drops.
+ * 
+ * @typedef {Object} RestModel
+ * @property {number} pullTemp - Centre temperature when pulled (°F)
+ * @property {number} ambientTemp - °F
+ * @property {number} equalizationTemp - T_eq (°F)
+ * @property {number} coolingRate - k, per minute
+ * @property {number} equalizationRate - r, per minute
+ */
+
+/**
+ * Centre temperature a rest model expects some minutes after the pull
+ * @param {RestModel} model
+ * @param {number} minutes
+ * @returns {number} °F
+ */
+export function restTempAt(model, minutes) {
+  const { pullTemp, ambientTemp, equalizationTemp, coolingRate, equalizationRate } = model;
+  return estimateMeatCooling(equalizationTemp, minutes, ambientTemp, coolingRate) -
+    (equalizationTemp - pullTemp) * Math.exp(-equalizationRate * minutes);
+}
+
+/**
+ * When and how high the centre peaks during the rest
+ * @param {RestModel} model
+ * @returns {{minutes: number, temp: number}} Minutes after the pull; 0 if it only cools
+ */
+export function findRestPeak(model) {
+  const { pullTemp, ambientTemp, equalizationTemp, coolingRate, equalizationRate } = model;
+  const rising = equalizationRate * (equalizationTemp - pullTemp);
+  const cooling = coolingRate * (equalizationTemp - ambientTemp);
+  
+  if (equalizationRate <= coolingRate || rising <= cooling) {
+    return { minutes: 0, temp: pullTemp };
+  }
+  
+  const minutes = Math.log(rising / cooling) / (equalizationRate - coolingRate);
+  return { minutes, temp: restTempAt(model, minutes) };
+}
+
+/**
+ * Equalization temperature that makes the rest peak at a given temperature
+ * Used to anchor the model to the carryover estimate before there are rest readings.
+ * 
+ * @param {Omit<RestModel, 'equalizationTemp'>} rates
+ * @param {number} peakTemp - °F
+ * @returns {number} °F
+ */
+export function equalizationTempForPeak(rates, peakTemp) {
+  if (peakTemp <= rates.pullTemp) return rates.pullTemp;
+  
+  // The peak rises with T_eq, so bisect
+  let low = rates.pullTemp;
+  let high = rates.pullTemp + 10 * (peakTemp - rates.pullTemp) + 100;
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (findRestPeak({ ...rates, equalizationTemp: mid }).temp < peakTemp) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  
+  return (low + high) / 2;
+}
+
+/**
+ * Fit a rest model to readings taken since the pull
+ * For each equalization rate on a log grid, T_eq enters the model linearly
+ * and is solved in closed form, shrunk towards priorEqualizationTemp so a
+ * couple of readings can't swing it far. The cooling rate stays at its prior
+ * until the readings have started to drop, then is searched on a grid too.
+ * 
+ * @param {InternalReading[]} readings - Rest readings, sorted by timestamp
+ * @param {Object} params
+ * @param {number} params.pullTemp - °F
+ * @param {string} params.pullTime - ISO timestamp
+ * @param {number} params.priorEqualizationTemp - °F
+ * @param {number} [params.ambientTemp]
+ * @param {number} [params.coolingRate] - Prior k, per minute
+ * @returns {RestModel & {rmse: number, readingCount: number, fittedCooling: boolean}|null}
+ *   Null without readings after the pull
+ */
+export function fitRestModel(readings, {
+  pullTemp,
+  pullTime,
+  priorEqualizationTemp,
+  ambientTemp = REST_DEFAULTS.AMBIENT_TEMP_F,
+  coolingRate = REST_DEFAULTS.COOLING_RATE_PER_MIN
+}) {
+  const pullMs = new Date(pullTime).getTime();
+  const points = readings
+    .map(r => ({ minutes: (new Date(r.timestamp).getTime() - pullMs) / 60000, temp: r.temp }))
+    .filter(p => p.minutes > 0);
+  
+  if (points.length === 0) return null;
+  
+  const highest = Math.max(...points.map(p => p.temp));
+  const fittedCooling = points[points.length - 1].temp <= highest - REST_DEFAULTS.MIN_DROP_F;
+  
+  const coolingRates = fittedCooling
+    ? logGrid(REST_DEFAULTS.MIN_COOLING_RATE_PER_MIN, REST_DEFAULTS.MAX_COOLING_RATE_PER_MIN, REST_DEFAULTS.GRID_STEPS)
+    : [coolingRate];
+  const equalizationRates = logGrid(
+    1 / REST_DEFAULTS.MAX_EQUALIZATION_MINUTES,
+    1 / REST_DEFAULTS.MIN_EQUALIZATION_MINUTES,
+    REST_DEFAULTS.GRID_STEPS
+  );
+  const weight = REST_DEFAULTS.PRIOR_WEIGHT;
+  
+  let best = null;
+  for (const k of coolingRates) {
+    for (const r of equalizationRates) {
+      // T(t) = a(t) + T_eq × x(t)
+      const terms = points.map(p => {
+        const cooled = Math.exp(-k * p.minutes);
+        const evened = Math.exp(-r * p.minutes);
+        return {
+          a: ambientTemp * (1 - cooled) + pullTemp * evened,
+          x: cooled - evened,
+          temp: p.temp
+        };
+      });
+      
+      const sxy = terms.reduce((sum, t) => sum + t.x * (t.temp - t.a), 0);
+      const sxx = terms.reduce((sum, t) => sum + t.x * t.x, 0);
+      const equalizationTemp = Math.max(pullTemp, (sxy + weight * priorEqualizationTemp) / (sxx + weight));
+      const sse = terms.reduce((sum, t) => sum + (t.a + equalizationTemp * t.x - t.temp) ** 2, 0);
+      const error = sse + weight * (equalizationTemp - priorEqualizationTemp) ** 2;
+      
+      if (!best || error < best.error) {
+        best = { coolingRate: k, equalizationRate: r, equalizationTemp, sse, error };
+      }
+    }
+  }
+  
+  return {
+    pullTemp,
+    ambientTemp,
+    equalizationTemp: best.equalizationTemp,
+    coolingRate: best.coolingRate,
+    equalizationRate: best.equalizationRate,
+    rmse: Math.round(Math.sqrt(best.sse / points.length) * 100) / 100,
+    readingCount: points.length,
+    fittedCooling
+  };
+}
+
+/**
+ * Log-spaced values from min to max inclusive
+ * @param {number} min - Must be positive
+ * @param {number} max
+ * @param {number} steps
+ * @returns {number[]}
+ */
+function logGrid(min, max, steps) {
+  const ratio = Math.log(max / min) / (steps - 1);
+  return Array.from({ length: steps }, (_, i) => min * Math.exp(i * ratio));
+}
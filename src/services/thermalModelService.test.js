@@ -0,0 +1,272 @@
+import { describe, it, expect } from 'vitest';
+import {
+  effectiveOvenTemp,
+  applyMeasuredOvenTemps,
+  calculateOvenOffset,
+  segmentReadingsByOven,
+  simulateTemp,
+  fitThermalModel,
+  modelHeatingRate,
+  predictMinutesToTemp,
+  estimateMeatCooling,
+  restTempAt,
+  findRestPeak,
+  equalizationTempForPeak,
+  fitRestModel
+} from './thermalModelService.js';
+
+const START = '2024-01-01T12:00:00Z';
+
+function at(minutes) {
+  return new Date(new Date(START).getTime() + minutes * 60000).toISOString();
+}
+
+/**
+ * Readings every intervalMinutes from a roast following the lumped model exactly,
+ * with the oven at firstOven until changeAt, then secondOven (seen lagMinutes later)
+ */
+function modelReadings({ h, lagMinutes, firstOven, secondOven = firstOven, changeAt = Infinity, count, intervalMinutes = 20, start = 40 }) {
+  return Array.from({ length: count }, (_, i) => {
+    const minutes = i * intervalMinutes;
+    const switchAt = changeAt + lagMinutes;
+    const schedule = minutes <= switchAt
+      ? [{ ovenTemp: firstOven, minutes }]
+      : [{ ovenTemp: firstOven, minutes: switchAt }, { ovenTemp: secondOven, minutes: minutes - switchAt }];
+    return {
+      id: `r${i}`,
+      temp: Math.round(simulateTemp(h, start, schedule) * 100) / 100,
+      timestamp: at(minutes)
+    };
+  });
+}
+
+describe('simulateTemp', () => {
+  it('approaches the oven temperature exponentially', () => {
+    // One time constant closes 1 - 1/e of the gap
+    const temp = simulateTemp(0.5, 25, [{ ovenTemp: 225, minutes: 120 }]);
+    expect(temp).toBeCloseTo(225 - 200 * Math.exp(-1), 5);
+  });
+  
+  it('chains stretches at different oven temperatures', () => {
+    const split = simulateTemp(0.4, 50, [{ ovenTemp: 225, minutes: 30 }, { ovenTemp: 225, minutes: 45 }]);
+    const whole = simulateTemp(0.4, 50, [{ ovenTemp: 225, minutes: 75 }]);
+    expect(split).toBeCloseTo(whole, 8);
+  });
+});
+
+describe('effectiveOvenTemp', () => {
+  it('uses room temperature when the oven is off', () => {
+    expect(effectiveOvenTemp({ setTemp: 250, isOff: false })).toBe(250);
+    expect(effectiveOvenTemp({ setTemp: 0, isOff: true })).toBe(70);
+  });
+  
+  it('prefers the measured temperature', () => {
+    expect(effectiveOvenTemp({ setTemp: 250, isOff: false, measuredTemp: 232 })).toBe(232);
+    expect(effectiveOvenTemp({ setTemp: 250, isOff: false, measuredTemp: null })).toBe(250);
+  });
+});
+
+describe('applyMeasuredOvenTemps', () => {
+  const ovenEvents = [
+    { setTemp: 225, timestamp: at(0), isOff: false },
+    { setTemp: 0, timestamp: at(60), isOff: true },
+    { setTemp: 250, timestamp: at(90), isOff: false }
+  ];
+  
+  it('takes the median of the readings during each setting', () => {
+    const ovenReadings = [
+      { temp: 210, timestamp: at(10) },
+      { temp: 240, timestamp: at(20) },
+      { temp: 215, timestamp: at(30) },
+      { temp: 150, timestamp: at(70) },
+      { temp: 262, timestamp: at(100) },
+      { temp: 258, timestamp: at(120) }
+    ];
+    
+    const measured = applyMeasuredOvenTemps(ovenEvents, ovenReadings);
+    
+    expect(measured.map(e => e.measuredTemp)).toEqual([215, null, 260]);
+    expect(ovenEvents[0].measuredTemp).toBeUndefined();
+  });
+  
+  it('leaves settings without readings on the set point', () => {
+    const measured = applyMeasuredOvenTemps(ovenEvents, [{ temp: 230, timestamp: at(10) }]);
+    
+    expect(measured.map(effectiveOvenTemp)).toEqual([230, 70, 250]);
+  });
+});
+
+describe('calculateOvenOffset', () => {
+  it('uses the latest measured setting', () => {
+    const offset = calculateOvenOffset([
+      { setTemp: 225, isOff: false, measuredTemp: 215 },
+      { setTemp: 250, isOff: false, measuredTemp: 262 },
+      { setTemp: 275, isOff: false, measuredTemp: null }
+    ]);
+    
+    expect(offset).toBe(12);
+  });
+  
+  it('is zero without measurements', () => {
+    expect(calculateOvenOffset([{ setTemp: 225, isOff: false }])).toBe(0);
+  });
+});
+
+describe('segmentReadingsByOven', () => {
+  it('starts each segment after the lag', () => {
+    const readings = modelReadings({ h: 0.3, lagMinutes: 0, firstOven: 225, count: 10 });
+    const ovenEvents = [
+      { setTemp: 225, timestamp: at(0) },
+      { setTemp: 250, timestamp: at(90) }
+    ];
+    
+    const segments = segmentReadingsByOven(readings, ovenEvents, 15);
+    
+    expect(segments).toHaveLength(2);
+    expect(segments[0].readings.map(r => r.id)).toEqual(['r1', 'r2', 'r3', 'r4']);
+    expect(segments[1].readings.map(r => r.id)).toEqual(['r6', 'r7', 'r8', 'r9']);
+    expect(segments[1].start).toBe(at(105));
+  });
+});
+
+describe('fitThermalModel', () => {
+  it('recovers the coefficient and lag across an oven change', () => {
+    const readings = modelReadings({ h: 0.3, lagMinutes: 20, firstOven: 225, secondOven: 275, changeAt: 180, count: 19 });
+    const ovenEvents = [
+      { setTemp: 225, timestamp: at(0) },
+      { setTemp: 275, timestamp: at(180) }
+    ];
+    
+    const model = fitThermalModel(readings, ovenEvents);
+    
+    expect(model.coefficient).toBeCloseTo(0.3, 2);
+    expect(model.lagMinutes).toBe(20);
+    expect(model.timeConstantMinutes).toBe(200);
+    expect(model.segmentCount).toBe(2);
+    expect(model.rmse).toBeLessThan(0.1);
+  });
+  
+  it('uses the default lag with a single oven setting', () => {
+    const readings = modelReadings({ h: 0.25, lagMinutes: 0, firstOven: 225, count: 8 });
+    const model = fitThermalModel(readings, [{ setTemp: 225, timestamp: at(0) }]);
+    
+    expect(model.lagMinutes).toBe(15);
+    expect(model.coefficient).toBeCloseTo(0.25, 2);
+  });
+  
+  it('ignores readings from before the first oven event', () => {
+    const readings = modelReadings({ h: 0.25, lagMinutes: 0, firstOven: 225, count: 8 });
+    const model = fitThermalModel(readings, [{ setTemp: 225, timestamp: at(60) }]);
+    
+    expect(model.pairCount).toBe(4);
+  });
+  
+  it('needs oven events and enough readings', () => {
+    const readings = modelReadings({ h: 0.25, lagMinutes: 0, firstOven: 225, count: 3 });
+    
+    expect(fitThermalModel(readings, [])).toBeNull();
+    expect(fitThermalModel(readings, [{ setTemp: 225, timestamp: at(0) }])).toBeNull();
+  });
+});
+
+describe('modelHeatingRate', () => {
+  it('scales with the gap between oven and meat', () => {
+    const model = { coefficient: 0.2, lagMinutes: 0 };
+    
+    expect(modelHeatingRate(model, 125, 225)).toBeCloseTo(20, 8);
+    expect(modelHeatingRate(model, 125, 250)).toBeCloseTo(25, 8);
+  });
+});
+
+describe('predictMinutesToTemp', () => {
+  const model = { coefficient: 0.3, lagMinutes: 0 };
+  
+  it('matches the analytic solution without lag', () => {
+    const minutes = predictMinutesToTemp(model, { currentTemp: 100, targetTemp: 165, ovenTemp: 225 });
+    expect(minutes).toBe(Math.round(Math.log(125 / 60) / 0.3 * 60));
+  });
+  
+  it('is slower while the previous setting still applies', () => {
+    const lagged = { coefficient: 0.3, lagMinutes: 30 };
+    const immediate = predictMinutesToTemp(model, { currentTemp: 100, targetTemp: 165, ovenTemp: 275 });
+    const delayed = predictMinutesToTemp(lagged, { currentTemp: 100, targetTemp: 165, ovenTemp: 275, previousOvenTemp: 225 });
+    
+    expect(delayed).toBeGreaterThan(immediate);
+  });
+  
+  it('finishes within the lag when the previous setting gets there first', () => {
+    const lagged = { coefficient: 0.3, lagMinutes: 60 };
+    const minutes = predictMinutesToTemp(lagged, { currentTemp: 160, targetTemp: 165, ovenTemp: 175, previousOvenTemp: 250 });
+    
+    expect(minutes).toBe(Math.round(Math.log(90 / 85) / 0.3 * 60));
+  });
+  
+  it('returns null when the oven is too cool to reach the target', () => {
+    expect(predictMinutesToTemp(model, { currentTemp: 100, targetTemp: 203, ovenTemp: 200 })).toBeNull();
+  });
+  
+  it('returns zero at or above the target', () => {
+    expect(predictMinutesToTemp(model, { currentTemp: 170, targetTemp: 165, ovenTemp: 225 })).toBe(0);
+  });
+});
+
+describe('estimateMeatCooling', () => {
+  it('decays towards the room', () => {
+    expect(estimateMeatCooling(130, 0)).toBe(130);
+    expect(estimateMeatCooling(130, 50, 70, 0.02)).toBeCloseTo(70 + 60 * Math.exp(-1), 8);
+  });
+});
+
+describe('rest model', () => {
+  const truth = { pullTemp: 125, ambientTemp: 70, equalizationTemp: 140, coolingRate: 0.005, equalizationRate: 0.06 };
+  const restReadings = (minutes) => minutes.map((m, i) => ({
+    id: `r${i}`,
+    temp: Math.round(restTempAt(truth, m) * 10) / 10,
+    timestamp: at(m)
+  }));
+  
+  it('starts at the pull temperature, rises, then cools', () => {
+    const peak = findRestPeak(truth);
+    
+    expect(restTempAt(truth, 0)).toBe(125);
+    expect(peak.minutes).toBeGreaterThan(10);
+    expect(peak.temp).toBeGreaterThan(restTempAt(truth, peak.minutes - 5));
+    expect(peak.temp).toBeGreaterThan(restTempAt(truth, peak.minutes + 5));
+  });
+  
+  it('peaks straight away when cooling outweighs carryover', () => {
+    expect(findRestPeak({ ...truth, equalizationTemp: 126 })).toEqual({ minutes: 0, temp: 125 });
+  });
+  
+  it('finds the equalization temperature for a peak', () => {
+    const { equalizationTemp, ...rates } = truth;
+    const solved = equalizationTempForPeak(rates, findRestPeak(truth).temp);
+    
+    expect(solved).toBeCloseTo(equalizationTemp, 2);
+  });
+  
+  it('fits the peak once the readings start to drop', () => {
+    const fit = fitRestModel(restReadings([5, 10, 15, 20, 30, 40]), {
+      pullTemp: 125,
+      pullTime: START,
+      priorEqualizationTemp: 135
+    });
+    const peak = findRestPeak(fit);
+    
+    expect(fit.fittedCooling).toBe(true);
+    expect(peak.temp).toBeCloseTo(findRestPeak(truth).temp, 0);
+    expect(Math.abs(peak.minutes - findRestPeak(truth).minutes)).toBeLessThan(3);
+  });
+  
+  it('keeps the prior cooling rate while still rising', () => {
+    const fit = fitRestModel(restReadings([5, 10]), { pullTemp: 125, pullTime: START, priorEqualizationTemp: 135 });
+    
+    expect(fit.fittedCooling).toBe(false);
+    expect(fit.coolingRate).toBe(0.004);
+    expect(fit.readingCount).toBe(2);
+  });
+  
+  it('needs readings after the pull', () => {
+    expect(fitRestModel([], { pullTemp: 125, pullTime: START, priorEqualizationTemp: 135 })).toBeNull();
+  });
+});
@@ -0,0 +1,237 @@
+import { createUndoCommand } from '../models/dataModels.js';
+import { UNDO_DEFAULTS } from '../constants/defaults.js';
+
+/**
+ * Undo and redo for session edits. Each edit is recorded as a command holding
+ * only what it changed: items added to, removed from or updated in the
+ * session's lists (matched by ID, with their positions) and the values of the
+ * config, settings and plan before and after. Commands are plain data, so the
+ * stacks are saved with the session. Predictions are recorded by the app, not
+ * the user, and are left alone.
+ */
+
+/**
+ * Session lists whose items (each with an ID) edits can change
+ */
+export const ITEM_FIELDS = ['readings', 'ovenEvents', 'ovenReadings', 'probes', 'roasts', 'phases'];
+
+/**
+ * Session fields edits replace as a whole
+ */
+const VALUE_FIELDS = ['config', 'settings', 'plan'];
+
+const clone = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Copy of the parts of a session edits can change, to diff against afterwards
+ * Only the fields an edit touches need copying; an oven change shouldn't
+ * copy every reading.
+ * @param {Session} session
+ * @param {string[]} [fields] - Of ITEM_FIELDS and VALUE_FIELDS; all of them by default
+ * @returns {Object}
+ */
+export function captureSessionState(session, fields = [...ITEM_FIELDS, ...VALUE_FIELDS]) {
+  const state = {};
+  for (const field of fields) {
+    state[field] = clone(session[field]);
+  }
+  return state;
+}
+
+/**
+ * What an edit changed, field by field
+ * Only the fields captured beforehand are compared.
+ * @param {Object} before - From captureSessionState
+ * @param {Session} session - After the edit
+ * @returns {Object<string, Object>|null} Null if nothing changed
+ */
+export function diffSessionState(before, session) {
+  const changes = {};
+  
+  for (const field of ITEM_FIELDS.filter(field => field in before)) {
+    const change = diffItems(before[field] ?? [], session[field] ?? []);
+    if (change) {
+      changes[field] = change;
+    }
+  }
+  for (const field of VALUE_FIELDS.filter(field => field in before)) {
+    const after = clone(session[field]);
+    if (JSON.stringify(before[field]) !== JSON.stringify(after)) {
+      changes[field] = { before: before[field], after };
+    }
+  }
+  
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Changes for items just appended to one of a session's lists
+ * Saves capturing and diffing the whole list for the commonest edit,
+ * adding a reading.
+ * @param {Session} session - After the items were appended
+ * @param {string} field - One of ITEM_FIELDS
+ * @param {Object[]} items - As appended, in order
+ * @returns {Object<string, Object>} As from diffSessionState
+ */
+export function appendedItemChanges(session, field, items) {
+  const start = session[field].length - items.length;
+  return {
+    [field]: {
+      added: items.map((item, i) => ({ index: start + i, item: clone(item) })),
+      removed: [],
+      updated: [],
+      order: null
+    }
+  };
+}
+
+/**
+ * Combine the changes from edits made one after another into one set
+ * Lists keep every item added, removed and updated (an item added in more
+ * than one set once); values keep the first before and the last after.
+ * @param {...(Object<string, Object>|null)} changeSets - Oldest first
+ * @returns {Object<string, Object>|null} Null if nothing changed
+ */
+export function combineChanges(...changeSets) {
+  const combined = {};
+  
+  for (const changes of changeSets.filter(Boolean)) {
+    for (const [field, change] of Object.entries(changes)) {
+      const previous = combined[field];
+      if (!previous) {
+        combined[field] = change;
+      } else if (!ITEM_FIELDS.includes(field)) {
+        combined[field] = { before: previous.before, after: change.after };
+      } else {
+        const addedIds = new Set(previous.added.map(({ item }) => item.id));
+        combined[field] = {
+          added: [...previous.added, ...change.added.filter(({ item }) => !addedIds.has(item.id))],
+          removed: [...previous.removed, ...change.removed],
+          updated: [...previous.updated, ...change.updated],
+          order: change.order ?? previous.order
+        };
+      }
+    }
+  }
+  
+  return Object.keys(combined).length > 0 ? combined : null;
+}
+
+/**
+ * Items added, removed and updated between two versions of a list
+ * The order is kept too when items that stayed have moved (e.g. re-sorted).
+ * @param {Array<{id: string}>} before
+ * @param {Array<{id: string}>} after
+ * @returns {{added: Array<{index: number, item: Object}>, removed: Array<{index: number, item: Object}>, updated: Array<{before: Object, after: Object}>, order: {before: string[], after: string[]}|null}|null}
+ */
+function diffItems(before, after) {
+  const beforeById = new Map(before.map(item => [item.id, item]));
+  const afterIds = new Set(after.map(item => item.id));
+  
+  const removed = before
+    .map((item, index) => ({ index, item }))
+    .filter(({ item }) => !afterIds.has(item.id));
+  const added = [];
+  const updated = [];
+  after.forEach((item, index) => {
+    const previous = beforeById.get(item.id);
+    if (!previous) {
+      added.push({ index, item: clone(item) });
+    } else if (JSON.stringify(previous) !== JSON.stringify(item)) {
+      updated.push({ before: previous, after: clone(item) });
+    }
+  });
+  
+  const keptBefore = before.map(item => item.id).filter(id => afterIds.has(id));
+  const keptAfter = after.map(item => item.id).filter(id => beforeById.has(id));
+  const order = keptBefore.join() !== keptAfter.join()
+    ? { before: before.map(item => item.id), after: after.map(item => item.id) }
+    : null;
+  
+  if (added.length === 0 && removed.length === 0 && updated.length === 0 && !order) {
+    return null;
+  }
+  return { added, removed, updated, order };
+}
+
+/**
+ * Apply a command's changes to a session, backwards to undo or forwards to redo
+ * @param {Session} session - Changed in place
+ * @param {Object<string, Object>} changes
+ * @param {'undo'|'redo'} direction
+ */
+export function applyChanges(session, changes, direction) {
+  const undoing = direction === 'undo';
+  
+  for (const [field, change] of Object.entries(changes)) {
+    if (!ITEM_FIELDS.includes(field)) {
+      session[field] = clone(undoing ? change.before : change.after);
+      continue;
+    }
+    
+    const toRemove = new Set((undoing ? change.added : change.removed).map(({ item }) => item.id));
+    const toInsert = undoing ? change.removed : change.added;
+    const list = (session[field] ?? []).filter(item => !toRemove.has(item.id));
+    
+    for (const { before, after } of change.updated) {
+      const index = list.findIndex(item => item.id === after.id);
+      if (index !== -1) {
+        list[index] = clone(undoing ? before : after);
+      }
+    }
+    for (const { index, item } of [...toInsert].sort((a, b) => a.index - b.index)) {
+      list.splice(Math.min(index, list.length), 0, clone(item));
+    }
+    
+    if (change.order) {
+      const position = new Map((undoing ? change.order.before : change.order.after).map((id, i) => [id, i]));
+      list.sort((a, b) => (position.get(a.id) ?? Infinity) - (position.get(b.id) ?? Infinity));
+    }
+    session[field] = list;
+  }
+}
+
+/**
+ * Record an edit on the undo stack
+ * A new edit clears what could be redone; the oldest edits drop off past MAX_COMMANDS.
+ * @param {Session} session - Changed in place
+ * @param {string} label - What the edit did
+ * @param {Object<string, Object>} changes - From diffSessionState
+ * @returns {UndoCommand}
+ */
+export function recordCommand(session, label, changes) {
+  const command = createUndoCommand(label, changes);
+  session.undoStack = [...(session.undoStack ?? []), command].slice(-UNDO_DEFAULTS.MAX_COMMANDS);
+  session.redoStack = [];
+  return command;
+}
+
+/**
+ * Undo the latest edit
+ * @param {Session} session - Changed in place
+ * @returns {UndoCommand|null} The edit undone, or null if there was none
+ */
+export function undoCommand(session) {
+  const command = session.undoStack?.at(-1);
+  if (!command) return null;
+  
+  applyChanges(session, command.changes, 'undo');
+  session.undoStack = session.undoStack.slice(0, -1);
+  session.redoStack = [...(session.redoStack ?? []), command];
+  return command;
+}
+
+/**
+ * Redo the edit undone last
+ * @param {Session} session - Changed in place
+ * @returns {UndoCommand|null} The edit redone, or null if there was none
+ */
+export function redoCommand(session) {
+  const command = session.redoStack?.at(-1);
+  if (!command) return null;
+  
+  applyChanges(session, command.changes, 'redo');
+  session.redoStack = session.redoStack.slice(0, -1);
+  session.undoStack = [...(session.undoStack ?? []), command];
+  return command;
+}
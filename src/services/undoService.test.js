@@ -0,0 +1,187 @@
+import { describe, it, expect } from 'vitest';
+import {
+  captureSessionState,
+  diffSessionState,
+  appendedItemChanges,
+  combineChanges,
+  applyChanges,
+  recordCommand,
+  undoCommand,
+  redoCommand
+} from './undoService.js';
+import { createSession, createReading, createOvenEvent } from '../models/dataModels.js';
+import { UNDO_DEFAULTS } from '../constants/defaults.js';
+
+function sessionWithReadings() {
+  const session = createSession({ targetTemp: 130 });
+  session.readings = [60, 70, 80].map((temp, i) => createReading(temp, `2024-01-01T1${i}:00:00.000Z`, session.probes[0].id));
+  session.ovenEvents = [createOvenEvent(225, null, '2024-01-01T10:00:00.000Z')];
+  return session;
+}
+
+/**
+ * Make an edit the way useSession does, recording it
+ */
+function edit(session, label, mutate) {
+  const before = captureSessionState(session);
+  mutate(session);
+  const changes = diffSessionState(before, session);
+  if (changes) {
+    recordCommand(session, label, changes);
+  }
+  return changes;
+}
+
+// The parts of a session edits touch, for comparing
+const editable = (session) => JSON.parse(JSON.stringify(captureSessionState(session)));
+
+describe('diffSessionState', () => {
+  it('records only what changed', () => {
+    const session = sessionWithReadings();
+    const changes = edit(session, 'Edit reading', s => {
+      s.readings[1].temp = 72;
+    });
+    
+    expect(Object.keys(changes)).toEqual(['readings']);
+    expect(changes.readings.updated).toEqual([
+      { before: expect.objectContaining({ temp: 70 }), after: expect.objectContaining({ temp: 72 }) }
+    ]);
+    expect(changes.readings.added).toEqual([]);
+    expect(changes.readings.order).toBeNull();
+  });
+  
+  it('finds no changes when nothing was edited', () => {
+    const session = sessionWithReadings();
+    expect(diffSessionState(captureSessionState(session), session)).toBeNull();
+  });
+  
+  it('compares only the fields captured', () => {
+    const session = sessionWithReadings();
+    const before = captureSessionState(session, ['ovenEvents']);
+    session.ovenEvents.push(createOvenEvent(250, 225));
+    session.readings[0].temp = 65;
+    
+    expect(Object.keys(before)).toEqual(['ovenEvents']);
+    expect(Object.keys(diffSessionState(before, session))).toEqual(['ovenEvents']);
+  });
+});
+
+describe('appendedItemChanges and combineChanges', () => {
+  it('record appended items without diffing, undoing like a diff', () => {
+    const session = sessionWithReadings();
+    const original = editable(session);
+    const reading = createReading(90, '2024-01-01T13:00:00.000Z');
+    session.readings.push(reading);
+    
+    const changes = appendedItemChanges(session, 'readings', [reading]);
+    expect(changes).toEqual(diffSessionState(captureSessionState({ ...session, readings: session.readings.slice(0, -1) }, ['readings']), session));
+    
+    recordCommand(session, 'Add reading', changes);
+    undoCommand(session);
+    expect(editable(session)).toEqual(original);
+  });
+  
+  it('combine edits to different fields, keeping an item added twice once', () => {
+    const session = sessionWithReadings();
+    const original = editable(session);
+    const before = captureSessionState(session, ['ovenEvents', 'readings']);
+    const reading = createReading(90, '2024-01-01T13:00:00.000Z');
+    session.readings.push(reading);
+    session.ovenEvents.push(createOvenEvent(250, 225));
+    
+    const changes = combineChanges(diffSessionState(before, session), appendedItemChanges(session, 'readings', [reading]), null);
+    expect(changes.readings.added).toHaveLength(1);
+    expect(changes.ovenEvents.added).toHaveLength(1);
+    expect(combineChanges(null)).toBeNull();
+    
+    recordCommand(session, 'Add reading', changes);
+    undoCommand(session);
+    expect(editable(session)).toEqual(original);
+  });
+});
+
+describe('undo and redo', () => {
+  it('undoes and redoes adding, deleting and editing', () => {
+    const session = sessionWithReadings();
+    const states = [editable(session)];
+    
+    edit(session, 'Add reading', s => s.readings.push(createReading(90, '2024-01-01T13:00:00.000Z')));
+    states.push(editable(session));
+    edit(session, 'Delete reading', s => {
+      s.readings = s.readings.filter((_, i) => i !== 1);
+    });
+    states.push(editable(session));
+    edit(session, 'Edit settings', s => {
+      s.config.targetTemp = 135;
+      s.settings.units = 'C';
+    });
+    states.push(editable(session));
+    
+    for (let i = states.length - 2; i >= 0; i--) {
+      undoCommand(session);
+      expect(editable(session)).toEqual(states[i]);
+    }
+    expect(undoCommand(session)).toBeNull();
+    
+    for (let i = 1; i < states.length; i++) {
+      redoCommand(session);
+      expect(editable(session)).toEqual(states[i]);
+    }
+    expect(redoCommand(session)).toBeNull();
+  });
+  
+  it('puts re-sorted items back in order', () => {
+    const session = sessionWithReadings();
+    const original = editable(session);
+    
+    edit(session, 'Edit reading', s => {
+      s.readings[0].timestamp = '2024-01-01T15:00:00.000Z';
+      s.readings.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    });
+    undoCommand(session);
+    
+    expect(editable(session)).toEqual(original);
+  });
+  
+  it('leaves changes made outside commands alone', () => {
+    const session = sessionWithReadings();
+    edit(session, 'Add oven event', s => s.ovenEvents.push(createOvenEvent(250, 225)));
+    session.predictions.push({ id: 'p1' });
+    
+    undoCommand(session);
+    
+    expect(session.ovenEvents).toHaveLength(1);
+    expect(session.predictions).toEqual([{ id: 'p1' }]);
+  });
+  
+  it('clears the redo stack on a new edit and keeps the stack bounded', () => {
+    const session = sessionWithReadings();
+    edit(session, 'Edit target', s => {
+      s.config.targetTemp = 131;
+    });
+    undoCommand(session);
+    expect(session.redoStack).toHaveLength(1);
+    
+    for (let i = 0; i < UNDO_DEFAULTS.MAX_COMMANDS + 5; i++) {
+      edit(session, 'Edit target', s => {
+        s.config.targetTemp = 132 + i;
+      });
+    }
+    
+    expect(session.redoStack).toEqual([]);
+    expect(session.undoStack).toHaveLength(UNDO_DEFAULTS.MAX_COMMANDS);
+    expect(session.undoStack[0].changes.config.before.targetTemp).toBe(136);
+  });
+  
+  it('applies changes to a list that has since gained items', () => {
+    const session = sessionWithReadings();
+    const changes = edit(session, 'Delete reading', s => {
+      s.readings = s.readings.slice(1);
+    });
+    session.readings.push(createReading(95, '2024-01-01T14:00:00.000Z'));
+    
+    applyChanges(session, changes, 'undo');
+    
+    expect(session.readings.map(r => r.temp)).toEqual([60, 70, 80, 95]);
+  });
+});
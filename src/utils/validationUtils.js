@@ -1,4 +1,5 @@
 import { celsiusToFahrenheit } from './temperatureUtils.js';
+import { OUTLIER_THRESHOLDS } from '../constants/defaults.js';
 
 /**
  * Validate session configuration
@@ -63,9 +64,10 @@ export function validateSessionConfig(config, units) {
  * @param {number} temp
  * @param {'F'|'C'} units
  * @param {number|null} previousTempF - Previous reading in Fahrenheit (for delta check)
+ * @param {number|null} expectedTempF - Temperature the current trend projects for now, in Fahrenheit
  * @returns {{valid: boolean, error: string|null, warning: string|null}}
  */
-export function validateReading(temp, units, previousTempF = null) {
+export function validateReading(temp, units, previousTempF = null, expectedTempF = null) {
   if (temp === undefined || temp === null || temp === '') {
     return { valid: false, error: 'Temperature is required', warning: null };
   }
@@ -94,6 +96,14 @@ export function validateReading(temp, units, previousTempF = null) {
     }
   }
   
+  // Warning for readings well off the current heating trend
+  if (!warning && expectedTempF !== null) {
+    const offset = tempF - expectedTempF;
+    if (Math.abs(offset) > OUTLIER_THRESHOLDS.ENTRY_TOLERANCE_F) {
+      warning = `Reading is ${Math.abs(offset).toFixed(1)}°F ${offset > 0 ? 'above' : 'below'} the current trend (about ${expectedTempF.toFixed(0)}°F expected). Check probe placement.`;
+    }
+  }
+  
   return { valid: true, error: null, warning };
 }
 
@@ -146,6 +156,24 @@ export function validateSettings(settings) {
     }
   }
   
+  if (settings.smoothingMode !== undefined) {
+    if (!['readings', 'time', 'weighted'].includes(settings.smoothingMode)) {
+      errors.smoothingMode = 'Must be readings, time or weighted';
+    }
+  }
+  
+  if (settings.predictionModel !== undefined) {
+    if (!['linear', 'exponential'].includes(settings.predictionModel)) {
+      errors.predictionModel = 'Must be linear or exponential';
+    }
+  }
+  
+  if (settings.rateEstimator !== undefined) {
+    if (!['standard', 'robust'].includes(settings.rateEstimator)) {
+      errors.rateEstimator = 'Must be standard or robust';
+    }
+  }
+  
   if (settings.onTrackThresholdMinutes !== undefined) {
     if (settings.onTrackThresholdMinutes < 1 || settings.onTrackThresholdMinutes > 60) {
       errors.onTrackThresholdMinutes = 'Must be between 1 and 60 minutes';